@@ -35,6 +35,8 @@ async function setupAuthorizedUser() {
             console.log('  - /setweeklyshortssearchtime');
             console.log('  - /authorizeuser');
             console.log('  - /unauthorizeuser');
+            console.log('  - /trackseason');
+            console.log('  - /untrackseason');
         } else {
             console.error('❌ Failed to authorize user');
         }
@@ -1,25 +1,36 @@
-import { Client, GatewayIntentBits, EmbedBuilder, REST, Routes, SlashCommandBuilder, PermissionFlagsBits } from 'discord.js';
-import { discordToken, tmOAuthClientId, tmOAuthClientSecret, TRACKMANIA_ICON_URL, getCampaignCheckInterval, getWeeklyShortsCheckInterval, INITIAL_RECORD_CHECK_DELAY } from './config.js';
-import { startDefaultSchedules, clearAllSchedules, scheduleTask, clearSchedule } from './utils/scheduler.js';
+import { Client, GatewayIntentBits, EmbedBuilder, REST, Routes, SlashCommandBuilder, PermissionFlagsBits, ActionRowBuilder, ButtonBuilder, ButtonStyle, ComponentType } from 'discord.js';
+import { discordToken, TRACKMANIA_ICON_URL, getScheduleSettings, INITIAL_RECORD_CHECK_DELAY } from './config.js';
+import { startDefaultSchedules, clearAllSchedules, scheduleJob, getScheduledTasks } from './utils/scheduler.js';
 import { commandQueue, recordCheckQueue } from './utils/taskQueue.js';
-import { registerPlayer, unregisterPlayer, getPlayerByDiscordId } from './playerManager.js';
-import { getDisplayNames } from './oauth.js';
-import { formatTime, log } from './utils.js';
-import { getDb, isUserAuthorized, addAuthorizedUser, removeAuthorizedUser, setCampaignCheckInterval, setWeeklyShortsCheckInterval } from './db.js';
+import { registerPlayer, unregisterPlayer, getPlayerByDiscordId, resolveTrackmaniaAccount, addPendingRegistration, removePendingRegistration, reviewPendingRegistration } from './playerManager.js';
+import { log, parseDate } from './utils.js';
+import { getDb, isUserAuthorized, addAuthorizedUser, removeAuthorizedUser, setCampaignCheckInterval, setWeeklyShortsCheckInterval, addTrackedSeason, removeTrackedSeason } from './db.js';
 import { getTranslations, setLanguage, getAvailableLanguages, formatString } from './localization/index.js';
-import { setDefaultCountry, setAnnouncementChannel, setWeeklyShortsAnnouncementChannel, setTOTDAnnouncementChannel, setMinWorldPosition, toggleCampaignAnnouncements, toggleWeeklyShortsAnnouncements, toggleTOTDAnnouncements, getCampaignAnnouncementsStatus, getWeeklyShortsAnnouncementsStatus, getTOTDAnnouncementsStatus } from './guildSettings.js';
+import { setDefaultCountry, setAnnouncementChannel, setWeeklyShortsAnnouncementChannel, setTOTDAnnouncementChannel, setMinWorldPosition, toggleCampaignAnnouncements, toggleWeeklyShortsAnnouncements, toggleTOTDAnnouncements, toggleTOTDPBAnnouncements, toggleCOTDAnnouncements, toggleSnipeAnnouncements, setWeeklyShortsAlerts, setRegistrationApproval, getRegistrationApprovalSettings, setAnnouncementMode, getCampaignAnnouncementsStatus, getWeeklyShortsAnnouncementsStatus, getTOTDAnnouncementsStatus, getWeeklyShortsAlertSettings, getTOTDPBAnnouncementsSettings, getCOTDAnnouncementsStatus } from './guildSettings.js';
 import { getZoneName, getAvailableCountries } from './config/zones.js';
 import { getDefaultCountry } from './guildSettings.js';
 import {
     fetchCurrentWeeklyShort,
+    fetchWeeklyShortByWeek,
+    getStoredWeeklyShortCampaigns,
+    getWeeklyShortCampaignMaps,
     fetchWeeklyShortSeasonLeaderboard,
     fetchWeeklyShortCountryLeaderboard,
     createWeeklyShortSeasonLeaderboardEmbed,
     createWeeklyShortMapLeaderboardEmbed,
     cleanMapName
 } from './weeklyShorts.js';
-import { fetchMapInfo, fetchPlayerNames } from './recordTracker.js';
+import { fetchMapInfo, fetchPlayerNames, fetchCampaignBySeasonUid, getCampaignSeasonUid, getStoredCampaigns } from './recordTracker.js';
+import handleRecords from './handleRecords.js';
 import handleLeaderboard from './handleLeaderboard.js';
+import handleServerLeaderboard from './handleServerLeaderboard.js';
+import handleProgress from './handleProgress.js';
+import handleRank from './handleRank.js';
+import handleStats from './handleStats.js';
+import handleCompare from './handleCompare.js';
+import handleWeeklyShortsStats from './handleWeeklyShortsStats.js';
+import handleCOTD from './handleCOTD.js';
+import handleTOTDStats from './handleTOTDStats.js';
 
 /**
  * Defines all available slash commands for the Discord bot with their options and descriptions
@@ -32,7 +43,7 @@ async function getCommands(t) {
             .setName('register')
             .setDescription(t.commands.register)
             .addStringOption(option =>
-                option.setName('account_id')
+                option.setName('player')
                     .setDescription(t.commands.registerOption)
                     .setRequired(true)),
 
@@ -42,7 +53,33 @@ async function getCommands(t) {
 
         new SlashCommandBuilder()
             .setName('records')
-            .setDescription(t.commands.records),
+            .setDescription(t.commands.records)
+            .addStringOption(option =>
+                option.setName('season')
+                    .setDescription(t.commands.seasonOption || 'Optional: official campaign season')
+                    .setRequired(false)
+                    .setAutocomplete(true))
+            .addUserOption(option =>
+                option.setName('user')
+                    .setDescription(t.commands.recordsUserOption || 'Optional: member to show (defaults to you)')
+                    .setRequired(false))
+            .addStringOption(option =>
+                option.setName('map')
+                    .setDescription(t.commands.recordsMapOption || 'Optional: map number, name or UID')
+                    .setRequired(false))
+            .addStringOption(option =>
+                option.setName('since')
+                    .setDescription(t.commands.recordsSinceOption || 'Optional: only records set since this date (YYYY-MM-DD, UTC)')
+                    .setRequired(false))
+            .addStringOption(option =>
+                option.setName('sort')
+                    .setDescription(t.commands.recordsSortOption || 'Optional: how to sort the records')
+                    .setRequired(false)
+                    .addChoices(
+                        { name: t.commands.recordsSortNewest || 'Newest', value: 'newest' },
+                        { name: t.commands.recordsSortPosition || 'Best world position', value: 'position' },
+                        { name: t.commands.recordsSortImprovement || 'Biggest improvement', value: 'improvement' }
+                    )),
 
         new SlashCommandBuilder()
             .setName('leaderboard')
@@ -56,7 +93,94 @@ async function getCommands(t) {
                     .setDescription(t.commands.leaderboardCountryOption || 'Select a country')
                     .setRequired(false)
                     .setAutocomplete(true);
-            }),
+            })
+            .addStringOption(option =>
+                option.setName('season')
+                    .setDescription(t.commands.seasonOption || 'Optional: official campaign season')
+                    .setRequired(false)
+                    .setAutocomplete(true)),
+
+        new SlashCommandBuilder()
+            .setName('serverleaderboard')
+            .setDescription(t.commands.serverleaderboard || 'Show the leaderboard of this server\'s registered members')
+            .addStringOption(option =>
+                option.setName('map')
+                    .setDescription(t.commands.serverleaderboardOption || 'Optional: map number or name (overall ranking if omitted)')
+                    .setRequired(false))
+            .addStringOption(option =>
+                option.setName('season')
+                    .setDescription(t.commands.seasonOption || 'Optional: official campaign season')
+                    .setRequired(false)
+                    .setAutocomplete(true)),
+
+        new SlashCommandBuilder()
+            .setName('progress')
+            .setDescription(t.commands.progress || 'Show a chart of your PB progress on a campaign map')
+            .addStringOption(option =>
+                option.setName('map')
+                    .setDescription(t.commands.progressMapOption || 'Map number or name')
+                    .setRequired(true))
+            .addUserOption(option =>
+                option.setName('user')
+                    .setDescription(t.commands.progressUserOption || 'Optional: member to show (defaults to you)')
+                    .setRequired(false))
+            .addStringOption(option =>
+                option.setName('season')
+                    .setDescription(t.commands.seasonOption || 'Optional: official campaign season')
+                    .setRequired(false)
+                    .setAutocomplete(true)),
+
+        new SlashCommandBuilder()
+            .setName('rank')
+            .setDescription(t.commands.rank || 'Show the world position of your PBs when set and now')
+            .addUserOption(option =>
+                option.setName('user')
+                    .setDescription(t.commands.rankUserOption || 'Optional: member to show (defaults to you)')
+                    .setRequired(false))
+            .addStringOption(option =>
+                option.setName('season')
+                    .setDescription(t.commands.seasonOption || 'Optional: official campaign season')
+                    .setRequired(false)
+                    .setAutocomplete(true)),
+
+        new SlashCommandBuilder()
+            .setName('stats')
+            .setDescription(t.commands.stats || 'Show campaign statistics compared to the server average')
+            .addUserOption(option =>
+                option.setName('user')
+                    .setDescription(t.commands.statsUserOption || 'Optional: member to show (defaults to you)')
+                    .setRequired(false))
+            .addStringOption(option =>
+                option.setName('season')
+                    .setDescription(t.commands.seasonOption || 'Optional: official campaign season')
+                    .setRequired(false)
+                    .setAutocomplete(true)),
+
+        new SlashCommandBuilder()
+            .setName('compare')
+            .setDescription(t.commands.compare || 'Compare two members map by map')
+            .addUserOption(option =>
+                option.setName('user1')
+                    .setDescription(t.commands.compareUser1Option || 'First member')
+                    .setRequired(true))
+            .addUserOption(option =>
+                option.setName('user2')
+                    .setDescription(t.commands.compareUser2Option || 'Second member')
+                    .setRequired(true))
+            .addStringOption(option =>
+                option.setName('type')
+                    .setDescription(t.commands.compareTypeOption || 'Optional: which records to compare (defaults to campaign)')
+                    .setRequired(false)
+                    .addChoices(
+                        { name: t.commands.compareTypeCampaign || 'Campaign', value: 'campaign' },
+                        { name: t.commands.compareTypeWeeklyShorts || 'Weekly Shorts', value: 'weeklyshorts' },
+                        { name: t.commands.compareTypeTOTD || 'Track of the Day', value: 'totd' }
+                    ))
+            .addStringOption(option =>
+                option.setName('season')
+                    .setDescription(t.commands.compareSeasonOption || 'Optional: campaign, weekly shorts week or TOTD month (YYYY-MM)')
+                    .setRequired(false)
+                    .setAutocomplete(true)),
 
         new SlashCommandBuilder()
             .setName('weeklyshortsleaderboard')
@@ -70,7 +194,20 @@ async function getCommands(t) {
                     .setDescription(t.commands.weeklyshortsleaderboardCountryOption || 'Select a country')
                     .setRequired(false)
                     .setAutocomplete(true);
-            }),
+            })
+            .addStringOption(option =>
+                option.setName('week')
+                    .setDescription(t.commands.weeklyshortsleaderboardWeekOption || 'Optional: past weekly shorts week')
+                    .setRequired(false)
+                    .setAutocomplete(true)),
+
+        new SlashCommandBuilder()
+            .setName('weeklyshortsstats')
+            .setDescription(t.commands.weeklyshortsstats || 'Show weekly shorts season points over time and server rank')
+            .addUserOption(option =>
+                option.setName('user')
+                    .setDescription(t.commands.weeklyshortsstatsUserOption || 'Optional: member to show (defaults to you)')
+                    .setRequired(false)),
 
         new SlashCommandBuilder()
             .setName('help')
@@ -154,12 +291,83 @@ async function getCommands(t) {
 
         new SlashCommandBuilder()
             .setName('toggletotdannouncements')
-            .setDescription(t.commands.toggletotdannouncements || 'Toggle TOTD leaderboard announcements')
+            .setDescription(t.commands.toggletotdannouncements || 'Toggle new TOTD reveals and TOTD leaderboard announcements')
             .addBooleanOption(option =>
                 option.setName('enabled')
                     .setDescription(t.commands.toggletotdannouncementsOption || 'Enable or disable TOTD announcements')
                     .setRequired(true)),
 
+        new SlashCommandBuilder()
+            .setName('toggletotdpbannouncements')
+            .setDescription(t.commands.toggletotdpbannouncements || 'Toggle TOTD personal best announcements')
+            .addBooleanOption(option =>
+                option.setName('enabled')
+                    .setDescription(t.commands.toggletotdpbannouncementsOption || 'Enable or disable TOTD PB announcements')
+                    .setRequired(true))
+            .addIntegerOption(option =>
+                option.setName('position')
+                    .setDescription(t.commands.toggletotdpbannouncementsPositionOption || 'Optional: lowest world position to announce (default: 5000)')
+                    .setRequired(false)
+                    .setMinValue(1)
+                    .setMaxValue(100000)),
+
+        new SlashCommandBuilder()
+            .setName('togglecotdannouncements')
+            .setDescription(t.commands.togglecotdannouncements || 'Toggle Cup of the Day result summaries')
+            .addBooleanOption(option =>
+                option.setName('enabled')
+                    .setDescription(t.commands.togglecotdannouncementsOption || 'Enable or disable COTD result summaries')
+                    .setRequired(true)),
+
+        new SlashCommandBuilder()
+            .setName('togglesnipeannouncements')
+            .setDescription(t.commands.togglesnipeannouncements || 'Toggle snipe announcements when a member beats another member\'s PB')
+            .addBooleanOption(option =>
+                option.setName('enabled')
+                    .setDescription(t.commands.togglesnipeannouncementsOption || 'Enable or disable snipe announcements')
+                    .setRequired(true))
+            .addBooleanOption(option =>
+                option.setName('pings')
+                    .setDescription(t.commands.togglesnipeannouncementsPingsOption || 'Ping the sniped members (default: off)')
+                    .setRequired(false)),
+
+        new SlashCommandBuilder()
+            .setName('setweeklyshortsalerts')
+            .setDescription(t.commands.setweeklyshortsalerts || 'Alert members when they are pushed out of a weekly shorts position threshold')
+            .addBooleanOption(option =>
+                option.setName('enabled')
+                    .setDescription(t.commands.setweeklyshortsalertsOption || 'Enable or disable weekly shorts threshold alerts')
+                    .setRequired(true))
+            .addStringOption(option =>
+                option.setName('thresholds')
+                    .setDescription(t.commands.setweeklyshortsalertsThresholdsOption || 'Optional: comma-separated positions (default: 100,1000)')
+                    .setRequired(false)),
+
+        new SlashCommandBuilder()
+            .setName('setregistrationapproval')
+            .setDescription(t.commands.setregistrationapproval || 'Require moderator approval for new registrations')
+            .addBooleanOption(option =>
+                option.setName('enabled')
+                    .setDescription(t.commands.setregistrationapprovalOption || 'Enable or disable registration approval')
+                    .setRequired(true))
+            .addChannelOption(option =>
+                option.setName('channel')
+                    .setDescription(t.commands.setregistrationapprovalChannelOption || 'Optional: channel to review registrations in (defaults to the records channel)')
+                    .setRequired(false)),
+
+        new SlashCommandBuilder()
+            .setName('setannouncementmode')
+            .setDescription(t.commands.setannouncementmode || 'Set how campaign records are announced')
+            .addStringOption(option =>
+                option.setName('mode')
+                    .setDescription(t.commands.setannouncementmodeOption || 'Post every record instantly, or group them in a digest')
+                    .setRequired(true)
+                    .addChoices(
+                        { name: t.commands.announcementModeInstant || 'Instant', value: 'instant' },
+                        { name: t.commands.announcementModeHourly || 'Hourly digest', value: 'hourly' },
+                        { name: t.commands.announcementModeDaily || 'Daily digest', value: 'daily' }
+                    )),
+
         new SlashCommandBuilder()
             .setName('setcampaignsearchtime')
             .setDescription(t.commands.setcampaignsearchtime || 'Set the campaign search interval (authorized users only)')
@@ -180,6 +388,10 @@ async function getCommands(t) {
                     .setMinValue(5)
                     .setMaxValue(1440)),
 
+        new SlashCommandBuilder()
+            .setName('schedules')
+            .setDescription(t.commands.schedules || 'List the scheduled tracker jobs and when they run next'),
+
         new SlashCommandBuilder()
             .setName('authorizeuser')
             .setDescription(t.commands.authorizeuser || 'Authorize a user to modify global settings (authorized users only)')
@@ -196,6 +408,24 @@ async function getCommands(t) {
                     .setDescription(t.commands.unauthorizeuserOption || 'User to unauthorize')
                     .setRequired(true)),
 
+        new SlashCommandBuilder()
+            .setName('trackseason')
+            .setDescription(t.commands.trackseason || 'Track a past official campaign (authorized users only)')
+            .addStringOption(option =>
+                option.setName('season')
+                    .setDescription(t.commands.trackseasonOption || 'Official campaign season to track')
+                    .setRequired(true)
+                    .setAutocomplete(true)),
+
+        new SlashCommandBuilder()
+            .setName('untrackseason')
+            .setDescription(t.commands.untrackseason || 'Stop tracking a past official campaign (authorized users only)')
+            .addStringOption(option =>
+                option.setName('season')
+                    .setDescription(t.commands.untrackseasonOption || 'Official campaign season to stop tracking')
+                    .setRequired(true)
+                    .setAutocomplete(true)),
+
         new SlashCommandBuilder()
             .setName('totdleaderboard')
             .setDescription(t.commands.totdleaderboard || 'Show TOTD leaderboard')
@@ -204,6 +434,38 @@ async function getCommands(t) {
                     .setDescription(t.commands.totdleaderboardCountryOption || 'Select a country')
                     .setRequired(false)
                     .setAutocomplete(true))
+            .addStringOption(option =>
+                option.setName('date')
+                    .setDescription(t.commands.totdDateOption || 'Optional: TOTD date in YYYY-MM-DD format (UTC)')
+                    .setRequired(false)),
+
+        new SlashCommandBuilder()
+            .setName('totd')
+            .setDescription(t.commands.totd || 'Show the Track of the Day map and medal times')
+            .addStringOption(option =>
+                option.setName('date')
+                    .setDescription(t.commands.totdDateOption || 'Optional: TOTD date in YYYY-MM-DD format (UTC)')
+                    .setRequired(false)),
+
+        new SlashCommandBuilder()
+            .setName('totdstats')
+            .setDescription(t.commands.totdstats || 'Show TOTD participation, streaks and positions')
+            .addUserOption(option =>
+                option.setName('user')
+                    .setDescription(t.commands.totdstatsUserOption || 'Optional: member to show (defaults to you)')
+                    .setRequired(false))
+            .addStringOption(option =>
+                option.setName('month')
+                    .setDescription(t.commands.totdstatsMonthOption || 'Optional: month of the server ranking in YYYY-MM format (UTC)')
+                    .setRequired(false)),
+
+        new SlashCommandBuilder()
+            .setName('cotd')
+            .setDescription(t.commands.cotd || 'Show recent Cup of the Day results')
+            .addUserOption(option =>
+                option.setName('user')
+                    .setDescription(t.commands.cotdUserOption || 'Optional: member to show (defaults to you)')
+                    .setRequired(false))
 
     ].map(command => command.toJSON());
 }
@@ -234,143 +496,291 @@ async function registerCommands(clientId) {
     }
 }
 
+// Confirm/Cancel buttons of /register stop responding after this long
+const REGISTER_CONFIRMATION_TIMEOUT_MS = 60 * 1000;
+
 /**
  * Handles the /register command to link a Discord user with their Trackmania account
+ * The display name or account ID entered is resolved to an account first, and the member
+ * confirms it is theirs with a button before it is saved
  * @param {Interaction} interaction - Discord interaction object
  */
 async function handleRegister(interaction) {
-    const accountId = interaction.options.getString('account_id');
-    let username = interaction.user.username;
+    const input = interaction.options.getString('player');
     const t = await getTranslations(interaction.guildId);
     const guildId = interaction.guildId;
 
     try {
         await interaction.reply(t.responses.register.processing || '🔄 Registering your Trackmania account...');
 
-        if (tmOAuthClientId && tmOAuthClientSecret) {
+        const account = await resolveTrackmaniaAccount(input);
+        if (account.error) {
+            const errors = {
+                invalidAccountId: t.responses.register.invalidAccountId || '❌ "{input}" is not a valid account ID. Account IDs look like `xxxxxxxx-xxxx-xxxx-xxxx-xxxxxxxxxxxx`.',
+                accountNotFound: t.responses.register.accountNotFound || '❌ No Trackmania account found with the ID "{input}".',
+                displayNameNotFound: t.responses.register.displayNameNotFound || '❌ No Trackmania player found with the display name "{input}".',
+                lookupUnavailable: t.responses.register.lookupUnavailable || '❌ Display name lookup is not available on this bot. Register with your account ID from trackmania.io instead.'
+            };
+            return await interaction.editReply(formatString(errors[account.error], { input }));
+        }
+
+        const username = account.displayName || interaction.user.username;
+        const existingPlayer = await getPlayerByDiscordId(interaction.user.id, guildId);
+
+        const embed = new EmbedBuilder()
+            .setTitle(t.embeds.register?.title || '🔗 Confirm Registration')
+            .setColor(0x00BFFF)
+            .setAuthor({ name: 'Trackmania Campaign Records', iconURL: TRACKMANIA_ICON_URL })
+            .setDescription(existingPlayer
+                ? formatString(t.embeds.register?.replaceDescription || 'Replace your registered account **{current}** with this one?', { current: existingPlayer.username || existingPlayer.account_id })
+                : (t.embeds.register?.description || 'Is this your Trackmania account?'))
+            .addFields(
+                { name: t.embeds.register?.displayName || '👤 Display Name', value: account.displayName || (t.values?.unknown || 'Unknown'), inline: true },
+                { name: t.embeds.register?.accountId || '🆔 Account ID', value: `[${account.accountId}](https://trackmania.io/player#/player/${account.accountId})`, inline: true }
+            );
+
+        const buttons = new ActionRowBuilder().addComponents(
+            new ButtonBuilder()
+                .setCustomId('register_confirm')
+                .setLabel(t.embeds.register?.confirm || '✅ Confirm')
+                .setStyle(ButtonStyle.Success),
+            new ButtonBuilder()
+                .setCustomId('register_cancel')
+                .setLabel(t.embeds.register?.cancel || '✖️ Cancel')
+                .setStyle(ButtonStyle.Secondary)
+        );
+
+        const message = await interaction.editReply({ content: null, embeds: [embed], components: [buttons] });
+
+        // The confirmation is collected outside the command queue so waiting for it does not hold up other commands
+        const collector = message.createMessageComponentCollector({
+            componentType: ComponentType.Button,
+            filter: i => i.user.id === interaction.user.id,
+            time: REGISTER_CONFIRMATION_TIMEOUT_MS,
+            max: 1
+        });
+
+        collector.on('collect', async buttonInteraction => {
             try {
-                const displayNames = await getDisplayNames([accountId]);
-                const displayName = displayNames[accountId];
-                if (displayName) {
-                    username = displayName;
-                    log(`Fetched display name for ${accountId}: ${displayName}`);
+                if (buttonInteraction.customId === 'register_cancel') {
+                    return await buttonInteraction.update({
+                        content: t.responses.register.cancelled || '✖️ Registration cancelled.',
+                        embeds: [],
+                        components: []
+                    });
+                }
+
+                const approval = await getRegistrationApprovalSettings(guildId);
+                if (approval.enabled) {
+                    return await buttonInteraction.update({
+                        content: await submitRegistrationForApproval(interaction, approval.channelId, account, username, t),
+                        embeds: [],
+                        components: []
+                    });
+                }
+
+                const result = await registerPlayer(interaction.user.id, guildId, account.accountId, username);
+                log(`Registration confirmed for ${interaction.user.id} in guild ${guildId}: ${account.accountId} (${username})`);
+
+                let content;
+                if (result.success) {
+                    content = result.updated ? t.responses.register.updated : t.responses.register.success;
+                } else {
+                    content = formatString(t.responses.register.failed, { error: result.error });
+                }
+
+                await buttonInteraction.update({ content, embeds: [], components: [] });
+            } catch (error) {
+                log(`Error confirming registration: ${error.message}`, 'error');
+
+                const failed = { content: formatString(t.responses.register.failed, { error: error.message }), embeds: [], components: [] };
+                try {
+                    if (buttonInteraction.replied || buttonInteraction.deferred) {
+                        await interaction.editReply(failed);
+                    } else {
+                        await buttonInteraction.update(failed);
+                    }
+                } catch (replyError) {
+                    log(`Error reporting failed registration: ${replyError.message}`, 'warn');
                 }
-            } catch (oauthError) {
-                log(`Failed to fetch display name: ${oauthError.message}`, 'warn');
             }
-        }
+        });
 
-        const result = await registerPlayer(interaction.user.id, guildId, accountId, username);
+        collector.on('end', async collected => {
+            if (collected.size > 0) return;
 
-        if (result.success) {
-            if (result.updated) {
-                await interaction.editReply(t.responses.register.updated);
-            } else {
-                await interaction.editReply(t.responses.register.success);
+            try {
+                await interaction.editReply({
+                    content: t.responses.register.timedOut || '⌛ Registration not confirmed in time. Run `/register` again to retry.',
+                    embeds: [],
+                    components: []
+                });
+            } catch (error) {
+                log(`Error expiring registration confirmation: ${error.message}`, 'warn');
             }
-        } else {
-            await interaction.editReply(formatString(t.responses.register.failed, { error: result.error }));
-        }
+        });
     } catch (error) {
         log(`Error in registration: ${error.message}`, 'error');
-        await interaction.editReply(formatString(t.responses.register.failed, { error: error.message }));
+        await interaction.editReply({ content: formatString(t.responses.register.failed, { error: error.message }), embeds: [], components: [] });
     }
 }
 
 /**
- * Handles the /unregister command to unlink a Discord user from their Trackmania account
- * @param {Interaction} interaction - Discord interaction object
+ * Creates the embed moderators review a pending registration with
+ * @param {Object} pending - Pending registration row
+ * @param {Object} t - Translation strings
+ * @returns {EmbedBuilder} Discord embed for the registration review
  */
-async function handleUnregister(interaction) {
-    const t = await getTranslations(interaction.guildId);
-    const guildId = interaction.guildId;
+function createRegistrationReviewEmbed(pending, t) {
+    return new EmbedBuilder()
+        .setTitle(t.embeds.registrationReview?.title || '📝 Registration Awaiting Approval')
+        .setColor(0xF1C40F)
+        .setAuthor({ name: 'Trackmania Campaign Records', iconURL: TRACKMANIA_ICON_URL })
+        .setDescription(formatString(t.embeds.registrationReview?.description || '<@{discordId}> wants to register this Trackmania account:', {
+            discordId: pending.discord_id
+        }))
+        .addFields(
+            { name: t.embeds.register?.displayName || '👤 Display Name', value: pending.username || (t.values?.unknown || 'Unknown'), inline: true },
+            { name: t.embeds.register?.accountId || '🆔 Account ID', value: `[${pending.account_id}](https://trackmania.io/player#/player/${pending.account_id})`, inline: true }
+        )
+        .setTimestamp();
+}
 
-    try {
-        await interaction.reply(t.responses.unregister.processing || '🔄 Unregistering your Trackmania account...');
-        const result = await unregisterPlayer(interaction.user.id, guildId);
+/**
+ * Stores a confirmed registration as pending and posts it for moderators to review
+ * The pending registration is removed again if the review message cannot be posted
+ * @param {Interaction} interaction - The /register interaction
+ * @param {string|null} channelId - Channel registrations are reviewed in
+ * @param {{accountId: string}} account - Resolved Trackmania account
+ * @param {string} username - Trackmania display name or Discord username
+ * @param {Object} t - Translation strings
+ * @returns {Promise<string>} Message telling the member what happened to their registration
+ */
+async function submitRegistrationForApproval(interaction, channelId, account, username, t) {
+    const channel = channelId ? await interaction.client.channels.fetch(channelId).catch(() => null) : null;
+    if (!channel || !channel.isTextBased()) {
+        log(`No approval channel available in guild ${interaction.guildId}, registration of ${interaction.user.id} not submitted`, 'warn');
+        return t.responses.register.approvalUnavailable || '❌ Registrations need moderator approval, but no approval channel is set up. Ask a moderator to run `/setregistrationapproval`.';
+    }
 
-        if (result.success) {
-            await interaction.editReply(t.responses.unregister.success);
-        } else {
-            await interaction.editReply(formatString(t.responses.unregister.failed, { error: result.error }));
-        }
+    const result = await addPendingRegistration(interaction.user.id, interaction.guildId, account.accountId, username);
+    if (!result.success) {
+        return formatString(t.responses.register.failed, { error: result.error });
+    }
+
+    const buttons = new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+            .setCustomId(`registration_approve:${result.pending.id}`)
+            .setLabel(t.embeds.registrationReview?.approve || '✅ Approve')
+            .setStyle(ButtonStyle.Success),
+        new ButtonBuilder()
+            .setCustomId(`registration_reject:${result.pending.id}`)
+            .setLabel(t.embeds.registrationReview?.reject || '⛔ Reject')
+            .setStyle(ButtonStyle.Danger)
+    );
+
+    try {
+        await channel.send({ embeds: [createRegistrationReviewEmbed(result.pending, t)], components: [buttons] });
     } catch (error) {
-        log(`Error in unregistration: ${error.message}`, 'error');
-        await interaction.editReply(formatString(t.responses.unregister.failed, { error: error.message }));
+        log(`Failed to post registration of ${interaction.user.id} for review in guild ${interaction.guildId}: ${error.message}`, 'error');
+        await removePendingRegistration(result.pending.id);
+        return t.responses.register.approvalFailed || '❌ Your registration could not be posted for review. Ask a moderator to check that the bot can send messages in the approval channel.';
     }
+
+    return t.responses.register.pendingApproval || '📝 Your registration has been sent to the moderators for approval. Your records will be tracked once it is approved.';
 }
 
 /**
- * Handles the /records command to display a user's recent Trackmania records
- * @param {Interaction} interaction - Discord interaction object
+ * Handles the Approve/Reject buttons of a pending registration
+ * The review message keeps the registration details and shows who reviewed it, and the member is told by DM
+ * Admin/Moderator-only
+ * @param {ButtonInteraction} interaction - Discord button interaction
  */
-async function handleRecords(interaction) {
+async function handleRegistrationReview(interaction) {
     const t = await getTranslations(interaction.guildId);
-    const guildId = interaction.guildId;
+
+    if (!interaction.member.permissions.has(PermissionFlagsBits.Administrator) &&
+        !interaction.member.permissions.has(PermissionFlagsBits.ModerateMembers)) {
+        return await interaction.reply({
+            content: t.responses.registrationReview?.noPermission || 'You need administrator or moderator permissions to review registrations.',
+            ephemeral: true
+        });
+    }
 
     try {
-        await interaction.reply(t.responses.records.processing || '🔄 Fetching your recent records...');
-        const player = await getPlayerByDiscordId(interaction.user.id, guildId);
+        const [action, pendingId] = interaction.customId.split(':');
+        const approved = action === 'registration_approve';
 
-        if (!player) {
-            return await interaction.editReply(t.responses.records.notRegistered);
-        }
+        const result = await reviewPendingRegistration(parseInt(pendingId), approved);
 
-        const db = await getDb();
-        const limit = 5;
-
-        const records = await db.all(`
-      SELECT 
-        m.name as map_name,
-        m.map_uid,
-        r.time_ms,
-        r.recorded_at,
-        rh.previous_time_ms
-      FROM 
-        records r
-      JOIN 
-        maps m ON r.map_id = m.id
-      LEFT JOIN 
-        record_history rh ON (
-          rh.player_id = r.player_id 
-          AND rh.map_id = r.map_id 
-          AND rh.time_ms = r.time_ms
-        )
-      WHERE 
-        r.player_id = ?
-      ORDER BY 
-        r.recorded_at DESC
-      LIMIT ?
-    `, [player.id, limit]);
+        if (!result.success && result.pending) {
+            return await interaction.reply({
+                content: formatString(t.responses.register.failed, { error: result.error }),
+                ephemeral: true
+            });
+        }
 
-        if (records.length === 0) {
-            return await interaction.editReply(t.responses.records.noRecords);
+        if (!result.success) {
+            return await interaction.update({
+                content: t.responses.registrationReview?.notPending || 'This registration was already reviewed or replaced by a newer request.',
+                components: []
+            });
         }
 
-        const playerName = player.username || 'Player';
-        const linkedPlayerName = player.account_id 
-            ? `[${playerName}](https://trackmania.io/player#/player/${player.account_id})`
-            : playerName;
+        const embed = createRegistrationReviewEmbed(result.pending, t)
+            .setTitle(approved
+                ? (t.embeds.registrationReview?.approvedTitle || '✅ Registration Approved')
+                : (t.embeds.registrationReview?.rejectedTitle || '⛔ Registration Rejected'))
+            .setColor(approved ? 0x2ECC71 : 0xE74C3C)
+            .addFields({
+                name: t.embeds.registrationReview?.reviewedBy || 'Reviewed by',
+                value: `<@${interaction.user.id}>`,
+                inline: false
+            });
 
-        const embed = new EmbedBuilder()
-            .setTitle(formatString(t.embeds.records.title, { username: linkedPlayerName }))
-            .setColor(0x00BFFF)
-            .setAuthor({ name: 'Trackmania Campaign Records', iconURL: TRACKMANIA_ICON_URL })
-            .setDescription(formatString(t.embeds.records.description, { count: records.length }))
+        await interaction.update({ embeds: [embed], components: [] });
 
-        records.forEach((record, index) => {
-            let timeInfo = `${t.embeds.records.time}: **${formatTime(record.time_ms)}**`;
-            embed.addFields({
-                name: `${index + 1}. ${record.map_name || record.map_uid}`,
-                value: `${timeInfo}`,
-                inline: false
+        log(`Registration ${pendingId} ${approved ? 'approved' : 'rejected'} by ${interaction.user.id} in guild ${interaction.guildId}`);
+
+        try {
+            await interaction.client.users.send(result.pending.discord_id, formatString(approved
+                ? (t.responses.registrationReview?.approvedDM || '✅ Your Trackmania registration in **{guild}** has been approved!')
+                : (t.responses.registrationReview?.rejectedDM || '⛔ Your Trackmania registration in **{guild}** has been rejected.'),
+            { guild: interaction.guild?.name || interaction.guildId }));
+        } catch (dmError) {
+            log(`Could not notify ${result.pending.discord_id} of their registration review: ${dmError.message}`, 'warn');
+        }
+    } catch (error) {
+        log(`Error reviewing registration: ${error.message}`, 'error');
+        if (!interaction.replied) {
+            await interaction.reply({
+                content: t.responses.registrationReview?.error || '❌ An error occurred while reviewing the registration.',
+                ephemeral: true
             });
-        });
+        }
+    }
+}
 
-        await interaction.editReply({ embeds: [embed] });
+/**
+ * Handles the /unregister command to unlink a Discord user from their Trackmania account
+ * @param {Interaction} interaction - Discord interaction object
+ */
+async function handleUnregister(interaction) {
+    const t = await getTranslations(interaction.guildId);
+    const guildId = interaction.guildId;
+
+    try {
+        await interaction.reply(t.responses.unregister.processing || '🔄 Unregistering your Trackmania account...');
+        const result = await unregisterPlayer(interaction.user.id, guildId);
+
+        if (result.success) {
+            await interaction.editReply(t.responses.unregister.success);
+        } else {
+            await interaction.editReply(formatString(t.responses.unregister.failed, { error: result.error }));
+        }
     } catch (error) {
-        log(`Error in records command: ${error.message}`, 'error');
-        await interaction.editReply(t.responses.records.error);
+        log(`Error in unregistration: ${error.message}`, 'error');
+        await interaction.editReply(formatString(t.responses.unregister.failed, { error: error.message }));
     }
 }
 
@@ -403,14 +813,60 @@ async function handleHelp(interaction) {
                 name: t.embeds.help.leaderboard,
                 value: t.embeds.help.leaderboardDesc
             },
+            {
+                name: t.embeds.help.serverleaderboard,
+                value: t.embeds.help.serverleaderboardDesc
+            },
+            {
+                name: t.embeds.help.progress,
+                value: t.embeds.help.progressDesc
+            },
+            {
+                name: t.embeds.help.rank,
+                value: t.embeds.help.rankDesc
+            },
+            {
+                name: t.embeds.help.stats,
+                value: t.embeds.help.statsDesc
+            },
+            {
+                name: t.embeds.help.compare,
+                value: t.embeds.help.compareDesc
+            },
             {
                 name: t.embeds.help.weeklyshortsleaderboard,
                 value: t.embeds.help.weeklyshortsleaderboardDesc
             },
+            {
+                name: t.embeds.help.weeklyshortsstats,
+                value: t.embeds.help.weeklyshortsstatsDesc
+            },
+            {
+                name: t.embeds.help.totd,
+                value: t.embeds.help.totdDesc
+            },
+            {
+                name: t.embeds.help.totdleaderboard,
+                value: t.embeds.help.totdleaderboardDesc
+            },
+            {
+                name: t.embeds.help.totdstats,
+                value: t.embeds.help.totdstatsDesc
+            },
+            {
+                name: t.embeds.help.cotd,
+                value: t.embeds.help.cotdDesc
+            },
             {
                 name: t.embeds.help.help,
                 value: t.embeds.help.helpDesc
-            },
+            }
+        );
+
+    const adminEmbed = new EmbedBuilder()
+        .setTitle(t.embeds.help.adminTitle || '🛠️ Server Management & Global Settings')
+        .setColor(0x00BFFF)
+        .addFields(
             {
                 name: t.embeds.help.language,
                 value: t.embeds.help.languageDesc
@@ -439,6 +895,30 @@ async function handleHelp(interaction) {
                 name: t.embeds.help.toggleweeklyshortsannouncements,
                 value: t.embeds.help.toggleweeklyshortsannouncementsDesc
             },
+            {
+                name: t.embeds.help.togglesnipeannouncements,
+                value: t.embeds.help.togglesnipeannouncementsDesc
+            },
+            {
+                name: t.embeds.help.toggletotdpbannouncements,
+                value: t.embeds.help.toggletotdpbannouncementsDesc
+            },
+            {
+                name: t.embeds.help.togglecotdannouncements,
+                value: t.embeds.help.togglecotdannouncementsDesc
+            },
+            {
+                name: t.embeds.help.setweeklyshortsalerts,
+                value: t.embeds.help.setweeklyshortsalertsDesc
+            },
+            {
+                name: t.embeds.help.setregistrationapproval,
+                value: t.embeds.help.setregistrationapprovalDesc
+            },
+            {
+                name: t.embeds.help.setannouncementmode,
+                value: t.embeds.help.setannouncementmodeDesc
+            },
             {
                 name: t.embeds.help.setcampaignsearchtime,
                 value: t.embeds.help.setcampaignsearchtimeDesc
@@ -447,6 +927,10 @@ async function handleHelp(interaction) {
                 name: t.embeds.help.setweeklyshortssearchtime,
                 value: t.embeds.help.setweeklyshortssearchtimeDesc
             },
+            {
+                name: t.embeds.help.schedules,
+                value: t.embeds.help.schedulesDesc
+            },
             {
                 name: t.embeds.help.authorizeuser,
                 value: t.embeds.help.authorizeuserDesc
@@ -455,13 +939,21 @@ async function handleHelp(interaction) {
                 name: t.embeds.help.unauthorizeuser,
                 value: t.embeds.help.unauthorizeuserDesc
             },
-        )
+            {
+                name: t.embeds.help.trackseason,
+                value: t.embeds.help.trackseasonDesc
+            },
+            {
+                name: t.embeds.help.untrackseason,
+                value: t.embeds.help.untrackseasonDesc
+            },
+        );
 
-    await interaction.reply({ embeds: [embed] });
+    await interaction.reply({ embeds: [embed, adminEmbed] });
 }
 
 /**
- * Handles autocomplete interactions for country selection
+ * Handles autocomplete interactions for country and season selection
  * @param {Interaction} interaction - Discord autocomplete interaction
  */
 async function handleAutocomplete(interaction) {
@@ -485,6 +977,55 @@ async function handleAutocomplete(interaction) {
             log(`Error in autocomplete: ${error.message}`, 'error');
             await interaction.respond([]);
         }
+    } else if (focusedOption.name === 'season' && commandName === 'compare' && options.getString('type') === 'weeklyshorts') {
+        try {
+            const weeks = await getStoredWeeklyShortCampaigns(focusedOption.value, 25);
+
+            await interaction.respond(weeks.map(week => ({
+                name: week.name,
+                value: week.season_uid
+            })));
+        } catch (error) {
+            log(`Error in week autocomplete: ${error.message}`, 'error');
+            await interaction.respond([]);
+        }
+    } else if (focusedOption.name === 'season' && commandName === 'compare' && options.getString('type') === 'totd') {
+        try {
+            const { getStoredTOTDMonths } = await import('./totdTracker.js');
+            const months = await getStoredTOTDMonths(focusedOption.value, 25);
+
+            await interaction.respond(months.map(month => ({
+                name: month,
+                value: month
+            })));
+        } catch (error) {
+            log(`Error in month autocomplete: ${error.message}`, 'error');
+            await interaction.respond([]);
+        }
+    } else if (focusedOption.name === 'season') {
+        try {
+            const campaigns = await getStoredCampaigns(focusedOption.value, 25);
+
+            await interaction.respond(campaigns.map(campaign => ({
+                name: campaign.name,
+                value: campaign.season_uid
+            })));
+        } catch (error) {
+            log(`Error in season autocomplete: ${error.message}`, 'error');
+            await interaction.respond([]);
+        }
+    } else if (focusedOption.name === 'week') {
+        try {
+            const weeks = await getStoredWeeklyShortCampaigns(focusedOption.value, 25);
+
+            await interaction.respond(weeks.map(week => ({
+                name: week.name,
+                value: week.season_uid
+            })));
+        } catch (error) {
+            log(`Error in week autocomplete: ${error.message}`, 'error');
+            await interaction.respond([]);
+        }
     }
 }
 
@@ -499,6 +1040,11 @@ async function handleInteraction(interaction) {
         return;
     }
 
+    if (interaction.isButton() && interaction.customId.startsWith('registration_')) {
+        await handleRegistrationReview(interaction);
+        return;
+    }
+
     if (!interaction.isChatInputCommand()) return;
 
     const { commandName } = interaction;
@@ -520,6 +1066,21 @@ async function handleInteraction(interaction) {
                 case 'leaderboard':
                     await handleLeaderboard(interaction);
                     break;
+                case 'serverleaderboard':
+                    await handleServerLeaderboard(interaction);
+                    break;
+                case 'progress':
+                    await handleProgress(interaction);
+                    break;
+                case 'rank':
+                    await handleRank(interaction);
+                    break;
+                case 'stats':
+                    await handleStats(interaction);
+                    break;
+                case 'compare':
+                    await handleCompare(interaction);
+                    break;
                 case 'help':
                     await handleHelp(interaction);
                     break;
@@ -542,6 +1103,9 @@ async function handleInteraction(interaction) {
                 case 'weeklyshortsleaderboard':
                     await handleWeeklyShortsLeaderboard(interaction);
                     break;
+                case 'weeklyshortsstats':
+                    await handleWeeklyShortsStats(interaction);
+                    break;
                 case 'setminposition':
                     await handleSetMinPosition(interaction);
                     break;
@@ -555,21 +1119,57 @@ async function handleInteraction(interaction) {
                 case 'toggletotdannouncements':
                     await handleToggleTOTDAnnouncements(interaction);
                     break;
+                case 'toggletotdpbannouncements':
+                    await handleToggleTOTDPBAnnouncements(interaction);
+                    break;
+                case 'togglecotdannouncements':
+                    await handleToggleCOTDAnnouncements(interaction);
+                    break;
+                case 'togglesnipeannouncements':
+                    await handleToggleSnipeAnnouncements(interaction);
+                    break;
+                case 'setweeklyshortsalerts':
+                    await handleSetWeeklyShortsAlerts(interaction);
+                    break;
+                case 'setregistrationapproval':
+                    await handleSetRegistrationApproval(interaction);
+                    break;
+                case 'setannouncementmode':
+                    await handleSetAnnouncementMode(interaction);
+                    break;
                 case 'setcampaignsearchtime':
                     await handleSetCampaignSearchTime(interaction);
                     break;
                 case 'setweeklyshortssearchtime':
                     await handleSetWeeklyShortsSearchTime(interaction);
                     break;
+                case 'schedules':
+                    await handleSchedules(interaction);
+                    break;
                 case 'authorizeuser':
                     await handleAuthorizeUser(interaction);
                     break;
                 case 'unauthorizeuser':
                     await handleUnauthorizeUser(interaction);
                     break;
+                case 'trackseason':
+                    await handleTrackSeason(interaction);
+                    break;
+                case 'untrackseason':
+                    await handleUntrackSeason(interaction);
+                    break;
                 case 'totdleaderboard':
                     await handleTOTDLeaderboard(interaction);
                     break;
+                case 'totd':
+                    await handleTOTD(interaction);
+                    break;
+                case 'totdstats':
+                    await handleTOTDStats(interaction);
+                    break;
+                case 'cotd':
+                    await handleCOTD(interaction);
+                    break;
                 default:
                     await interaction.reply(t.responses.error.unknownCommand);
             }
@@ -807,6 +1407,59 @@ async function handleSetMinPosition(interaction) {
     }
 }
 
+/**
+ * Handles the /setannouncementmode command to choose between instant announcements and digests
+ * Admin/Moderator-only command
+ * @param {Interaction} interaction - Discord interaction object
+ */
+async function handleSetAnnouncementMode(interaction) {
+    const t = await getTranslations(interaction.guildId);
+
+    if (!interaction.member.permissions.has(PermissionFlagsBits.Administrator) &&
+        !interaction.member.permissions.has(PermissionFlagsBits.ModerateMembers)) {
+        return await interaction.reply({
+            content: t.responses.setannouncementmode?.noPermission ||
+                'You need administrator or moderator permissions to use this command.',
+            ephemeral: true
+        });
+    }
+
+    try {
+        await interaction.reply(t.responses.setannouncementmode?.processing || '🔄 Updating announcement mode...');
+        const mode = interaction.options.getString('mode');
+        const guildId = interaction.guildId;
+
+        const result = await setAnnouncementMode(guildId, mode);
+
+        if (!result) {
+            return await interaction.editReply(
+                t.responses.setannouncementmode?.error ||
+                '❌ Failed to update the announcement mode.'
+            );
+        }
+
+        const modeNames = {
+            instant: t.commands.announcementModeInstant || 'Instant',
+            hourly: t.commands.announcementModeHourly || 'Hourly digest',
+            daily: t.commands.announcementModeDaily || 'Daily digest'
+        };
+
+        await interaction.editReply(
+            formatString(
+                t.responses.setannouncementmode?.success ||
+                '✅ Campaign records will now be announced as: **{mode}**',
+                { mode: modeNames[mode] }
+            )
+        );
+    } catch (error) {
+        log(`Error in setannouncementmode command: ${error.message}`, 'error');
+        await interaction.editReply(
+            t.responses.setannouncementmode?.error ||
+            '❌ An error occurred while updating the announcement mode.'
+        );
+    }
+}
+
 /**
  * Handles the /setcampaignsearchtime command to set the campaign search interval
  * Authorized users only
@@ -903,6 +1556,48 @@ async function handleSetWeeklyShortsSearchTime(interaction) {
     }
 }
 
+/**
+ * Handles the /schedules command to list the scheduled tracker jobs and their next run times
+ * @param {Interaction} interaction - Discord interaction object
+ */
+async function handleSchedules(interaction) {
+    const t = await getTranslations(interaction.guildId);
+
+    try {
+        const tasks = getScheduledTasks();
+
+        if (tasks.length === 0) {
+            return await interaction.reply(t.responses.schedules?.noSchedules || 'No jobs are scheduled yet.');
+        }
+
+        const embed = new EmbedBuilder()
+            .setTitle(t.embeds.schedules?.title || '🗓️ Scheduled Jobs')
+            .setColor(0x00BFFF)
+            .setTimestamp();
+
+        for (const task of tasks) {
+            const schedule = task.cron
+                ? formatString(t.embeds.schedules?.cron || '`{cron}` ({timeZone})', { cron: task.cron, timeZone: task.timeZone })
+                : formatString(t.embeds.schedules?.interval || 'Every {minutes} minutes', { minutes: Math.round(task.intervalMs / 60000) });
+
+            const nextRun = task.nextRun
+                ? `<t:${Math.floor(task.nextRun / 1000)}:F> (<t:${Math.floor(task.nextRun / 1000)}:R>)`
+                : (t.embeds.schedules?.never || 'Never');
+
+            embed.addFields({
+                name: t.embeds.schedules?.jobs?.[task.name] || task.name,
+                value: `${schedule}\n${formatString(t.embeds.schedules?.nextRun || 'Next run: {time}', { time: nextRun })}`,
+                inline: false
+            });
+        }
+
+        await interaction.reply({ embeds: [embed] });
+    } catch (error) {
+        log(`Error in schedules command: ${error.message}`, 'error');
+        await interaction.reply(t.responses.schedules?.error || '❌ An error occurred while listing the scheduled jobs.');
+    }
+}
+
 /**
  * Handles the /authorizeuser command to authorize a user for global settings
  * Authorized users only
@@ -987,53 +1682,150 @@ async function handleUnauthorizeUser(interaction) {
     } catch (error) {
         log(`Error in unauthorizeuser command: ${error.message}`, 'error');
         await interaction.editReply(
-            t.responses.unauthorizeuser?.error ||
-            '❌ An error occurred while removing user authorization.'
+            t.responses.unauthorizeuser?.error ||
+            '❌ An error occurred while removing user authorization.'
+        );
+    }
+}
+
+/**
+ * Handles the /trackseason command to add a past official campaign to the tracked seasons
+ * Authorized users only
+ * @param {Interaction} interaction - Discord interaction object
+ */
+async function handleTrackSeason(interaction) {
+    const t = await getTranslations(interaction.guildId);
+
+    try {
+        if (!await isUserAuthorized(interaction.user.id)) {
+            return await interaction.reply({
+                content: t.responses.trackseason?.noPermission ||
+                    '❌ You are not authorized to modify global settings.',
+                ephemeral: true
+            });
+        }
+
+        await interaction.reply(t.responses.trackseason?.processing || '🔄 Adding season to tracked campaigns...');
+        const seasonUid = interaction.options.getString('season');
+
+        const campaign = await fetchCampaignBySeasonUid(seasonUid);
+        if (!campaign) {
+            return await interaction.editReply(
+                formatString(
+                    t.responses.trackseason?.notFound ||
+                    '❌ No official campaign found for season "{season}".',
+                    { season: seasonUid }
+                )
+            );
+        }
+
+        const result = await addTrackedSeason(getCampaignSeasonUid(campaign));
+
+        if (result) {
+            await interaction.editReply(
+                formatString(
+                    t.responses.trackseason?.success ||
+                    '✅ {season} will now be tracked alongside the current campaign.',
+                    { season: campaign.name }
+                )
+            );
+        } else {
+            await interaction.editReply(
+                t.responses.trackseason?.error ||
+                '❌ Failed to track the season.'
+            );
+        }
+    } catch (error) {
+        log(`Error in trackseason command: ${error.message}`, 'error');
+        await interaction.editReply(
+            t.responses.trackseason?.error ||
+            '❌ An error occurred while tracking the season.'
+        );
+    }
+}
+
+/**
+ * Handles the /untrackseason command to remove a past official campaign from the tracked seasons
+ * Authorized users only
+ * @param {Interaction} interaction - Discord interaction object
+ */
+async function handleUntrackSeason(interaction) {
+    const t = await getTranslations(interaction.guildId);
+
+    try {
+        if (!await isUserAuthorized(interaction.user.id)) {
+            return await interaction.reply({
+                content: t.responses.untrackseason?.noPermission ||
+                    '❌ You are not authorized to modify global settings.',
+                ephemeral: true
+            });
+        }
+
+        await interaction.reply(t.responses.untrackseason?.processing || '🔄 Removing season from tracked campaigns...');
+        const seasonUid = interaction.options.getString('season');
+
+        const db = await getDb();
+        const season = await db.get('SELECT name FROM campaigns WHERE season_uid = ?', seasonUid);
+
+        const result = await removeTrackedSeason(seasonUid);
+
+        if (result) {
+            await interaction.editReply(
+                formatString(
+                    t.responses.untrackseason?.success ||
+                    '✅ {season} is no longer tracked.',
+                    { season: season?.name || seasonUid }
+                )
+            );
+        } else {
+            await interaction.editReply(
+                t.responses.untrackseason?.error ||
+                '❌ Failed to stop tracking the season.'
+            );
+        }
+    } catch (error) {
+        log(`Error in untrackseason command: ${error.message}`, 'error');
+        await interaction.editReply(
+            t.responses.untrackseason?.error ||
+            '❌ An error occurred while removing the tracked season.'
         );
     }
 }
 
-let currentCampaignScheduleInterval = null;
-let currentWeeklyShortsScheduleInterval = null;
-
 /**
- * Restart the campaign record checking schedule with updated interval
+ * Restart the campaign record checking schedule with updated settings
  */
 async function restartCampaignSchedule() {
     try {
-        clearSchedule('checkRecords');
-        const newInterval = await getCampaignCheckInterval();
-        currentCampaignScheduleInterval = newInterval;
-        
-        scheduleTask('checkRecords', newInterval, async () => {
+        const schedules = await getScheduleSettings();
+
+        scheduleJob('checkRecords', schedules.checkRecords, schedules.timeZone, async () => {
             recordCheckQueue.enqueue(async () => {
                 await import('./recordTracker.js').then(module => module.checkRecords(global.botClient));
             }, 'scheduled record check');
         });
-        
-        log(`Campaign record checking schedule restarted with ${newInterval}ms interval`);
+
+        log(`Campaign record checking schedule restarted with ${schedules.checkRecords.cron || `${schedules.checkRecords.intervalMs}ms interval`}`);
     } catch (error) {
         log(`Error restarting campaign schedule: ${error.message}`, 'error');
     }
 }
 
 /**
- * Restart the weekly shorts checking schedule with updated interval
+ * Restart the weekly shorts checking schedule with updated settings
  */
 async function restartWeeklyShortsSchedule() {
     try {
-        clearSchedule('checkWeeklyShorts');
-        const newInterval = await getWeeklyShortsCheckInterval();
-        currentWeeklyShortsScheduleInterval = newInterval;
-        
-        scheduleTask('checkWeeklyShorts', newInterval, async () => {
+        const schedules = await getScheduleSettings();
+
+        scheduleJob('checkWeeklyShorts', schedules.checkWeeklyShorts, schedules.timeZone, async () => {
             recordCheckQueue.enqueue(async () => {
                 const maxPosition = process.env.WEEKLY_SHORTS_MAX_POSITION || 10000;
                 await import('./weeklyShorts.js').then(module => module.checkWeeklyShorts(global.botClient, maxPosition));
             }, 'scheduled weekly shorts check');
         });
-        
-        log(`Weekly shorts checking schedule restarted with ${newInterval}ms interval`);
+
+        log(`Weekly shorts checking schedule restarted with ${schedules.checkWeeklyShorts.cron || `${schedules.checkWeeklyShorts.intervalMs}ms interval`}`);
     } catch (error) {
         log(`Error restarting weekly shorts schedule: ${error.message}`, 'error');
     }
@@ -1105,6 +1897,189 @@ async function handleToggleCampaignAnnouncements(interaction) {
     }
 }
 
+/**
+ * Handles the /togglesnipeannouncements command to enable/disable snipe announcements
+ * Admin/Moderator-only command
+ * @param {Interaction} interaction - Discord interaction object
+ */
+async function handleToggleSnipeAnnouncements(interaction) {
+    const t = await getTranslations(interaction.guildId);
+
+    if (!interaction.member.permissions.has(PermissionFlagsBits.Administrator) &&
+        !interaction.member.permissions.has(PermissionFlagsBits.ModerateMembers)) {
+        return await interaction.reply({
+            content: t.responses.togglesnipeannouncements?.noPermission ||
+                'You need administrator or moderator permissions to use this command.',
+            ephemeral: true
+        });
+    }
+
+    try {
+        await interaction.reply(t.responses.togglesnipeannouncements?.processing || '🔄 Updating snipe announcement settings...');
+        const enabled = interaction.options.getBoolean('enabled');
+        const pings = interaction.options.getBoolean('pings') ?? false;
+        const guildId = interaction.guildId;
+
+        const result = await toggleSnipeAnnouncements(guildId, enabled, pings);
+
+        if (result) {
+            const statusText = enabled ?
+                (t.responses.togglesnipeannouncements?.enabledStatus || 'enabled') :
+                (t.responses.togglesnipeannouncements?.disabledStatus || 'disabled');
+
+            const message = enabled && pings ?
+                (t.responses.togglesnipeannouncements?.successWithPings || '✅ Snipe announcements have been {status} for this server, with pings for sniped members.') :
+                (t.responses.togglesnipeannouncements?.success || '✅ Snipe announcements have been {status} for this server.');
+
+            await interaction.editReply(formatString(message, { status: statusText }));
+        } else {
+            await interaction.editReply(
+                t.responses.togglesnipeannouncements?.error ||
+                '❌ Failed to update snipe announcement settings.'
+            );
+        }
+    } catch (error) {
+        log(`Error in togglesnipeannouncements command: ${error.message}`, 'error');
+        await interaction.editReply(
+            t.responses.togglesnipeannouncements?.error ||
+            '❌ An error occurred while updating snipe announcement settings.'
+        );
+    }
+}
+
+/**
+ * Handles the /setweeklyshortsalerts command to configure weekly shorts threshold alerts
+ * Thresholds are optional, so alerts can be toggled without resetting the configured positions
+ * Admin/Moderator-only command
+ * @param {Interaction} interaction - Discord interaction object
+ */
+async function handleSetWeeklyShortsAlerts(interaction) {
+    const t = await getTranslations(interaction.guildId);
+
+    if (!interaction.member.permissions.has(PermissionFlagsBits.Administrator) &&
+        !interaction.member.permissions.has(PermissionFlagsBits.ModerateMembers)) {
+        return await interaction.reply({
+            content: t.responses.setweeklyshortsalerts?.noPermission ||
+                'You need administrator or moderator permissions to use this command.',
+            ephemeral: true
+        });
+    }
+
+    try {
+        await interaction.reply(t.responses.setweeklyshortsalerts?.processing || '🔄 Updating weekly shorts alert settings...');
+        const enabled = interaction.options.getBoolean('enabled');
+        const thresholdsOption = interaction.options.getString('thresholds');
+        const guildId = interaction.guildId;
+
+        let thresholds = null;
+        if (thresholdsOption) {
+            const values = thresholdsOption.split(',').map(value => value.trim());
+            thresholds = [...new Set(values.map(value => parseInt(value)))].sort((a, b) => a - b);
+
+            if (values.length > 10 || values.some(value => !/^\d+$/.test(value)) || thresholds.some(value => value < 1 || value > 100000)) {
+                return await interaction.editReply(formatString(
+                    t.responses.setweeklyshortsalerts?.invalidThresholds ||
+                    '❌ Invalid thresholds "{thresholds}". Use up to 10 comma-separated positions between 1 and 100000, e.g. `100,1000`.',
+                    { thresholds: thresholdsOption }
+                ));
+            }
+        }
+
+        const result = await setWeeklyShortsAlerts(guildId, enabled, thresholds);
+
+        if (!result) {
+            return await interaction.editReply(
+                t.responses.setweeklyshortsalerts?.error ||
+                '❌ Failed to update weekly shorts alert settings.'
+            );
+        }
+
+        if (!enabled) {
+            return await interaction.editReply(
+                t.responses.setweeklyshortsalerts?.disabled ||
+                '✅ Weekly shorts threshold alerts have been disabled for this server.'
+            );
+        }
+
+        const settings = await getWeeklyShortsAlertSettings(guildId);
+        await interaction.editReply(formatString(
+            t.responses.setweeklyshortsalerts?.enabled ||
+            '✅ Members will now be alerted when they are pushed out of the top {thresholds} on a weekly short.',
+            { thresholds: settings.thresholds.map(value => value.toLocaleString()).join(', ') }
+        ));
+    } catch (error) {
+        log(`Error in setweeklyshortsalerts command: ${error.message}`, 'error');
+        await interaction.editReply(
+            t.responses.setweeklyshortsalerts?.error ||
+            '❌ An error occurred while updating weekly shorts alert settings.'
+        );
+    }
+}
+
+/**
+ * Handles the /setregistrationapproval command to require moderator approval for registrations
+ * The channel is optional, so approval can be toggled without resetting the configured channel
+ * Admin/Moderator-only command
+ * @param {Interaction} interaction - Discord interaction object
+ */
+async function handleSetRegistrationApproval(interaction) {
+    const t = await getTranslations(interaction.guildId);
+
+    if (!interaction.member.permissions.has(PermissionFlagsBits.Administrator) &&
+        !interaction.member.permissions.has(PermissionFlagsBits.ModerateMembers)) {
+        return await interaction.reply({
+            content: t.responses.setregistrationapproval?.noPermission ||
+                'You need administrator or moderator permissions to use this command.',
+            ephemeral: true
+        });
+    }
+
+    try {
+        await interaction.reply(t.responses.setregistrationapproval?.processing || '🔄 Updating registration approval settings...');
+        const enabled = interaction.options.getBoolean('enabled');
+        const channel = interaction.options.getChannel('channel');
+        const guildId = interaction.guildId;
+
+        if (channel && !channel.isTextBased()) {
+            return await interaction.editReply(
+                t.responses.setregistrationapproval?.notText || 'The selected channel must be a text channel.'
+            );
+        }
+
+        const result = await setRegistrationApproval(guildId, enabled, channel?.id || null);
+
+        if (!result) {
+            return await interaction.editReply(
+                t.responses.setregistrationapproval?.error ||
+                '❌ Failed to update registration approval settings.'
+            );
+        }
+
+        if (!enabled) {
+            return await interaction.editReply(
+                t.responses.setregistrationapproval?.disabled ||
+                '✅ Registrations no longer need moderator approval in this server.'
+            );
+        }
+
+        const settings = await getRegistrationApprovalSettings(guildId);
+        await interaction.editReply(settings.channelId
+            ? formatString(
+                t.responses.setregistrationapproval?.enabled ||
+                '✅ New registrations now need moderator approval and will be posted for review in {channel}.',
+                { channel: `<#${settings.channelId}>` }
+            )
+            : (t.responses.setregistrationapproval?.noChannel ||
+                '⚠️ New registrations now need moderator approval, but there is no channel to review them in. Set one with `/setregistrationapproval` or `/setchannel`.'));
+    } catch (error) {
+        log(`Error in setregistrationapproval command: ${error.message}`, 'error');
+        await interaction.editReply(
+            t.responses.setregistrationapproval?.error ||
+            '❌ An error occurred while updating registration approval settings.'
+        );
+    }
+}
+
 /**
  * Handles the /toggleweeklyshortsannouncements command to enable/disable weekly shorts announcements
  * Admin/Moderator-only command
@@ -1291,8 +2266,127 @@ async function handleToggleTOTDAnnouncements(interaction) {
     }
 }
 
+/**
+ * Handles the /toggletotdpbannouncements command to enable/disable TOTD personal best announcements
+ * Admin/Moderator-only command
+ * @param {Interaction} interaction - Discord interaction object
+ */
+async function handleToggleTOTDPBAnnouncements(interaction) {
+    const t = await getTranslations(interaction.guildId);
+
+    if (!interaction.member.permissions.has(PermissionFlagsBits.Administrator) &&
+        !interaction.member.permissions.has(PermissionFlagsBits.ModerateMembers)) {
+        return await interaction.reply({
+            content: t.responses.toggletotdpbannouncements?.noPermission ||
+                'You need administrator or moderator permissions to use this command.',
+            ephemeral: true
+        });
+    }
+
+    try {
+        await interaction.reply(t.responses.toggletotdpbannouncements?.processing || '🔄 Updating TOTD PB announcement settings...');
+        const enabled = interaction.options.getBoolean('enabled');
+        const position = interaction.options.getInteger('position');
+        const guildId = interaction.guildId;
+
+        const result = await toggleTOTDPBAnnouncements(guildId, enabled, position);
+
+        if (!result) {
+            return await interaction.editReply(
+                t.responses.toggletotdpbannouncements?.error ||
+                '❌ Failed to update TOTD PB announcement settings.'
+            );
+        }
+
+        if (!enabled) {
+            return await interaction.editReply(
+                t.responses.toggletotdpbannouncements?.disabled ||
+                '✅ TOTD PB announcements have been disabled for this server.'
+            );
+        }
+
+        const settings = await getTOTDPBAnnouncementsSettings(guildId);
+        await interaction.editReply(
+            formatString(
+                t.responses.toggletotdpbannouncements?.enabled ||
+                '✅ TOTD PBs within the top {position} will now be announced in the TOTD channel.',
+                { position: settings.minPosition.toLocaleString() }
+            )
+        );
+    } catch (error) {
+        log(`Error in toggletotdpbannouncements command: ${error.message}`, 'error');
+        await interaction.editReply(
+            t.responses.toggletotdpbannouncements?.error ||
+            '❌ An error occurred while updating TOTD PB announcement settings.'
+        );
+    }
+}
+
+/**
+ * Handles the /togglecotdannouncements command to enable/disable Cup of the Day result summaries
+ * Admin/Moderator-only command
+ * @param {Interaction} interaction - Discord interaction object
+ */
+async function handleToggleCOTDAnnouncements(interaction) {
+    const t = await getTranslations(interaction.guildId);
+
+    if (!interaction.member.permissions.has(PermissionFlagsBits.Administrator) &&
+        !interaction.member.permissions.has(PermissionFlagsBits.ModerateMembers)) {
+        return await interaction.reply({
+            content: t.responses.togglecotdannouncements?.noPermission ||
+                'You need administrator or moderator permissions to use this command.',
+            ephemeral: true
+        });
+    }
+
+    try {
+        await interaction.reply(t.responses.togglecotdannouncements?.processing || '🔄 Updating COTD announcement settings...');
+        const enabled = interaction.options.getBoolean('enabled');
+        const guildId = interaction.guildId;
+
+        const statusText = enabled ?
+            (t.responses.togglecotdannouncements?.enabledStatus || 'enabled') :
+            (t.responses.togglecotdannouncements?.disabledStatus || 'disabled');
+
+        const currentStatus = await getCOTDAnnouncementsStatus(guildId);
+        if (currentStatus === enabled) {
+            return await interaction.editReply(
+                formatString(
+                    t.responses.togglecotdannouncements?.alreadySet ||
+                    'COTD result summaries are already {status} for this server.',
+                    { status: statusText }
+                )
+            );
+        }
+
+        const result = await toggleCOTDAnnouncements(guildId, enabled);
+
+        if (result) {
+            await interaction.editReply(
+                formatString(
+                    t.responses.togglecotdannouncements?.success ||
+                    '✅ COTD result summaries have been {status} for this server.',
+                    { status: statusText }
+                )
+            );
+        } else {
+            await interaction.editReply(
+                t.responses.togglecotdannouncements?.error ||
+                '❌ Failed to update COTD announcement settings.'
+            );
+        }
+    } catch (error) {
+        log(`Error in togglecotdannouncements command: ${error.message}`, 'error');
+        await interaction.editReply(
+            t.responses.togglecotdannouncements?.error ||
+            '❌ An error occurred while updating COTD announcement settings.'
+        );
+    }
+}
+
 /**
  * Handles the /totdleaderboard command
+ * Shows the current TOTD, or the TOTD of a past date, with its country or world leaderboard
  * @param {Interaction} interaction - Discord interaction object
  */
 async function handleTOTDLeaderboard(interaction) {
@@ -1302,54 +2396,92 @@ async function handleTOTDLeaderboard(interaction) {
         await interaction.reply(t.responses.totdleaderboard?.processing || '🔄 Fetching TOTD leaderboard...');
 
         const totdModule = await import('./totdTracker.js');
-        const { fetchCurrentTOTD, fetchTOTDCountryLeaderboard, createTOTDLeaderboardEmbed } = totdModule;
-        const { fetchMapInfo } = await import('./recordTracker.js');
-
-        const currentTOTD = await fetchCurrentTOTD();
-        if (!currentTOTD) {
-            return await interaction.editReply(t.responses.totdleaderboard?.noTOTD || '❌ No current TOTD found');
+        const { getTOTDMap, fetchTOTDCountryLeaderboard, createTOTDLeaderboardEmbed, createTOTDMapEmbed } = totdModule;
+
+        const date = interaction.options.getString('date');
+        if (date && !parseDate(date)) {
+            return await interaction.editReply(formatString(
+                t.responses.totdleaderboard?.invalidDate || '❌ Invalid date "{date}". Use the YYYY-MM-DD format, e.g. 2024-07-01.',
+                { date }
+            ));
         }
 
-        const mapInfoList = await fetchMapInfo([currentTOTD.mapUid]);
-        if (!mapInfoList || mapInfoList.length === 0) {
-            return await interaction.editReply(t.responses.totdleaderboard?.errorFetchingMap || '❌ Could not fetch map info for current TOTD');
+        const totdMap = await getTOTDMap(date);
+        if (!totdMap) {
+            return await interaction.editReply(date
+                ? formatString(t.responses.totdleaderboard?.noTOTDForDate || '❌ No Track of the Day found for {date}.', { date })
+                : (t.responses.totdleaderboard?.noTOTD || '❌ No current TOTD found'));
         }
 
-        const mapInfo = mapInfoList[0];
-
         let countryCode = interaction.options.getString('country');
         if (!countryCode) {
             countryCode = await getDefaultCountry(interaction.guildId);
         }
 
         const countryName = await getZoneName(countryCode);
-        const leaderboard = await fetchTOTDCountryLeaderboard(currentTOTD.mapUid, countryCode, 5);
+        const leaderboard = await fetchTOTDCountryLeaderboard(totdMap.map_uid, countryCode, 5);
 
         if (!leaderboard || leaderboard.length === 0) {
             return await interaction.editReply(
                 formatString(
-                    t.responses.totdleaderboard?.noRecords || 'No {country} records found for the current TOTD.',
-                    { country: countryName }
+                    t.responses.totdleaderboard?.noRecords || 'No {country} records found for {mapName}.',
+                    { country: countryName, mapName: cleanMapName(totdMap.name) || totdMap.map_uid }
                 )
             );
         }
 
+        const mapEmbed = await createTOTDMapEmbed(totdMap, t);
         const embed = await createTOTDLeaderboardEmbed(
-            mapInfo.name,
-            currentTOTD.mapUid,
-            mapInfo.thumbnailUrl,
+            totdMap.name,
+            totdMap.map_uid,
+            totdMap.thumbnail_url,
             leaderboard,
             countryName,
             t
         );
 
-        await interaction.editReply({ content: null, embeds: [embed] });
+        await interaction.editReply({ content: null, embeds: [mapEmbed, embed] });
     } catch (error) {
         log(`Error in totdleaderboard command: ${error.message}`, 'error');
         await interaction.editReply(t.responses.totdleaderboard?.error || '❌ An error occurred while fetching the TOTD leaderboard');
     }
 }
 
+/**
+ * Handles the /totd command to show the details of the current or a past Track of the Day
+ * @param {Interaction} interaction - Discord interaction object
+ */
+async function handleTOTD(interaction) {
+    const t = await getTranslations(interaction.guildId);
+
+    try {
+        await interaction.reply(t.responses.totd?.processing || '🔄 Fetching Track of the Day...');
+
+        const { getTOTDMap, createTOTDMapEmbed } = await import('./totdTracker.js');
+
+        const date = interaction.options.getString('date');
+        if (date && !parseDate(date)) {
+            return await interaction.editReply(formatString(
+                t.responses.totd?.invalidDate || '❌ Invalid date "{date}". Use the YYYY-MM-DD format, e.g. 2024-07-01.',
+                { date }
+            ));
+        }
+
+        const totdMap = await getTOTDMap(date);
+        if (!totdMap) {
+            return await interaction.editReply(date
+                ? formatString(t.responses.totd?.noTOTDForDate || '❌ No Track of the Day found for {date}.', { date })
+                : (t.responses.totd?.noTOTD || '❌ No current TOTD found'));
+        }
+
+        const embed = await createTOTDMapEmbed(totdMap, t);
+        await interaction.editReply({ content: null, embeds: [embed] });
+    } catch (error) {
+        log(`Error in totd command: ${error.message}`, 'error');
+        await interaction.editReply(t.responses.totd?.error || '❌ An error occurred while fetching the Track of the Day.');
+    }
+}
+
 /**
  * Handles the /weeklyshortsleaderboard command
  * @param {Interaction} interaction - Discord interaction object
@@ -1361,12 +2493,21 @@ async function handleWeeklyShortsLeaderboard(interaction) {
         await interaction.reply(t.responses.weeklyshortsleaderboard?.processing || '🔄 Fetching weekly shorts leaderboard...');
 
         const mapName = interaction.options.getString('map');
+        const week = interaction.options.getString('week');
         const countryCode = interaction.options.getString('country') || await getDefaultCountry(interaction.guildId);
 
+        const campaign = week ? await fetchWeeklyShortByWeek(week) : await fetchCurrentWeeklyShort();
+        if (!campaign) {
+            return await interaction.editReply(formatString(
+                t.responses.weeklyshortsleaderboard?.weekNotFound || '❌ No weekly shorts week found matching "{week}".',
+                { week }
+            ));
+        }
+
         if (mapName) {
-            await showWeeklyShortMapLeaderboard(interaction, mapName, countryCode, t);
+            await showWeeklyShortMapLeaderboard(interaction, campaign, mapName, countryCode, t);
         } else {
-            await showWeeklyShortOverallLeaderboard(interaction, countryCode, t);
+            await showWeeklyShortOverallLeaderboard(interaction, campaign, countryCode, t);
         }
     } catch (error) {
         log(`Error in weeklyshortsleaderboard command: ${error.message}`, 'error');
@@ -1380,21 +2521,22 @@ async function handleWeeklyShortsLeaderboard(interaction) {
 /**
  * Shows the overall weekly shorts standings
  * @param {Interaction} interaction - Discord interaction object
+ * @param {Object} campaign - Weekly short campaign data
  * @param {string} countryCode - Country code to filter by
  * @param {Object} t - Translation strings
  */
-async function showWeeklyShortOverallLeaderboard(interaction, countryCode, t) {
+async function showWeeklyShortOverallLeaderboard(interaction, campaign, countryCode, t) {
     try {
-        const campaign = await fetchCurrentWeeklyShort();
         const seasonUid = campaign.seasonUid;
         const overallRecords = await fetchWeeklyShortSeasonLeaderboard(seasonUid, countryCode, 5);
 
         if (overallRecords.length === 0) {
             const countryName = countryCode === 'world' ? 'World' : await getZoneName(countryCode);
-            return await interaction.editReply(
+            return await interaction.editReply(formatString(
                 t.responses.weeklyshortsleaderboard?.noSeasonRecords ||
-                `No ${countryName} players found in the current weekly shorts.`
-            );
+                'No {country} players found in {week}.',
+                { country: countryName, week: campaign.name }
+            ));
         }
 
         const accountIds = overallRecords.map(r => r.accountId);
@@ -1417,20 +2559,17 @@ async function showWeeklyShortOverallLeaderboard(interaction, countryCode, t) {
 /**
  * Shows the leaderboard for a specific weekly short map
  * @param {Interaction} interaction - Discord interaction object
+ * @param {Object} campaign - Weekly short campaign data
  * @param {string} mapName - Map name to search for
  * @param {string} countryCode - Country code to filter by
  * @param {Object} t - Translation strings
  */
-async function showWeeklyShortMapLeaderboard(interaction, mapName, countryCode, t) {
+async function showWeeklyShortMapLeaderboard(interaction, campaign, mapName, countryCode, t) {
     try {
-        const campaign = await fetchCurrentWeeklyShort();
         const mapUids = campaign.playlist.map(m => m.mapUid);
 
         const db = await getDb();
-        const dbMaps = await db.all(
-            'SELECT map_uid, name, thumbnail_url FROM weekly_short_maps WHERE season_uid = ?',
-            campaign.seasonUid
-        );
+        const dbMaps = await getWeeklyShortCampaignMaps(db, campaign);
 
         const isMapNumber = /^[1-5]$/.test(mapName);
 
@@ -1531,90 +2670,44 @@ export function initBot() {
 
         await registerCommands(clientId);
 
-        startDefaultSchedules(client);
+        await startDefaultSchedules(client);
 
-        const campaignInterval = await getCampaignCheckInterval();
-        const weeklyShortsInterval = await getWeeklyShortsCheckInterval();
-        
-        log(`Starting record checking with campaign interval: ${campaignInterval}ms, weekly shorts interval: ${weeklyShortsInterval}ms`);
+        const schedules = await getScheduleSettings();
 
-        scheduleTask('checkRecords', campaignInterval, async () => {
+        scheduleJob('checkRecords', schedules.checkRecords, schedules.timeZone, async () => {
             recordCheckQueue.enqueue(async () => {
                 await import('./recordTracker.js').then(module => module.checkRecords(client));
             }, 'scheduled record check');
         });
 
-        scheduleTask('checkWeeklyShorts', weeklyShortsInterval, async () => {
+        scheduleJob('checkWeeklyShorts', schedules.checkWeeklyShorts, schedules.timeZone, async () => {
             recordCheckQueue.enqueue(async () => {
                 const maxPosition = process.env.WEEKLY_SHORTS_MAX_POSITION || 10000;
                 await import('./weeklyShorts.js').then(module => module.checkWeeklyShorts(client, maxPosition));
             }, 'scheduled weekly shorts check');
         });
 
-        const scheduleTOTDCheck = () => {
-            const now = new Date();
-
-            const findUTCTimeFor19Paris = (targetDate) => {
-                const formatter = new Intl.DateTimeFormat('en-US', {
-                    timeZone: 'Europe/Paris',
-                    year: 'numeric',
-                    month: '2-digit',
-                    day: '2-digit',
-                    hour12: false
-                });
-
-                const parts = formatter.formatToParts(targetDate);
-                const get = (type) => parts.find(p => p.type === type)?.value;
-
-                const year = get('year');
-                const month = get('month');
-                const day = get('day');
-
-                for (let utcHour = 17; utcHour <= 21; utcHour++) {
-                    const candidate = new Date(`${year}-${month}-${day}T${utcHour}:01:00Z`);
-
-                    const parisFormatter = new Intl.DateTimeFormat('en-US', {
-                        timeZone: 'Europe/Paris',
-                        hour: 'numeric',
-                        hour12: false
-                    });
-                    const parisHour = parseInt(parisFormatter.format(candidate));
-
-                    if (parisHour === 19) {
-                        return candidate;
-                    }
-                }
-
-                return new Date(`${year}-${month}-${day}T18:01:00Z`);
-            };
-
-            let nextCheck = findUTCTimeFor19Paris(now);
-
-            if (nextCheck <= now) {
-                const tomorrow = new Date(now);
-                tomorrow.setDate(tomorrow.getDate() + 1);
-                nextCheck = findUTCTimeFor19Paris(tomorrow);
-            }
-
-            const msUntilCheck = nextCheck.getTime() - now.getTime();
-            const nextCheckParis = nextCheck.toLocaleString('en-US', {
-                timeZone: 'Europe/Paris',
-                hour12: false,
-                dateStyle: 'short',
-                timeStyle: 'medium'
-            });
-            log(`Next TOTD check scheduled for: ${nextCheckParis} Paris time (${nextCheck.toISOString()}) - in ${Math.round(msUntilCheck / 1000 / 60)} minutes`);
+        scheduleJob('checkTOTD', schedules.checkTOTD, schedules.timeZone, async () => {
+            recordCheckQueue.enqueue(async () => {
+                await import('./totdTracker.js').then(module => module.checkTOTD(client));
+            }, 'scheduled TOTD check');
 
-            setTimeout(async () => {
-                recordCheckQueue.enqueue(async () => {
-                    await import('./totdTracker.js').then(module => module.checkTOTD(client));
-                }, 'scheduled TOTD check');
+            recordCheckQueue.enqueue(async () => {
+                await import('./cotdTracker.js').then(module => module.checkCOTD(client));
+            }, 'scheduled COTD check');
+        });
 
-                scheduleTOTDCheck();
-            }, msUntilCheck);
-        };
+        scheduleJob('updateTOTDRecords', schedules.updateTOTDRecords, schedules.timeZone, async () => {
+            recordCheckQueue.enqueue(async () => {
+                await import('./totdTracker.js').then(module => module.checkTOTD(client));
+            }, 'TOTD record update');
+        });
 
-        scheduleTOTDCheck();
+        scheduleJob('checkCOTD', schedules.checkCOTD, schedules.timeZone, async () => {
+            recordCheckQueue.enqueue(async () => {
+                await import('./cotdTracker.js').then(module => module.checkCOTD(client));
+            }, 'scheduled COTD results check');
+        });
 
         setTimeout(async () => {
             recordCheckQueue.enqueue(async () => {
@@ -1641,12 +2734,13 @@ export function initBot() {
             });
         }, INITIAL_RECORD_CHECK_DELAY + 10000);
 
-        const dailyRecordUpdate = 24 * 60 * 60 * 1000;
-        scheduleTask('dailyTOTDRecordUpdate', dailyRecordUpdate, async () => {
+        setTimeout(async () => {
             recordCheckQueue.enqueue(async () => {
-                await import('./totdTracker.js').then(module => module.checkTOTD(client));
-            }, 'daily TOTD record update');
-        });
+                await import('./cotdTracker.js').then(module => module.checkCOTD(client));
+            }, 'initial COTD check').catch((error) => {
+                log(`Error queuing initial COTD check: ${error.message}`, 'error');
+            });
+        }, INITIAL_RECORD_CHECK_DELAY + 15000);
     });
 
     client.on('error', error => {
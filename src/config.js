@@ -1,5 +1,6 @@
 import dotenv from 'dotenv';
 import { getGlobalSettings } from './db.js';
+import { isValidTimeZone } from './utils/cron.js';
 
 dotenv.config();
 
@@ -13,34 +14,89 @@ export const DEFAULT_RECORD_CHECK_INTERVAL = 15 * 60 * 1000;
 // How often to check for weekly shorts positions (default: 18 minutes)
 export const DEFAULT_WEEKLY_SHORTS_CHECK_INTERVAL = 18 * 60 * 1000;
 
+// How often to update TOTD records between TOTD switches (default: 1 hour)
+export const DEFAULT_TOTD_CHECK_INTERVAL = 60 * 60 * 1000;
+
 /**
- * Gets the current campaign check interval from database settings
- * @returns {Promise<number>} Check interval in milliseconds
+ * Default cron schedules (minute hour day-of-month month day-of-week) of the daily jobs
+ * The TOTD switches at 19:00 Europe/Paris, and the evening Cup of the Day results are final about two hours later
  */
-export async function getCampaignCheckInterval() {
-    try {
-        const settings = await getGlobalSettings();
-        return settings.campaign_check_interval_ms || DEFAULT_RECORD_CHECK_INTERVAL;
-    } catch (error) {
-        console.warn('Failed to get campaign check interval from database, using default:', error.message);
-        return DEFAULT_RECORD_CHECK_INTERVAL;
-    }
-}
+export const DEFAULT_SCHEDULE_TIMEZONE = 'Europe/Paris';
+export const DEFAULT_TOTD_CHECK_SCHEDULE = '1 19 * * *';
+export const DEFAULT_COTD_CHECK_SCHEDULE = '1 21 * * *';
+export const DEFAULT_DISPLAY_NAMES_SCHEDULE = '0 5 * * *';
+export const DEFAULT_LOG_CLEANUP_SCHEDULE = '30 4 * * *';
 
 /**
- * Gets the current weekly shorts check interval from database settings
- * @returns {Promise<number>} Check interval in milliseconds
+ * Gets the schedule of every tracker job from database settings
+ * Campaign, weekly shorts and TOTD record checks run on their interval unless a cron expression is set for them
+ * @returns {Promise<Object>} Time zone for cron expressions and the cron, defaultCron and intervalMs settings of each job
  */
-export async function getWeeklyShortsCheckInterval() {
+export async function getScheduleSettings() {
+    let settings = {};
     try {
-        const settings = await getGlobalSettings();
-        return settings.weekly_shorts_check_interval_ms || DEFAULT_WEEKLY_SHORTS_CHECK_INTERVAL;
+        settings = await getGlobalSettings();
     } catch (error) {
-        console.warn('Failed to get weekly shorts check interval from database, using default:', error.message);
-        return DEFAULT_WEEKLY_SHORTS_CHECK_INTERVAL;
+        console.warn('Failed to get schedule settings from database, using defaults:', error.message);
     }
+
+    const timeZone = settings.schedule_timezone && isValidTimeZone(settings.schedule_timezone)
+        ? settings.schedule_timezone
+        : DEFAULT_SCHEDULE_TIMEZONE;
+
+    return {
+        timeZone,
+        checkRecords: {
+            cron: settings.campaign_check_cron || null,
+            intervalMs: settings.campaign_check_interval_ms || DEFAULT_RECORD_CHECK_INTERVAL
+        },
+        checkWeeklyShorts: {
+            cron: settings.weekly_shorts_check_cron || null,
+            intervalMs: settings.weekly_shorts_check_interval_ms || DEFAULT_WEEKLY_SHORTS_CHECK_INTERVAL
+        },
+        checkTOTD: {
+            cron: settings.totd_check_cron || DEFAULT_TOTD_CHECK_SCHEDULE,
+            defaultCron: DEFAULT_TOTD_CHECK_SCHEDULE
+        },
+        updateTOTDRecords: {
+            cron: settings.totd_records_cron || null,
+            intervalMs: settings.totd_check_interval_ms || DEFAULT_TOTD_CHECK_INTERVAL
+        },
+        checkCOTD: {
+            cron: settings.cotd_check_cron || DEFAULT_COTD_CHECK_SCHEDULE,
+            defaultCron: DEFAULT_COTD_CHECK_SCHEDULE
+        },
+        updateDisplayNames: {
+            cron: settings.display_names_cron || DEFAULT_DISPLAY_NAMES_SCHEDULE,
+            defaultCron: DEFAULT_DISPLAY_NAMES_SCHEDULE
+        },
+        cleanupLogs: {
+            cron: settings.log_cleanup_cron || DEFAULT_LOG_CLEANUP_SCHEDULE,
+            defaultCron: DEFAULT_LOG_CLEANUP_SCHEDULE
+        }
+    };
 }
 
+/**
+ * Campaign announcement modes and the minimum time between posts for each digest mode
+ * Instant mode posts every record as soon as it is found
+ */
+export const ANNOUNCEMENT_MODES = {
+    instant: 0,
+    hourly: 60 * 60 * 1000,
+    daily: 24 * 60 * 60 * 1000
+};
+
+/**
+ * Default weekly shorts positions a member is alerted about when they drop out of them
+ */
+export const DEFAULT_WEEKLY_SHORTS_ALERT_THRESHOLDS = [100, 1000];
+
+/**
+ * Default lowest TOTD world position that is still announced as a personal best
+ */
+export const DEFAULT_TOTD_PB_MIN_POSITION = 5000;
+
 // How long to wait after bot startup before performing the first record check (default: 5 seconds)
 export const INITIAL_RECORD_CHECK_DELAY = 5000;
 
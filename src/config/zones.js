@@ -261,3 +261,23 @@ export async function getZoneNamesForCountry(countryId) {
 
     return zoneNames;
 }
+
+/**
+ * Gets the country and region a zone belongs to
+ * Zones are nested as World > continent > country > region, and some regions have sub-regions of their own
+ * @param {string} zoneId - Zone ID, usually a player's most specific zone
+ * @returns {Promise<{countryId: string|null, regionId: string|null}>} Country and region zone IDs, null above that level
+ */
+export async function getZoneCountryAndRegion(zoneId) {
+    const zones = await getAllZones();
+    const chain = [];
+
+    let zone = zones.find(z => z.zoneId === zoneId);
+    while (zone) {
+        chain.unshift(zone.zoneId);
+        const parentId = zone.parentId;
+        zone = parentId ? zones.find(z => z.zoneId === parentId) : null;
+    }
+
+    return { countryId: chain[2] || null, regionId: chain[3] || null };
+}
@@ -0,0 +1,437 @@
+import { makeRateLimitedRequest } from './api.js';
+import { ensureToken, invalidateTokens } from './auth.js';
+import { formatTime, log } from './utils.js';
+import { getDb } from './db.js';
+import { getTranslations, formatString } from './localization/index.js';
+import { EmbedBuilder } from 'discord.js';
+import { TRACKMANIA_ICON_URL } from './config.js';
+import { getTOTDMap, getTOTDChannel } from './totdTracker.js';
+import { getGuildPlayers } from './playerManager.js';
+import { getCOTDAnnouncementsStatus } from './guildSettings.js';
+
+// The evening Cup of the Day starts right at the TOTD switch; the night and morning reruns are editions 2 and 3
+const COTD_EDITION = 1;
+
+// Knockout divisions are seeded by qualifier rank, 64 players each
+const COTD_DIVISION_SIZE = 64;
+
+// Past days searched for an evening cup that was never stored, e.g. because the bot was down while it ran
+const COTD_LOOKBACK_DAYS = 2;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const COMPETITIONS_PAGE_SIZE = 100;
+const COMPETITIONS_MAX_PAGES = 5;
+const MATCHES_PAGE_SIZE = 100;
+const QUALIFIER_PLAYERS_CHUNK_SIZE = 50;
+
+/**
+ * Makes an authenticated GET request to the Nadeo competition API
+ * @param {string} path - Path below https://meet.trackmania.nadeo.club/api
+ * @returns {Promise<Object|null>} Response data, or null if the API returned no content
+ */
+async function fetchCompetitionApi(path) {
+    const liveToken = await ensureToken('NadeoLiveServices');
+
+    const response = await makeRateLimitedRequest({
+        method: 'get',
+        url: `https://meet.trackmania.nadeo.club/api${path}`,
+        headers: { Authorization: `nadeo_v1 t=${liveToken}` }
+    });
+
+    return response.data || null;
+}
+
+/**
+ * Fetches the Cup of the Day that is currently running from the Nadeo competition API
+ * @returns {Promise<Object|null>} COTD data with competitionId, challengeId, name, edition and timestamps in milliseconds, or null if none is running
+ */
+export async function fetchCurrentCOTD() {
+    const cotd = await fetchCompetitionApi('/cup-of-the-day/current');
+
+    if (!cotd?.competition?.id) {
+        log('No Cup of the Day is currently running');
+        return null;
+    }
+
+    return {
+        competitionId: cotd.competition.id,
+        challengeId: cotd.challenge?.id ?? null,
+        name: cotd.competition.name,
+        edition: cotd.edition,
+        startTimestamp: cotd.startDate * 1000,
+        endTimestamp: cotd.endDate * 1000
+    };
+}
+
+/**
+ * Finds the evening Cup of the Day of a date in the Nadeo competitions list
+ * Used for cups that are no longer returned as the current one
+ * @param {string} date - Date in YYYY-MM-DD format (UTC)
+ * @returns {Promise<Object|null>} COTD data in the same shape as fetchCurrentCOTD, or null if the cup was not found
+ */
+async function fetchCOTDByDate(date) {
+    const name = `Cup of the Day ${date} #${COTD_EDITION}`;
+
+    for (let page = 0; page < COMPETITIONS_MAX_PAGES; page++) {
+        const competitions = await fetchCompetitionApi(`/competitions?length=${COMPETITIONS_PAGE_SIZE}&offset=${page * COMPETITIONS_PAGE_SIZE}`);
+        if (!Array.isArray(competitions)) break;
+
+        const competition = competitions.find(c => c.name === name);
+        if (competition) {
+            const rounds = await fetchCompetitionApi(`/competitions/${competition.id}/rounds`);
+            const round = Array.isArray(rounds) ? rounds.sort((a, b) => a.position - b.position)[0] : null;
+
+            return {
+                competitionId: competition.id,
+                challengeId: round?.qualifierChallengeId ?? null,
+                name: competition.name,
+                edition: COTD_EDITION,
+                startTimestamp: competition.startDate * 1000,
+                endTimestamp: competition.endDate * 1000
+            };
+        }
+
+        if (competitions.length < COMPETITIONS_PAGE_SIZE) break;
+    }
+
+    log(`${name} not found in the competitions list`, 'warn');
+    return null;
+}
+
+/**
+ * Fetches the qualifier ranks and times of the given accounts in a COTD
+ * @param {number} challengeId - Qualifier challenge ID
+ * @param {string} mapUid - UID of the map the cup is played on
+ * @param {string[]} accountIds - Trackmania account IDs
+ * @returns {Promise<Map<string, {rank: number, score: number}>>} Qualifier results by account ID, only for accounts that took part
+ */
+async function fetchQualifierResults(challengeId, mapUid, accountIds) {
+    const results = new Map();
+
+    for (let i = 0; i < accountIds.length; i += QUALIFIER_PLAYERS_CHUNK_SIZE) {
+        const chunk = accountIds.slice(i, i + QUALIFIER_PLAYERS_CHUNK_SIZE);
+        const query = chunk.map(accountId => `players[]=${accountId}`).join('&');
+        const records = await fetchCompetitionApi(`/challenges/${challengeId}/records/maps/${mapUid}/players?${query}`);
+
+        if (Array.isArray(records)) {
+            for (const record of records) {
+                if (record?.player && record.rank) {
+                    results.set(record.player, { rank: record.rank, score: record.score ?? record.time });
+                }
+            }
+        }
+    }
+
+    return results;
+}
+
+/**
+ * Fetches every knockout match of a COTD, which are its divisions ordered by position
+ * @param {number} competitionId - Competition ID
+ * @returns {Promise<Array>} Matches with id and position, or an empty array if the cup has no rounds
+ */
+async function fetchCOTDMatches(competitionId) {
+    const rounds = await fetchCompetitionApi(`/competitions/${competitionId}/rounds`);
+    const round = Array.isArray(rounds) ? rounds.sort((a, b) => a.position - b.position)[0] : null;
+
+    if (!round) {
+        return [];
+    }
+
+    const matches = [];
+    let offset = 0;
+
+    while (true) {
+        const page = await fetchCompetitionApi(`/rounds/${round.id}/matches?length=${MATCHES_PAGE_SIZE}&offset=${offset}`);
+        const pageMatches = page?.matches || [];
+        matches.push(...pageMatches);
+
+        if (pageMatches.length < MATCHES_PAGE_SIZE) break;
+        offset += MATCHES_PAGE_SIZE;
+    }
+
+    return matches;
+}
+
+/**
+ * Fetches the results of the given accounts in a finished COTD
+ * Each account's division follows from its qualifier rank, so only the matches of divisions members played in are fetched
+ * @param {Object} competition - cotd_competitions row
+ * @param {string[]} accountIds - Trackmania account IDs
+ * @returns {Promise<{playerCount: number|null, results: Map}>} Player count and results by account ID with qualifierRank, qualifierTime, division and divisionRank
+ */
+async function fetchCOTDResults(competition, accountIds) {
+    const leaderboard = await fetchCompetitionApi(`/challenges/${competition.challenge_id}/leaderboard?length=1&offset=0`);
+    const qualifierResults = await fetchQualifierResults(competition.challenge_id, competition.map_uid, accountIds);
+
+    const results = new Map();
+    for (const [accountId, qualifier] of qualifierResults) {
+        results.set(accountId, {
+            qualifierRank: qualifier.rank,
+            qualifierTime: qualifier.score ?? null,
+            division: Math.ceil(qualifier.rank / COTD_DIVISION_SIZE),
+            divisionRank: null
+        });
+    }
+
+    const divisions = new Set([...results.values()].map(result => result.division));
+
+    if (divisions.size > 0) {
+        const matches = await fetchCOTDMatches(competition.competition_id);
+
+        for (const division of divisions) {
+            const match = matches.find(m => m.position === division - 1);
+            if (!match) {
+                log(`No match found for COTD division ${division} in competition ${competition.competition_id}`, 'warn');
+                continue;
+            }
+
+            const matchResults = await fetchCompetitionApi(`/matches/${match.id}/results?length=${COTD_DIVISION_SIZE}&offset=0`);
+
+            for (const matchResult of matchResults?.results || []) {
+                const result = results.get(matchResult.participant);
+                if (result && result.division === division) {
+                    result.divisionRank = matchResult.rank ?? null;
+                }
+            }
+        }
+    }
+
+    return { playerCount: leaderboard?.cardinal ?? null, results };
+}
+
+/**
+ * Stores an evening COTD so its results can be fetched once it has finished
+ * The cup is played on the TOTD released the same day, whose map UID is needed to look up qualifier records
+ * @param {Database} db - Database connection
+ * @param {Object|null} cotd - COTD data from fetchCurrentCOTD or fetchCOTDByDate
+ */
+async function storeCOTD(db, cotd) {
+    if (!cotd || cotd.edition !== COTD_EDITION || !cotd.challengeId) {
+        return;
+    }
+
+    const existing = await db.get('SELECT id FROM cotd_competitions WHERE competition_id = ?', cotd.competitionId);
+    if (existing) {
+        return;
+    }
+
+    const totdMap = await getTOTDMap(new Date(cotd.startTimestamp).toISOString().slice(0, 10));
+    if (!totdMap) {
+        log(`Could not find the TOTD played in ${cotd.name}`, 'warn');
+        return;
+    }
+
+    await db.run(
+        `INSERT INTO cotd_competitions (competition_id, name, edition, map_uid, challenge_id, start_timestamp, end_timestamp)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [cotd.competitionId, cotd.name, cotd.edition, totdMap.map_uid, cotd.challengeId, cotd.startTimestamp, cotd.endTimestamp]
+    );
+
+    log(`Stored ${cotd.name} (competition ${cotd.competitionId}), results after ${new Date(cotd.endTimestamp).toISOString()}`);
+}
+
+/**
+ * Looks up the evening COTDs of the last few days that were never stored while running
+ * The current cup is only returned while it runs, so without this a check missed during the cup would lose its results
+ * @param {Database} db - Database connection
+ */
+async function storeMissedCOTDs(db) {
+    const today = Math.floor(Date.now() / DAY_MS) * DAY_MS;
+
+    for (let daysAgo = COTD_LOOKBACK_DAYS; daysAgo >= 0; daysAgo--) {
+        const dayStart = today - daysAgo * DAY_MS;
+        const stored = await db.get(
+            'SELECT id FROM cotd_competitions WHERE edition = ? AND start_timestamp >= ? AND start_timestamp < ?',
+            [COTD_EDITION, dayStart, dayStart + DAY_MS]
+        );
+        if (stored) continue;
+
+        const cotd = await fetchCOTDByDate(new Date(dayStart).toISOString().slice(0, 10));
+        if (cotd && cotd.startTimestamp <= Date.now()) {
+            await storeCOTD(db, cotd);
+        }
+    }
+}
+
+/**
+ * Stores a finished COTD's results for every guild player row of the members who took part
+ * @param {Database} db - Database connection
+ * @param {Object} competition - cotd_competitions row
+ * @param {Map} results - Results by account ID from fetchCOTDResults
+ * @param {Map} guildPlayerMap - Registered players by guild ID
+ * @returns {Promise<number>} Number of stored results
+ */
+async function storeCOTDResults(db, competition, results, guildPlayerMap) {
+    let stored = 0;
+
+    for (const [, players] of guildPlayerMap) {
+        for (const player of players) {
+            const result = results.get(player.account_id);
+            if (!result) continue;
+
+            await db.run(
+                `INSERT OR IGNORE INTO cotd_results (player_id, competition_id, qualifier_rank, qualifier_time_ms, division, division_rank)
+                 VALUES (?, ?, ?, ?, ?, ?)`,
+                [player.id, competition.id, result.qualifierRank, result.qualifierTime, result.division, result.divisionRank]
+            );
+            stored++;
+        }
+    }
+
+    return stored;
+}
+
+/**
+ * Formats a member's COTD result as division, rank in the division and qualifier position
+ * @param {Object} result - cotd_results row
+ * @param {Object} t - Translation strings
+ * @returns {string} Result text
+ */
+export function formatCOTDResult(result, t) {
+    const parts = [formatString(t.embeds.cotd?.division || 'Division {division}', { division: result.division })];
+
+    if (result.division_rank) {
+        const rank = result.division === 1 && result.division_rank === 1 ? '🏆 #1' : `#${result.division_rank}`;
+        parts.push(rank);
+    }
+
+    const qualifierTime = result.qualifier_time_ms ? ` (${formatTime(result.qualifier_time_ms)})` : '';
+    parts.push(formatString(t.embeds.cotd?.qualifier || 'Qualifier #{rank}', { rank: result.qualifier_rank }) + qualifierTime);
+
+    return parts.join(' · ');
+}
+
+/**
+ * Creates a Discord embed summarizing how a guild's members did in a COTD
+ * @param {Object} competition - cotd_competitions row
+ * @param {Array} results - cotd_results rows of the guild joined with username and discord_id, best qualifier first
+ * @param {Object} t - Translation strings
+ * @returns {EmbedBuilder} Discord embed for the COTD summary
+ */
+export function createCOTDSummaryEmbed(competition, results, t) {
+    const lines = results.map(result =>
+        `**${result.username || result.account_id}** (<@${result.discord_id}>) · ${formatCOTDResult(result, t)}`
+    );
+
+    const description = formatString(t.embeds.cotd?.summaryDescription || '{count} member(s) played out of {players} players.', {
+        count: results.length,
+        players: competition.player_count ? competition.player_count.toLocaleString() : '?'
+    });
+
+    return new EmbedBuilder()
+        .setTitle(formatString(t.embeds.cotd?.summaryTitle || '🏆 {name}', { name: competition.name }))
+        .setColor(0x9B59B6)
+        .setAuthor({ name: 'Trackmania Cup of the Day', iconURL: TRACKMANIA_ICON_URL })
+        .setDescription(`${description}\n\n${lines.join('\n')}`.substring(0, 4096))
+        .setTimestamp(competition.end_timestamp ? new Date(competition.end_timestamp) : new Date());
+}
+
+/**
+ * Posts a COTD summary to every guild with COTD summaries enabled and at least one member who played
+ * @param {Client} client - Discord.js client instance
+ * @param {Database} db - Database connection
+ * @param {Object} competition - cotd_competitions row
+ */
+async function announceCOTDResults(client, db, competition) {
+    for (const [guildId, guild] of client.guilds.cache) {
+        try {
+            if (!await getCOTDAnnouncementsStatus(guildId)) {
+                continue;
+            }
+
+            const results = await db.all(
+                `SELECT r.*, p.username, p.discord_id, p.account_id
+                 FROM cotd_results r
+                 JOIN players p ON r.player_id = p.id
+                 WHERE r.competition_id = ? AND p.guild_id = ?
+                 ORDER BY r.qualifier_rank ASC`,
+                [competition.id, guildId]
+            );
+
+            if (results.length === 0) {
+                log(`No members played ${competition.name} in guild ${guildId}`);
+                continue;
+            }
+
+            const channel = await getTOTDChannel(client, db, guild);
+            if (!channel) {
+                log(`No available channel for COTD summary in guild ${guildId}`);
+                continue;
+            }
+
+            const t = await getTranslations(guildId);
+            await channel.send({ embeds: [createCOTDSummaryEmbed(competition, results, t)] });
+            log(`Announced ${competition.name} results in guild ${guildId}`);
+
+            await new Promise(r => setTimeout(r, 250));
+        } catch (guildError) {
+            log(`Error announcing COTD results in guild ${guildId}: ${guildError.message}`, 'error');
+        }
+    }
+}
+
+/**
+ * Main function to track the evening Cup of the Day
+ * Stores the running cup and any recent cup that was missed, then fetches, stores and announces the results of every stored cup that has finished
+ * @param {Client} client - Discord.js client instance
+ */
+export async function checkCOTD(client) {
+    const db = await getDb();
+
+    try {
+        log('Starting COTD check...');
+
+        await storeCOTD(db, await fetchCurrentCOTD());
+        await storeMissedCOTDs(db);
+
+        const finished = await db.all(
+            'SELECT * FROM cotd_competitions WHERE results_fetched = 0 AND end_timestamp <= ? ORDER BY end_timestamp ASC',
+            Date.now()
+        );
+
+        if (finished.length === 0) {
+            log('No finished COTD waiting for results');
+            return;
+        }
+
+        const guildPlayerMap = new Map();
+        const allAccountIds = new Set();
+
+        for (const [guildId] of client.guilds.cache) {
+            const guildPlayers = await getGuildPlayers(guildId);
+            if (guildPlayers.length > 0) {
+                guildPlayerMap.set(guildId, guildPlayers);
+                guildPlayers.forEach(p => allAccountIds.add(p.account_id));
+            }
+        }
+
+        for (const competition of finished) {
+            const { playerCount, results } = allAccountIds.size > 0
+                ? await fetchCOTDResults(competition, Array.from(allAccountIds))
+                : { playerCount: null, results: new Map() };
+
+            const stored = await storeCOTDResults(db, competition, results, guildPlayerMap);
+
+            await db.run(
+                'UPDATE cotd_competitions SET player_count = ?, results_fetched = 1 WHERE id = ?',
+                [playerCount, competition.id]
+            );
+            competition.player_count = playerCount;
+
+            log(`${competition.name}: stored ${stored} result(s) for registered members`);
+
+            if (stored > 0) {
+                await announceCOTDResults(client, db, competition);
+            }
+        }
+
+        log('COTD check completed successfully');
+    } catch (err) {
+        log(`Error checking COTD: ${err.message}`, 'error');
+
+        if (err.response?.status === 401) {
+            invalidateTokens();
+        }
+    }
+}
@@ -82,6 +82,201 @@ async function runMigrations(db) {
         log('Adding totd_check_interval_ms column to global_settings table');
         await db.run('ALTER TABLE global_settings ADD COLUMN totd_check_interval_ms INTEGER DEFAULT 3600000');
     }
+
+    const hasTrackedSeasons = globalSettingsColumns.some(col => col.name === 'tracked_season_uids');
+
+    if (!hasTrackedSeasons && globalSettingsColumns.length > 0) {
+        log('Adding tracked_season_uids column to global_settings table');
+        await db.run("ALTER TABLE global_settings ADD COLUMN tracked_season_uids TEXT DEFAULT ''");
+    }
+
+    const hasSchedules = globalSettingsColumns.some(col => col.name === 'schedule_timezone');
+
+    if (!hasSchedules && globalSettingsColumns.length > 0) {
+        log('Adding schedule columns to global_settings table');
+        await db.run("ALTER TABLE global_settings ADD COLUMN schedule_timezone TEXT DEFAULT 'Europe/Paris'");
+        await db.run('ALTER TABLE global_settings ADD COLUMN campaign_check_cron TEXT');
+        await db.run('ALTER TABLE global_settings ADD COLUMN weekly_shorts_check_cron TEXT');
+        await db.run("ALTER TABLE global_settings ADD COLUMN totd_check_cron TEXT DEFAULT '1 19 * * *'");
+        await db.run("ALTER TABLE global_settings ADD COLUMN cotd_check_cron TEXT DEFAULT '1 21 * * *'");
+        await db.run("ALTER TABLE global_settings ADD COLUMN display_names_cron TEXT DEFAULT '0 5 * * *'");
+        await db.run("ALTER TABLE global_settings ADD COLUMN log_cleanup_cron TEXT DEFAULT '30 4 * * *'");
+    }
+
+    const hasTOTDRecordsCron = globalSettingsColumns.some(col => col.name === 'totd_records_cron');
+
+    if (!hasTOTDRecordsCron && globalSettingsColumns.length > 0) {
+        log('Adding totd_records_cron column to global_settings table');
+        await db.run('ALTER TABLE global_settings ADD COLUMN totd_records_cron TEXT');
+    }
+
+    const campaignsTables = await db.all("SELECT name FROM sqlite_master WHERE type='table' AND name='campaigns'");
+    if (campaignsTables.length === 0) {
+        log('Creating campaigns table');
+        await db.exec(`
+            CREATE TABLE campaigns (
+              id INTEGER PRIMARY KEY AUTOINCREMENT,
+              season_uid TEXT NOT NULL UNIQUE,
+              campaign_id INTEGER,
+              name TEXT,
+              start_timestamp INTEGER,
+              end_timestamp INTEGER,
+              active BOOLEAN DEFAULT 1,
+              archived_at TIMESTAMP,
+              last_checked TIMESTAMP DEFAULT (datetime('now'))
+            );
+        `);
+    }
+
+    const mapsColumns = await db.all("PRAGMA table_info(maps)");
+    const hasMedalTimes = mapsColumns.some(col => col.name === 'author_time');
+
+    if (!hasMedalTimes) {
+        log('Adding medal time columns to maps table');
+        await db.run('ALTER TABLE maps ADD COLUMN author_time INTEGER');
+        await db.run('ALTER TABLE maps ADD COLUMN gold_time INTEGER');
+        await db.run('ALTER TABLE maps ADD COLUMN silver_time INTEGER');
+        await db.run('ALTER TABLE maps ADD COLUMN bronze_time INTEGER');
+    }
+
+    const campaignsColumns = await db.all("PRAGMA table_info(campaigns)");
+    const hasCampaignActive = campaignsColumns.some(col => col.name === 'active');
+
+    if (!hasCampaignActive) {
+        log('Adding active and archived_at columns to campaigns table');
+        await db.run('ALTER TABLE campaigns ADD COLUMN active BOOLEAN DEFAULT 1');
+        await db.run('ALTER TABLE campaigns ADD COLUMN archived_at TIMESTAMP');
+    }
+
+    const recordsColumns = await db.all("PRAGMA table_info(records)");
+    const hasGhostUrl = recordsColumns.some(col => col.name === 'ghost_url');
+
+    if (!hasGhostUrl) {
+        log('Adding ghost_url column to records table');
+        await db.run('ALTER TABLE records ADD COLUMN ghost_url TEXT');
+    }
+
+    const hasRecordPositions = recordsColumns.some(col => col.name === 'world_position');
+
+    if (!hasRecordPositions) {
+        log('Adding world_position column to records and record_history tables');
+        for (const table of ['records', 'record_history']) {
+            await db.run(`ALTER TABLE ${table} ADD COLUMN world_position INTEGER`);
+        }
+    }
+
+    const hasRecordZonePositions = recordsColumns.some(col => col.name === 'country_position');
+
+    if (!hasRecordZonePositions) {
+        log('Adding country and region position columns to records and record_history tables');
+        for (const table of ['records', 'record_history']) {
+            await db.run(`ALTER TABLE ${table} ADD COLUMN country_position INTEGER`);
+            await db.run(`ALTER TABLE ${table} ADD COLUMN region_position INTEGER`);
+        }
+    }
+
+    const weeklyShortRecordsColumns = await db.all("PRAGMA table_info(weekly_short_records)");
+    const hasWeeklyShortTimes = weeklyShortRecordsColumns.some(col => col.name === 'time_ms');
+
+    if (!hasWeeklyShortTimes) {
+        log('Adding time columns to weekly_short_records and weekly_short_history tables');
+        await db.run('ALTER TABLE weekly_short_records ADD COLUMN time_ms INTEGER');
+        await db.run('ALTER TABLE weekly_short_history ADD COLUMN time_ms INTEGER');
+        await db.run('ALTER TABLE weekly_short_history ADD COLUMN previous_time_ms INTEGER');
+    }
+
+    const hasWeeklyShortsAlerts = guildSettingsColumns.some(col => col.name === 'weekly_shorts_alerts_enabled');
+
+    if (!hasWeeklyShortsAlerts) {
+        log('Adding weekly shorts alert columns to guild_settings and weekly_short_records tables');
+        await db.run('ALTER TABLE guild_settings ADD COLUMN weekly_shorts_alerts_enabled BOOLEAN DEFAULT 0');
+        await db.run("ALTER TABLE guild_settings ADD COLUMN weekly_shorts_alert_thresholds TEXT DEFAULT '100,1000'");
+        await db.run('ALTER TABLE weekly_short_records ADD COLUMN current_position INTEGER');
+    }
+
+    const hasAnnouncementMode = guildSettingsColumns.some(col => col.name === 'announcement_mode');
+
+    if (!hasAnnouncementMode) {
+        log('Adding announcement mode columns to guild_settings table');
+        await db.run("ALTER TABLE guild_settings ADD COLUMN announcement_mode TEXT DEFAULT 'instant'");
+        await db.run('ALTER TABLE guild_settings ADD COLUMN last_digest_at INTEGER');
+    }
+
+    const hasSnipeAnnouncements = guildSettingsColumns.some(col => col.name === 'snipe_announcements_enabled');
+
+    if (!hasSnipeAnnouncements) {
+        log('Adding snipe announcement columns to guild_settings table');
+        await db.run('ALTER TABLE guild_settings ADD COLUMN snipe_announcements_enabled BOOLEAN DEFAULT 0');
+        await db.run('ALTER TABLE guild_settings ADD COLUMN snipe_pings_enabled BOOLEAN DEFAULT 0');
+    }
+
+    const hasTOTDPBAnnouncements = guildSettingsColumns.some(col => col.name === 'totd_pb_announcements_enabled');
+
+    if (!hasTOTDPBAnnouncements) {
+        log('Adding TOTD personal best announcement columns to guild_settings table');
+        await db.run('ALTER TABLE guild_settings ADD COLUMN totd_pb_announcements_enabled BOOLEAN DEFAULT 0');
+        await db.run('ALTER TABLE guild_settings ADD COLUMN totd_pb_min_position INTEGER DEFAULT 5000');
+    }
+
+    const hasCOTDAnnouncements = guildSettingsColumns.some(col => col.name === 'cotd_announcements_enabled');
+
+    if (!hasCOTDAnnouncements) {
+        log('Adding COTD announcement column to guild_settings table');
+        await db.run('ALTER TABLE guild_settings ADD COLUMN cotd_announcements_enabled BOOLEAN DEFAULT 0');
+    }
+
+    const hasRegistrationApproval = guildSettingsColumns.some(col => col.name === 'registration_approval_enabled');
+
+    if (!hasRegistrationApproval) {
+        log('Adding registration approval columns to guild_settings table');
+        await db.run('ALTER TABLE guild_settings ADD COLUMN registration_approval_enabled BOOLEAN DEFAULT 0');
+        await db.run('ALTER TABLE guild_settings ADD COLUMN approval_channel_id TEXT');
+    }
+
+    const totdMapsColumns = await db.all("PRAGMA table_info(totd_maps)");
+    const hasTOTDMapDetails = totdMapsColumns.some(col => col.name === 'author_time');
+
+    if (!hasTOTDMapDetails) {
+        log('Adding author and medal time columns to totd_maps table');
+        await db.run('ALTER TABLE totd_maps ADD COLUMN author_account_id TEXT');
+        await db.run('ALTER TABLE totd_maps ADD COLUMN author_time INTEGER');
+        await db.run('ALTER TABLE totd_maps ADD COLUMN gold_time INTEGER');
+        await db.run('ALTER TABLE totd_maps ADD COLUMN silver_time INTEGER');
+        await db.run('ALTER TABLE totd_maps ADD COLUMN bronze_time INTEGER');
+    }
+
+    const hasTOTDReveal = totdMapsColumns.some(col => col.name === 'reveal_announced');
+
+    if (!hasTOTDReveal) {
+        log('Adding reveal announcement column to totd_maps table');
+        await db.run('ALTER TABLE totd_maps ADD COLUMN reveal_announced BOOLEAN DEFAULT 1');
+    }
+
+    const hasTOTDLeaderboardAnnounced = totdMapsColumns.some(col => col.name === 'leaderboard_announced');
+
+    if (!hasTOTDLeaderboardAnnounced) {
+        log('Adding leaderboard announcement column to totd_maps table');
+        await db.run('ALTER TABLE totd_maps ADD COLUMN leaderboard_announced BOOLEAN DEFAULT 1');
+        await db.run('UPDATE totd_maps SET leaderboard_announced = 0 WHERE end_timestamp > ?', Date.now());
+    }
+
+    const totdRecordsColumns = await db.all("PRAGMA table_info(totd_records)");
+    const hasTOTDRecordAnnouncements = totdRecordsColumns.some(col => col.name === 'announced');
+
+    if (!hasTOTDRecordAnnouncements) {
+        log('Adding announcement columns to totd_records table');
+        await db.run('ALTER TABLE totd_records ADD COLUMN previous_time_ms INTEGER');
+        await db.run('ALTER TABLE totd_records ADD COLUMN previous_position INTEGER');
+        await db.run('ALTER TABLE totd_records ADD COLUMN timestamp INTEGER');
+        await db.run('ALTER TABLE totd_records ADD COLUMN announced BOOLEAN DEFAULT 1');
+    }
+
+    const hasTOTDFinalPosition = totdRecordsColumns.some(col => col.name === 'final_position');
+
+    if (!hasTOTDFinalPosition) {
+        log('Adding final_position column to totd_records table');
+        await db.run('ALTER TABLE totd_records ADD COLUMN final_position INTEGER');
+    }
 }
 
 /**
@@ -114,6 +309,28 @@ export async function initDatabase() {
     CREATE INDEX IF NOT EXISTS idx_players_guild_id ON players(guild_id);
     CREATE INDEX IF NOT EXISTS idx_players_account_id ON players(account_id);
     
+    CREATE TABLE IF NOT EXISTS pending_registrations (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      discord_id TEXT NOT NULL,
+      guild_id TEXT NOT NULL,
+      account_id TEXT NOT NULL,
+      username TEXT,
+      requested_at TIMESTAMP DEFAULT (datetime('now')),
+      UNIQUE(discord_id, guild_id)
+    );
+    
+    CREATE TABLE IF NOT EXISTS campaigns (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      season_uid TEXT NOT NULL UNIQUE,
+      campaign_id INTEGER,
+      name TEXT,
+      start_timestamp INTEGER,
+      end_timestamp INTEGER,
+      active BOOLEAN DEFAULT 1,
+      archived_at TIMESTAMP,
+      last_checked TIMESTAMP DEFAULT (datetime('now'))
+    );
+    
     CREATE TABLE IF NOT EXISTS maps (
       id INTEGER PRIMARY KEY AUTOINCREMENT,
       map_uid TEXT NOT NULL UNIQUE,
@@ -121,6 +338,10 @@ export async function initDatabase() {
       name TEXT,
       season_uid TEXT,
       thumbnail_url TEXT,
+      author_time INTEGER,
+      gold_time INTEGER,
+      silver_time INTEGER,
+      bronze_time INTEGER,
       last_checked TIMESTAMP DEFAULT (datetime('now'))
     );
     
@@ -131,6 +352,10 @@ export async function initDatabase() {
       time_ms INTEGER NOT NULL,
       recorded_at TIMESTAMP DEFAULT (datetime('now')),
       announced BOOLEAN DEFAULT 0,
+      ghost_url TEXT,
+      world_position INTEGER,
+      country_position INTEGER,
+      region_position INTEGER,
       FOREIGN KEY(player_id) REFERENCES players(id) ON DELETE CASCADE,
       FOREIGN KEY(map_id) REFERENCES maps(id) ON DELETE CASCADE,
       UNIQUE(player_id, map_id)
@@ -142,6 +367,9 @@ export async function initDatabase() {
       map_id INTEGER NOT NULL,
       time_ms INTEGER NOT NULL,
       previous_time_ms INTEGER,
+      world_position INTEGER,
+      country_position INTEGER,
+      region_position INTEGER,
       recorded_at TIMESTAMP DEFAULT (datetime('now')),
       FOREIGN KEY(player_id) REFERENCES players(id) ON DELETE CASCADE,
       FOREIGN KEY(map_id) REFERENCES maps(id) ON DELETE CASCADE
@@ -159,10 +387,34 @@ export async function initDatabase() {
       campaign_announcements_enabled BOOLEAN DEFAULT 1,
       weekly_shorts_announcements_enabled BOOLEAN DEFAULT 1,
       totd_announcements_enabled BOOLEAN DEFAULT 0,
+      snipe_announcements_enabled BOOLEAN DEFAULT 0,
+      snipe_pings_enabled BOOLEAN DEFAULT 0,
+      announcement_mode TEXT DEFAULT 'instant',
+      last_digest_at INTEGER,
+      weekly_shorts_alerts_enabled BOOLEAN DEFAULT 0,
+      weekly_shorts_alert_thresholds TEXT DEFAULT '100,1000',
+      totd_pb_announcements_enabled BOOLEAN DEFAULT 0,
+      totd_pb_min_position INTEGER DEFAULT 5000,
+      cotd_announcements_enabled BOOLEAN DEFAULT 0,
+      registration_approval_enabled BOOLEAN DEFAULT 0,
+      approval_channel_id TEXT,
       created_at TIMESTAMP DEFAULT (datetime('now')),
       updated_at TIMESTAMP DEFAULT (datetime('now'))
     );
     
+    CREATE TABLE IF NOT EXISTS weekly_short_campaigns (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      season_uid TEXT NOT NULL UNIQUE,
+      campaign_id INTEGER,
+      name TEXT,
+      week INTEGER,
+      year INTEGER,
+      start_timestamp INTEGER,
+      end_timestamp INTEGER,
+      summary_posted BOOLEAN DEFAULT 0,
+      last_checked TIMESTAMP DEFAULT (datetime('now'))
+    );
+    
     CREATE TABLE IF NOT EXISTS weekly_short_maps (
       id INTEGER PRIMARY KEY AUTOINCREMENT,
       map_uid TEXT NOT NULL UNIQUE,
@@ -179,6 +431,8 @@ export async function initDatabase() {
       player_id INTEGER NOT NULL,
       map_id INTEGER NOT NULL,
       position INTEGER,
+      time_ms INTEGER,
+      current_position INTEGER,
       timestamp INTEGER,
       recorded_at TIMESTAMP DEFAULT (datetime('now')),
       announced BOOLEAN DEFAULT 0,
@@ -193,12 +447,26 @@ export async function initDatabase() {
       map_id INTEGER NOT NULL,
       position INTEGER,
       previous_position INTEGER,
+      time_ms INTEGER,
+      previous_time_ms INTEGER,
       timestamp INTEGER,
       recorded_at TIMESTAMP DEFAULT (datetime('now')),
       FOREIGN KEY(player_id) REFERENCES players(id) ON DELETE CASCADE,
       FOREIGN KEY(map_id) REFERENCES weekly_short_maps(id) ON DELETE CASCADE
     );
     
+    CREATE TABLE IF NOT EXISTS weekly_short_season_points (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      player_id INTEGER NOT NULL,
+      season_uid TEXT NOT NULL,
+      position INTEGER,
+      sp INTEGER,
+      recorded_at TIMESTAMP DEFAULT (datetime('now')),
+      FOREIGN KEY(player_id) REFERENCES players(id) ON DELETE CASCADE
+    );
+    
+    CREATE INDEX IF NOT EXISTS idx_weekly_short_season_points_season ON weekly_short_season_points(season_uid);
+    
     CREATE TABLE IF NOT EXISTS guild_announcement_status (
       id INTEGER PRIMARY KEY AUTOINCREMENT,
       guild_id TEXT NOT NULL,
@@ -222,6 +490,13 @@ export async function initDatabase() {
       start_timestamp INTEGER,
       end_timestamp INTEGER,
       thumbnail_url TEXT,
+      author_account_id TEXT,
+      author_time INTEGER,
+      gold_time INTEGER,
+      silver_time INTEGER,
+      bronze_time INTEGER,
+      reveal_announced BOOLEAN DEFAULT 1,
+      leaderboard_announced BOOLEAN DEFAULT 1,
       last_checked TIMESTAMP DEFAULT (datetime('now'))
     );
 
@@ -231,18 +506,60 @@ export async function initDatabase() {
       map_id INTEGER NOT NULL,
       time_ms INTEGER NOT NULL,
       position INTEGER,
+      previous_time_ms INTEGER,
+      previous_position INTEGER,
+      timestamp INTEGER,
+      announced BOOLEAN DEFAULT 1,
+      final_position INTEGER,
       recorded_at TIMESTAMP DEFAULT (datetime('now')),
       FOREIGN KEY(player_id) REFERENCES players(id) ON DELETE CASCADE,
       FOREIGN KEY(map_id) REFERENCES totd_maps(id) ON DELETE CASCADE,
       UNIQUE(player_id, map_id)
     );
 
+    CREATE TABLE IF NOT EXISTS cotd_competitions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      competition_id INTEGER NOT NULL UNIQUE,
+      name TEXT,
+      edition INTEGER,
+      map_uid TEXT,
+      challenge_id INTEGER,
+      start_timestamp INTEGER,
+      end_timestamp INTEGER,
+      player_count INTEGER,
+      results_fetched BOOLEAN DEFAULT 0,
+      recorded_at TIMESTAMP DEFAULT (datetime('now'))
+    );
+
+    CREATE TABLE IF NOT EXISTS cotd_results (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      player_id INTEGER NOT NULL,
+      competition_id INTEGER NOT NULL,
+      qualifier_rank INTEGER,
+      qualifier_time_ms INTEGER,
+      division INTEGER,
+      division_rank INTEGER,
+      recorded_at TIMESTAMP DEFAULT (datetime('now')),
+      FOREIGN KEY(player_id) REFERENCES players(id) ON DELETE CASCADE,
+      FOREIGN KEY(competition_id) REFERENCES cotd_competitions(id) ON DELETE CASCADE,
+      UNIQUE(player_id, competition_id)
+    );
+
     CREATE TABLE IF NOT EXISTS global_settings (
       id INTEGER PRIMARY KEY AUTOINCREMENT,
       campaign_check_interval_ms INTEGER DEFAULT 900000,
       weekly_shorts_check_interval_ms INTEGER DEFAULT 1080000,
       totd_check_interval_ms INTEGER DEFAULT 3600000,
+      schedule_timezone TEXT DEFAULT 'Europe/Paris',
+      campaign_check_cron TEXT,
+      weekly_shorts_check_cron TEXT,
+      totd_check_cron TEXT DEFAULT '1 19 * * *',
+      totd_records_cron TEXT,
+      cotd_check_cron TEXT DEFAULT '1 21 * * *',
+      display_names_cron TEXT DEFAULT '0 5 * * *',
+      log_cleanup_cron TEXT DEFAULT '30 4 * * *',
       authorized_users TEXT DEFAULT '',
+      tracked_season_uids TEXT DEFAULT '',
       created_at TIMESTAMP DEFAULT (datetime('now')),
       updated_at TIMESTAMP DEFAULT (datetime('now'))
     );
@@ -406,4 +723,69 @@ export async function isUserAuthorized(userId) {
         log(`Error checking user authorization: ${error.message}`, 'error');
         return false;
     }
-}
\ No newline at end of file
+}
+
+/**
+ * Gets the season UIDs of past official campaigns that should be tracked alongside the current one
+ * @returns {Promise<string[]>} Array of tracked season UIDs
+ */
+export async function getTrackedSeasons() {
+    try {
+        const settings = await getGlobalSettings();
+        return settings.tracked_season_uids ? settings.tracked_season_uids.split(',').filter(Boolean) : [];
+    } catch (error) {
+        log(`Error getting tracked seasons: ${error.message}`, 'error');
+        return [];
+    }
+}
+
+/**
+ * Adds a past official campaign to the set of tracked seasons
+ * @param {string} seasonUid - Season UID to track
+ * @returns {Promise<boolean>} Success status
+ */
+export async function addTrackedSeason(seasonUid) {
+    try {
+        const db = await getDb();
+        const trackedSeasons = await getTrackedSeasons();
+
+        if (!trackedSeasons.includes(seasonUid)) {
+            trackedSeasons.push(seasonUid);
+
+            await db.run(`
+                UPDATE global_settings 
+                SET tracked_season_uids = ?, updated_at = datetime('now')
+                WHERE id = 1
+            `, [trackedSeasons.join(',')]);
+        }
+
+        return true;
+    } catch (error) {
+        log(`Error adding tracked season: ${error.message}`, 'error');
+        return false;
+    }
+}
+
+/**
+ * Removes a past official campaign from the set of tracked seasons
+ * @param {string} seasonUid - Season UID to stop tracking
+ * @returns {Promise<boolean>} Success status
+ */
+export async function removeTrackedSeason(seasonUid) {
+    try {
+        const db = await getDb();
+        const trackedSeasons = await getTrackedSeasons();
+        const filtered = trackedSeasons.filter(uid => uid !== seasonUid);
+
+        await db.run(`
+            UPDATE global_settings 
+            SET tracked_season_uids = ?, updated_at = datetime('now')
+            WHERE id = 1
+        `, [filtered.join(',')]);
+
+        return true;
+    } catch (error) {
+        log(`Error removing tracked season: ${error.message}`, 'error');
+        return false;
+    }
+}
@@ -1,6 +1,7 @@
 import { getDb } from './db.js';
 import { log } from './utils.js';
 import { getAvailableCountries } from './config/zones.js';
+import { ANNOUNCEMENT_MODES, DEFAULT_WEEKLY_SHORTS_ALERT_THRESHOLDS, DEFAULT_TOTD_PB_MIN_POSITION } from './config.js';
 
 /**
  * Get the default zone ID for a guild
@@ -448,3 +449,377 @@ export async function isAnyTOTDAnnouncementsEnabled() {
         return false;
     }
 }
+
+
+/**
+ * Toggle snipe announcements for a guild
+ * @param {string} guildId - Discord guild ID
+ * @param {boolean} enabled - Whether to enable or disable snipe announcements
+ * @param {boolean} pings - Whether sniped members should be pinged
+ * @returns {Promise<boolean>} - Success status
+ */
+export async function toggleSnipeAnnouncements(guildId, enabled, pings = false) {
+    try {
+        const db = await getDb();
+
+        const guild = await db.get('SELECT id FROM guild_settings WHERE guild_id = ?', guildId);
+
+        if (guild) {
+            await db.run(
+                'UPDATE guild_settings SET snipe_announcements_enabled = ?, snipe_pings_enabled = ?, updated_at = CURRENT_TIMESTAMP WHERE guild_id = ?',
+                [enabled ? 1 : 0, pings ? 1 : 0, guildId]
+            );
+        } else {
+            await db.run(
+                'INSERT INTO guild_settings (guild_id, snipe_announcements_enabled, snipe_pings_enabled) VALUES (?, ?, ?)',
+                [guildId, enabled ? 1 : 0, pings ? 1 : 0]
+            );
+        }
+
+        return true;
+    } catch (error) {
+        log(`Error toggling snipe announcements: ${error.message}`, 'error');
+        return false;
+    }
+}
+
+/**
+ * Get snipe announcement settings for a guild
+ * @param {string} guildId - Discord guild ID
+ * @returns {Promise<{enabled: boolean, pings: boolean}>} - Whether snipes are announced and whether sniped members are pinged
+ */
+export async function getSnipeAnnouncementsSettings(guildId) {
+    try {
+        const db = await getDb();
+
+        const guild = await db.get('SELECT snipe_announcements_enabled, snipe_pings_enabled FROM guild_settings WHERE guild_id = ?', guildId);
+
+        if (!guild) {
+            return { enabled: false, pings: false };
+        }
+
+        return {
+            enabled: guild.snipe_announcements_enabled === 1,
+            pings: guild.snipe_pings_enabled === 1
+        };
+    } catch (error) {
+        log(`Error getting snipe announcements settings: ${error.message}`, 'error');
+        return { enabled: false, pings: false };
+    }
+}
+
+/**
+ * Toggle TOTD personal best announcements for a guild
+ * @param {string} guildId - Discord guild ID
+ * @param {boolean} enabled - Whether to enable or disable TOTD PB announcements
+ * @param {number|null} minPosition - Lowest world position to announce, or null to keep the current one
+ * @returns {Promise<boolean>} - Success status
+ */
+export async function toggleTOTDPBAnnouncements(guildId, enabled, minPosition = null) {
+    try {
+        const db = await getDb();
+
+        const guild = await db.get('SELECT id FROM guild_settings WHERE guild_id = ?', guildId);
+
+        if (guild) {
+            await db.run(
+                `UPDATE guild_settings
+                 SET totd_pb_announcements_enabled = ?, totd_pb_min_position = COALESCE(?, totd_pb_min_position), updated_at = CURRENT_TIMESTAMP
+                 WHERE guild_id = ?`,
+                [enabled ? 1 : 0, minPosition, guildId]
+            );
+        } else {
+            await db.run(
+                'INSERT INTO guild_settings (guild_id, totd_pb_announcements_enabled, totd_pb_min_position) VALUES (?, ?, ?)',
+                [guildId, enabled ? 1 : 0, minPosition || DEFAULT_TOTD_PB_MIN_POSITION]
+            );
+        }
+
+        return true;
+    } catch (error) {
+        log(`Error toggling TOTD PB announcements: ${error.message}`, 'error');
+        return false;
+    }
+}
+
+/**
+ * Get TOTD personal best announcement settings for a guild
+ * @param {string} guildId - Discord guild ID
+ * @returns {Promise<{enabled: boolean, minPosition: number}>} - Whether TOTD PBs are announced and the lowest world position announced
+ */
+export async function getTOTDPBAnnouncementsSettings(guildId) {
+    try {
+        const db = await getDb();
+
+        const guild = await db.get('SELECT totd_pb_announcements_enabled, totd_pb_min_position FROM guild_settings WHERE guild_id = ?', guildId);
+
+        if (!guild) {
+            return { enabled: false, minPosition: DEFAULT_TOTD_PB_MIN_POSITION };
+        }
+
+        return {
+            enabled: guild.totd_pb_announcements_enabled === 1,
+            minPosition: guild.totd_pb_min_position || DEFAULT_TOTD_PB_MIN_POSITION
+        };
+    } catch (error) {
+        log(`Error getting TOTD PB announcements settings: ${error.message}`, 'error');
+        return { enabled: false, minPosition: DEFAULT_TOTD_PB_MIN_POSITION };
+    }
+}
+
+/**
+ * Toggle Cup of the Day result summaries for a guild
+ * @param {string} guildId - Discord guild ID
+ * @param {boolean} enabled - Whether to enable or disable COTD summaries
+ * @returns {Promise<boolean>} - Success status
+ */
+export async function toggleCOTDAnnouncements(guildId, enabled) {
+    try {
+        const db = await getDb();
+
+        const guild = await db.get('SELECT id FROM guild_settings WHERE guild_id = ?', guildId);
+
+        if (guild) {
+            await db.run(
+                'UPDATE guild_settings SET cotd_announcements_enabled = ?, updated_at = CURRENT_TIMESTAMP WHERE guild_id = ?',
+                [enabled ? 1 : 0, guildId]
+            );
+        } else {
+            await db.run(
+                'INSERT INTO guild_settings (guild_id, cotd_announcements_enabled) VALUES (?, ?)',
+                [guildId, enabled ? 1 : 0]
+            );
+        }
+
+        return true;
+    } catch (error) {
+        log(`Error toggling COTD announcements: ${error.message}`, 'error');
+        return false;
+    }
+}
+
+/**
+ * Get Cup of the Day result summary status for a guild
+ * @param {string} guildId - Discord guild ID
+ * @returns {Promise<boolean>} - Whether COTD summaries are enabled
+ */
+export async function getCOTDAnnouncementsStatus(guildId) {
+    try {
+        const db = await getDb();
+
+        const guild = await db.get('SELECT cotd_announcements_enabled FROM guild_settings WHERE guild_id = ?', guildId);
+
+        return guild?.cotd_announcements_enabled === 1;
+    } catch (error) {
+        log(`Error getting COTD announcements status: ${error.message}`, 'error');
+        return false;
+    }
+}
+
+/**
+ * Set the campaign announcement mode for a guild
+ * @param {string} guildId - Discord guild ID
+ * @param {string} mode - One of the ANNOUNCEMENT_MODES keys (instant, hourly or daily)
+ * @returns {Promise<boolean>} - Success status
+ */
+export async function setAnnouncementMode(guildId, mode) {
+    try {
+        if (!(mode in ANNOUNCEMENT_MODES)) {
+            log(`Invalid announcement mode: ${mode}`, 'warn');
+            return false;
+        }
+
+        const db = await getDb();
+
+        const guild = await db.get('SELECT id FROM guild_settings WHERE guild_id = ?', guildId);
+        const now = Date.now();
+
+        if (guild) {
+            await db.run(
+                'UPDATE guild_settings SET announcement_mode = ?, last_digest_at = ?, updated_at = CURRENT_TIMESTAMP WHERE guild_id = ?',
+                [mode, now, guildId]
+            );
+        } else {
+            await db.run(
+                'INSERT INTO guild_settings (guild_id, announcement_mode, last_digest_at) VALUES (?, ?, ?)',
+                [guildId, mode, now]
+            );
+        }
+
+        return true;
+    } catch (error) {
+        log(`Error setting announcement mode: ${error.message}`, 'error');
+        return false;
+    }
+}
+
+/**
+ * Get the campaign announcement mode for a guild
+ * @param {string} guildId - Discord guild ID
+ * @returns {Promise<{mode: string, lastDigestAt: number|null}>} - Announcement mode and when the last digest was posted
+ */
+export async function getAnnouncementMode(guildId) {
+    try {
+        const db = await getDb();
+
+        const guild = await db.get('SELECT announcement_mode, last_digest_at FROM guild_settings WHERE guild_id = ?', guildId);
+
+        if (!guild || !(guild.announcement_mode in ANNOUNCEMENT_MODES)) {
+            return { mode: 'instant', lastDigestAt: null };
+        }
+
+        return { mode: guild.announcement_mode, lastDigestAt: guild.last_digest_at };
+    } catch (error) {
+        log(`Error getting announcement mode: ${error.message}`, 'error');
+        return { mode: 'instant', lastDigestAt: null };
+    }
+}
+
+/**
+ * Record when the last campaign digest was posted for a guild
+ * @param {string} guildId - Discord guild ID
+ * @param {number} timestamp - Unix timestamp in milliseconds
+ * @returns {Promise<boolean>} - Success status
+ */
+export async function setLastDigestAt(guildId, timestamp) {
+    try {
+        const db = await getDb();
+
+        await db.run(
+            'UPDATE guild_settings SET last_digest_at = ?, updated_at = CURRENT_TIMESTAMP WHERE guild_id = ?',
+            [timestamp, guildId]
+        );
+
+        return true;
+    } catch (error) {
+        log(`Error setting last digest time: ${error.message}`, 'error');
+        return false;
+    }
+}
+
+/**
+ * Enable or disable weekly shorts threshold alerts for a guild
+ * @param {string} guildId - Discord guild ID
+ * @param {boolean} enabled - Whether members are alerted when they drop out of a threshold
+ * @param {number[]|null} thresholds - Positions to alert on, or null to keep the current ones
+ * @returns {Promise<boolean>} - Success status
+ */
+export async function setWeeklyShortsAlerts(guildId, enabled, thresholds = null) {
+    try {
+        const db = await getDb();
+
+        const guild = await db.get('SELECT id FROM guild_settings WHERE guild_id = ?', guildId);
+        const thresholdsValue = thresholds ? thresholds.join(',') : null;
+
+        if (guild) {
+            await db.run(
+                `UPDATE guild_settings
+                 SET weekly_shorts_alerts_enabled = ?, weekly_shorts_alert_thresholds = COALESCE(?, weekly_shorts_alert_thresholds), updated_at = CURRENT_TIMESTAMP
+                 WHERE guild_id = ?`,
+                [enabled ? 1 : 0, thresholdsValue, guildId]
+            );
+        } else {
+            await db.run(
+                'INSERT INTO guild_settings (guild_id, weekly_shorts_alerts_enabled, weekly_shorts_alert_thresholds) VALUES (?, ?, ?)',
+                [guildId, enabled ? 1 : 0, thresholdsValue || DEFAULT_WEEKLY_SHORTS_ALERT_THRESHOLDS.join(',')]
+            );
+        }
+
+        return true;
+    } catch (error) {
+        log(`Error setting weekly shorts alerts: ${error.message}`, 'error');
+        return false;
+    }
+}
+
+/**
+ * Get weekly shorts threshold alert settings for a guild
+ * @param {string} guildId - Discord guild ID
+ * @returns {Promise<{enabled: boolean, thresholds: number[]}>} - Whether alerts are enabled and the positions to alert on, lowest first
+ */
+export async function getWeeklyShortsAlertSettings(guildId) {
+    try {
+        const db = await getDb();
+
+        const guild = await db.get('SELECT weekly_shorts_alerts_enabled, weekly_shorts_alert_thresholds FROM guild_settings WHERE guild_id = ?', guildId);
+
+        if (!guild) {
+            return { enabled: false, thresholds: DEFAULT_WEEKLY_SHORTS_ALERT_THRESHOLDS };
+        }
+
+        const thresholds = (guild.weekly_shorts_alert_thresholds || '')
+            .split(',')
+            .map(value => parseInt(value))
+            .filter(value => value > 0)
+            .sort((a, b) => a - b);
+
+        return {
+            enabled: guild.weekly_shorts_alerts_enabled === 1,
+            thresholds: thresholds.length > 0 ? thresholds : DEFAULT_WEEKLY_SHORTS_ALERT_THRESHOLDS
+        };
+    } catch (error) {
+        log(`Error getting weekly shorts alert settings: ${error.message}`, 'error');
+        return { enabled: false, thresholds: DEFAULT_WEEKLY_SHORTS_ALERT_THRESHOLDS };
+    }
+}
+
+/**
+ * Set whether registrations need moderator approval in a guild
+ * @param {string} guildId - Discord guild ID
+ * @param {boolean} enabled - Whether registrations need approval
+ * @param {string|null} channelId - Channel to post registrations for review in, or null to keep the current one
+ * @returns {Promise<boolean>} - Success status
+ */
+export async function setRegistrationApproval(guildId, enabled, channelId = null) {
+    try {
+        const db = await getDb();
+
+        const guild = await db.get('SELECT id FROM guild_settings WHERE guild_id = ?', guildId);
+
+        if (guild) {
+            await db.run(
+                `UPDATE guild_settings
+                 SET registration_approval_enabled = ?, approval_channel_id = COALESCE(?, approval_channel_id), updated_at = CURRENT_TIMESTAMP
+                 WHERE guild_id = ?`,
+                [enabled ? 1 : 0, channelId, guildId]
+            );
+        } else {
+            await db.run(
+                'INSERT INTO guild_settings (guild_id, registration_approval_enabled, approval_channel_id) VALUES (?, ?, ?)',
+                [guildId, enabled ? 1 : 0, channelId]
+            );
+        }
+
+        return true;
+    } catch (error) {
+        log(`Error setting registration approval: ${error.message}`, 'error');
+        return false;
+    }
+}
+
+/**
+ * Get registration approval settings for a guild
+ * Registrations are posted for review in the approval channel, or the records channel when none is set.
+ * If the settings cannot be read, approval is treated as required with no channel, so registrations are refused
+ * @param {string} guildId - Discord guild ID
+ * @returns {Promise<{enabled: boolean, channelId: string|null}>} - Whether registrations need approval and the channel they are reviewed in
+ */
+export async function getRegistrationApprovalSettings(guildId) {
+    try {
+        const db = await getDb();
+
+        const guild = await db.get('SELECT registration_approval_enabled, approval_channel_id, records_channel_id FROM guild_settings WHERE guild_id = ?', guildId);
+
+        if (!guild) {
+            return { enabled: false, channelId: null };
+        }
+
+        return {
+            enabled: guild.registration_approval_enabled === 1,
+            channelId: guild.approval_channel_id || guild.records_channel_id || null
+        };
+    } catch (error) {
+        log(`Error getting registration approval settings: ${error.message}`, 'error');
+        return { enabled: true, channelId: null };
+    }
+}
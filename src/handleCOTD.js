@@ -0,0 +1,111 @@
+import { EmbedBuilder } from 'discord.js';
+import { formatCOTDResult } from './cotdTracker.js';
+import { getPlayerByDiscordId } from './playerManager.js';
+import { getDb } from './db.js';
+import { formatString, getTranslations } from './localization/index.js';
+import { log } from './utils.js';
+import { TRACKMANIA_ICON_URL } from './config.js';
+
+const COTD_RESULTS_LIMIT = 10;
+
+/**
+ * Gets an account's stored Cup of the Day results
+ * Results are matched by account ID, so cups stored for the member in another guild are included
+ * @param {Database} db - Database connection
+ * @param {string} accountId - Trackmania account ID
+ * @returns {Promise<Array>} One result per cup with the cup name and end time, newest first
+ */
+async function getCOTDResults(db, accountId) {
+    return await db.all(
+        `SELECT c.name, c.end_timestamp, c.player_count, r.qualifier_rank, r.qualifier_time_ms, r.division, r.division_rank
+         FROM cotd_results r
+         JOIN players p ON r.player_id = p.id
+         JOIN cotd_competitions c ON r.competition_id = c.id
+         WHERE r.id IN (
+           SELECT MIN(r2.id)
+           FROM cotd_results r2
+           JOIN players p2 ON r2.player_id = p2.id
+           WHERE p2.account_id = ?
+           GROUP BY r2.competition_id
+         )
+         ORDER BY c.start_timestamp DESC`,
+        [accountId]
+    );
+}
+
+/**
+ * Creates a Discord embed with a member's recent COTD results and their best and average division
+ * @param {Object} player - Player row with username and account_id
+ * @param {string} discordId - Discord user ID of the member
+ * @param {Array} results - Stored COTD results, newest first
+ * @param {Object} t - Translation strings
+ * @returns {EmbedBuilder} Discord embed for the cotd command
+ */
+function createCOTDEmbed(player, discordId, results, t) {
+    const best = results.reduce((bestResult, result) =>
+        !bestResult ||
+        result.division < bestResult.division ||
+        (result.division === bestResult.division && (result.division_rank || Infinity) < (bestResult.division_rank || Infinity))
+            ? result
+            : bestResult, null);
+
+    const averageDivision = results.reduce((sum, result) => sum + result.division, 0) / results.length;
+
+    const lines = results.slice(0, COTD_RESULTS_LIMIT).map(result =>
+        `**${result.name}** · ${formatCOTDResult(result, t)}`
+    );
+
+    return new EmbedBuilder()
+        .setTitle(t.embeds.cotd?.title || '🏆 Cup of the Day Results')
+        .setColor(0x9B59B6)
+        .setAuthor({ name: 'Trackmania Cup of the Day', iconURL: TRACKMANIA_ICON_URL })
+        .setDescription(`${formatString(t.embeds.cotd?.description || '**{username}** (<@{discordId}>)', {
+            username: player.username || player.account_id,
+            discordId
+        })}\n\n${lines.join('\n')}`.substring(0, 4096))
+        .addFields(
+            { name: t.embeds.cotd?.played || 'Cups Played', value: `${results.length}`, inline: true },
+            { name: t.embeds.cotd?.bestResult || 'Best Result', value: `${best.name}\n${formatCOTDResult(best, t)}`, inline: true },
+            { name: t.embeds.cotd?.averageDivision || 'Average Division', value: averageDivision.toFixed(1), inline: true }
+        )
+        .setTimestamp();
+}
+
+/**
+ * Handles the /cotd command to show a member's recent Cup of the Day results
+ * Results come from the evening cups stored by the COTD check
+ * @param {Interaction} interaction - Discord interaction object
+ */
+async function handleCOTD(interaction) {
+    const t = await getTranslations(interaction.guildId);
+
+    try {
+        await interaction.reply(t.responses.cotd?.processing || '🔄 Fetching Cup of the Day results...');
+
+        const db = await getDb();
+        const user = interaction.options.getUser('user') || interaction.user;
+
+        const player = await getPlayerByDiscordId(user.id, interaction.guildId);
+        if (!player) {
+            return await interaction.editReply(user.id === interaction.user.id
+                ? (t.responses.cotd?.notRegistered || 'You are not registered. Use `/register` to register your Trackmania account.')
+                : formatString(t.responses.cotd?.userNotRegistered || '❌ {user} is not registered in this server.', { user: `<@${user.id}>` }));
+        }
+
+        const results = await getCOTDResults(db, player.account_id);
+        if (results.length === 0) {
+            return await interaction.editReply(formatString(
+                t.responses.cotd?.noResults || 'No Cup of the Day results tracked for {username} yet.',
+                { username: player.username || user.username }
+            ));
+        }
+
+        const embed = createCOTDEmbed(player, user.id, results, t);
+        await interaction.editReply({ content: null, embeds: [embed] });
+    } catch (error) {
+        log(`Error in cotd command: ${error.message}`, 'error');
+        await interaction.editReply(t.responses.cotd?.error || '❌ An error occurred while fetching Cup of the Day results.');
+    }
+}
+
+export default handleCOTD;
@@ -0,0 +1,243 @@
+import { EmbedBuilder } from 'discord.js';
+import { getStoredCampaigns } from './recordTracker.js';
+import { cleanMapName, getStoredWeeklyShortCampaigns } from './weeklyShorts.js';
+import { parseTOTDMonth } from './totdTracker.js';
+import { getPlayerByDiscordId } from './playerManager.js';
+import { getDb } from './db.js';
+import { formatString, getTranslations } from './localization/index.js';
+import { formatTime, log } from './utils.js';
+import { TRACKMANIA_ICON_URL } from './config.js';
+
+/**
+ * Best time per map of a Trackmania account in a record table
+ * Campaign and weekly shorts records are stored under one of the account's player rows, not necessarily this guild's
+ * @param {string} table - Record table with player_id, map_id and time_ms columns
+ * @returns {string} Subquery taking the account ID as its parameter
+ */
+function accountTimesSubquery(table) {
+    return `SELECT r.map_id, MIN(r.time_ms) as time_ms
+            FROM ${table} r
+            JOIN players p ON r.player_id = p.id
+            WHERE p.account_id = ?
+            GROUP BY r.map_id`;
+}
+
+/**
+ * Record tables compared by each /compare type
+ * Each source lists the maps of one period with both players' times, ordered as they appear in the period.
+ * playerKey is the player row column the query matches each member on
+ */
+const COMPARE_SOURCES = {
+    campaign: {
+        author: 'Trackmania Campaign Records',
+        playerKey: 'account_id',
+        query: `SELECT m.name, NULL as start_timestamp, a.time_ms as time1, b.time_ms as time2
+                FROM maps m
+                LEFT JOIN (${accountTimesSubquery('records')}) a ON a.map_id = m.id
+                LEFT JOIN (${accountTimesSubquery('records')}) b ON b.map_id = m.id
+                WHERE m.season_uid = ? AND (a.time_ms IS NOT NULL OR b.time_ms IS NOT NULL)
+                ORDER BY m.name ASC`
+    },
+    weeklyshorts: {
+        author: 'Trackmania Weekly Shorts',
+        playerKey: 'account_id',
+        query: `SELECT m.name, NULL as start_timestamp, a.time_ms as time1, b.time_ms as time2
+                FROM weekly_short_maps m
+                LEFT JOIN (${accountTimesSubquery('weekly_short_records')}) a ON a.map_id = m.id
+                LEFT JOIN (${accountTimesSubquery('weekly_short_records')}) b ON b.map_id = m.id
+                WHERE m.season_uid = ? AND (a.time_ms IS NOT NULL OR b.time_ms IS NOT NULL)
+                ORDER BY m.position ASC`
+    },
+    totd: {
+        author: 'Trackmania Track of the Day',
+        playerKey: 'id',
+        query: `SELECT m.name, m.start_timestamp, a.time_ms as time1, b.time_ms as time2
+                FROM totd_maps m
+                LEFT JOIN totd_records a ON a.map_id = m.id AND a.player_id = ?
+                LEFT JOIN totd_records b ON b.map_id = m.id AND b.player_id = ?
+                WHERE m.start_timestamp >= ? AND m.start_timestamp < ? AND (a.time_ms IS NOT NULL OR b.time_ms IS NOT NULL)
+                ORDER BY m.start_timestamp ASC`
+    }
+};
+
+/**
+ * Resolves the period a comparison covers from the season option
+ * Campaigns and weekly shorts default to the latest stored one, TOTDs to the current month
+ * @param {Database} db - Database connection
+ * @param {string} type - One of campaign, weeklyshorts and totd
+ * @param {string|null} seasonOption - Season UID, or a YYYY-MM month for TOTDs
+ * @returns {Promise<{label: string, params: Array}|null>} Period name and the query parameters selecting its maps, or null if not found
+ */
+async function resolveComparePeriod(db, type, seasonOption) {
+    if (type === 'totd') {
+        const month = parseTOTDMonth(seasonOption || new Date().toISOString().slice(0, 7));
+        return month ? { label: month.label, params: [month.start, month.end] } : null;
+    }
+
+    let season;
+    if (type === 'weeklyshorts') {
+        season = seasonOption
+            ? await db.get('SELECT season_uid, name FROM weekly_short_campaigns WHERE season_uid = ?', seasonOption)
+            : (await getStoredWeeklyShortCampaigns('', 1))[0];
+    } else {
+        season = seasonOption
+            ? await db.get('SELECT season_uid, name FROM campaigns WHERE season_uid = ?', seasonOption)
+            : (await getStoredCampaigns('', 1))[0];
+    }
+
+    return season ? { label: season.name, params: [season.season_uid] } : null;
+}
+
+/**
+ * Lines up two players' times map by map
+ * Wins and summed times only count maps both players finished
+ * @param {Array} maps - Maps with time1 and time2 from the comparison query
+ * @returns {{wins1: number, wins2: number, ties: number, shared: number, total1: number, total2: number}} Head-to-head totals
+ */
+function calculateHeadToHead(maps) {
+    const result = { wins1: 0, wins2: 0, ties: 0, shared: 0, total1: 0, total2: 0 };
+
+    for (const map of maps) {
+        if (map.time1 == null || map.time2 == null) continue;
+
+        result.shared++;
+        result.total1 += map.time1;
+        result.total2 += map.time2;
+
+        if (map.time1 < map.time2) result.wins1++;
+        else if (map.time2 < map.time1) result.wins2++;
+        else result.ties++;
+    }
+
+    return result;
+}
+
+/**
+ * Creates a Discord embed comparing two members map by map
+ * @param {string} type - One of campaign, weeklyshorts and totd
+ * @param {string} periodLabel - Name of the compared season or month
+ * @param {Array<string>} names - Display names of both members
+ * @param {Array} maps - Maps with time1 and time2 from the comparison query
+ * @param {Object} t - Translation strings
+ * @returns {EmbedBuilder} Discord embed for the compare command
+ */
+function createCompareEmbed(type, periodLabel, names, maps, t) {
+    const [name1, name2] = names;
+    const headToHead = calculateHeadToHead(maps);
+    const noTime = t.embeds.compare?.noTime || '—';
+
+    const lines = maps.map(map => {
+        const mapName = type === 'totd'
+            ? `${new Date(map.start_timestamp).toISOString().slice(0, 10)} ${cleanMapName(map.name)}`
+            : cleanMapName(map.name);
+        const times = `${map.time1 != null ? formatTime(map.time1) : noTime} · ${map.time2 != null ? formatTime(map.time2) : noTime}`;
+
+        let outcome = '';
+        if (map.time1 != null && map.time2 != null) {
+            const difference = Math.abs(map.time1 - map.time2);
+            outcome = difference === 0
+                ? ` → ${t.embeds.compare?.tie || '🤝 Tie'}`
+                : ` → 🏆 ${map.time1 < map.time2 ? name1 : name2} ${formatTime(difference, true)}`;
+        }
+
+        return `**${mapName}**: ${times}${outcome}`;
+    });
+
+    const totalsValue = headToHead.shared === 0
+        ? (t.embeds.compare?.noSharedMaps || 'No map finished by both members yet')
+        : `${name1}: **${formatTime(headToHead.total1)}**\n${name2}: **${formatTime(headToHead.total2)}**`;
+
+    let gapValue = t.embeds.compare?.noSharedMaps || 'No map finished by both members yet';
+    if (headToHead.shared > 0) {
+        const gap = Math.abs(headToHead.total1 - headToHead.total2);
+        gapValue = gap === 0
+            ? (t.embeds.compare?.even || 'Dead even')
+            : formatString(t.embeds.compare?.ahead || '**{username}** ahead by {gap}', {
+                username: headToHead.total1 < headToHead.total2 ? name1 : name2,
+                gap: formatTime(gap)
+            });
+    }
+
+    return new EmbedBuilder()
+        .setTitle(formatString(t.embeds.compare?.title || '⚔️ {user1} vs {user2}', { user1: name1, user2: name2 }))
+        .setColor(0xE74C3C)
+        .setAuthor({ name: COMPARE_SOURCES[type].author, iconURL: TRACKMANIA_ICON_URL })
+        .setDescription(`${formatString(t.embeds.compare?.description || 'Head to head in **{period}**', {
+            period: periodLabel
+        })}\n\n${lines.join('\n')}`.substring(0, 4096))
+        .addFields(
+            {
+                name: t.embeds.compare?.wins || '🏆 Map Wins',
+                value: formatString(t.embeds.compare?.winsValue || '{user1} **{wins1}** – **{wins2}** {user2}\n{ties} tie(s) · {shared} shared map(s)', {
+                    user1: name1,
+                    user2: name2,
+                    ...headToHead
+                }),
+                inline: false
+            },
+            { name: t.embeds.compare?.totalTime || '⏱️ Summed Time', value: totalsValue, inline: true },
+            { name: t.embeds.compare?.gap || '📏 Gap', value: gapValue, inline: true }
+        )
+        .setTimestamp();
+}
+
+/**
+ * Handles the /compare command to put two members head to head on a campaign, a weekly shorts week or a month of TOTDs
+ * Only times already stored by the trackers are compared
+ * @param {Interaction} interaction - Discord interaction object
+ */
+async function handleCompare(interaction) {
+    const t = await getTranslations(interaction.guildId);
+
+    try {
+        await interaction.reply(t.responses.compare?.processing || '🔄 Comparing members...');
+
+        const db = await getDb();
+        const user1 = interaction.options.getUser('user1');
+        const user2 = interaction.options.getUser('user2');
+        const type = interaction.options.getString('type') || 'campaign';
+        const seasonOption = interaction.options.getString('season');
+
+        if (user1.id === user2.id) {
+            return await interaction.editReply(t.responses.compare?.sameUser || '❌ Pick two different members to compare.');
+        }
+
+        const players = [];
+        for (const user of [user1, user2]) {
+            const player = await getPlayerByDiscordId(user.id, interaction.guildId);
+            if (!player) {
+                return await interaction.editReply(formatString(
+                    t.responses.compare?.userNotRegistered || '❌ {user} is not registered in this server.',
+                    { user: `<@${user.id}>` }
+                ));
+            }
+            players.push(player);
+        }
+
+        const period = await resolveComparePeriod(db, type, seasonOption);
+        if (!period) {
+            return await interaction.editReply(type === 'totd'
+                ? formatString(t.responses.compare?.invalidMonth || '❌ Invalid month "{month}". Use the YYYY-MM format, e.g. 2024-07.', { month: seasonOption })
+                : formatString(t.responses.compare?.seasonNotFound || '❌ No stored season found for "{season}".', { season: seasonOption || '' }));
+        }
+
+        const { query, playerKey } = COMPARE_SOURCES[type];
+        const maps = await db.all(query, [players[0][playerKey], players[1][playerKey], ...period.params]);
+        const names = players.map((player, index) => player.username || [user1, user2][index].username);
+
+        if (maps.length === 0) {
+            return await interaction.editReply(formatString(
+                t.responses.compare?.noRecords || 'Neither {user1} nor {user2} has a time in {period} yet.',
+                { user1: names[0], user2: names[1], period: period.label }
+            ));
+        }
+
+        const embed = createCompareEmbed(type, period.label, names, maps, t);
+        await interaction.editReply({ content: null, embeds: [embed] });
+    } catch (error) {
+        log(`Error in compare command: ${error.message}`, 'error');
+        await interaction.editReply(t.responses.compare?.error || '❌ An error occurred while comparing members.');
+    }
+}
+
+export default handleCompare;
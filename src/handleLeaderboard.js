@@ -1,4 +1,4 @@
-import { fetchCountryLeaderboard, fetchPlayerNames, createCountryLeaderboardEmbed, fetchSeasonLeaderboard, createSeasonLeaderboardEmbed, fetchCurrentCampaign, fetchMapInfo, storeMap } from './recordTracker.js';
+import { fetchCountryLeaderboard, fetchPlayerNames, createCountryLeaderboardEmbed, fetchSeasonLeaderboard, createSeasonLeaderboardEmbed, fetchCurrentCampaign, fetchCampaignBySeasonUid, getCampaignSeasonUid, fetchMapInfo, storeMap } from './recordTracker.js';
 import { getDb } from './db.js';
 import { formatString, getTranslations } from './localization/index.js';
 import { log } from './utils.js';
@@ -8,10 +8,88 @@ import { apiQueue } from './utils/taskQueue.js';
 import { getZoneName } from './config/zones.js';
 import { cleanMapName } from './weeklyShorts.js';
 
+/**
+ * Fetches the maps of a campaign from the API and stores them for its season
+ * Maps from previous campaigns are kept so their records and history stay queryable
+ * @param {Database} db - Database connection
+ * @param {Object} campaign - Official campaign from the API
+ * @returns {Promise<number>} Number of maps stored
+ */
+export async function storeCampaignMaps(db, campaign) {
+    const seasonUid = getCampaignSeasonUid(campaign);
+    const mapUids = campaign.playlist.map(m => m.mapUid);
+    const mapList = await fetchMapInfo(mapUids);
+
+    const storePromises = mapList.map((map, index) => 
+        apiQueue.enqueue(
+            async () => await storeMap(db, map.uid, map.mapId, map.name, seasonUid, map.thumbnailUrl, map),
+            `store map ${map.name || map.uid} (${index + 1}/${mapList.length})`
+        )
+    );
+
+    // Wait for all maps to be stored
+    await Promise.all(storePromises);
+
+    log(`Stored ${mapList.length} maps from campaign ${campaign.name}`);
+    return mapList.length;
+}
+
+/**
+ * Finds a stored campaign map by its number in the campaign (e.g. "7"), part of its name or its UID
+ * @param {Database} db - Database connection
+ * @param {string|null} seasonUid - Season UID the map belongs to
+ * @param {string} mapName - Map number, name fragment or map UID
+ * @returns {Promise<Object|null>} Map row with id, name, map_uid and thumbnail_url, or null if not found
+ */
+export async function findCampaignMap(db, seasonUid, mapName) {
+    const isMapNumber = /^\d{1,2}$/.test(mapName);
+
+    let mapSearch;
+    if (isMapNumber) {
+        const mapNumber = parseInt(mapName);
+        
+        mapSearch = await db.all(
+            "SELECT id, name, map_uid, thumbnail_url FROM maps WHERE (season_uid = ? OR (season_uid IS NULL AND ? IS NULL)) AND name LIKE ? LIMIT 1",
+            [seasonUid, seasonUid, `%- ${mapNumber.toString().padStart(2, '0')}`]
+        );
+
+        if (mapSearch.length === 0) {
+            mapSearch = await db.all(
+                "SELECT id, name, map_uid, thumbnail_url FROM maps WHERE (season_uid = ? OR (season_uid IS NULL AND ? IS NULL)) AND name LIKE ? LIMIT 1",
+                [seasonUid, seasonUid, `%- ${mapNumber}`]
+            );
+        }
+        
+        if (mapSearch.length === 0) {
+            const allMaps = await db.all(
+                "SELECT id, name, map_uid, thumbnail_url FROM maps WHERE (season_uid = ? OR (season_uid IS NULL AND ? IS NULL))",
+                [seasonUid, seasonUid]
+            );
+            
+            const matchingMap = allMaps.find(map => {
+                const cleanedName = cleanMapName(map.name);
+                return cleanedName.match(new RegExp(`-\\s*${mapNumber.toString().padStart(2, '0')}$`)) ||
+                       cleanedName.match(new RegExp(`-\\s*${mapNumber}$`));
+            });
+            
+            if (matchingMap) {
+                mapSearch = [matchingMap];
+            }
+        }
+    } else {
+        mapSearch = await db.all(
+            "SELECT id, name, map_uid, thumbnail_url FROM maps WHERE (season_uid = ? OR (season_uid IS NULL AND ? IS NULL)) AND (name LIKE ? OR map_uid = ?) LIMIT 1",
+            [seasonUid, seasonUid, `%${mapName}%`, mapName]
+        );
+    }
+
+    return mapSearch.length > 0 ? mapSearch[0] : null;
+}
+
 /**
  * Handles the /leaderboard command to display Trackmania leaderboards
  * Shows either season leaderboard or map-specific leaderboard based on user input
- * Supports country filtering and dynamic map search
+ * Supports country filtering, past season selection and dynamic map search
  * @param {Interaction} interaction - Discord interaction object
  */
 async function handleLeaderboard(interaction) {
@@ -31,11 +109,20 @@ async function handleLeaderboard(interaction) {
 
         const limit = 5;
 
+        const seasonOption = interaction.options.getString('season');
+        const campaign = seasonOption ? await fetchCampaignBySeasonUid(seasonOption) : await fetchCurrentCampaign();
+
+        if (!campaign) {
+            return await interaction.editReply(formatString(
+                t.responses.leaderboard.seasonNotFound || 'No official campaign found for season "{season}".',
+                { season: seasonOption }
+            ));
+        }
+
         if (mapName) {
-            const campaign = await fetchCurrentCampaign();
-            const currentSeasonUid = campaign.leaderboardGroupUid || campaign.seasonUid;
+            const currentSeasonUid = getCampaignSeasonUid(campaign);
             
-            log(`Processing leaderboard command for map: ${mapName}. Current season UID: ${currentSeasonUid}`);
+            log(`Processing leaderboard command for map: ${mapName}. Season UID: ${currentSeasonUid}`);
             
             // Count maps for current season, handling NULL season_uid
             const currentCampaignMapCount = await db.get(
@@ -43,87 +130,26 @@ async function handleLeaderboard(interaction) {
                 [currentSeasonUid, currentSeasonUid]
             );
 
-            log(`Found ${currentCampaignMapCount.count} maps for current season`);
+            log(`Found ${currentCampaignMapCount.count} maps for season ${campaign.name}`);
 
             if (currentCampaignMapCount.count === 0) {
                 await interaction.editReply(t.responses.leaderboard.fetchingMaps || 'Fetching maps from current season...');
 
                 try {
-                    // Clear maps from previous campaigns but keep current ones
-                    if (currentSeasonUid) {
-                        await db.run("DELETE FROM maps WHERE season_uid != ? AND season_uid IS NOT NULL", [currentSeasonUid]);
-                    } else {
-                        await db.run("DELETE FROM maps WHERE season_uid IS NOT NULL");
-                    }
-                    log('Cleared maps from previous campaigns');
-
-                    const mapUids = campaign.playlist.map(m => m.mapUid);
-                    const mapList = await fetchMapInfo(mapUids);
-
-                    const storePromises = mapList.map((map, index) => 
-                        apiQueue.enqueue(
-                            async () => await storeMap(db, map.uid, map.mapId, map.name, currentSeasonUid, map.thumbnailUrl),
-                            `store map ${map.name || map.uid} (${index + 1}/${mapList.length})`
-                        )
-                    );
-
-                    // Wait for all maps to be stored
-                    await Promise.all(storePromises);
-
-                    log(`Stored ${mapList.length} maps from current campaign`);
+                    await storeCampaignMaps(db, campaign);
                 } catch (error) {
                     log(`Error fetching maps from API: ${error.message}`, 'error');
                     return await interaction.editReply(t.responses.leaderboard.errorFetchingMaps || 'Error fetching maps from API. Please try again later.');
                 }
             }
 
-            const isMapNumber = /^\d{1,2}$/.test(mapName);
-
-            let mapSearch;
-            if (isMapNumber) {
-                const mapNumber = parseInt(mapName);
-                
-                mapSearch = await db.all(
-                    "SELECT id, name, map_uid, thumbnail_url FROM maps WHERE (season_uid = ? OR (season_uid IS NULL AND ? IS NULL)) AND name LIKE ? LIMIT 1",
-                    [currentSeasonUid, currentSeasonUid, `%- ${mapNumber.toString().padStart(2, '0')}`]
-                );
-
-                if (mapSearch.length === 0) {
-                    mapSearch = await db.all(
-                        "SELECT id, name, map_uid, thumbnail_url FROM maps WHERE (season_uid = ? OR (season_uid IS NULL AND ? IS NULL)) AND name LIKE ? LIMIT 1",
-                        [currentSeasonUid, currentSeasonUid, `%- ${mapNumber}`]
-                    );
-                }
-                
-                if (mapSearch.length === 0) {
-                    const allMaps = await db.all(
-                        "SELECT id, name, map_uid, thumbnail_url FROM maps WHERE (season_uid = ? OR (season_uid IS NULL AND ? IS NULL))",
-                        [currentSeasonUid, currentSeasonUid]
-                    );
-                    
-                    const matchingMap = allMaps.find(map => {
-                        const cleanedName = cleanMapName(map.name);
-                        return cleanedName.match(new RegExp(`-\\s*${mapNumber.toString().padStart(2, '0')}$`)) ||
-                               cleanedName.match(new RegExp(`-\\s*${mapNumber}$`));
-                    });
-                    
-                    if (matchingMap) {
-                        mapSearch = [matchingMap];
-                    }
-                }
-            } else {
-                mapSearch = await db.all(
-                    "SELECT id, name, map_uid, thumbnail_url FROM maps WHERE (season_uid = ? OR (season_uid IS NULL AND ? IS NULL)) AND (name LIKE ? OR map_uid = ?) LIMIT 1",
-                    [currentSeasonUid, currentSeasonUid, `%${mapName}%`, mapName]
-                );
-            }
+            const map = await findCampaignMap(db, currentSeasonUid, mapName);
 
-            if (mapSearch.length === 0) {
+            if (!map) {
                 log(`No maps found for search term: ${mapName}. Current season UID: ${currentSeasonUid}`);
                 return await interaction.editReply(formatString(t.responses.leaderboard.noRecordsMap, { mapName }));
             }
 
-            const map = mapSearch[0];
             log(`Found map: ${map.name} (${map.map_uid}) for search: ${mapName}`);
 
             let countryRecords = await fetchCountryLeaderboard(map.map_uid, countryCode, limit);
@@ -163,7 +189,6 @@ async function handleLeaderboard(interaction) {
         try {
             await interaction.editReply(t.responses.leaderboard.loadingSeason || '🔄 Loading season leaderboard...');
 
-            const campaign = await fetchCurrentCampaign();
             const seasonUid = campaign.seasonUid;
             const seasonName = campaign.name;
             log(`Fetching season leaderboard for ${seasonName} (${seasonUid}) in ${countryCode}`);
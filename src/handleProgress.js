@@ -0,0 +1,141 @@
+import { AttachmentBuilder, EmbedBuilder } from 'discord.js';
+import { fetchCurrentCampaign, fetchCampaignBySeasonUid, getCampaignSeasonUid } from './recordTracker.js';
+import { storeCampaignMaps, findCampaignMap } from './handleLeaderboard.js';
+import { getPlayerByDiscordId } from './playerManager.js';
+import { getDb } from './db.js';
+import { formatString, getTranslations } from './localization/index.js';
+import { formatTime, log } from './utils.js';
+import { renderProgressChart } from './utils/chart.js';
+import { TRACKMANIA_ICON_URL } from './config.js';
+
+/**
+ * Converts a recorded_at value to a Unix timestamp in milliseconds
+ * Records store API timestamps as numbers, while SQLite defaults are UTC date strings
+ * @param {number|string} recordedAt - Stored recorded_at value
+ * @returns {number} Unix timestamp in milliseconds
+ */
+function toTimestamp(recordedAt) {
+    if (typeof recordedAt === 'number') {
+        return recordedAt;
+    }
+    const utcString = recordedAt.endsWith('Z') ? recordedAt : recordedAt.replace(' ', 'T') + 'Z';
+    return new Date(utcString).getTime();
+}
+
+/**
+ * Gets the PB timeline of an account on a map from record_history
+ * Entries that did not improve on an earlier time are skipped
+ * @param {Database} db - Database connection
+ * @param {string} accountId - Trackmania account ID
+ * @param {number} mapId - Map database ID
+ * @returns {Promise<Array<{timestamp: number, timeMs: number}>>} PBs in chronological order
+ */
+async function getProgressPoints(db, accountId, mapId) {
+    const history = await db.all(
+        `SELECT rh.time_ms, rh.recorded_at
+         FROM record_history rh
+         JOIN players p ON rh.player_id = p.id
+         WHERE p.account_id = ? AND rh.map_id = ?`,
+        [accountId, mapId]
+    );
+
+    const points = history
+        .map(entry => ({ timestamp: toTimestamp(entry.recorded_at), timeMs: entry.time_ms }))
+        .sort((a, b) => a.timestamp - b.timestamp);
+
+    return points.filter((point, index) =>
+        points.slice(0, index).every(previous => point.timeMs < previous.timeMs)
+    );
+}
+
+/**
+ * Handles the /progress command to chart a member's PB history on a campaign map
+ * The chart is rendered in-process and sent as an image attachment
+ * @param {Interaction} interaction - Discord interaction object
+ */
+async function handleProgress(interaction) {
+    const t = await getTranslations(interaction.guildId);
+
+    try {
+        await interaction.reply(t.responses.progress?.processing || '🔄 Drawing progress chart...');
+
+        const db = await getDb();
+        const mapName = interaction.options.getString('map');
+        const seasonOption = interaction.options.getString('season');
+        const user = interaction.options.getUser('user') || interaction.user;
+
+        const player = await getPlayerByDiscordId(user.id, interaction.guildId);
+        if (!player) {
+            return await interaction.editReply(user.id === interaction.user.id
+                ? (t.responses.progress?.notRegistered || 'You are not registered. Use `/register` to register your Trackmania account.')
+                : formatString(t.responses.progress?.userNotRegistered || '❌ {user} is not registered in this server.', { user: `<@${user.id}>` }));
+        }
+
+        const campaign = seasonOption ? await fetchCampaignBySeasonUid(seasonOption) : await fetchCurrentCampaign();
+        if (!campaign) {
+            return await interaction.editReply(formatString(
+                t.responses.progress?.seasonNotFound || '❌ No official campaign found for season "{season}".',
+                { season: seasonOption }
+            ));
+        }
+
+        const seasonUid = getCampaignSeasonUid(campaign);
+
+        const campaignMapCount = await db.get(
+            "SELECT COUNT(*) as count FROM maps WHERE (season_uid = ? OR (season_uid IS NULL AND ? IS NULL))",
+            [seasonUid, seasonUid]
+        );
+
+        if (campaignMapCount.count === 0) {
+            await storeCampaignMaps(db, campaign);
+        }
+
+        const map = await findCampaignMap(db, seasonUid, mapName);
+        if (!map) {
+            return await interaction.editReply(formatString(
+                t.responses.progress?.mapNotFound || '❌ No map found matching "{mapName}".',
+                { mapName }
+            ));
+        }
+
+        const points = await getProgressPoints(db, player.account_id, map.id);
+        if (points.length === 0) {
+            return await interaction.editReply(formatString(
+                t.responses.progress?.noHistory || 'No recorded times for {username} on {mapName} yet.',
+                { username: player.username || user.username, mapName: map.name || map.map_uid }
+            ));
+        }
+
+        const chart = new AttachmentBuilder(renderProgressChart(points), { name: 'progress.png' });
+
+        const firstTime = points[0].timeMs;
+        const bestTime = points[points.length - 1].timeMs;
+        const playerName = player.username || user.username;
+
+        const embed = new EmbedBuilder()
+            .setTitle(formatString(t.embeds.progress?.title || '📈 Progress on {mapName}', { mapName: map.name || map.map_uid }))
+            .setColor(0x00BFFF)
+            .setAuthor({ name: 'Trackmania Campaign Records', iconURL: TRACKMANIA_ICON_URL })
+            .setDescription(formatString(t.embeds.progress?.description || '**{username}** (<@{discordId}>)', {
+                username: playerName,
+                discordId: user.id
+            }))
+            .addFields(
+                { name: t.embeds.progress?.firstTime || 'First Time', value: formatTime(firstTime), inline: true },
+                { name: t.embeds.progress?.bestTime || 'Best Time', value: `**${formatTime(bestTime)}**`, inline: true },
+                { name: t.embeds.progress?.improvements || 'Improvements', value: `${points.length - 1} ${bestTime < firstTime ? formatTime(firstTime - bestTime, true) : ''}`.trim(), inline: true }
+            )
+            .setImage('attachment://progress.png');
+
+        if (map.thumbnail_url && map.thumbnail_url.startsWith('http')) {
+            embed.setThumbnail(map.thumbnail_url);
+        }
+
+        await interaction.editReply({ content: null, embeds: [embed], files: [chart] });
+    } catch (error) {
+        log(`Error in progress command: ${error.message}`, 'error');
+        await interaction.editReply(t.responses.progress?.error || '❌ An error occurred while drawing the progress chart.');
+    }
+}
+
+export default handleProgress;
\ No newline at end of file
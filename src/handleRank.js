@@ -0,0 +1,174 @@
+import { EmbedBuilder } from 'discord.js';
+import { fetchCurrentCampaign, fetchCampaignBySeasonUid, getCampaignSeasonUid, fetchRecordPositions } from './recordTracker.js';
+import { getPlayerByDiscordId } from './playerManager.js';
+import { getDb } from './db.js';
+import { formatString, getTranslations } from './localization/index.js';
+import { formatTime, log } from './utils.js';
+import { invalidateTokens } from './auth.js';
+import { TRACKMANIA_ICON_URL } from './config.js';
+
+/**
+ * Gets an account's PBs on a campaign's maps along with the positions stored when each PB was found
+ * @param {Database} db - Database connection
+ * @param {string} accountId - Trackmania account ID
+ * @param {string|null} seasonUid - Season UID of the campaign
+ * @returns {Promise<Array>} PBs with map_uid, map_name, time_ms and stored world/country/region positions, ordered by map name
+ */
+async function getRankedRecords(db, accountId, seasonUid) {
+    return await db.all(
+        `SELECT m.map_uid, m.name as map_name, r.time_ms, r.world_position, r.country_position, r.region_position
+         FROM records r
+         JOIN players p ON r.player_id = p.id
+         JOIN maps m ON r.map_id = m.id
+         WHERE p.account_id = ? AND (m.season_uid = ? OR (m.season_uid IS NULL AND ? IS NULL))
+         ORDER BY m.name ASC`,
+        [accountId, seasonUid, seasonUid]
+    );
+}
+
+/**
+ * Formats how far a position has moved, where a higher number means the time now ranks lower
+ * @param {number} difference - Current position minus the position when the PB was set
+ * @param {Object} t - Translation strings
+ * @returns {string} Drift text
+ */
+function formatDrift(difference, t) {
+    if (difference === 0) {
+        return t.embeds.rank?.unchanged || '=';
+    }
+
+    return difference > 0
+        ? formatString(t.embeds.rank?.dropped || '↓ {count}', { count: difference })
+        : formatString(t.embeds.rank?.climbed || '↑ {count}', { count: -difference });
+}
+
+/**
+ * Formats a position when a PB was set, its current position and the drift between them
+ * @param {number|null} setPosition - Position when the PB was found
+ * @param {number|null} currentPosition - Current position of the same time
+ * @param {Object} t - Translation strings
+ * @returns {string} Position change text
+ */
+function formatPositionChange(setPosition, currentPosition, t) {
+    const unknown = t.values?.none || 'None';
+    const text = `🌍 ${setPosition ? `#${setPosition}` : unknown} → ${currentPosition ? `#${currentPosition}` : unknown}`;
+
+    return setPosition && currentPosition
+        ? `${text} (${formatDrift(currentPosition - setPosition, t)})`
+        : text;
+}
+
+/**
+ * Creates a Discord embed listing a member's positions on each campaign map
+ * Only the world position is looked up again; country and region positions are shown as they were when the PB was set
+ * @param {Object} player - Player row with username and account_id
+ * @param {string} discordId - Discord user ID of the member
+ * @param {string} campaignName - Name of the campaign
+ * @param {Array} records - PBs with stored positions and their current world position
+ * @param {Object} t - Translation strings
+ * @returns {EmbedBuilder} Discord embed for the rank command
+ */
+function createRankEmbed(player, discordId, campaignName, records, t) {
+    const lines = records.map(record => {
+        const parts = [
+            `**${record.map_name}**`,
+            formatTime(record.time_ms),
+            formatPositionChange(record.world_position, record.currentPosition, t)
+        ];
+
+        if (record.country_position) {
+            parts.push(`🏳️ #${record.country_position}`);
+        }
+        if (record.region_position) {
+            parts.push(`📍 #${record.region_position}`);
+        }
+
+        return parts.join(' · ');
+    });
+
+    const drifts = records
+        .filter(record => record.world_position && record.currentPosition)
+        .map(record => record.currentPosition - record.world_position);
+
+    const embed = new EmbedBuilder()
+        .setTitle(formatString(t.embeds.rank?.title || '🌍 Rankings: {season}', { season: campaignName }))
+        .setColor(0x00BFFF)
+        .setAuthor({ name: 'Trackmania Campaign Records', iconURL: TRACKMANIA_ICON_URL })
+        .setDescription(`${formatString(t.embeds.rank?.description || '**{username}** (<@{discordId}>) · position when set → now', {
+            username: player.username || player.account_id,
+            discordId
+        })}\n\n${lines.join('\n')}`.substring(0, 4096))
+        .setTimestamp();
+
+    embed.addFields({ name: t.embeds.rank?.maps || 'Maps', value: `${records.length}`, inline: true });
+
+    if (drifts.length > 0) {
+        const averageDrift = Math.round(drifts.reduce((sum, drift) => sum + drift, 0) / drifts.length);
+        embed.addFields({ name: t.embeds.rank?.averageDrift || 'Average World Drift', value: formatDrift(averageDrift, t), inline: true });
+    }
+
+    return embed;
+}
+
+/**
+ * Handles the /rank command to show a member's positions on each campaign map
+ * Compares the world position stored when each PB was found with where the same time ranks now,
+ * next to the country and region positions it had when it was found
+ * @param {Interaction} interaction - Discord interaction object
+ */
+async function handleRank(interaction) {
+    const t = await getTranslations(interaction.guildId);
+
+    try {
+        await interaction.reply(t.responses.rank?.processing || '🔄 Fetching positions...');
+
+        const db = await getDb();
+        const seasonOption = interaction.options.getString('season');
+        const user = interaction.options.getUser('user') || interaction.user;
+
+        const player = await getPlayerByDiscordId(user.id, interaction.guildId);
+        if (!player) {
+            return await interaction.editReply(user.id === interaction.user.id
+                ? (t.responses.rank?.notRegistered || 'You are not registered. Use `/register` to register your Trackmania account.')
+                : formatString(t.responses.rank?.userNotRegistered || '❌ {user} is not registered in this server.', { user: `<@${user.id}>` }));
+        }
+
+        const campaign = seasonOption ? await fetchCampaignBySeasonUid(seasonOption) : await fetchCurrentCampaign();
+        if (!campaign) {
+            return await interaction.editReply(formatString(
+                t.responses.rank?.seasonNotFound || '❌ No official campaign found for season "{season}".',
+                { season: seasonOption }
+            ));
+        }
+
+        const seasonUid = getCampaignSeasonUid(campaign);
+
+        const records = await getRankedRecords(db, player.account_id, seasonUid);
+        if (records.length === 0) {
+            return await interaction.editReply(formatString(
+                t.responses.rank?.noRecords || 'No records found for {username} in {season}.',
+                { username: player.username || user.username, season: campaign.name }
+            ));
+        }
+
+        const currentPositions = await fetchRecordPositions(
+            records.map(record => ({ mapUid: record.map_uid, score: record.time_ms }))
+        );
+
+        for (const record of records) {
+            record.currentPosition = currentPositions.get(record.map_uid);
+        }
+
+        const embed = createRankEmbed(player, user.id, campaign.name, records, t);
+        await interaction.editReply({ content: null, embeds: [embed] });
+    } catch (error) {
+        log(`Error in rank command: ${error.message}`, 'error');
+        await interaction.editReply(t.responses.rank?.error || '❌ An error occurred while fetching positions.');
+
+        if (error.response?.status === 401) {
+            invalidateTokens();
+        }
+    }
+}
+
+export default handleRank;
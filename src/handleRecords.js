@@ -0,0 +1,338 @@
+import { ActionRowBuilder, ButtonBuilder, ButtonStyle, ComponentType, EmbedBuilder } from 'discord.js';
+import { createGhostButton } from './recordTracker.js';
+import { getPlayerByDiscordId } from './playerManager.js';
+import { getDb } from './db.js';
+import { formatString, getTranslations } from './localization/index.js';
+import { formatTime, log, parseDate } from './utils.js';
+import { TRACKMANIA_ICON_URL } from './config.js';
+
+const RECORDS_PER_PAGE = 5;
+
+// Previous/Next buttons stop responding after this long and are then disabled
+const PAGINATION_TIMEOUT_MS = 5 * 60 * 1000;
+
+const SORT_ORDERS = {
+    newest: 'recorded_time DESC',
+    position: 'world_position IS NULL, world_position ASC, recorded_time DESC',
+    improvement: 'improvement_ms IS NULL, improvement_ms DESC, recorded_time DESC'
+};
+
+/**
+ * Builds the SQL condition matching maps by their number in the campaign (e.g. "7"), part of their name or their UID
+ * A map number matches that map in every season, so its records across campaigns can be browsed together
+ * @param {string} mapName - Map number, name fragment or map UID
+ * @returns {{clause: string, params: Array}} SQL condition on the map_name and map_uid columns, and its parameters
+ */
+function buildMapFilter(mapName) {
+    if (/^\d{1,2}$/.test(mapName)) {
+        const mapNumber = parseInt(mapName);
+        return {
+            clause: '(map_name LIKE ? OR map_name LIKE ?)',
+            params: [`%- ${mapNumber.toString().padStart(2, '0')}`, `%- ${mapNumber}`]
+        };
+    }
+
+    return {
+        clause: '(map_name LIKE ? OR map_uid = ?)',
+        params: [`%${mapName}%`, mapName]
+    };
+}
+
+/**
+ * Gets an account's campaign records matching the /records filters
+ * Records are stored under one player row per account, so they are matched by account ID rather than by the guild's player row
+ * recorded_at holds either a millisecond timestamp or an SQLite datetime, so it is normalized to milliseconds
+ * @param {Database} db - Database connection
+ * @param {string} accountId - Trackmania account ID
+ * @param {Object} filters - Filters to apply
+ * @param {string|null} filters.seasonUid - Only records on maps of this season
+ * @param {string|null} filters.mapName - Only records on maps matching this number, name or UID
+ * @param {number|null} filters.since - Only records set at or after this timestamp in milliseconds
+ * @param {string} filters.sort - One of newest, position and improvement
+ * @returns {Promise<Array>} Records with map name, time, world position, previous time and ghost URL
+ */
+async function getFilteredRecords(db, accountId, { seasonUid, mapName, since, sort }) {
+    const conditions = [];
+    const params = [accountId];
+
+    if (seasonUid) {
+        conditions.push('season_uid = ?');
+        params.push(seasonUid);
+    }
+
+    if (mapName) {
+        const mapFilter = buildMapFilter(mapName);
+        conditions.push(mapFilter.clause);
+        params.push(...mapFilter.params);
+    }
+
+    if (since) {
+        conditions.push('recorded_time >= ?');
+        params.push(since);
+    }
+
+    return await db.all(`
+      SELECT *, previous_time_ms - time_ms as improvement_ms
+      FROM (
+        SELECT
+          m.name as map_name,
+          m.map_uid,
+          m.season_uid,
+          r.time_ms,
+          r.world_position,
+          r.ghost_url,
+          CASE WHEN typeof(r.recorded_at) = 'text'
+            THEN CAST(strftime('%s', r.recorded_at) AS INTEGER) * 1000
+            ELSE r.recorded_at
+          END as recorded_time,
+          (
+            SELECT rh.previous_time_ms
+            FROM record_history rh
+            WHERE rh.player_id = r.player_id AND rh.map_id = r.map_id AND rh.time_ms = r.time_ms
+            ORDER BY rh.id DESC
+            LIMIT 1
+          ) as previous_time_ms
+        FROM
+          records r
+        JOIN
+          players p ON r.player_id = p.id
+        JOIN
+          maps m ON r.map_id = m.id
+        WHERE
+          p.account_id = ?
+      )
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY ${SORT_ORDERS[sort] || SORT_ORDERS.newest}
+    `, params);
+}
+
+/**
+ * Creates the embed and ghost download buttons for one page of records
+ * @param {Array} records - All records matching the filters, in display order
+ * @param {number} page - Zero-based page index
+ * @param {string} title - Embed title
+ * @param {string} description - Embed description describing the filters
+ * @param {Object} t - Translation strings
+ * @returns {{embed: EmbedBuilder, ghostButtons: Array<ButtonBuilder>}} Page embed and ghost buttons
+ */
+function createRecordsPage(records, page, title, description, t) {
+    const totalPages = Math.ceil(records.length / RECORDS_PER_PAGE);
+    const start = page * RECORDS_PER_PAGE;
+
+    const embed = new EmbedBuilder()
+        .setTitle(title)
+        .setColor(0x00BFFF)
+        .setAuthor({ name: 'Trackmania Campaign Records', iconURL: TRACKMANIA_ICON_URL })
+        .setDescription(description)
+        .setFooter({ text: formatString(t.embeds.records.page || 'Page {page}/{totalPages} · {count} record(s)', {
+            page: page + 1,
+            totalPages,
+            count: records.length
+        }) });
+
+    const ghostButtons = [];
+
+    records.slice(start, start + RECORDS_PER_PAGE).forEach((record, index) => {
+        const number = start + index + 1;
+        const mapName = record.map_name || record.map_uid;
+
+        const details = [`${t.embeds.records.time}: **${formatTime(record.time_ms)}**`];
+        if (record.improvement_ms > 0) {
+            details.push(formatTime(record.improvement_ms, true));
+        }
+        if (record.world_position) {
+            details.push(formatString(t.embeds.records.position || '🌍 #{position}', { position: record.world_position.toLocaleString() }));
+        }
+        if (record.recorded_time) {
+            details.push(`<t:${Math.floor(record.recorded_time / 1000)}:d>`);
+        }
+
+        embed.addFields({
+            name: `${number}. ${mapName}`,
+            value: details.join(' · '),
+            inline: false
+        });
+
+        const ghostButton = createGhostButton(record.ghost_url, formatString(
+            t.embeds.records.downloadGhost || '👻 {index}. {mapName}',
+            { index: number, mapName }
+        ));
+        if (ghostButton) {
+            ghostButtons.push(ghostButton);
+        }
+    });
+
+    return { embed, ghostButtons };
+}
+
+/**
+ * Creates the message components of a records page: ghost downloads, then Previous/Next when there are several pages
+ * @param {Array<ButtonBuilder>} ghostButtons - Ghost download buttons of the page
+ * @param {number} page - Zero-based page index
+ * @param {number} totalPages - Number of pages
+ * @param {Object} t - Translation strings
+ * @param {boolean} disabled - Whether the Previous/Next buttons are disabled
+ * @returns {Array<ActionRowBuilder>} Action rows
+ */
+function createRecordsComponents(ghostButtons, page, totalPages, t, disabled = false) {
+    const components = ghostButtons.length > 0 ? [new ActionRowBuilder().addComponents(ghostButtons)] : [];
+
+    if (totalPages > 1) {
+        components.push(new ActionRowBuilder().addComponents(
+            new ButtonBuilder()
+                .setCustomId('records_previous')
+                .setLabel(t.embeds.records.previous || '◀ Previous')
+                .setStyle(ButtonStyle.Secondary)
+                .setDisabled(disabled || page === 0),
+            new ButtonBuilder()
+                .setCustomId('records_next')
+                .setLabel(t.embeds.records.next || 'Next ▶')
+                .setStyle(ButtonStyle.Secondary)
+                .setDisabled(disabled || page >= totalPages - 1)
+        ));
+    }
+
+    return components;
+}
+
+/**
+ * Handles the /records command to browse a member's campaign records
+ * Records can be filtered by season, map and date, sorted by date, world position or improvement,
+ * and are shown five per page with Previous/Next buttons for the member who ran the command
+ * @param {Interaction} interaction - Discord interaction object
+ */
+async function handleRecords(interaction) {
+    const t = await getTranslations(interaction.guildId);
+    const seasonUid = interaction.options.getString('season');
+    const mapName = interaction.options.getString('map');
+    const sinceOption = interaction.options.getString('since');
+    const sort = interaction.options.getString('sort') || 'newest';
+
+    try {
+        await interaction.reply(t.responses.records.processing || '🔄 Fetching your recent records...');
+
+        const user = interaction.options.getUser('user') || interaction.user;
+        const player = await getPlayerByDiscordId(user.id, interaction.guildId);
+
+        if (!player) {
+            return await interaction.editReply(user.id === interaction.user.id
+                ? t.responses.records.notRegistered
+                : formatString(t.responses.records.userNotRegistered || '❌ {user} is not registered in this server.', { user: `<@${user.id}>` }));
+        }
+
+        let since = null;
+        if (sinceOption) {
+            const date = parseDate(sinceOption);
+            if (!date) {
+                return await interaction.editReply(formatString(
+                    t.responses.records.invalidDate || '❌ Invalid date "{date}". Use the YYYY-MM-DD format, e.g. 2024-07-01.',
+                    { date: sinceOption }
+                ));
+            }
+            since = Date.UTC(date.year, date.month - 1, date.day);
+        }
+
+        const db = await getDb();
+
+        let season = null;
+        if (seasonUid) {
+            season = await db.get('SELECT season_uid, name FROM campaigns WHERE season_uid = ?', seasonUid);
+            if (!season) {
+                return await interaction.editReply(formatString(
+                    t.responses.records.seasonNotFound || 'No official campaign found for season "{season}".',
+                    { season: seasonUid }
+                ));
+            }
+        }
+
+        const records = await getFilteredRecords(db, player.account_id, { seasonUid, mapName, since, sort });
+
+        if (records.length === 0) {
+            if (mapName || since) {
+                return await interaction.editReply(t.responses.records.noMatchingRecords || 'No records match these filters.');
+            }
+            return await interaction.editReply(season
+                ? formatString(t.responses.records.noSeasonRecords || "You don't have any records in {season} yet.", { season: season.name })
+                : t.responses.records.noRecords);
+        }
+
+        const playerName = player.username || 'Player';
+        const linkedPlayerName = player.account_id
+            ? `[${playerName}](https://trackmania.io/player#/player/${player.account_id})`
+            : playerName;
+
+        const title = formatString(t.embeds.records.title, { username: linkedPlayerName });
+
+        const filters = [
+            season ? formatString(t.embeds.records.seasonFilter || '📅 {season}', { season: season.name }) : null,
+            mapName ? formatString(t.embeds.records.mapFilter || '🗺️ {map}', { map: mapName }) : null,
+            since ? formatString(t.embeds.records.sinceFilter || '🕒 Since {date}', { date: `<t:${Math.floor(since / 1000)}:D>` }) : null
+        ].filter(Boolean);
+
+        const sortLabels = {
+            newest: t.embeds.records.sortNewest || 'newest first',
+            position: t.embeds.records.sortPosition || 'best world position first',
+            improvement: t.embeds.records.sortImprovement || 'biggest improvement first'
+        };
+
+        const description = [
+            formatString(t.embeds.records.sortedBy || 'Sorted by {sort}', { sort: sortLabels[sort] || sortLabels.newest }),
+            filters.join(' · ')
+        ].filter(Boolean).join('\n');
+
+        const totalPages = Math.ceil(records.length / RECORDS_PER_PAGE);
+        let page = 0;
+
+        const showPage = (disabled = false) => {
+            const { embed, ghostButtons } = createRecordsPage(records, page, title, description, t);
+            return {
+                content: null,
+                embeds: [embed],
+                components: createRecordsComponents(ghostButtons, page, totalPages, t, disabled)
+            };
+        };
+
+        const message = await interaction.editReply(showPage());
+
+        if (totalPages <= 1) return;
+
+        const collector = message.createMessageComponentCollector({
+            componentType: ComponentType.Button,
+            time: PAGINATION_TIMEOUT_MS
+        });
+
+        collector.on('collect', async buttonInteraction => {
+            try {
+                if (buttonInteraction.user.id !== interaction.user.id) {
+                    return await buttonInteraction.reply({
+                        content: t.responses.records.notYourPages || '❌ Only the member who ran this command can change pages. Use `/records` to browse your own.',
+                        ephemeral: true
+                    });
+                }
+
+                if (buttonInteraction.customId === 'records_previous') {
+                    page = Math.max(page - 1, 0);
+                } else if (buttonInteraction.customId === 'records_next') {
+                    page = Math.min(page + 1, totalPages - 1);
+                }
+
+                await buttonInteraction.update(showPage());
+            } catch (error) {
+                log(`Error changing records page: ${error.message}`, 'error');
+            }
+        });
+
+        collector.on('end', async () => {
+            try {
+                await interaction.editReply(showPage(true));
+            } catch (error) {
+                log(`Error disabling records pagination: ${error.message}`, 'warn');
+            }
+        });
+    } catch (error) {
+        log(`Error in records command: ${error.message}`, 'error');
+        await interaction.editReply(t.responses.records.error);
+    }
+}
+
+export default handleRecords;
@@ -0,0 +1,241 @@
+import { EmbedBuilder } from 'discord.js';
+import { fetchCurrentCampaign, fetchCampaignBySeasonUid, getCampaignSeasonUid } from './recordTracker.js';
+import { storeCampaignMaps, findCampaignMap } from './handleLeaderboard.js';
+import { getDb } from './db.js';
+import { formatString, getTranslations } from './localization/index.js';
+import { formatTime, log } from './utils.js';
+import { invalidateTokens } from './auth.js';
+import { TRACKMANIA_ICON_URL } from './config.js';
+
+const SERVER_LEADERBOARD_LIMIT = 10;
+
+/**
+ * Gets the best time of every registered guild member on a map, with the world position stored when it was found
+ * Records are matched by account ID, so members registered in several guilds are included
+ * @param {Database} db - Database connection
+ * @param {string} guildId - Discord guild ID
+ * @param {number} mapId - Map database ID
+ * @returns {Promise<Array>} Members with discord_id, username, account_id, time_ms and world_position, fastest first
+ */
+async function getGuildMapTimes(db, guildId, mapId) {
+    return await db.all(
+        `SELECT p.discord_id, p.username, p.account_id, MIN(r.time_ms) as time_ms, r.world_position
+         FROM players p
+         JOIN players rp ON rp.account_id = p.account_id
+         JOIN records r ON r.player_id = rp.id
+         WHERE p.guild_id = ? AND r.map_id = ?
+         GROUP BY p.id
+         ORDER BY time_ms ASC`,
+        [guildId, mapId]
+    );
+}
+
+/**
+ * Gets the summed campaign time of every registered guild member for a season
+ * Members who finished more maps rank first, then by lowest total time
+ * @param {Database} db - Database connection
+ * @param {string} guildId - Discord guild ID
+ * @param {string|null} seasonUid - Season UID of the campaign
+ * @returns {Promise<Array>} Members with discord_id, username, account_id, maps_finished and total_time_ms
+ */
+async function getGuildCampaignTotals(db, guildId, seasonUid) {
+    return await db.all(
+        `SELECT p.discord_id, p.username, p.account_id, COUNT(best.map_id) as maps_finished, SUM(best.time_ms) as total_time_ms
+         FROM players p
+         JOIN (
+           SELECT gp.id as player_id, r.map_id, MIN(r.time_ms) as time_ms
+           FROM players gp
+           JOIN players rp ON rp.account_id = gp.account_id
+           JOIN records r ON r.player_id = rp.id
+           JOIN maps m ON r.map_id = m.id
+           WHERE gp.guild_id = ? AND (m.season_uid = ? OR (m.season_uid IS NULL AND ? IS NULL))
+           GROUP BY gp.id, r.map_id
+         ) best ON best.player_id = p.id
+         GROUP BY p.id
+         ORDER BY maps_finished DESC, total_time_ms ASC`,
+        [guildId, seasonUid, seasonUid]
+    );
+}
+
+/**
+ * Formats a member name as a trackmania.io link when the account ID is known
+ * @param {Object} player - Player row with username and account_id
+ * @returns {string} Linked player name
+ */
+function formatPlayerName(player) {
+    const playerName = player.username || player.account_id || 'Player';
+    return player.account_id
+        ? `[${playerName}](https://trackmania.io/player#/player/${player.account_id})`
+        : playerName;
+}
+
+/**
+ * Creates a Discord embed ranking guild members on a single map
+ * @param {Object} map - Map row with name, map_uid and thumbnail_url
+ * @param {Array} players - Members with their best time and the world position stored with it, fastest first
+ * @param {number} totalPlayers - Number of members with a time on the map
+ * @param {Object} t - Translation strings
+ * @returns {EmbedBuilder} Discord embed for the map server leaderboard
+ */
+function createServerMapLeaderboardEmbed(map, players, totalPlayers, t) {
+    const embed = new EmbedBuilder()
+        .setTitle(formatString(t.embeds.serverLeaderboard?.mapTitle || '🏠 Server Leaderboard: {mapName}', { mapName: map.name || map.map_uid }))
+        .setColor(0x00BFFF)
+        .setAuthor({ name: 'Trackmania Campaign Records', iconURL: TRACKMANIA_ICON_URL })
+        .setDescription(formatString(t.embeds.serverLeaderboard?.mapDescription || '{count} registered member(s) have a time on this map', { count: totalPlayers }));
+
+    if (map.thumbnail_url && map.thumbnail_url.startsWith('http')) {
+        embed.setThumbnail(map.thumbnail_url);
+    }
+
+    const firstPlayerTime = players[0].time_ms;
+
+    players.forEach((player, index) => {
+        let timeDifferential = '';
+        if (index > 0) {
+            timeDifferential = ` (+${formatTime(player.time_ms - firstPlayerTime)})`;
+        }
+
+        const worldPosition = player.world_position
+            ? `#${player.world_position}`
+            : (t.values?.none || 'None');
+
+        embed.addFields({
+            name: '\u200b',
+            value: `**#${index + 1}: ${formatPlayerName(player)}**\n${t.embeds.serverLeaderboard?.time || 'Time'}: **${formatTime(player.time_ms)}${timeDifferential}**\n${t.embeds.serverLeaderboard?.worldPosition || 'World Position'}: ${worldPosition}`,
+            inline: false
+        });
+    });
+
+    return embed;
+}
+
+/**
+ * Creates a Discord embed ranking guild members by their summed campaign time
+ * Gaps to first place are only shown for members who finished as many maps as the leader
+ * @param {string} campaignName - Name of the campaign
+ * @param {Array} players - Members with maps_finished and total_time_ms, best first
+ * @param {number} totalMaps - Number of maps in the campaign
+ * @param {Object} t - Translation strings
+ * @returns {EmbedBuilder} Discord embed for the campaign server leaderboard
+ */
+function createServerCampaignLeaderboardEmbed(campaignName, players, totalMaps, t) {
+    const leader = players[0];
+
+    const lines = players.slice(0, SERVER_LEADERBOARD_LIMIT).map((player, index) => {
+        let timeDifferential = '';
+        if (index > 0 && player.maps_finished === leader.maps_finished) {
+            timeDifferential = ` (+${formatTime(player.total_time_ms - leader.total_time_ms)})`;
+        }
+
+        const mapsText = formatString(t.embeds.serverLeaderboard?.maps || '{finished}/{total} maps', {
+            finished: player.maps_finished,
+            total: totalMaps
+        });
+
+        return `**#${index + 1}: ${formatPlayerName(player)}** - **${formatTime(player.total_time_ms)}**${timeDifferential} · ${mapsText}`;
+    });
+
+    if (players.length > SERVER_LEADERBOARD_LIMIT) {
+        lines.push(formatString(t.embeds.serverLeaderboard?.more || '...and {count} more', {
+            count: players.length - SERVER_LEADERBOARD_LIMIT
+        }));
+    }
+
+    return new EmbedBuilder()
+        .setTitle(formatString(t.embeds.serverLeaderboard?.title || '🏠 Server Leaderboard: {season}', { season: campaignName }))
+        .setColor(0x00BFFF)
+        .setAuthor({ name: 'Trackmania Campaign Records', iconURL: TRACKMANIA_ICON_URL })
+        .setDescription(`${t.embeds.serverLeaderboard?.description || 'Ranked by total time across the campaign:'}\n\n${lines.join('\n')}`.substring(0, 4096));
+}
+
+/**
+ * Handles the /serverleaderboard command to rank the guild's registered members
+ * Shows a single map ranking with world positions, or an overall ranking by summed campaign time
+ * @param {Interaction} interaction - Discord interaction object
+ */
+async function handleServerLeaderboard(interaction) {
+    const t = await getTranslations(interaction.guildId);
+
+    try {
+        if (!interaction.deferred && !interaction.replied) {
+            await interaction.deferReply();
+        }
+
+        const db = await getDb();
+        const guildId = interaction.guildId;
+        const mapName = interaction.options.getString('map');
+        const seasonOption = interaction.options.getString('season');
+
+        const campaign = seasonOption ? await fetchCampaignBySeasonUid(seasonOption) : await fetchCurrentCampaign();
+
+        if (!campaign) {
+            return await interaction.editReply(formatString(
+                t.responses.serverleaderboard?.seasonNotFound || 'No official campaign found for season "{season}".',
+                { season: seasonOption }
+            ));
+        }
+
+        const seasonUid = getCampaignSeasonUid(campaign);
+
+        const campaignMapCount = await db.get(
+            "SELECT COUNT(*) as count FROM maps WHERE (season_uid = ? OR (season_uid IS NULL AND ? IS NULL))",
+            [seasonUid, seasonUid]
+        );
+
+        let totalMaps = campaignMapCount.count;
+        if (totalMaps === 0) {
+            totalMaps = await storeCampaignMaps(db, campaign);
+        }
+
+        if (mapName) {
+            const map = await findCampaignMap(db, seasonUid, mapName);
+
+            if (!map) {
+                return await interaction.editReply(formatString(
+                    t.responses.serverleaderboard?.mapNotFound || 'No map found matching "{mapName}".',
+                    { mapName }
+                ));
+            }
+
+            const mapTimes = await getGuildMapTimes(db, guildId, map.id);
+
+            if (mapTimes.length === 0) {
+                return await interaction.editReply(formatString(
+                    t.responses.serverleaderboard?.noRecordsMap || 'No registered members have a time on {mapName} yet.',
+                    { mapName: map.name || map.map_uid }
+                ));
+            }
+
+            const players = mapTimes.slice(0, SERVER_LEADERBOARD_LIMIT);
+            const embed = createServerMapLeaderboardEmbed(map, players, mapTimes.length, t);
+            return await interaction.editReply({ content: null, embeds: [embed] });
+        }
+
+        const totals = await getGuildCampaignTotals(db, guildId, seasonUid);
+
+        if (totals.length === 0) {
+            return await interaction.editReply(formatString(
+                t.responses.serverleaderboard?.noRecords || 'No registered members have times in {season} yet.',
+                { season: campaign.name }
+            ));
+        }
+
+        const embed = createServerCampaignLeaderboardEmbed(campaign.name, totals, totalMaps, t);
+        await interaction.editReply({ content: null, embeds: [embed] });
+    } catch (error) {
+        log(`Error in serverleaderboard command: ${error.message}`, 'error');
+
+        try {
+            await interaction.editReply({ content: t.responses.serverleaderboard?.error || '❌ An error occurred while fetching the server leaderboard.', embeds: [] });
+        } catch (replyError) {
+            log(`Failed to send error reply: ${replyError.message}`, 'error');
+        }
+
+        if (error.response?.status === 401) {
+            invalidateTokens();
+        }
+    }
+}
+
+export default handleServerLeaderboard;
\ No newline at end of file
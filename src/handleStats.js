@@ -0,0 +1,199 @@
+import { EmbedBuilder } from 'discord.js';
+import { fetchCurrentCampaign, fetchCampaignBySeasonUid, getCampaignSeasonUid } from './recordTracker.js';
+import { storeCampaignMaps } from './handleLeaderboard.js';
+import { getPlayerByDiscordId, getPlayersWithStats } from './playerManager.js';
+import { getDb } from './db.js';
+import { formatString, getTranslations } from './localization/index.js';
+import { formatTime, log, MEDALS } from './utils.js';
+import { TRACKMANIA_ICON_URL } from './config.js';
+
+const UNFINISHED_MAPS_LIMIT = 15;
+
+/**
+ * Gets the names of a campaign's maps that an account has no record on
+ * @param {Database} db - Database connection
+ * @param {string} accountId - Trackmania account ID
+ * @param {string|null} seasonUid - Season UID of the campaign
+ * @returns {Promise<Array<string>>} Map names ordered by name
+ */
+async function getUnfinishedMaps(db, accountId, seasonUid) {
+    const maps = await db.all(
+        `SELECT m.name, m.map_uid
+         FROM maps m
+         WHERE (m.season_uid = ? OR (m.season_uid IS NULL AND ? IS NULL))
+         AND NOT EXISTS (
+           SELECT 1 FROM records r
+           JOIN players p ON r.player_id = p.id
+           WHERE r.map_id = m.id AND p.account_id = ?
+         )
+         ORDER BY m.name ASC`,
+        [seasonUid, seasonUid, accountId]
+    );
+
+    return maps.map(map => map.name || map.map_uid);
+}
+
+/**
+ * Averages a statistic over the members that have a value for it
+ * @param {Array} players - Player statistics rows
+ * @param {Function} getValue - Returns the statistic for a row, or null to leave the row out
+ * @returns {number|null} Average value, or null if no member has one
+ */
+function averageOf(players, getValue) {
+    const values = players.map(getValue).filter(value => value !== null && value !== undefined);
+    if (values.length === 0) return null;
+    return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+/**
+ * Formats a statistic together with the guild average for the same statistic
+ * @param {string} value - Formatted statistic of the member
+ * @param {string|null} average - Formatted guild average, or null if unavailable
+ * @param {Object} t - Translation strings
+ * @returns {string} Field value
+ */
+function withAverage(value, average, t) {
+    if (average === null) return value;
+    return `${value}\n${formatString(t.embeds.stats?.serverAverage || 'Server average: {value}', { value: average })}`;
+}
+
+/**
+ * Creates a Discord embed with a member's campaign statistics compared to the guild average
+ * Guild averages only include members with at least one time on the campaign, and the
+ * total time average only includes members who finished every map
+ * @param {Object} stats - Statistics row of the member from getPlayersWithStats
+ * @param {Array} guildStats - Statistics rows of every guild member
+ * @param {Array<string>} unfinishedMaps - Names of the maps the member has not finished
+ * @param {string} campaignName - Name of the campaign
+ * @param {Object} t - Translation strings
+ * @returns {EmbedBuilder} Discord embed for the stats command
+ */
+function createStatsEmbed(stats, guildStats, unfinishedMaps, campaignName, t) {
+    const activePlayers = guildStats.filter(player => player.map_count > 0);
+    const finishedAll = activePlayers.filter(player => player.map_count === player.total_maps);
+
+    const averageMaps = averageOf(activePlayers, player => player.map_count);
+    const averageImprovements = averageOf(activePlayers, player => player.improvement_count);
+    const averagePosition = averageOf(activePlayers, player => player.avg_world_position);
+    const averageTotal = averageOf(finishedAll, player => player.total_time_ms);
+
+    const medals = MEDALS
+        .map(medal => `${medal.emoji} ${stats[`${medal.key}_medals`] || 0}`)
+        .join(' · ');
+
+    const totalTime = stats.total_time_ms
+        ? formatString(t.embeds.stats?.totalTimeValue || '{time} ({count} maps)', { time: formatTime(stats.total_time_ms), count: stats.map_count })
+        : (t.values?.none || 'None');
+
+    const unfinishedValue = unfinishedMaps.length === 0
+        ? (t.embeds.stats?.allFinished || 'All maps finished! 🎉')
+        : unfinishedMaps.slice(0, UNFINISHED_MAPS_LIMIT).join(', ') + (unfinishedMaps.length > UNFINISHED_MAPS_LIMIT
+            ? ` ${formatString(t.embeds.stats?.more || '...and {count} more', { count: unfinishedMaps.length - UNFINISHED_MAPS_LIMIT })}`
+            : '');
+
+    return new EmbedBuilder()
+        .setTitle(formatString(t.embeds.stats?.title || '📊 Stats: {season}', { season: campaignName }))
+        .setColor(0x00BFFF)
+        .setAuthor({ name: 'Trackmania Campaign Records', iconURL: TRACKMANIA_ICON_URL })
+        .setDescription(formatString(t.embeds.stats?.description || '**{username}** (<@{discordId}>)', {
+            username: stats.username || stats.account_id,
+            discordId: stats.discord_id
+        }))
+        .addFields(
+            {
+                name: t.embeds.stats?.mapsFinished || '🗺️ Maps Finished',
+                value: withAverage(`${stats.map_count}/${stats.total_maps}`, averageMaps !== null ? averageMaps.toFixed(1) : null, t),
+                inline: true
+            },
+            {
+                name: t.embeds.stats?.improvements || '📈 Improvements',
+                value: withAverage(`${stats.improvement_count}`, averageImprovements !== null ? averageImprovements.toFixed(1) : null, t),
+                inline: true
+            },
+            {
+                name: t.embeds.stats?.averagePosition || '🌍 Average World Position',
+                value: withAverage(
+                    stats.avg_world_position ? `#${Math.round(stats.avg_world_position)}` : (t.values?.none || 'None'),
+                    averagePosition !== null ? `#${Math.round(averagePosition)}` : null,
+                    t
+                ),
+                inline: true
+            },
+            {
+                name: t.embeds.stats?.medals || '🏅 Medals',
+                value: medals,
+                inline: false
+            },
+            {
+                name: t.embeds.stats?.totalTime || '⏱️ Campaign Total Time',
+                value: withAverage(totalTime, averageTotal !== null ? formatTime(Math.round(averageTotal)) : null, t),
+                inline: false
+            },
+            {
+                name: formatString(t.embeds.stats?.unfinished || '📋 Unfinished Maps ({count})', { count: unfinishedMaps.length }),
+                value: unfinishedValue.substring(0, 1024),
+                inline: false
+            }
+        )
+        .setTimestamp();
+}
+
+/**
+ * Handles the /stats command to show a member's campaign statistics
+ * Compares maps finished, improvements, world positions and total time against the guild average
+ * @param {Interaction} interaction - Discord interaction object
+ */
+async function handleStats(interaction) {
+    const t = await getTranslations(interaction.guildId);
+
+    try {
+        await interaction.reply(t.responses.stats?.processing || '🔄 Calculating stats...');
+
+        const db = await getDb();
+        const seasonOption = interaction.options.getString('season');
+        const user = interaction.options.getUser('user') || interaction.user;
+
+        const player = await getPlayerByDiscordId(user.id, interaction.guildId);
+        if (!player) {
+            return await interaction.editReply(user.id === interaction.user.id
+                ? (t.responses.stats?.notRegistered || 'You are not registered. Use `/register` to register your Trackmania account.')
+                : formatString(t.responses.stats?.userNotRegistered || '❌ {user} is not registered in this server.', { user: `<@${user.id}>` }));
+        }
+
+        const campaign = seasonOption ? await fetchCampaignBySeasonUid(seasonOption) : await fetchCurrentCampaign();
+        if (!campaign) {
+            return await interaction.editReply(formatString(
+                t.responses.stats?.seasonNotFound || '❌ No official campaign found for season "{season}".',
+                { season: seasonOption }
+            ));
+        }
+
+        const seasonUid = getCampaignSeasonUid(campaign);
+
+        const campaignMapCount = await db.get(
+            "SELECT COUNT(*) as count FROM maps WHERE (season_uid = ? OR (season_uid IS NULL AND ? IS NULL))",
+            [seasonUid, seasonUid]
+        );
+
+        if (campaignMapCount.count === 0) {
+            await storeCampaignMaps(db, campaign);
+        }
+
+        const guildStats = await getPlayersWithStats(interaction.guildId, seasonUid);
+        const stats = guildStats.find(row => row.id === player.id);
+
+        if (!stats) {
+            return await interaction.editReply(t.responses.stats?.error || '❌ An error occurred while calculating stats.');
+        }
+
+        const unfinishedMaps = await getUnfinishedMaps(db, player.account_id, seasonUid);
+
+        const embed = createStatsEmbed(stats, guildStats, unfinishedMaps, campaign.name, t);
+        await interaction.editReply({ content: null, embeds: [embed] });
+    } catch (error) {
+        log(`Error in stats command: ${error.message}`, 'error');
+        await interaction.editReply(t.responses.stats?.error || '❌ An error occurred while calculating stats.');
+    }
+}
+
+export default handleStats;
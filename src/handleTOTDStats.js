@@ -0,0 +1,182 @@
+import { EmbedBuilder } from 'discord.js';
+import { parseTOTDMonth } from './totdTracker.js';
+import { getPlayerByDiscordId } from './playerManager.js';
+import { getDb } from './db.js';
+import { formatString, getTranslations } from './localization/index.js';
+import { log } from './utils.js';
+import { TRACKMANIA_ICON_URL } from './config.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MONTHLY_RANKING_LIMIT = 10;
+
+/**
+ * Gets the TOTDs a guild player row has a time on, with the world position each time had when the TOTD ended
+ * @param {Database} db - Database connection
+ * @param {number} playerId - Player database ID
+ * @returns {Promise<Array>} Records with start_timestamp and final_position, oldest TOTD first
+ */
+async function getFinishedTOTDs(db, playerId) {
+    return await db.all(
+        `SELECT m.start_timestamp, r.final_position
+         FROM totd_records r
+         JOIN totd_maps m ON r.map_id = m.id
+         WHERE r.player_id = ? AND m.start_timestamp IS NOT NULL
+         ORDER BY m.start_timestamp ASC`,
+        [playerId]
+    );
+}
+
+/**
+ * Calculates the current and longest run of consecutive TOTDs finished
+ * A TOTD belongs to the UTC date it was released on. The current streak is still alive when
+ * the member has not finished the TOTD that is running right now but did finish the one before
+ * @param {Array<number>} startTimestamps - Release timestamps of the finished TOTDs, oldest first
+ * @param {number|null} latestStart - Release timestamp of the current TOTD
+ * @returns {{current: number, longest: number}} Streak lengths in days
+ */
+function calculateStreaks(startTimestamps, latestStart) {
+    const days = [...new Set(startTimestamps.map(timestamp => Math.floor(timestamp / DAY_MS)))];
+
+    let longest = 0;
+    let run = 0;
+    for (let i = 0; i < days.length; i++) {
+        run = i > 0 && days[i] === days[i - 1] + 1 ? run + 1 : 1;
+        longest = Math.max(longest, run);
+    }
+
+    const currentDay = Math.floor((latestStart ?? Date.now()) / DAY_MS);
+    const current = days.length > 0 && days[days.length - 1] >= currentDay - 1 ? run : 0;
+
+    return { current, longest };
+}
+
+/**
+ * Gets the guild members who finished the most TOTDs released in a month
+ * @param {Database} db - Database connection
+ * @param {string} guildId - Discord guild ID
+ * @param {{start: number, end: number}} month - Month range in milliseconds
+ * @returns {Promise<Array>} Members with username, discord_id and count, most TOTDs first
+ */
+async function getMonthlyTOTDRanking(db, guildId, month) {
+    return await db.all(
+        `SELECT p.username, p.discord_id, p.account_id, COUNT(*) as count
+         FROM totd_records r
+         JOIN players p ON r.player_id = p.id
+         JOIN totd_maps m ON r.map_id = m.id
+         WHERE p.guild_id = ? AND m.start_timestamp >= ? AND m.start_timestamp < ?
+         GROUP BY p.id
+         ORDER BY count DESC, p.username ASC
+         LIMIT ?`,
+        [guildId, month.start, month.end, MONTHLY_RANKING_LIMIT]
+    );
+}
+
+/**
+ * Creates a Discord embed with a member's TOTD participation, streaks and positions,
+ * followed by the guild's most active TOTD players of a month
+ * @param {Object} player - Player row with username and account_id
+ * @param {string} discordId - Discord user ID of the member
+ * @param {Array} finished - Finished TOTDs from getFinishedTOTDs
+ * @param {{current: number, longest: number}} streaks - Streaks from calculateStreaks
+ * @param {Array} ranking - Monthly ranking from getMonthlyTOTDRanking
+ * @param {string} monthLabel - Month of the ranking in YYYY-MM format
+ * @param {Object} t - Translation strings
+ * @returns {EmbedBuilder} Discord embed for the totdstats command
+ */
+function createTOTDStatsEmbed(player, discordId, finished, streaks, ranking, monthLabel, t) {
+    const none = t.values?.none || 'None';
+    const positions = finished.map(record => record.final_position).filter(position => position);
+
+    const bestPosition = positions.length > 0 ? `#${Math.min(...positions).toLocaleString()}` : none;
+    const averagePosition = positions.length > 0
+        ? `#${Math.round(positions.reduce((sum, position) => sum + position, 0) / positions.length).toLocaleString()}`
+        : none;
+
+    const days = count => formatString(t.embeds.totdStats?.days || '{count} day(s)', { count });
+
+    const rankingValue = ranking.length === 0
+        ? none
+        : ranking.map((entry, index) => formatString(t.embeds.totdStats?.rankingEntry || '{rank}. **{username}** · {count} TOTD(s)', {
+            rank: index + 1,
+            username: entry.username || entry.account_id,
+            count: entry.count
+        })).join('\n');
+
+    return new EmbedBuilder()
+        .setTitle(t.embeds.totdStats?.title || '📅 TOTD Stats')
+        .setColor(0xFF6B00)
+        .setAuthor({ name: 'Trackmania Track of the Day', iconURL: TRACKMANIA_ICON_URL })
+        .setDescription(formatString(t.embeds.totdStats?.description || '**{username}** (<@{discordId}>)', {
+            username: player.username || player.account_id,
+            discordId
+        }))
+        .addFields(
+            { name: t.embeds.totdStats?.finished || '🏁 TOTDs Finished', value: `${finished.length}`, inline: true },
+            { name: t.embeds.totdStats?.currentStreak || '🔥 Current Streak', value: days(streaks.current), inline: true },
+            { name: t.embeds.totdStats?.longestStreak || '🏆 Longest Streak', value: days(streaks.longest), inline: true },
+            { name: t.embeds.totdStats?.bestPosition || '🥇 Best Position', value: bestPosition, inline: true },
+            { name: t.embeds.totdStats?.averagePosition || '🌍 Average Position', value: averagePosition, inline: true },
+            {
+                name: formatString(t.embeds.totdStats?.monthlyRanking || '🏠 Most Active in {month}', { month: monthLabel }),
+                value: rankingValue.substring(0, 1024),
+                inline: false
+            }
+        )
+        .setTimestamp();
+}
+
+/**
+ * Handles the /totdstats command to show a member's TOTD participation and streaks
+ * Also ranks the guild's members by how many TOTDs they finished in a month
+ * @param {Interaction} interaction - Discord interaction object
+ */
+async function handleTOTDStats(interaction) {
+    const t = await getTranslations(interaction.guildId);
+
+    try {
+        await interaction.reply(t.responses.totdstats?.processing || '🔄 Calculating TOTD stats...');
+
+        const db = await getDb();
+        const user = interaction.options.getUser('user') || interaction.user;
+        const monthOption = interaction.options.getString('month');
+
+        const month = monthOption ? parseTOTDMonth(monthOption) : parseTOTDMonth(new Date().toISOString().slice(0, 7));
+        if (!month) {
+            return await interaction.editReply(formatString(
+                t.responses.totdstats?.invalidMonth || '❌ Invalid month "{month}". Use the YYYY-MM format, e.g. 2024-07.',
+                { month: monthOption }
+            ));
+        }
+
+        const player = await getPlayerByDiscordId(user.id, interaction.guildId);
+        if (!player) {
+            return await interaction.editReply(user.id === interaction.user.id
+                ? (t.responses.totdstats?.notRegistered || 'You are not registered. Use `/register` to register your Trackmania account.')
+                : formatString(t.responses.totdstats?.userNotRegistered || '❌ {user} is not registered in this server.', { user: `<@${user.id}>` }));
+        }
+
+        const finished = await getFinishedTOTDs(db, player.id);
+        if (finished.length === 0) {
+            return await interaction.editReply(formatString(
+                t.responses.totdstats?.noRecords || 'No Track of the Day times tracked for {username} yet.',
+                { username: player.username || user.username }
+            ));
+        }
+
+        const latest = await db.get(
+            'SELECT MAX(start_timestamp) as start_timestamp FROM totd_maps WHERE start_timestamp <= ?',
+            Date.now()
+        );
+
+        const streaks = calculateStreaks(finished.map(record => record.start_timestamp), latest?.start_timestamp ?? null);
+        const ranking = await getMonthlyTOTDRanking(db, interaction.guildId, month);
+
+        const embed = createTOTDStatsEmbed(player, user.id, finished, streaks, ranking, month.label, t);
+        await interaction.editReply({ content: null, embeds: [embed] });
+    } catch (error) {
+        log(`Error in totdstats command: ${error.message}`, 'error');
+        await interaction.editReply(t.responses.totdstats?.error || '❌ An error occurred while calculating TOTD stats.');
+    }
+}
+
+export default handleTOTDStats;
@@ -0,0 +1,182 @@
+import { EmbedBuilder } from 'discord.js';
+import { fetchCurrentWeeklyShort } from './weeklyShorts.js';
+import { getPlayerByDiscordId } from './playerManager.js';
+import { getDb } from './db.js';
+import { formatString, getTranslations } from './localization/index.js';
+import { log } from './utils.js';
+import { invalidateTokens } from './auth.js';
+import { TRACKMANIA_ICON_URL } from './config.js';
+
+const SEASON_POINTS_WEEKS_LIMIT = 10;
+
+/**
+ * Gets the last stored season points and season position of an account for each weekly short week
+ * @param {Database} db - Database connection
+ * @param {string} accountId - Trackmania account ID
+ * @param {number} limit - Maximum number of weeks to return
+ * @returns {Promise<Array>} Weeks with season_uid, name, sp and position, newest first
+ */
+async function getSeasonPointsByWeek(db, accountId, limit) {
+    return await db.all(
+        `SELECT s.season_uid, c.name, s.sp, s.position
+         FROM weekly_short_season_points s
+         LEFT JOIN weekly_short_campaigns c ON c.season_uid = s.season_uid
+         WHERE s.id IN (
+           SELECT MAX(s2.id)
+           FROM weekly_short_season_points s2
+           JOIN players p ON s2.player_id = p.id
+           WHERE p.account_id = ?
+           GROUP BY s2.season_uid
+         )
+         ORDER BY COALESCE(c.start_timestamp, 0) DESC, s.id DESC
+         LIMIT ?`,
+        [accountId, limit]
+    );
+}
+
+/**
+ * Gets the season points an account had when first tracked in a weekly short week
+ * @param {Database} db - Database connection
+ * @param {string} accountId - Trackmania account ID
+ * @param {string} seasonUid - Season UID of the week
+ * @returns {Promise<number|null>} First stored season points, or null if none are stored
+ */
+async function getFirstSeasonPoints(db, accountId, seasonUid) {
+    const first = await db.get(
+        `SELECT s.sp
+         FROM weekly_short_season_points s
+         JOIN players p ON s.player_id = p.id
+         WHERE p.account_id = ? AND s.season_uid = ?
+         ORDER BY s.id ASC LIMIT 1`,
+        [accountId, seasonUid]
+    );
+
+    return first ? first.sp : null;
+}
+
+/**
+ * Gets the latest season points of every registered guild member for a weekly short week
+ * Points are matched by account ID, so members registered in several guilds are included
+ * @param {Database} db - Database connection
+ * @param {string} guildId - Discord guild ID
+ * @param {string} seasonUid - Season UID of the week
+ * @returns {Promise<Array>} Members with account_id, sp and position, most points first
+ */
+async function getGuildSeasonPoints(db, guildId, seasonUid) {
+    return await db.all(
+        `SELECT p.account_id, s.sp, s.position
+         FROM players p
+         JOIN players rp ON rp.account_id = p.account_id
+         JOIN weekly_short_season_points s ON s.player_id = rp.id
+         WHERE p.guild_id = ? AND s.id IN (
+           SELECT MAX(s2.id)
+           FROM weekly_short_season_points s2
+           JOIN players p2 ON s2.player_id = p2.id
+           WHERE s2.season_uid = ?
+           GROUP BY p2.account_id
+         )
+         ORDER BY s.sp DESC, s.position ASC`,
+        [guildId, seasonUid]
+    );
+}
+
+/**
+ * Creates a Discord embed with a member's weekly shorts season points over time and their rank in the guild
+ * @param {Object} player - Player row with username and account_id
+ * @param {string} discordId - Discord user ID of the member
+ * @param {Object} campaign - Current weekly short campaign data
+ * @param {Array} weeks - Stored season points by week, newest first
+ * @param {number|null} firstSp - Season points when the member was first tracked this week
+ * @param {Array} guildPoints - Latest season points of the guild members this week, most first
+ * @param {Object} t - Translation strings
+ * @returns {EmbedBuilder} Discord embed for the weeklyshortsstats command
+ */
+function createWeeklyShortsStatsEmbed(player, discordId, campaign, weeks, firstSp, guildPoints, t) {
+    const current = weeks.find(week => week.season_uid === campaign.seasonUid);
+    const none = t.values?.none || 'None';
+
+    let pointsValue = none;
+    if (current) {
+        const gain = firstSp !== null ? current.sp - firstSp : 0;
+        pointsValue = formatString(t.embeds.weeklyShortsStats?.points || '{sp} SP', { sp: current.sp.toLocaleString() });
+        if (gain > 0) {
+            pointsValue += ` ${formatString(t.embeds.weeklyShortsStats?.gained || '(+{count} this week)', { count: gain.toLocaleString() })}`;
+        }
+    }
+
+    const guildRank = guildPoints.findIndex(entry => entry.account_id === player.account_id);
+    const rankValue = guildRank === -1
+        ? none
+        : formatString(t.embeds.weeklyShortsStats?.serverRankValue || '#{rank} of {total}', { rank: guildRank + 1, total: guildPoints.length });
+
+    const history = weeks.map((week, index) => {
+        const previous = weeks[index + 1];
+        const difference = previous ? week.sp - previous.sp : 0;
+        const change = difference > 0 ? ` (↑ ${difference.toLocaleString()})` : difference < 0 ? ` (↓ ${(-difference).toLocaleString()})` : '';
+
+        return `**${week.name || week.season_uid}** · ${formatString(t.embeds.weeklyShortsStats?.points || '{sp} SP', { sp: week.sp.toLocaleString() })}${change} · #${week.position}`;
+    });
+
+    return new EmbedBuilder()
+        .setTitle(formatString(t.embeds.weeklyShortsStats?.title || '🔸 Weekly Shorts Stats: {week}', { week: campaign.name }))
+        .setColor(0xFF6B6B)
+        .setAuthor({ name: 'Trackmania Weekly Shorts', iconURL: TRACKMANIA_ICON_URL })
+        .setDescription(formatString(t.embeds.weeklyShortsStats?.description || '**{username}** (<@{discordId}>)', {
+            username: player.username || player.account_id,
+            discordId
+        }))
+        .addFields(
+            { name: t.embeds.weeklyShortsStats?.seasonPoints || '🔸 Season Points', value: pointsValue, inline: true },
+            { name: t.embeds.weeklyShortsStats?.seasonPosition || '🌍 Season Position', value: current ? `#${current.position}` : none, inline: true },
+            { name: t.embeds.weeklyShortsStats?.serverRank || '🏠 Server Rank', value: rankValue, inline: true },
+            { name: t.embeds.weeklyShortsStats?.history || '📈 SP Over Time', value: history.join('\n').substring(0, 1024), inline: false }
+        )
+        .setTimestamp();
+}
+
+/**
+ * Handles the /weeklyshortsstats command to show a member's weekly shorts season points
+ * Season points and positions come from the snapshots stored by the weekly shorts check
+ * @param {Interaction} interaction - Discord interaction object
+ */
+async function handleWeeklyShortsStats(interaction) {
+    const t = await getTranslations(interaction.guildId);
+
+    try {
+        await interaction.reply(t.responses.weeklyshortsstats?.processing || '🔄 Fetching weekly shorts stats...');
+
+        const db = await getDb();
+        const user = interaction.options.getUser('user') || interaction.user;
+
+        const player = await getPlayerByDiscordId(user.id, interaction.guildId);
+        if (!player) {
+            return await interaction.editReply(user.id === interaction.user.id
+                ? (t.responses.weeklyshortsstats?.notRegistered || 'You are not registered. Use `/register` to register your Trackmania account.')
+                : formatString(t.responses.weeklyshortsstats?.userNotRegistered || '❌ {user} is not registered in this server.', { user: `<@${user.id}>` }));
+        }
+
+        const weeks = await getSeasonPointsByWeek(db, player.account_id, SEASON_POINTS_WEEKS_LIMIT);
+        if (weeks.length === 0) {
+            return await interaction.editReply(formatString(
+                t.responses.weeklyshortsstats?.noData || 'No weekly shorts season points tracked for {username} yet.',
+                { username: player.username || user.username }
+            ));
+        }
+
+        const campaign = await fetchCurrentWeeklyShort();
+        const firstSp = await getFirstSeasonPoints(db, player.account_id, campaign.seasonUid);
+        const guildPoints = await getGuildSeasonPoints(db, interaction.guildId, campaign.seasonUid);
+
+        const embed = createWeeklyShortsStatsEmbed(player, user.id, campaign, weeks, firstSp, guildPoints, t);
+        await interaction.editReply({ content: null, embeds: [embed] });
+    } catch (error) {
+        log(`Error in weeklyshortsstats command: ${error.message}`, 'error');
+        await interaction.editReply(t.responses.weeklyshortsstats?.error || '❌ An error occurred while fetching weekly shorts stats.');
+
+        if (error.response?.status === 401) {
+            invalidateTokens();
+        }
+    }
+}
+
+export default handleWeeklyShortsStats;
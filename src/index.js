@@ -1,7 +1,7 @@
 import { initDatabase, getDb } from './db.js';
 import { initBot } from './bot.js';
 import { log, setLogLevel } from './utils.js';
-import { setupLogCleanup } from './utils/logRotation.js';
+import { cleanupOldLogs } from './utils/logRotation.js';
 import fs from 'fs';
 import path from 'path';
 
@@ -50,7 +50,7 @@ setLogLevel(logLevel);
 log(`Log level set to: ${logLevel}`, 'info');
 
 const logsDir = path.join(process.cwd(), 'logs');
-setupLogCleanup(logsDir);
+cleanupOldLogs(logsDir);
 
 /**
  * Sets up process-level error handlers for uncaught exceptions and unhandled promise rejections
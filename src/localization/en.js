@@ -5,9 +5,16 @@ export default {
     // Command descriptions
     commands: {
         register: 'Register your Trackmania account for record tracking',
-        registerOption: 'Your Trackmania account ID (available from trackmania.io)',
+        registerOption: 'Your Trackmania display name, or your account ID from trackmania.io',
         unregister: 'Unregister from the record tracking system',
-        records: 'View your recent records',
+        records: 'Browse your campaign records',
+        recordsUserOption: 'Optional: member to show (defaults to you)',
+        recordsMapOption: 'Optional: map number, name or UID',
+        recordsSinceOption: 'Optional: only records set since this date (YYYY-MM-DD, UTC)',
+        recordsSortOption: 'Optional: how to sort the records',
+        recordsSortNewest: 'Newest',
+        recordsSortPosition: 'Best world position',
+        recordsSortImprovement: 'Biggest improvement',
         leaderboard: 'View the record leaderboard',
         leaderboardOption: 'Optional: filter by map name',
         help: 'Show available commands and how to use them',
@@ -25,24 +32,76 @@ export default {
         weeklyshortsleaderboard: 'Show weekly shorts leaderboard',
         weeklyshortsleaderboardOption: 'Optional: filter by map name',
         weeklyshortsleaderboardCountryOption: 'Select a country',
+        weeklyshortsleaderboardWeekOption: 'Optional: past weekly shorts week',
+        weeklyshortsstats: 'Show weekly shorts season points over time and server rank',
+        weeklyshortsstatsUserOption: 'Optional: member to show (defaults to you)',
         setminposition: 'Set the minimum world position to announce records',
         setminpositionOption: 'Minimum world position (e.g. 5000)',
         togglecampaignannouncements: 'Toggle campaign record announcements',
         togglecampaignannouncementsOption: 'Enable or disable campaign announcements',
         toggleweeklyshortsannouncements: 'Toggle weekly shorts announcements',
         toggleweeklyshortsannouncementsOption: 'Enable or disable weekly shorts announcements',
-        toggletotdannouncements: 'Toggle TOTD leaderboard announcements',
+        toggletotdannouncements: 'Toggle new TOTD reveals and TOTD leaderboard announcements',
         toggletotdannouncementsOption: 'Enable or disable TOTD announcements',
+        toggletotdpbannouncements: 'Toggle TOTD personal best announcements',
+        toggletotdpbannouncementsOption: 'Enable or disable TOTD PB announcements',
+        toggletotdpbannouncementsPositionOption: 'Optional: lowest world position to announce (default: 5000)',
+        togglecotdannouncements: 'Toggle Cup of the Day result summaries',
+        togglecotdannouncementsOption: 'Enable or disable COTD result summaries',
+        togglesnipeannouncements: 'Toggle snipe announcements when a member beats another member\'s PB',
+        togglesnipeannouncementsOption: 'Enable or disable snipe announcements',
+        togglesnipeannouncementsPingsOption: 'Ping the sniped members (default: off)',
+        setweeklyshortsalerts: 'Alert members when they are pushed out of a weekly shorts position threshold',
+        setweeklyshortsalertsOption: 'Enable or disable weekly shorts threshold alerts',
+        setweeklyshortsalertsThresholdsOption: 'Optional: comma-separated positions (default: 100,1000)',
+        setregistrationapproval: 'Require moderator approval for new registrations',
+        setregistrationapprovalOption: 'Enable or disable registration approval',
+        setregistrationapprovalChannelOption: 'Optional: channel to review registrations in (defaults to the records channel)',
+        setannouncementmode: 'Set how campaign records are announced',
+        setannouncementmodeOption: 'Post every record instantly, or group them in a digest',
+        announcementModeInstant: 'Instant',
+        announcementModeHourly: 'Hourly digest',
+        announcementModeDaily: 'Daily digest',
         totdleaderboard: 'Show TOTD leaderboard',
         totdleaderboardCountryOption: 'Select a country',
+        totdDateOption: 'Optional: TOTD date in YYYY-MM-DD format (UTC)',
+        totd: 'Show the Track of the Day map and medal times',
+        totdstats: 'Show TOTD participation, streaks and positions',
+        totdstatsUserOption: 'Optional: member to show (defaults to you)',
+        totdstatsMonthOption: 'Optional: month of the server ranking in YYYY-MM format (UTC)',
+        cotd: 'Show recent Cup of the Day results',
+        cotdUserOption: 'Optional: member to show (defaults to you)',
         setcampaignsearchtime: 'Set the campaign search interval (authorized users only)',
         setcampaignsearchtimeOption: 'Search interval in minutes (5-1440)',
         setweeklyshortssearchtime: 'Set the weekly shorts search interval (authorized users only)',
         setweeklyshortssearchtimeOption: 'Search interval in minutes (5-1440)',
+        schedules: 'List the scheduled tracker jobs and when they run next',
         authorizeuser: 'Authorize a user to modify global settings (authorized users only)',
         authorizeuserOption: 'User to authorize',
         unauthorizeuser: 'Remove user authorization for global settings (authorized users only)',
-        unauthorizeuserOption: 'User to unauthorize'
+        unauthorizeuserOption: 'User to unauthorize',
+        seasonOption: 'Optional: official campaign season',
+        serverleaderboard: 'Show the leaderboard of this server\'s registered members',
+        serverleaderboardOption: 'Optional: map number or name (overall ranking if omitted)',
+        progress: 'Show a chart of your PB progress on a campaign map',
+        progressMapOption: 'Map number or name',
+        progressUserOption: 'Optional: member to show (defaults to you)',
+        rank: 'Show the world position of your PBs when set and now',
+        rankUserOption: 'Optional: member to show (defaults to you)',
+        stats: 'Show campaign statistics compared to the server average',
+        statsUserOption: 'Optional: member to show (defaults to you)',
+        compare: 'Compare two members map by map',
+        compareUser1Option: 'First member',
+        compareUser2Option: 'Second member',
+        compareTypeOption: 'Optional: which records to compare (defaults to campaign)',
+        compareTypeCampaign: 'Campaign',
+        compareTypeWeeklyShorts: 'Weekly Shorts',
+        compareTypeTOTD: 'Track of the Day',
+        compareSeasonOption: 'Optional: campaign, weekly shorts week or TOTD month (YYYY-MM)',
+        trackseason: 'Track a past official campaign (authorized users only)',
+        trackseasonOption: 'Official campaign season to track',
+        untrackseason: 'Stop tracking a past official campaign (authorized users only)',
+        untrackseasonOption: 'Official campaign season to stop tracking'
     },
 
     // Command responses
@@ -51,6 +110,15 @@ export default {
             success: '✅ You have been registered for Trackmania record tracking!',
             updated: '✅ Your Trackmania account has been updated!',
             failed: '❌ Registration failed: {error}',
+            invalidAccountId: '❌ "{input}" is not a valid account ID. Account IDs look like `xxxxxxxx-xxxx-xxxx-xxxx-xxxxxxxxxxxx`.',
+            accountNotFound: '❌ No Trackmania account found with the ID "{input}".',
+            displayNameNotFound: '❌ No Trackmania player found with the display name "{input}".',
+            lookupUnavailable: '❌ Display name lookup is not available on this bot. Register with your account ID from trackmania.io instead.',
+            cancelled: '✖️ Registration cancelled.',
+            pendingApproval: '📝 Your registration has been sent to the moderators for approval. Your records will be tracked once it is approved.',
+            approvalUnavailable: '❌ Registrations need moderator approval, but no approval channel is set up. Ask a moderator to run `/setregistrationapproval`.',
+            approvalFailed: '❌ Your registration could not be posted for review. Ask a moderator to check that the bot can send messages in the approval channel.',
+            timedOut: '⌛ Registration not confirmed in time. Run `/register` again to retry.',
             processing: '🔄 Registering your Trackmania account...'
         },
         unregister: {
@@ -61,6 +129,12 @@ export default {
         records: {
             notRegistered: 'You are not registered. Use `/register` to register your Trackmania account.',
             noRecords: "You don't have any records yet.",
+            noSeasonRecords: "You don't have any records in {season} yet.",
+            noMatchingRecords: 'No records match these filters.',
+            userNotRegistered: '❌ {user} is not registered in this server.',
+            seasonNotFound: '❌ No official campaign found for season "{season}".',
+            invalidDate: '❌ Invalid date "{date}". Use the YYYY-MM-DD format, e.g. 2024-07-01.',
+            notYourPages: '❌ Only the member who ran this command can change pages. Use `/records` to browse your own.',
             error: '❌ An error occurred while retrieving your records.',
             processing: '🔄 Fetching your recent records...'
         },
@@ -73,8 +147,49 @@ export default {
             fetchingMaps: '🔄 Fetching maps from current campaign...',
             errorFetchingMaps: '❌ Error fetching maps from API. Please try again later.',
             loadingSeason: '🔄 Loading campaign leaderboard...',
+            seasonNotFound: '❌ No official campaign found for season "{season}".',
             processing: '🔄 Fetching leaderboard data...'
         },
+        serverleaderboard: {
+            mapNotFound: 'No map found matching "{mapName}".',
+            noRecordsMap: 'No registered members have a time on {mapName} yet.',
+            noRecords: 'No registered members have times in {season} yet.',
+            seasonNotFound: '❌ No official campaign found for season "{season}".',
+            error: '❌ An error occurred while fetching the server leaderboard.'
+        },
+        progress: {
+            processing: '🔄 Drawing progress chart...',
+            notRegistered: 'You are not registered. Use `/register` to register your Trackmania account.',
+            userNotRegistered: '❌ {user} is not registered in this server.',
+            seasonNotFound: '❌ No official campaign found for season "{season}".',
+            mapNotFound: '❌ No map found matching "{mapName}".',
+            noHistory: 'No recorded times for {username} on {mapName} yet.',
+            error: '❌ An error occurred while drawing the progress chart.'
+        },
+        rank: {
+            processing: '🔄 Fetching positions...',
+            notRegistered: 'You are not registered. Use `/register` to register your Trackmania account.',
+            userNotRegistered: '❌ {user} is not registered in this server.',
+            seasonNotFound: '❌ No official campaign found for season "{season}".',
+            noRecords: 'No records found for {username} in {season}.',
+            error: '❌ An error occurred while fetching positions.'
+        },
+        stats: {
+            processing: '🔄 Calculating stats...',
+            notRegistered: 'You are not registered. Use `/register` to register your Trackmania account.',
+            userNotRegistered: '❌ {user} is not registered in this server.',
+            seasonNotFound: '❌ No official campaign found for season "{season}".',
+            error: '❌ An error occurred while calculating stats.'
+        },
+        compare: {
+            processing: '🔄 Comparing members...',
+            sameUser: '❌ Pick two different members to compare.',
+            userNotRegistered: '❌ {user} is not registered in this server.',
+            seasonNotFound: '❌ No stored season found for "{season}".',
+            invalidMonth: '❌ Invalid month "{month}". Use the YYYY-MM format, e.g. 2024-07.',
+            noRecords: 'Neither {user1} nor {user2} has a time in {period} yet.',
+            error: '❌ An error occurred while comparing members.'
+        },
         language: {
             changed: '✅ Language has been changed to English.',
             error: '❌ An error occurred while changing the language.',
@@ -110,11 +225,19 @@ export default {
         },
         weeklyshortsleaderboard: {
             error: '❌ An error occurred while fetching the weekly shorts leaderboard.',
-            noSeasonRecords: 'No {country} players found in the current weekly shorts.',
+            noSeasonRecords: 'No {country} players found in {week}.',
+            weekNotFound: '❌ No weekly shorts week found matching "{week}".',
             noRecordsMap: 'No weekly shorts map found matching "{mapName}".',
             noCountryRecords: 'No records found for {country} in {mapName}.',
             processing: '🔄 Fetching weekly shorts leaderboard...'
         },
+        weeklyshortsstats: {
+            processing: '🔄 Fetching weekly shorts stats...',
+            notRegistered: 'You are not registered. Use `/register` to register your Trackmania account.',
+            userNotRegistered: '❌ {user} is not registered in this server.',
+            noData: 'No weekly shorts season points tracked for {username} yet.',
+            error: '❌ An error occurred while fetching weekly shorts stats.'
+        },
         setminposition: {
             noPermission: '❌ You need administrator or moderator permissions to use this command.',
             changed: '✅ Records will now only be announced for world positions within the top {position}',
@@ -148,12 +271,90 @@ export default {
             disabledStatus: 'disabled',
             processing: '🔄 Updating TOTD announcement settings...'
         },
+        toggletotdpbannouncements: {
+            noPermission: '❌ You need administrator or moderator permissions to use this command.',
+            enabled: '✅ TOTD PBs within the top {position} will now be announced in the TOTD channel.',
+            disabled: '✅ TOTD PB announcements have been disabled for this server.',
+            error: '❌ Failed to update TOTD PB announcement settings.',
+            processing: '🔄 Updating TOTD PB announcement settings...'
+        },
+        togglecotdannouncements: {
+            noPermission: '❌ You need administrator or moderator permissions to use this command.',
+            success: '✅ COTD result summaries have been {status} for this server.',
+            error: '❌ Failed to update COTD announcement settings.',
+            alreadySet: 'COTD result summaries are already {status} for this server.',
+            enabledStatus: 'enabled',
+            disabledStatus: 'disabled',
+            processing: '🔄 Updating COTD announcement settings...'
+        },
+        setannouncementmode: {
+            noPermission: '❌ You need administrator or moderator permissions to use this command.',
+            success: '✅ Campaign records will now be announced as: **{mode}**',
+            error: '❌ Failed to update the announcement mode.',
+            processing: '🔄 Updating announcement mode...'
+        },
+        togglesnipeannouncements: {
+            noPermission: '❌ You need administrator or moderator permissions to use this command.',
+            success: '✅ Snipe announcements have been {status} for this server.',
+            successWithPings: '✅ Snipe announcements have been {status} for this server, with pings for sniped members.',
+            error: '❌ Failed to update snipe announcement settings.',
+            enabledStatus: 'enabled',
+            disabledStatus: 'disabled',
+            processing: '🔄 Updating snipe announcement settings...'
+        },
+        setweeklyshortsalerts: {
+            noPermission: '❌ You need administrator or moderator permissions to use this command.',
+            enabled: '✅ Members will now be alerted when they are pushed out of the top {thresholds} on a weekly short.',
+            disabled: '✅ Weekly shorts threshold alerts have been disabled for this server.',
+            invalidThresholds: '❌ Invalid thresholds "{thresholds}". Use up to 10 comma-separated positions between 1 and 100000, e.g. `100,1000`.',
+            error: '❌ Failed to update weekly shorts alert settings.',
+            processing: '🔄 Updating weekly shorts alert settings...'
+        },
+        setregistrationapproval: {
+            noPermission: '❌ You need administrator or moderator permissions to use this command.',
+            enabled: '✅ New registrations now need moderator approval and will be posted for review in {channel}.',
+            noChannel: '⚠️ New registrations now need moderator approval, but there is no channel to review them in. Set one with `/setregistrationapproval` or `/setchannel`.',
+            disabled: '✅ Registrations no longer need moderator approval in this server.',
+            notText: 'The selected channel must be a text channel.',
+            error: '❌ Failed to update registration approval settings.',
+            processing: '🔄 Updating registration approval settings...'
+        },
+        registrationReview: {
+            noPermission: '❌ You need administrator or moderator permissions to review registrations.',
+            notPending: 'This registration was already reviewed or replaced by a newer request.',
+            approvedDM: '✅ Your Trackmania registration in **{guild}** has been approved!',
+            rejectedDM: '⛔ Your Trackmania registration in **{guild}** has been rejected.',
+            error: '❌ An error occurred while reviewing the registration.'
+        },
         totdleaderboard: {
             processing: '🔄 Fetching TOTD leaderboard...',
             error: '❌ An error occurred while fetching the TOTD leaderboard.',
             noTOTD: '❌ No current TOTD found',
-            errorFetchingMap: '❌ Could not fetch map info for current TOTD',
-            noRecords: 'No {country} records found for the current TOTD.'
+            noTOTDForDate: '❌ No Track of the Day found for {date}.',
+            invalidDate: '❌ Invalid date "{date}". Use the YYYY-MM-DD format, e.g. 2024-07-01.',
+            noRecords: 'No {country} records found for {mapName}.'
+        },
+        totd: {
+            processing: '🔄 Fetching Track of the Day...',
+            error: '❌ An error occurred while fetching the Track of the Day.',
+            noTOTD: '❌ No current TOTD found',
+            noTOTDForDate: '❌ No Track of the Day found for {date}.',
+            invalidDate: '❌ Invalid date "{date}". Use the YYYY-MM-DD format, e.g. 2024-07-01.'
+        },
+        totdstats: {
+            processing: '🔄 Calculating TOTD stats...',
+            notRegistered: 'You are not registered. Use `/register` to register your Trackmania account.',
+            userNotRegistered: '❌ {user} is not registered in this server.',
+            noRecords: 'No Track of the Day times tracked for {username} yet.',
+            invalidMonth: '❌ Invalid month "{month}". Use the YYYY-MM format, e.g. 2024-07.',
+            error: '❌ An error occurred while calculating TOTD stats.'
+        },
+        cotd: {
+            processing: '🔄 Fetching Cup of the Day results...',
+            notRegistered: 'You are not registered. Use `/register` to register your Trackmania account.',
+            userNotRegistered: '❌ {user} is not registered in this server.',
+            noResults: 'No Cup of the Day results tracked for {username} yet.',
+            error: '❌ An error occurred while fetching Cup of the Day results.'
         },
         setcampaignsearchtime: {
             noPermission: '❌ You are not authorized to modify global settings.',
@@ -167,6 +368,10 @@ export default {
             error: '❌ Failed to set the weekly shorts search interval.',
             processing: '🔄 Setting weekly shorts search interval...'
         },
+        schedules: {
+            noSchedules: 'No jobs are scheduled yet.',
+            error: '❌ An error occurred while listing the scheduled jobs.'
+        },
         authorizeuser: {
             noPermission: '❌ You are not authorized to modify global settings.',
             success: '✅ {user} has been authorized to modify global settings.',
@@ -179,6 +384,19 @@ export default {
             error: '❌ Failed to remove user authorization.',
             processing: '🔄 Removing user authorization...'
         },
+        trackseason: {
+            noPermission: '❌ You are not authorized to modify global settings.',
+            success: '✅ {season} will now be tracked alongside the current campaign.',
+            notFound: '❌ No official campaign found for season "{season}".',
+            error: '❌ Failed to track the season.',
+            processing: '🔄 Adding season to tracked campaigns...'
+        },
+        untrackseason: {
+            noPermission: '❌ You are not authorized to modify global settings.',
+            success: '✅ {season} is no longer tracked.',
+            error: '❌ Failed to stop tracking the season.',
+            processing: '🔄 Removing season from tracked campaigns...'
+        },
         error: {
             unknown: 'An error occurred while processing this command.',
             unknownCommand: 'Unknown command.'
@@ -187,10 +405,55 @@ export default {
 
     // Embed titles and fields
     embeds: {
+        register: {
+            title: '🔗 Confirm Registration',
+            description: 'Is this your Trackmania account?',
+            replaceDescription: 'Replace your registered account **{current}** with this one?',
+            displayName: '👤 Display Name',
+            accountId: '🆔 Account ID',
+            confirm: '✅ Confirm',
+            cancel: '✖️ Cancel'
+        },
+        registrationReview: {
+            title: '📝 Registration Awaiting Approval',
+            description: '<@{discordId}> wants to register this Trackmania account:',
+            approve: '✅ Approve',
+            reject: '⛔ Reject',
+            approvedTitle: '✅ Registration Approved',
+            rejectedTitle: '⛔ Registration Rejected',
+            reviewedBy: 'Reviewed by'
+        },
+        schedules: {
+            title: '🗓️ Scheduled Jobs',
+            cron: '`{cron}` ({timeZone})',
+            interval: 'Every {minutes} minutes',
+            nextRun: 'Next run: {time}',
+            never: 'Never',
+            jobs: {
+                checkRecords: '🏁 Campaign records',
+                checkWeeklyShorts: '🔸 Weekly shorts',
+                checkTOTD: '📅 Track of the Day switch',
+                updateTOTDRecords: '📅 TOTD records',
+                checkCOTD: '🏆 Cup of the Day results',
+                updateDisplayNames: '👤 Display names',
+                cleanupLogs: '🧹 Log cleanup'
+            }
+        },
         records: {
-            title: '🏆 Recent Records: {username}',
-            description: 'Your {count} most recent records:',
+            title: '🏆 Records: {username}',
+            sortedBy: 'Sorted by {sort}',
+            sortNewest: 'newest first',
+            sortPosition: 'best world position first',
+            sortImprovement: 'biggest improvement first',
+            seasonFilter: '📅 {season}',
+            mapFilter: '🗺️ {map}',
+            sinceFilter: '🕒 Since {date}',
             time: '⏱️ Time',
+            position: '🌍 #{position}',
+            page: 'Page {page}/{totalPages} · {count} record(s)',
+            previous: '◀ Previous',
+            next: 'Next ▶',
+            downloadGhost: '👻 {index}. {mapName}',
         },
         countryLeaderboard: {
             title: '🏆 {country} Leaderboard: {mapName}',
@@ -213,14 +476,15 @@ export default {
         help: {
             title: '❓ Trackmania Campaign Records Bot - Help',
             description: 'Here are the available slash commands:',
-            register: '🔑 /register [account-id]',
-            registerDesc: 'Register your Trackmania account for record tracking',
+            adminTitle: '🛠️ Server Management & Global Settings',
+            register: '🔑 /register <display name or account ID>',
+            registerDesc: 'Register your Trackmania account for record tracking, after confirming the account found is yours',
             unregister: '🚫 /unregister',
             unregisterDesc: 'Unregister from the record tracking system',
-            records: '🏁 /records',
-            recordsDesc: 'View your recent records',
-            leaderboard: '🏆 /leaderboard [map]',
-            leaderboardDesc: 'View the country leaderboard (shows current campaign or specific map)',
+            records: '🏁 /records [season] [user] [map] [since] [sort]',
+            recordsDesc: 'Browse campaign records page by page, filtered by season, member, map or date and sorted by date, world position or improvement',
+            leaderboard: '🏆 /leaderboard [map] [season]',
+            leaderboardDesc: 'View the country leaderboard (shows current or past campaign, or specific map)',
             help: '❓ /help',
             helpDesc: 'Show this help message',
             language: '🌐 /language',
@@ -229,8 +493,20 @@ export default {
             setcountryDesc: 'Set the default country for leaderboard (admin/mod only)',
             setchannel: '📣 /setchannel',
             setchannelDesc: 'Set the channel for record announcements (admin/mod only)',
+            serverleaderboard: '🏠 /serverleaderboard [map] [season]',
+            serverleaderboardDesc: 'View the ranking of this server\'s registered members, overall or on a single map',
+            progress: '📈 /progress <map> [user] [season]',
+            progressDesc: 'Show a chart of a member\'s PB progress on a campaign map',
+            rank: '🌍 /rank [user] [season]',
+            rankDesc: 'Show each campaign PB\'s position when it was set and how it has drifted',
+            stats: '📊 /stats [user] [season]',
+            statsDesc: 'Show a member\'s campaign statistics compared to the server average',
+            compare: '⚔️ /compare <user1> <user2> [type] [season]',
+            compareDesc: 'Line up two members\' times map by map on a campaign, a weekly shorts week or a month of TOTDs, with map wins and the gap in summed time',
             weeklyshortsleaderboard: '🏆 /weeklyshortsleaderboard',
-            weeklyshortsleaderboardDesc: 'Show weekly shorts leaderboard (overall or by map)',
+            weeklyshortsleaderboardDesc: 'Show weekly shorts leaderboard (overall or by map), optionally for a past week',
+            weeklyshortsstats: '🔸 /weeklyshortsstats [user]',
+            weeklyshortsstatsDesc: 'Show a member\'s weekly shorts season points over time and their rank in the server',
             setweeklyshortschannel: '📢 /setweeklyshortschannel',
             setweeklyshortschannelDesc: 'Set the channel for weekly shorts announcements (admin/mod only)',
             setminposition: '🎯 /setminposition',
@@ -242,17 +518,41 @@ export default {
             settotdchannel: '📺 /settotdchannel',
             settotdchannelDesc: 'Set the channel for TOTD leaderboard announcements (admin/mod only)',
             toggletotdannouncements: '🏁 /toggletotdannouncements',
-            toggletotdannouncementsDesc: 'Enable or disable TOTD leaderboard announcements (admin/mod only)',
-            totdleaderboard: '🏆 /totdleaderboard',
-            totdleaderboardDesc: 'Show TOTD leaderboard for your country',
+            toggletotdannouncementsDesc: 'Enable or disable the new TOTD reveal and the TOTD leaderboard announcements (admin/mod only)',
+            toggletotdpbannouncements: '📅 /toggletotdpbannouncements <enabled> [position]',
+            toggletotdpbannouncementsDesc: 'Announce members\' Track of the Day PBs within a world position in the TOTD channel (admin/mod only)',
+            togglecotdannouncements: '🏆 /togglecotdannouncements <enabled>',
+            togglecotdannouncementsDesc: 'Post a summary of members\' Cup of the Day divisions and ranks in the TOTD channel after each evening cup (admin/mod only)',
+            togglesnipeannouncements: '🎯 /togglesnipeannouncements',
+            togglesnipeannouncementsDesc: 'Enable or disable announcements when a member beats another member\'s PB, optionally pinging them (admin/mod only)',
+            setweeklyshortsalerts: '⚠️ /setweeklyshortsalerts <enabled> [thresholds]',
+            setweeklyshortsalertsDesc: 'Ping members when they are pushed out of a weekly shorts position threshold, e.g. top 100 or top 1000 (admin/mod only)',
+            setregistrationapproval: '📝 /setregistrationapproval <enabled> [channel]',
+            setregistrationapprovalDesc: 'Hold new registrations until a moderator approves them with the buttons posted in the review channel (admin/mod only)',
+            setannouncementmode: '📰 /setannouncementmode <mode>',
+            setannouncementmodeDesc: 'Announce campaign records instantly or as an hourly or daily digest (admin/mod only)',
+            totd: '📅 /totd [date]',
+            totdDesc: 'Show the current Track of the Day, or the one of a past date, with its author and medal times',
+            totdleaderboard: '🏆 /totdleaderboard [country] [date]',
+            totdleaderboardDesc: 'Show the TOTD leaderboard for your country or the world, optionally for a past date',
+            totdstats: '📊 /totdstats [user] [month]',
+            totdstatsDesc: 'Show how many TOTDs a member finished, their current and longest daily streak, best and average end-of-day position, and the server\'s most active TOTD players of a month',
+            cotd: '🏆 /cotd [user]',
+            cotdDesc: 'Show a member\'s recent Cup of the Day divisions, ranks and qualifier positions',
             setcampaignsearchtime: '⏰ /setcampaignsearchtime',
             setcampaignsearchtimeDesc: 'Set the campaign search interval (authorized users only)',
             setweeklyshortssearchtime: '⏰ /setweeklyshortssearchtime',
             setweeklyshortssearchtimeDesc: 'Set the weekly shorts search interval (authorized users only)',
+            schedules: '🗓️ /schedules',
+            schedulesDesc: 'List the scheduled tracker jobs with their cron expression or interval and their next run time',
             authorizeuser: '🔑 /authorizeuser',
             authorizeuserDesc: 'Authorize a user to modify global settings (authorized users only)',
             unauthorizeuser: '🔒 /unauthorizeuser',
             unauthorizeuserDesc: 'Remove user authorization for global settings (authorized users only)',
+            trackseason: '📅 /trackseason',
+            trackseasonDesc: 'Track records on a past official campaign (authorized users only)',
+            untrackseason: '🗓️ /untrackseason',
+            untrackseasonDesc: 'Stop tracking a past official campaign (authorized users only)',
         },
         newRecord: {
             title: '{emoji} New PB!',
@@ -266,7 +566,135 @@ export default {
             places: 'places',
             samePosition: 'Same position',
             improved: '↑ {count} places',
-            worsened: '↓ {count} places'
+            worsened: '↓ {count} places',
+            medal: '🏅 Medal',
+            downloadGhost: '👻 Download ghost',
+            medalTitle: '{emoji} New {medal} medal!',
+            medalDescription: '**{username}** (<@{discordId}>) just earned their first {medal} medal on **{mapName}**!'
+        },
+        serverLeaderboard: {
+            title: '🏠 Server Leaderboard: {season}',
+            mapTitle: '🏠 Server Leaderboard: {mapName}',
+            description: 'Ranked by total time across the campaign:',
+            mapDescription: '{count} registered member(s) have a time on this map',
+            time: 'Time',
+            worldPosition: 'World Position',
+            maps: '{finished}/{total} maps',
+            more: '...and {count} more'
+        },
+        progress: {
+            title: '📈 Progress on {mapName}',
+            description: '**{username}** (<@{discordId}>)',
+            firstTime: 'First Time',
+            bestTime: 'Best Time',
+            improvements: 'Improvements'
+        },
+        rank: {
+            title: '🌍 Rankings: {season}',
+            description: '**{username}** (<@{discordId}>) · position when set → now',
+            maps: 'Maps',
+            averageDrift: 'Average World Drift',
+            unchanged: '=',
+            climbed: '↑ {count}',
+            dropped: '↓ {count}'
+        },
+        stats: {
+            title: '📊 Stats: {season}',
+            description: '**{username}** (<@{discordId}>)',
+            mapsFinished: '🗺️ Maps Finished',
+            improvements: '📈 Improvements',
+            averagePosition: '🌍 Average World Position',
+            medals: '🏅 Medals',
+            totalTime: '⏱️ Campaign Total Time',
+            totalTimeValue: '{time} ({count} maps)',
+            unfinished: '📋 Unfinished Maps ({count})',
+            allFinished: 'All maps finished! 🎉',
+            more: '...and {count} more',
+            serverAverage: 'Server average: {value}'
+        },
+        compare: {
+            title: '⚔️ {user1} vs {user2}',
+            description: 'Head to head in **{period}**',
+            noTime: '—',
+            tie: '🤝 Tie',
+            wins: '🏆 Map Wins',
+            winsValue: '{user1} **{wins1}** – **{wins2}** {user2}\n{ties} tie(s) · {shared} shared map(s)',
+            totalTime: '⏱️ Summed Time',
+            gap: '📏 Gap',
+            ahead: '**{username}** ahead by {gap}',
+            even: 'Dead even',
+            noSharedMaps: 'No map finished by both members yet'
+        },
+        digest: {
+            hourlyTitle: '📰 Hourly PB Digest',
+            dailyTitle: '📰 Daily PB Digest',
+            description: '{count} new PB(s) since <t:{since}:R>',
+            descriptionNoSince: '{count} new PB(s)',
+            page: 'Page {page}/{pages}'
+        },
+        snipe: {
+            title: '🎯 Sniped!',
+            description: '**{username}** (<@{discordId}>) beat {count} member(s) on **{mapName}** with **{time}**',
+            sniped: 'Sniped',
+            entry: '**{username}** ({time}) by **{gap}**'
+        },
+        weeklyShortsSummary: {
+            title: '🏁 Weekly Shorts Final Standings: {week}',
+            titleNoWeek: '🏁 Weekly Shorts Final Standings',
+            description: 'Final positions of registered members for the week that just ended.',
+            weekRanking: '🏆 Week Ranking',
+            points: '{sp} SP',
+            climbers: '📈 Biggest Climbers',
+            noClimbers: 'No members climbed this week.',
+            outside: 'Outside top {max}'
+        },
+        weeklyShortsStats: {
+            title: '🔸 Weekly Shorts Stats: {week}',
+            description: '**{username}** (<@{discordId}>)',
+            points: '{sp} SP',
+            gained: '(+{count} this week)',
+            seasonPoints: '🔸 Season Points',
+            seasonPosition: '🌍 Season Position',
+            serverRank: '🏠 Server Rank',
+            serverRankValue: '#{rank} of {total}',
+            history: '📈 SP Over Time'
+        },
+        weeklyShortsAlert: {
+            title: '⚠️ Out of the top {threshold}!',
+            description: '**{username}** (<@{discordId}>) was pushed out of the top {threshold} on **{mapName}**.',
+            weekEnds: '⏳ Week Ends'
+        },
+        totd: {
+            title: '📅 Track of the Day: {date}',
+            author: '👤 Author',
+            authorProfile: 'Profile',
+            released: '🗓️ Released',
+            ends: '⏳ Ends',
+            revealTitle: '🆕 New Track of the Day!',
+            medals: '🏅 Medals'
+        },
+        totdStats: {
+            title: '📅 TOTD Stats',
+            description: '**{username}** (<@{discordId}>)',
+            finished: '🏁 TOTDs Finished',
+            currentStreak: '🔥 Current Streak',
+            longestStreak: '🏆 Longest Streak',
+            days: '{count} day(s)',
+            bestPosition: '🥇 Best Position',
+            averagePosition: '🌍 Average Position',
+            monthlyRanking: '🏠 Most Active in {month}',
+            rankingEntry: '{rank}. **{username}** · {count} TOTD(s)'
+        },
+        cotd: {
+            title: '🏆 Cup of the Day Results',
+            description: '**{username}** (<@{discordId}>)',
+            summaryTitle: '🏆 {name}',
+            summaryDescription: '{count} member(s) played out of {players} players.',
+            division: 'Division {division}',
+            qualifier: 'Qualifier #{rank}',
+            played: '🎮 Cups Played',
+            bestResult: '🥇 Best Result',
+            averageDivision: '📊 Average Division'
         },
         totdLeaderboard: {
             title: '🏁 {country} TOTD Leaderboard: {mapName}',
@@ -280,6 +708,13 @@ export default {
     },
 
     values: {
-        none: 'None'
+        none: 'None',
+        unknown: 'Unknown',
+        medals: {
+            author: 'Author',
+            gold: 'Gold',
+            silver: 'Silver',
+            bronze: 'Bronze'
+        }
     }
 };
\ No newline at end of file
@@ -5,9 +5,16 @@ export default {
     // Command descriptions
     commands: {
         register: 'Registra tu cuenta de Trackmania para el seguimiento de récords',
-        registerOption: 'Tu ID de cuenta de Trackmania (se obtiene de trackmania.io)',
+        registerOption: 'Tu nombre de Trackmania, o tu ID de cuenta de trackmania.io',
         unregister: 'Cancela el registro del sistema de seguimiento de récords',
-        records: 'Ver tus récords recientes',
+        records: 'Explorar tus récords de campaña',
+        recordsUserOption: 'Opcional: miembro a mostrar (por defecto tú)',
+        recordsMapOption: 'Opcional: número, nombre o UID del mapa',
+        recordsSinceOption: 'Opcional: solo récords desde esta fecha (AAAA-MM-DD, UTC)',
+        recordsSortOption: 'Opcional: cómo ordenar los récords',
+        recordsSortNewest: 'Más recientes',
+        recordsSortPosition: 'Mejor posición mundial',
+        recordsSortImprovement: 'Mayor mejora',
         leaderboard: 'Ver la tabla de clasificación',
         leaderboardOption: 'Opcional: filtrar por nombre de mapa',
         help: 'Muestra los comandos disponibles y cómo usarlos',
@@ -25,24 +32,76 @@ export default {
         weeklyshortsleaderboard: 'Mostrar la tabla de clasificación de weekly shorts',
         weeklyshortsleaderboardOption: 'Opcional: filtrar por nombre de mapa',
         weeklyshortsleaderboardCountryOption: 'Seleccionar un país',
+        weeklyshortsleaderboardWeekOption: 'Opcional: semana pasada de weekly shorts',
+        weeklyshortsstats: 'Mostrar la evolución de los puntos de temporada de weekly shorts y la posición en el servidor',
+        weeklyshortsstatsUserOption: 'Opcional: miembro a mostrar (por defecto tú)',
         setminposition: 'Establecer la posición mundial mínima para anunciar récords',
         setminpositionOption: 'Posición mundial mínima (ej. 5000)',
         togglecampaignannouncements: 'Activar o desactivar anuncios de récords de campaña',
         togglecampaignannouncementsOption: 'Activar o desactivar anuncios de campaña',
         toggleweeklyshortsannouncements: 'Activar o desactivar anuncios de weekly shorts',
         toggleweeklyshortsannouncementsOption: 'Activar o desactivar anuncios de weekly shorts',
-        toggletotdannouncements: 'Activar o desactivar anuncios de clasificación de TOTD',
+        toggletotdannouncements: 'Activar o desactivar la presentación del nuevo TOTD y los anuncios de clasificación de TOTD',
         toggletotdannouncementsOption: 'Activar o desactivar anuncios de TOTD',
+        toggletotdpbannouncements: 'Activar o desactivar anuncios de récords personales en TOTD',
+        toggletotdpbannouncementsOption: 'Activar o desactivar anuncios de PB en TOTD',
+        toggletotdpbannouncementsPositionOption: 'Opcional: posición mundial más baja a anunciar (por defecto: 5000)',
+        togglecotdannouncements: 'Activar/desactivar los resúmenes de resultados de la Cup of the Day',
+        togglecotdannouncementsOption: 'Activar o desactivar los resúmenes de resultados de COTD',
+        togglesnipeannouncements: 'Activar o desactivar anuncios cuando un miembro supera el PB de otro',
+        togglesnipeannouncementsOption: 'Activar o desactivar anuncios de snipes',
+        togglesnipeannouncementsPingsOption: 'Mencionar a los miembros superados (por defecto: no)',
+        setweeklyshortsalerts: 'Avisar a los miembros cuando salen de un umbral de posición en weekly shorts',
+        setweeklyshortsalertsOption: 'Activar o desactivar los avisos de umbral de weekly shorts',
+        setweeklyshortsalertsThresholdsOption: 'Opcional: posiciones separadas por comas (por defecto: 100,1000)',
+        setregistrationapproval: 'Exigir la aprobación de un moderador para los nuevos registros',
+        setregistrationapprovalOption: 'Activar o desactivar la aprobación de registros',
+        setregistrationapprovalChannelOption: 'Opcional: canal donde revisar los registros (por defecto, el canal de récords)',
+        setannouncementmode: 'Establecer cómo se anuncian los récords de campaña',
+        setannouncementmodeOption: 'Publicar cada récord al instante o agruparlos en un resumen',
+        announcementModeInstant: 'Instantáneo',
+        announcementModeHourly: 'Resumen cada hora',
+        announcementModeDaily: 'Resumen diario',
         totdleaderboard: 'Mostrar clasificación de TOTD',
         totdleaderboardCountryOption: 'Seleccionar un país',
+        totdDateOption: 'Opcional: fecha del TOTD en formato AAAA-MM-DD (UTC)',
+        totd: 'Mostrar el mapa del Track of the Day y sus tiempos de medalla',
+        totdstats: 'Mostrar la participación, rachas y posiciones en TOTD',
+        totdstatsUserOption: 'Opcional: miembro a mostrar (por defecto tú)',
+        totdstatsMonthOption: 'Opcional: mes de la clasificación del servidor en formato AAAA-MM (UTC)',
+        cotd: 'Mostrar los resultados recientes de la Cup of the Day',
+        cotdUserOption: 'Opcional: miembro a mostrar (por defecto tú)',
         setcampaignsearchtime: 'Establecer el intervalo de búsqueda de campaña (solo usuarios autorizados)',
         setcampaignsearchtimeOption: 'Intervalo de búsqueda en minutos (5-1440)',
         setweeklyshortssearchtime: 'Establecer el intervalo de búsqueda de weekly shorts (solo usuarios autorizados)',
         setweeklyshortssearchtimeOption: 'Intervalo de búsqueda en minutos (5-1440)',
+        schedules: 'Listar las tareas programadas del tracker y cuándo se ejecutan',
         authorizeuser: 'Autorizar a un usuario para modificar configuraciones globales (solo usuarios autorizados)',
         authorizeuserOption: 'Usuario a autorizar',
         unauthorizeuser: 'Quitar autorización de usuario para configuraciones globales (solo usuarios autorizados)',
-        unauthorizeuserOption: 'Usuario a desautorizar'
+        unauthorizeuserOption: 'Usuario a desautorizar',
+        seasonOption: 'Opcional: temporada de campaña oficial',
+        serverleaderboard: 'Mostrar la clasificación de los miembros registrados del servidor',
+        serverleaderboardOption: 'Opcional: número o nombre del mapa (clasificación general si se omite)',
+        progress: 'Mostrar un gráfico de la progresión de tu PB en un mapa de campaña',
+        progressMapOption: 'Número o nombre del mapa',
+        progressUserOption: 'Opcional: miembro a mostrar (por defecto, tú)',
+        rank: 'Mostrar la posición mundial de tus PBs al conseguirlos y ahora',
+        rankUserOption: 'Opcional: miembro a mostrar (por defecto, tú)',
+        stats: 'Mostrar estadísticas de campaña comparadas con la media del servidor',
+        statsUserOption: 'Opcional: miembro a mostrar (por defecto, tú)',
+        compare: 'Comparar a dos miembros mapa por mapa',
+        compareUser1Option: 'Primer miembro',
+        compareUser2Option: 'Segundo miembro',
+        compareTypeOption: 'Opcional: qué récords comparar (por defecto, campaña)',
+        compareTypeCampaign: 'Campaña',
+        compareTypeWeeklyShorts: 'Weekly Shorts',
+        compareTypeTOTD: 'Track of the Day',
+        compareSeasonOption: 'Opcional: campaña, semana de weekly shorts o mes de TOTD (AAAA-MM)',
+        trackseason: 'Seguir una campaña oficial pasada (solo usuarios autorizados)',
+        trackseasonOption: 'Temporada de campaña oficial a seguir',
+        untrackseason: 'Dejar de seguir una campaña oficial pasada (solo usuarios autorizados)',
+        untrackseasonOption: 'Temporada de campaña oficial a dejar de seguir'
     },
 
     // Command responses
@@ -51,6 +110,15 @@ export default {
             success: '✅ ¡Has sido registrado/a para el seguimiento de récords de Trackmania!',
             updated: '✅ ¡Tu cuenta de Trackmania ha sido actualizada!',
             failed: '❌ Registro fallido: {error}',
+            invalidAccountId: '❌ "{input}" no es un ID de cuenta válido. Los IDs de cuenta tienen la forma `xxxxxxxx-xxxx-xxxx-xxxx-xxxxxxxxxxxx`.',
+            accountNotFound: '❌ No se encontró ninguna cuenta de Trackmania con el ID "{input}".',
+            displayNameNotFound: '❌ No se encontró ningún jugador de Trackmania con el nombre "{input}".',
+            lookupUnavailable: '❌ La búsqueda por nombre no está disponible en este bot. Regístrate con tu ID de cuenta de trackmania.io.',
+            cancelled: '✖️ Registro cancelado.',
+            pendingApproval: '📝 Tu registro se ha enviado a los moderadores para su aprobación. Tus récords se seguirán en cuanto sea aprobado.',
+            approvalUnavailable: '❌ Los registros necesitan la aprobación de un moderador, pero no hay ningún canal de aprobación configurado. Pide a un moderador que use `/setregistrationapproval`.',
+            approvalFailed: '❌ No se pudo publicar tu registro para su revisión. Pide a un moderador que compruebe que el bot puede enviar mensajes en el canal de aprobación.',
+            timedOut: '⌛ El registro no se confirmó a tiempo. Usa `/register` de nuevo para reintentarlo.',
             processing: '🔄 Registrando tu cuenta de Trackmania...'
         },
         unregister: {
@@ -61,6 +129,12 @@ export default {
         records: {
             notRegistered: 'No estás registrado/a. Usa `/register` para registrar tu cuenta de Trackmania.',
             noRecords: "Aún no tienes récords.",
+            noSeasonRecords: 'Aún no tienes récords en {season}.',
+            noMatchingRecords: 'Ningún récord coincide con estos filtros.',
+            userNotRegistered: '❌ {user} no está registrado/a en este servidor.',
+            seasonNotFound: '❌ No se encontró ninguna campaña oficial para la temporada "{season}".',
+            invalidDate: '❌ Fecha "{date}" no válida. Usa el formato AAAA-MM-DD, por ejemplo 2024-07-01.',
+            notYourPages: '❌ Solo el miembro que usó este comando puede cambiar de página. Usa `/records` para explorar los tuyos.',
             error: '❌ Ocurrió un error al obtener tus récords.',
             processing: '🔄 Obteniendo tus récords recientes...'
         },
@@ -73,8 +147,49 @@ export default {
             fetchingMaps: '🔄 Obteniendo mapas de la campaña actual...',
             errorFetchingMaps: '❌ Error al obtener mapas de la API. Por favor, inténtalo de nuevo más tarde.',
             loadingSeason: '🔄 Cargando ranking de la campaña actual...',
+            seasonNotFound: '❌ No se encontró ninguna campaña oficial para la temporada "{season}".',
             processing: '🔄 Obteniendo datos de la clasificación...'
         },
+        serverleaderboard: {
+            mapNotFound: 'No se encontró ningún mapa que coincida con "{mapName}".',
+            noRecordsMap: 'Ningún miembro registrado tiene tiempo en {mapName} todavía.',
+            noRecords: 'Ningún miembro registrado tiene tiempos en {season} todavía.',
+            seasonNotFound: '❌ No se encontró ninguna campaña oficial para la temporada "{season}".',
+            error: '❌ Ocurrió un error al obtener la clasificación del servidor.'
+        },
+        progress: {
+            processing: '🔄 Dibujando gráfico de progresión...',
+            notRegistered: 'No estás registrado/a. Usa `/register` para registrar tu cuenta de Trackmania.',
+            userNotRegistered: '❌ {user} no está registrado/a en este servidor.',
+            seasonNotFound: '❌ No se encontró ninguna campaña oficial para la temporada "{season}".',
+            mapNotFound: '❌ No se encontró ningún mapa que coincida con "{mapName}".',
+            noHistory: 'No hay tiempos registrados de {username} en {mapName} todavía.',
+            error: '❌ Ocurrió un error al dibujar el gráfico de progresión.'
+        },
+        rank: {
+            processing: '🔄 Obteniendo posiciones...',
+            notRegistered: 'No estás registrado/a. Usa `/register` para registrar tu cuenta de Trackmania.',
+            userNotRegistered: '❌ {user} no está registrado/a en este servidor.',
+            seasonNotFound: '❌ No se encontró ninguna campaña oficial para la temporada "{season}".',
+            noRecords: 'No se encontraron récords de {username} en {season}.',
+            error: '❌ Ocurrió un error al obtener las posiciones.'
+        },
+        stats: {
+            processing: '🔄 Calculando estadísticas...',
+            notRegistered: 'No estás registrado/a. Usa `/register` para registrar tu cuenta de Trackmania.',
+            userNotRegistered: '❌ {user} no está registrado/a en este servidor.',
+            seasonNotFound: '❌ No se encontró ninguna campaña oficial para la temporada "{season}".',
+            error: '❌ Ocurrió un error al calcular las estadísticas.'
+        },
+        compare: {
+            processing: '🔄 Comparando miembros...',
+            sameUser: '❌ Elige a dos miembros distintos para comparar.',
+            userNotRegistered: '❌ {user} no está registrado/a en este servidor.',
+            seasonNotFound: '❌ No se encontró ninguna temporada guardada para "{season}".',
+            invalidMonth: '❌ Mes "{month}" no válido. Usa el formato AAAA-MM, por ejemplo 2024-07.',
+            noRecords: 'Ni {user1} ni {user2} tienen tiempos en {period} todavía.',
+            error: '❌ Ocurrió un error al comparar a los miembros.'
+        },
         language: {
             changed: '✅ El idioma ha sido cambiado a Español.',
             error: '❌ Ocurrió un error al cambiar el idioma.',
@@ -110,11 +225,19 @@ export default {
         },
         weeklyshortsleaderboard: {
             error: '❌ Ocurrió un error al obtener la tabla de clasificación de weekly shorts.',
-            noSeasonRecords: 'No se encontraron jugadores de {country} en los weekly shorts actuales.',
+            noSeasonRecords: 'No se encontraron jugadores de {country} en {week}.',
+            weekNotFound: '❌ No se encontró ninguna semana de weekly shorts que coincida con "{week}".',
             noRecordsMap: 'No se encontró ningún mapa de weekly shorts que coincida con "{mapName}".',
             noCountryRecords: 'No se encontraron récords de {country} en {mapName}.',
             processing: '🔄 Obteniendo la clasificación de weekly shorts...'
         },
+        weeklyshortsstats: {
+            processing: '🔄 Obteniendo estadísticas de weekly shorts...',
+            notRegistered: 'No estás registrado/a. Usa `/register` para registrar tu cuenta de Trackmania.',
+            userNotRegistered: '❌ {user} no está registrado/a en este servidor.',
+            noData: 'Todavía no hay puntos de temporada de weekly shorts registrados para {username}.',
+            error: '❌ Ocurrió un error al obtener las estadísticas de weekly shorts.'
+        },
         setminposition: {
             noPermission: '❌ Necesitas permisos de administrador o moderador para usar este comando.',
             changed: '✅ Los récords ahora solo se anunciarán para posiciones mundiales dentro del top {position}',
@@ -148,12 +271,90 @@ export default {
             disabledStatus: 'desactivados',
             processing: '🔄 Actualizando la configuración de anuncios de TOTD...'
         },
+        toggletotdpbannouncements: {
+            noPermission: '❌ Necesitas permisos de administrador o moderador para usar este comando.',
+            enabled: '✅ Los PB de TOTD dentro del top {position} ahora se anunciarán en el canal de TOTD.',
+            disabled: '✅ Los anuncios de PB de TOTD han sido desactivados para este servidor.',
+            error: '❌ No se pudo actualizar la configuración de anuncios de PB de TOTD.',
+            processing: '🔄 Actualizando la configuración de anuncios de PB de TOTD...'
+        },
+        togglecotdannouncements: {
+            noPermission: '❌ Necesitas permisos de administrador o moderador para usar este comando.',
+            success: '✅ Los resúmenes de resultados de COTD han sido {status} para este servidor.',
+            error: '❌ No se pudo actualizar la configuración de anuncios de COTD.',
+            alreadySet: 'Los resúmenes de resultados de COTD ya están {status} para este servidor.',
+            enabledStatus: 'activados',
+            disabledStatus: 'desactivados',
+            processing: '🔄 Actualizando la configuración de anuncios de COTD...'
+        },
+        setannouncementmode: {
+            noPermission: '❌ Necesitas permisos de administrador o moderador para usar este comando.',
+            success: '✅ Los récords de campaña ahora se anunciarán como: **{mode}**',
+            error: '❌ No se pudo actualizar el modo de anuncios.',
+            processing: '🔄 Actualizando el modo de anuncios...'
+        },
+        togglesnipeannouncements: {
+            noPermission: '❌ Necesitas permisos de administrador o moderador para usar este comando.',
+            success: '✅ Los anuncios de snipes han sido {status} para este servidor.',
+            successWithPings: '✅ Los anuncios de snipes han sido {status} para este servidor, con menciones a los miembros superados.',
+            error: '❌ No se pudo actualizar la configuración de anuncios de snipes.',
+            enabledStatus: 'activados',
+            disabledStatus: 'desactivados',
+            processing: '🔄 Actualizando la configuración de anuncios de snipes...'
+        },
+        setweeklyshortsalerts: {
+            noPermission: '❌ Necesitas permisos de administrador o moderador para usar este comando.',
+            enabled: '✅ Ahora se avisará a los miembros cuando salgan del top {thresholds} en un weekly short.',
+            disabled: '✅ Los avisos de umbral de weekly shorts han sido desactivados para este servidor.',
+            invalidThresholds: '❌ Umbrales no válidos "{thresholds}". Usa hasta 10 posiciones separadas por comas entre 1 y 100000, ej. `100,1000`.',
+            error: '❌ No se pudo actualizar la configuración de avisos de weekly shorts.',
+            processing: '🔄 Actualizando la configuración de avisos de weekly shorts...'
+        },
+        setregistrationapproval: {
+            noPermission: '❌ Necesitas permisos de administrador o moderador para usar este comando.',
+            enabled: '✅ Los nuevos registros ahora necesitan la aprobación de un moderador y se publicarán para revisión en {channel}.',
+            noChannel: '⚠️ Los nuevos registros ahora necesitan la aprobación de un moderador, pero no hay ningún canal donde revisarlos. Configura uno con `/setregistrationapproval` o `/setchannel`.',
+            disabled: '✅ Los registros ya no necesitan la aprobación de un moderador en este servidor.',
+            notText: 'El canal seleccionado debe ser un canal de texto.',
+            error: '❌ No se pudo actualizar la configuración de aprobación de registros.',
+            processing: '🔄 Actualizando la configuración de aprobación de registros...'
+        },
+        registrationReview: {
+            noPermission: '❌ Necesitas permisos de administrador o moderador para revisar registros.',
+            notPending: 'Este registro ya fue revisado o fue reemplazado por una solicitud más reciente.',
+            approvedDM: '✅ ¡Tu registro de Trackmania en **{guild}** ha sido aprobado!',
+            rejectedDM: '⛔ Tu registro de Trackmania en **{guild}** ha sido rechazado.',
+            error: '❌ Ocurrió un error al revisar el registro.'
+        },
         totdleaderboard: {
             processing: '🔄 Obteniendo clasificación de TOTD...',
             error: '❌ Ocurrió un error al obtener la clasificación de TOTD.',
             noTOTD: '❌ No se encontró TOTD actual',
-            errorFetchingMap: '❌ No se pudo obtener información del mapa del TOTD actual',
-            noRecords: 'No se encontraron récords de {country} para el TOTD actual.'
+            noTOTDForDate: '❌ No se encontró ningún Track of the Day para el {date}.',
+            invalidDate: '❌ Fecha no válida "{date}". Usa el formato AAAA-MM-DD, ej. 2024-07-01.',
+            noRecords: 'No se encontraron récords de {country} en {mapName}.'
+        },
+        totd: {
+            processing: '🔄 Obteniendo el Track of the Day...',
+            error: '❌ Ocurrió un error al obtener el Track of the Day.',
+            noTOTD: '❌ No se encontró TOTD actual',
+            noTOTDForDate: '❌ No se encontró ningún Track of the Day para el {date}.',
+            invalidDate: '❌ Fecha no válida "{date}". Usa el formato AAAA-MM-DD, ej. 2024-07-01.'
+        },
+        totdstats: {
+            processing: '🔄 Calculando estadísticas de TOTD...',
+            notRegistered: 'No estás registrado/a. Usa `/register` para registrar tu cuenta de Trackmania.',
+            userNotRegistered: '❌ {user} no está registrado/a en este servidor.',
+            noRecords: 'Todavía no hay tiempos de Track of the Day registrados para {username}.',
+            invalidMonth: '❌ Mes no válido "{month}". Usa el formato AAAA-MM, ej. 2024-07.',
+            error: '❌ Ocurrió un error al calcular las estadísticas de TOTD.'
+        },
+        cotd: {
+            processing: '🔄 Obteniendo resultados de la Cup of the Day...',
+            notRegistered: 'No estás registrado/a. Usa `/register` para registrar tu cuenta de Trackmania.',
+            userNotRegistered: '❌ {user} no está registrado/a en este servidor.',
+            noResults: 'Todavía no hay resultados de la Cup of the Day registrados para {username}.',
+            error: '❌ Ocurrió un error al obtener los resultados de la Cup of the Day.'
         },
         setcampaignsearchtime: {
             noPermission: '❌ No estás autorizado para modificar configuraciones globales.',
@@ -167,6 +368,10 @@ export default {
             error: '❌ No se pudo establecer el intervalo de búsqueda de weekly shorts.',
             processing: '🔄 Estableciendo intervalo de búsqueda de weekly shorts...'
         },
+        schedules: {
+            noSchedules: 'Todavía no hay tareas programadas.',
+            error: '❌ Ocurrió un error al listar las tareas programadas.'
+        },
         authorizeuser: {
             noPermission: '❌ No estás autorizado para modificar configuraciones globales.',
             success: '✅ {user} ha sido autorizado para modificar configuraciones globales.',
@@ -179,6 +384,19 @@ export default {
             error: '❌ No se pudo eliminar la autorización del usuario.',
             processing: '🔄 Eliminando autorización del usuario...'
         },
+        trackseason: {
+            noPermission: '❌ No estás autorizado para modificar configuraciones globales.',
+            success: '✅ {season} ahora se seguirá junto con la campaña actual.',
+            notFound: '❌ No se encontró ninguna campaña oficial para la temporada "{season}".',
+            error: '❌ No se pudo seguir la temporada.',
+            processing: '🔄 Añadiendo temporada a las campañas seguidas...'
+        },
+        untrackseason: {
+            noPermission: '❌ No estás autorizado para modificar configuraciones globales.',
+            success: '✅ {season} ya no se sigue.',
+            error: '❌ No se pudo dejar de seguir la temporada.',
+            processing: '🔄 Quitando temporada de las campañas seguidas...'
+        },
         error: {
             unknown: 'Ocurrió un error al procesar este comando.',
             unknownCommand: 'Comando desconocido.'
@@ -187,10 +405,55 @@ export default {
 
     // Embed titles and fields
     embeds: {
+        register: {
+            title: '🔗 Confirmar registro',
+            description: '¿Es esta tu cuenta de Trackmania?',
+            replaceDescription: '¿Reemplazar tu cuenta registrada **{current}** por esta?',
+            displayName: '👤 Nombre',
+            accountId: '🆔 ID de cuenta',
+            confirm: '✅ Confirmar',
+            cancel: '✖️ Cancelar'
+        },
+        registrationReview: {
+            title: '📝 Registro pendiente de aprobación',
+            description: '<@{discordId}> quiere registrar esta cuenta de Trackmania:',
+            approve: '✅ Aprobar',
+            reject: '⛔ Rechazar',
+            approvedTitle: '✅ Registro aprobado',
+            rejectedTitle: '⛔ Registro rechazado',
+            reviewedBy: 'Revisado por'
+        },
+        schedules: {
+            title: '🗓️ Tareas programadas',
+            cron: '`{cron}` ({timeZone})',
+            interval: 'Cada {minutes} minutos',
+            nextRun: 'Próxima ejecución: {time}',
+            never: 'Nunca',
+            jobs: {
+                checkRecords: '🏁 Récords de campaña',
+                checkWeeklyShorts: '🔸 Weekly shorts',
+                checkTOTD: '📅 Cambio de Track of the Day',
+                updateTOTDRecords: '📅 Récords de TOTD',
+                checkCOTD: '🏆 Resultados de la Cup of the Day',
+                updateDisplayNames: '👤 Nombres de usuario',
+                cleanupLogs: '🧹 Limpieza de logs'
+            }
+        },
         records: {
-            title: '🏆 Récords Recientes: {username}',
-            description: 'Tus {count} récords más recientes:',
+            title: '🏆 Récords: {username}',
+            sortedBy: 'Ordenados por {sort}',
+            sortNewest: 'más recientes primero',
+            sortPosition: 'mejor posición mundial primero',
+            sortImprovement: 'mayor mejora primero',
+            seasonFilter: '📅 {season}',
+            mapFilter: '🗺️ {map}',
+            sinceFilter: '🕒 Desde {date}',
             time: '⏱️ Tiempo',
+            position: '🌍 #{position}',
+            page: 'Página {page}/{totalPages} · {count} récord(s)',
+            previous: '◀ Anterior',
+            next: 'Siguiente ▶',
+            downloadGhost: '👻 {index}. {mapName}',
         },
         countryLeaderboard: {
             title: '🏆 Clasificación {country}: {mapName}',
@@ -213,14 +476,15 @@ export default {
         help: {
             title: '❓ Trackmania Record Tracker - Ayuda',
             description: 'Aquí están los comandos disponibles:',
-            register: '🔑 /register [id-cuenta]',
-            registerDesc: 'Registra tu cuenta de Trackmania para el seguimiento de récords',
+            adminTitle: '🛠️ Gestión del servidor y ajustes globales',
+            register: '🔑 /register <nombre o id-cuenta>',
+            registerDesc: 'Registra tu cuenta de Trackmania para el seguimiento de récords, tras confirmar que la cuenta encontrada es tuya',
             unregister: '🚫 /unregister',
             unregisterDesc: 'Cancela el registro del sistema de seguimiento de récords',
-            records: '🏁 /records',
-            recordsDesc: 'Ver tus récords recientes',
-            leaderboard: '🏆 /leaderboard [mapa]',
-            leaderboardDesc: 'Ver la tabla de clasificación de país (muestra campaña actual o mapa específico)',
+            records: '🏁 /records [temporada] [usuario] [mapa] [desde] [orden]',
+            recordsDesc: 'Explorar récords de campaña por páginas, filtrados por temporada, miembro, mapa o fecha y ordenados por fecha, posición mundial o mejora',
+            leaderboard: '🏆 /leaderboard [mapa] [temporada]',
+            leaderboardDesc: 'Ver la tabla de clasificación de país (muestra campaña actual o pasada, o mapa específico)',
             help: '❓ /help',
             helpDesc: 'Muestra este mensaje de ayuda',
             language: '🌐 /language',
@@ -229,8 +493,20 @@ export default {
             setcountryDesc: 'Establecer el país predeterminado para la tabla de clasificación (solo admin/mod)',
             setchannel: '📣 /setchannel',
             setchannelDesc: 'Establecer el canal para los anuncios de récords (solo admin/mod)',
+            serverleaderboard: '🏠 /serverleaderboard [map] [season]',
+            serverleaderboardDesc: 'Ver la clasificación de los miembros registrados del servidor, general o de un mapa',
+            progress: '📈 /progress <map> [user] [season]',
+            progressDesc: 'Mostrar un gráfico de la progresión del PB de un miembro en un mapa de campaña',
+            rank: '🌍 /rank [user] [season]',
+            rankDesc: 'Mostrar la posición de cada PB de campaña al conseguirlo y cuánto ha variado',
+            stats: '📊 /stats [user] [season]',
+            statsDesc: 'Mostrar las estadísticas de campaña de un miembro comparadas con la media del servidor',
+            compare: '⚔️ /compare <user1> <user2> [type] [season]',
+            compareDesc: 'Comparar los tiempos de dos miembros mapa por mapa en una campaña, una semana de weekly shorts o un mes de TOTD, con los mapas ganados y la diferencia de tiempo sumado',
             weeklyshortsleaderboard: '🏆 /weeklyshortsleaderboard',
-            weeklyshortsleaderboardDesc: 'Mostrar la tabla de clasificación de weekly shorts (general o por mapa)',
+            weeklyshortsleaderboardDesc: 'Mostrar la tabla de clasificación de weekly shorts (general o por mapa), opcionalmente de una semana pasada',
+            weeklyshortsstats: '🔸 /weeklyshortsstats [user]',
+            weeklyshortsstatsDesc: 'Mostrar la evolución de los puntos de temporada de weekly shorts de un miembro y su posición en el servidor',
             setweeklyshortschannel: '📢 /setweeklyshortschannel',
             setweeklyshortschannelDesc: 'Establecer el canal para anuncios de weekly shorts (solo admin/mod)',
             setminposition: '🎯 /setminposition',
@@ -242,17 +518,41 @@ export default {
             settotdchannel: '📺 /settotdchannel',
             settotdchannelDesc: 'Establecer el canal para anuncios de clasificación de TOTD (solo admin/mod)',
             toggletotdannouncements: '🏁 /toggletotdannouncements',
-            toggletotdannouncementsDesc: 'Activar o desactivar anuncios de clasificación de TOTD (solo admin/mod)',
-            totdleaderboard: '🏆 /totdleaderboard',
-            totdleaderboardDesc: 'Mostrar clasificación de TOTD de tu país',
+            toggletotdannouncementsDesc: 'Activar o desactivar la presentación del nuevo TOTD y los anuncios de clasificación de TOTD (solo admin/mod)',
+            toggletotdpbannouncements: '📅 /toggletotdpbannouncements <enabled> [position]',
+            toggletotdpbannouncementsDesc: 'Anunciar en el canal de TOTD los PB de los miembros en el Track of the Day dentro de una posición mundial (solo admin/mod)',
+            togglecotdannouncements: '🏆 /togglecotdannouncements <enabled>',
+            togglecotdannouncementsDesc: 'Publicar en el canal de TOTD un resumen de las divisiones y posiciones de los miembros tras cada Cup of the Day de la tarde (solo admin/mod)',
+            togglesnipeannouncements: '🎯 /togglesnipeannouncements',
+            togglesnipeannouncementsDesc: 'Activar o desactivar anuncios cuando un miembro supera el PB de otro, con menciones opcionales (solo admin/mod)',
+            setweeklyshortsalerts: '⚠️ /setweeklyshortsalerts <enabled> [thresholds]',
+            setweeklyshortsalertsDesc: 'Mencionar a los miembros cuando salen de un umbral de posición en weekly shorts, ej. top 100 o top 1000 (solo admin/mod)',
+            setregistrationapproval: '📝 /setregistrationapproval <enabled> [channel]',
+            setregistrationapprovalDesc: 'Retener los nuevos registros hasta que un moderador los apruebe con los botones publicados en el canal de revisión (solo admin/mod)',
+            setannouncementmode: '📰 /setannouncementmode <mode>',
+            setannouncementmodeDesc: 'Anunciar los récords de campaña al instante o en un resumen cada hora o diario (solo admin/mod)',
+            totd: '📅 /totd [date]',
+            totdDesc: 'Mostrar el Track of the Day actual, o el de una fecha pasada, con su autor y tiempos de medalla',
+            totdleaderboard: '🏆 /totdleaderboard [country] [date]',
+            totdleaderboardDesc: 'Mostrar la clasificación de TOTD de tu país o mundial, opcionalmente de una fecha pasada',
+            totdstats: '📊 /totdstats [user] [month]',
+            totdstatsDesc: 'Mostrar cuántos TOTD ha terminado un miembro, su racha diaria actual y más larga, su mejor posición al final del día y la media, y los jugadores de TOTD más activos del servidor en un mes',
+            cotd: '🏆 /cotd [user]',
+            cotdDesc: 'Mostrar las divisiones, posiciones y puestos de clasificación recientes de un miembro en la Cup of the Day',
             setcampaignsearchtime: '⏰ /setcampaignsearchtime',
             setcampaignsearchtimeDesc: 'Establecer el intervalo de búsqueda de campaña (solo usuarios autorizados)',
             setweeklyshortssearchtime: '⏰ /setweeklyshortssearchtime',
             setweeklyshortssearchtimeDesc: 'Establecer el intervalo de búsqueda de weekly shorts (solo usuarios autorizados)',
+            schedules: '🗓️ /schedules',
+            schedulesDesc: 'Listar las tareas programadas del tracker con su expresión cron o intervalo y su próxima ejecución',
             authorizeuser: '🔑 /authorizeuser',
             authorizeuserDesc: 'Autorizar a un usuario para modificar configuraciones globales (solo usuarios autorizados)',
             unauthorizeuser: '🔒 /unauthorizeuser',
-            unauthorizeuserDesc: 'Quitar autorización de usuario para configuraciones globales (solo usuarios autorizados)'
+            unauthorizeuserDesc: 'Quitar autorización de usuario para configuraciones globales (solo usuarios autorizados)',
+            trackseason: '📅 /trackseason',
+            trackseasonDesc: 'Seguir los récords de una campaña oficial pasada (solo usuarios autorizados)',
+            untrackseason: '🗓️ /untrackseason',
+            untrackseasonDesc: 'Dejar de seguir una campaña oficial pasada (solo usuarios autorizados)'
         },
         newRecord: {
             title: '{emoji} ¡Nuevo PB!',
@@ -266,7 +566,135 @@ export default {
             places: 'posiciones',
             samePosition: 'Misma posición',
             improved: '↑ {count} posiciones',
-            worsened: '↓ {count} posiciones'
+            worsened: '↓ {count} posiciones',
+            medal: '🏅 Medalla',
+            downloadGhost: '👻 Descargar ghost',
+            medalTitle: '{emoji} ¡Nueva medalla de {medal}!',
+            medalDescription: '**{username}** (<@{discordId}>) acaba de conseguir su primera medalla de {medal} en **{mapName}**!'
+        },
+        serverLeaderboard: {
+            title: '🏠 Clasificación del servidor: {season}',
+            mapTitle: '🏠 Clasificación del servidor: {mapName}',
+            description: 'Ordenado por tiempo total en la campaña:',
+            mapDescription: '{count} miembro(s) registrado(s) tienen tiempo en este mapa',
+            time: 'Tiempo',
+            worldPosition: 'Posición mundial',
+            maps: '{finished}/{total} mapas',
+            more: '...y {count} más'
+        },
+        progress: {
+            title: '📈 Progresión en {mapName}',
+            description: '**{username}** (<@{discordId}>)',
+            firstTime: 'Primer tiempo',
+            bestTime: 'Mejor tiempo',
+            improvements: 'Mejoras'
+        },
+        rank: {
+            title: '🌍 Posiciones: {season}',
+            description: '**{username}** (<@{discordId}>) · posición al conseguirlo → ahora',
+            maps: 'Mapas',
+            averageDrift: 'Variación mundial media',
+            unchanged: '=',
+            climbed: '↑ {count}',
+            dropped: '↓ {count}'
+        },
+        stats: {
+            title: '📊 Estadísticas: {season}',
+            description: '**{username}** (<@{discordId}>)',
+            mapsFinished: '🗺️ Mapas terminados',
+            improvements: '📈 Mejoras',
+            averagePosition: '🌍 Posición mundial media',
+            medals: '🏅 Medallas',
+            totalTime: '⏱️ Tiempo total de campaña',
+            totalTimeValue: '{time} ({count} mapas)',
+            unfinished: '📋 Mapas sin terminar ({count})',
+            allFinished: '¡Todos los mapas terminados! 🎉',
+            more: '...y {count} más',
+            serverAverage: 'Media del servidor: {value}'
+        },
+        compare: {
+            title: '⚔️ {user1} vs {user2}',
+            description: 'Cara a cara en **{period}**',
+            noTime: '—',
+            tie: '🤝 Empate',
+            wins: '🏆 Mapas ganados',
+            winsValue: '{user1} **{wins1}** – **{wins2}** {user2}\n{ties} empate(s) · {shared} mapa(s) en común',
+            totalTime: '⏱️ Tiempo sumado',
+            gap: '📏 Diferencia',
+            ahead: '**{username}** va por delante por {gap}',
+            even: 'Empate total',
+            noSharedMaps: 'Todavía no hay mapas terminados por ambos miembros'
+        },
+        digest: {
+            hourlyTitle: '📰 Resumen de PBs de la última hora',
+            dailyTitle: '📰 Resumen diario de PBs',
+            description: '{count} PB(s) nuevo(s) desde <t:{since}:R>',
+            descriptionNoSince: '{count} PB(s) nuevo(s)',
+            page: 'Página {page}/{pages}'
+        },
+        snipe: {
+            title: '🎯 ¡Snipe!',
+            description: '**{username}** (<@{discordId}>) superó a {count} miembro(s) en **{mapName}** con **{time}**',
+            sniped: 'Superados',
+            entry: '**{username}** ({time}) por **{gap}**'
+        },
+        weeklyShortsSummary: {
+            title: '🏁 Clasificación final de Weekly Shorts: {week}',
+            titleNoWeek: '🏁 Clasificación final de Weekly Shorts',
+            description: 'Posiciones finales de los miembros registrados en la semana que acaba de terminar.',
+            weekRanking: '🏆 Clasificación de la semana',
+            points: '{sp} SP',
+            climbers: '📈 Mayores escaladas',
+            noClimbers: 'Ningún miembro ha escalado posiciones esta semana.',
+            outside: 'Fuera del top {max}'
+        },
+        weeklyShortsStats: {
+            title: '🔸 Estadísticas de Weekly Shorts: {week}',
+            description: '**{username}** (<@{discordId}>)',
+            points: '{sp} SP',
+            gained: '(+{count} esta semana)',
+            seasonPoints: '🔸 Puntos de temporada',
+            seasonPosition: '🌍 Posición de temporada',
+            serverRank: '🏠 Posición en el servidor',
+            serverRankValue: '#{rank} de {total}',
+            history: '📈 Evolución de SP'
+        },
+        weeklyShortsAlert: {
+            title: '⚠️ ¡Fuera del top {threshold}!',
+            description: '**{username}** (<@{discordId}>) ha salido del top {threshold} en **{mapName}**.',
+            weekEnds: '⏳ Fin de la semana'
+        },
+        totd: {
+            title: '📅 Track of the Day: {date}',
+            author: '👤 Autor/a',
+            authorProfile: 'Perfil',
+            released: '🗓️ Publicado',
+            ends: '⏳ Termina',
+            revealTitle: '🆕 ¡Nuevo Track of the Day!',
+            medals: '🏅 Medallas'
+        },
+        totdStats: {
+            title: '📅 Estadísticas de TOTD',
+            description: '**{username}** (<@{discordId}>)',
+            finished: '🏁 TOTD terminados',
+            currentStreak: '🔥 Racha actual',
+            longestStreak: '🏆 Racha más larga',
+            days: '{count} día(s)',
+            bestPosition: '🥇 Mejor posición',
+            averagePosition: '🌍 Posición media',
+            monthlyRanking: '🏠 Más activos en {month}',
+            rankingEntry: '{rank}. **{username}** · {count} TOTD'
+        },
+        cotd: {
+            title: '🏆 Resultados de la Cup of the Day',
+            description: '**{username}** (<@{discordId}>)',
+            summaryTitle: '🏆 {name}',
+            summaryDescription: '{count} miembro(s) jugaron de un total de {players} jugadores.',
+            division: 'División {division}',
+            qualifier: 'Clasificación #{rank}',
+            played: '🎮 Copas jugadas',
+            bestResult: '🥇 Mejor resultado',
+            averageDivision: '📊 División media'
         },
         totdLeaderboard: {
             title: '🏁 Clasificación {country} de TOTD: {mapName}',
@@ -280,6 +708,13 @@ export default {
     },
 
     values: {
-        none: 'Ninguno'
+        none: 'Ninguno',
+        unknown: 'Desconocido',
+        medals: {
+            author: 'Autor',
+            gold: 'Oro',
+            silver: 'Plata',
+            bronze: 'Bronce'
+        }
     }
 };
\ No newline at end of file
@@ -89,6 +89,40 @@ export async function getDisplayNames(accountIds) {
     }
 }
 
+/**
+ * Looks up the account IDs of given display names from the Trackmania API
+ * Display names that do not belong to any account are left out of the result
+ * @param {string[]} displayNames - Array of display names to look up
+ * @returns {Promise<Object>} Mapping of display names to account IDs
+ * @throws {Error} If OAuth authentication fails or API request fails
+ */
+export async function getAccountIdsByDisplayNames(displayNames) {
+    try {
+        if (!displayNames || displayNames.length === 0) {
+            return {};
+        }
+
+        const accessToken = await getOAuthAccessToken();
+
+        const queryParams = displayNames.map(name => `displayName[]=${encodeURIComponent(name)}`).join('&');
+        const url = `${OAUTH_BASE_URL}/api/display-names/account-ids?${queryParams}`;
+
+        log(`Looking up account IDs for ${displayNames.length} display name(s)`);
+
+        const response = await axios.get(url, {
+            headers: {
+                'Authorization': `Bearer ${accessToken}`
+            }
+        });
+
+        log(`Successfully retrieved account IDs`);
+        return response.data;
+    } catch (error) {
+        log(`Error getting account IDs: ${error.message}`, 'error');
+        throw error;
+    }
+}
+
 /**
  * Batch fetches display names with API limit handling (50 IDs per request)
  * Splits large requests into smaller batches with delays to avoid rate limiting
@@ -1,10 +1,11 @@
 import { getDb } from './db.js';
 import { log } from './utils.js';
-import { getDisplayNames } from './oauth.js';
+import { getDisplayNames, getAccountIdsByDisplayNames } from './oauth.js';
 import { tmOAuthClientId, tmOAuthClientSecret } from './config.js';
 
 /**
  * Gets all registered players for a specific guild
+ * Registrations still awaiting moderator approval are kept in pending_registrations, so only approved players are tracked
  * @param {string} guildId - Discord guild ID
  * @returns {Promise<Array>} Array of player objects with their account information
  */
@@ -36,6 +37,54 @@ export async function getPlayerByAccountId(accountId, guildId) {
     return await db.get('SELECT * FROM players WHERE account_id = ? AND guild_id = ?', accountId, guildId);
 }
 
+const ACCOUNT_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Input starting like an account ID, or 32 hex digits without dashes, is treated as a malformed account ID rather than a display name
+const ACCOUNT_ID_LIKE_PATTERN = /^([0-9a-f]{8}-[0-9a-f-]*|[0-9a-f]{32})$/i;
+
+/**
+ * Resolves what a member entered in /register to a Trackmania account
+ * Account IDs are checked for format and, when OAuth is configured, for existence.
+ * Anything else is looked up as a display name, which requires OAuth
+ * @param {string} input - Trackmania display name or account ID
+ * @returns {Promise<Object>} { accountId, displayName } on success, or { error } with one of
+ * invalidAccountId, accountNotFound, displayNameNotFound and lookupUnavailable
+ */
+export async function resolveTrackmaniaAccount(input) {
+    const query = input.trim();
+    const oauthConfigured = Boolean(tmOAuthClientId && tmOAuthClientSecret);
+
+    if (ACCOUNT_ID_PATTERN.test(query)) {
+        const accountId = query.toLowerCase();
+
+        if (!oauthConfigured) {
+            log(`OAuth not configured, registering account ${accountId} without checking it exists`, 'warn');
+            return { accountId, displayName: null };
+        }
+
+        const displayNames = await getDisplayNames([accountId]);
+        const displayName = displayNames[accountId];
+        return displayName ? { accountId, displayName } : { error: 'accountNotFound' };
+    }
+
+    if (ACCOUNT_ID_LIKE_PATTERN.test(query)) {
+        return { error: 'invalidAccountId' };
+    }
+
+    if (!oauthConfigured) {
+        return { error: 'lookupUnavailable' };
+    }
+
+    const accountIds = await getAccountIdsByDisplayNames([query]);
+    const match = Object.entries(accountIds || {}).find(([name]) => name.toLowerCase() === query.toLowerCase());
+    if (!match) {
+        return { error: 'displayNameNotFound' };
+    }
+
+    const [displayName, accountId] = match;
+    return { accountId, displayName };
+}
+
 /**
  * Registers a new player or updates an existing one
  * Links a Discord user to their Trackmania account for a specific guild
@@ -72,6 +121,93 @@ export async function registerPlayer(discordId, guildId, accountId, username = n
     }
 }
 
+/**
+ * Stores a registration that needs moderator approval before the player is tracked
+ * A newer request from the same member replaces the previous one, so its review buttons stop working
+ * @param {string} discordId - Discord user ID
+ * @param {string} guildId - Discord guild ID
+ * @param {string} accountId - Trackmania account ID
+ * @param {string} username - Trackmania display name or Discord username
+ * @returns {Promise<Object>} Result object with success status and the pending registration
+ */
+export async function addPendingRegistration(discordId, guildId, accountId, username = null) {
+    const db = await getDb();
+
+    try {
+        await db.run('DELETE FROM pending_registrations WHERE discord_id = ? AND guild_id = ?', discordId, guildId);
+        const result = await db.run(
+            'INSERT INTO pending_registrations (discord_id, guild_id, account_id, username) VALUES (?, ?, ?, ?)',
+            [discordId, guildId, accountId, username]
+        );
+        log(`Registration of Discord ID ${discordId} in guild ${guildId} is awaiting approval`);
+        return { success: true, pending: await getPendingRegistration(result.lastID) };
+    } catch (error) {
+        log(`Error storing pending registration: ${error.message}`, 'error');
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Gets a registration awaiting moderator approval
+ * @param {number} pendingId - Pending registration ID
+ * @returns {Promise<Object|null>} Pending registration or null if it was already reviewed or withdrawn
+ */
+export async function getPendingRegistration(pendingId) {
+    const db = await getDb();
+    return await db.get('SELECT * FROM pending_registrations WHERE id = ?', pendingId);
+}
+
+/**
+ * Removes a pending registration that could not be posted for review
+ * @param {number} pendingId - Pending registration ID
+ * @returns {Promise<boolean>} Whether the pending registration was removed
+ */
+export async function removePendingRegistration(pendingId) {
+    const db = await getDb();
+
+    try {
+        const result = await db.run('DELETE FROM pending_registrations WHERE id = ?', pendingId);
+        return result.changes > 0;
+    } catch (error) {
+        log(`Error removing pending registration: ${error.message}`, 'error');
+        return false;
+    }
+}
+
+/**
+ * Approves or rejects a pending registration
+ * Approving registers the player, rejecting only removes the request
+ * @param {number} pendingId - Pending registration ID
+ * @param {boolean} approved - Whether the registration was approved
+ * @returns {Promise<Object>} Result object with success status and the reviewed registration, plus
+ * registerPlayer's updated flag when approved
+ */
+export async function reviewPendingRegistration(pendingId, approved) {
+    const db = await getDb();
+
+    try {
+        const pending = await getPendingRegistration(pendingId);
+        if (!pending) {
+            return { success: false, error: 'Registration not pending' };
+        }
+
+        if (!approved) {
+            await db.run('DELETE FROM pending_registrations WHERE id = ?', pendingId);
+            log(`Rejected registration of Discord ID ${pending.discord_id} in guild ${pending.guild_id}`);
+            return { success: true, pending };
+        }
+
+        const result = await registerPlayer(pending.discord_id, pending.guild_id, pending.account_id, pending.username);
+        if (result.success) {
+            await db.run('DELETE FROM pending_registrations WHERE id = ?', pendingId);
+        }
+        return { ...result, pending };
+    } catch (error) {
+        log(`Error reviewing pending registration: ${error.message}`, 'error');
+        return { success: false, error: error.message };
+    }
+}
+
 /**
  * Unregisters a player by removing their Discord ID association for a specific guild
  * @param {string} discordId - Discord user ID
@@ -82,8 +218,14 @@ export async function unregisterPlayer(discordId, guildId) {
     const db = await getDb();
 
     try {
+        const pending = await db.run('DELETE FROM pending_registrations WHERE discord_id = ? AND guild_id = ?', discordId, guildId);
+
         const player = await getPlayerByDiscordId(discordId, guildId);
         if (!player) {
+            if (pending.changes > 0) {
+                log(`Withdrew pending registration of Discord ID ${discordId} in guild ${guildId}`);
+                return { success: true };
+            }
             return { success: false, error: 'Player not found' };
         }
 
@@ -97,10 +239,15 @@ export async function unregisterPlayer(discordId, guildId) {
 }
 
 /**
- * Lists all players with their statistics including record counts and map completion
- * @returns {Promise<Array>} Array of player objects with aggregated statistics
+ * Lists a guild's players with their statistics on a campaign's maps
+ * Records are matched by account ID, so members registered in several guilds are included
+ * Medal counts are per best medal earned, so a map with an author medal is not also counted as gold
+ * @param {string} guildId - Discord guild ID
+ * @param {string|null} seasonUid - Season UID of the campaign
+ * @returns {Promise<Array>} Array of player objects with map_count, total_maps, record_count, improvement_count,
+ * total_time_ms, avg_world_position and author/gold/silver/bronze medal counts
  */
-export async function getPlayersWithStats() {
+export async function getPlayersWithStats(guildId, seasonUid = null) {
     const db = await getDb();
 
     const query = `
@@ -109,13 +256,38 @@ export async function getPlayersWithStats() {
       p.discord_id, 
       p.account_id, 
       p.username,
-      COUNT(DISTINCT r.map_id) AS map_count,
-      (SELECT COUNT(*) FROM maps) AS total_maps,
-      (SELECT COUNT(*) FROM record_history WHERE player_id = p.id) AS record_count
+      COUNT(best.map_id) AS map_count,
+      (SELECT COUNT(*) FROM maps WHERE season_uid = ? OR (season_uid IS NULL AND ? IS NULL)) AS total_maps,
+      (SELECT COUNT(*)
+       FROM record_history rh
+       JOIN players hp ON rh.player_id = hp.id
+       JOIN maps hm ON rh.map_id = hm.id
+       WHERE hp.account_id = p.account_id AND (hm.season_uid = ? OR (hm.season_uid IS NULL AND ? IS NULL))) AS record_count,
+      (SELECT COUNT(*)
+       FROM record_history rh
+       JOIN players hp ON rh.player_id = hp.id
+       JOIN maps hm ON rh.map_id = hm.id
+       WHERE hp.account_id = p.account_id AND rh.previous_time_ms IS NOT NULL
+       AND (hm.season_uid = ? OR (hm.season_uid IS NULL AND ? IS NULL))) AS improvement_count,
+      SUM(best.time_ms) AS total_time_ms,
+      AVG(best.world_position) AS avg_world_position,
+      SUM(CASE WHEN best.time_ms <= best.author_time THEN 1 ELSE 0 END) AS author_medals,
+      SUM(CASE WHEN best.time_ms > COALESCE(best.author_time, 0) AND best.time_ms <= best.gold_time THEN 1 ELSE 0 END) AS gold_medals,
+      SUM(CASE WHEN best.time_ms > COALESCE(best.gold_time, 0) AND best.time_ms <= best.silver_time THEN 1 ELSE 0 END) AS silver_medals,
+      SUM(CASE WHEN best.time_ms > COALESCE(best.silver_time, 0) AND best.time_ms <= best.bronze_time THEN 1 ELSE 0 END) AS bronze_medals
     FROM 
       players p
-    LEFT JOIN 
-      records r ON p.id = r.player_id
+    LEFT JOIN (
+      SELECT rp.account_id, r.map_id, MIN(r.time_ms) AS time_ms, MIN(r.world_position) AS world_position,
+        m.author_time, m.gold_time, m.silver_time, m.bronze_time
+      FROM records r
+      JOIN players rp ON r.player_id = rp.id
+      JOIN maps m ON r.map_id = m.id
+      WHERE m.season_uid = ? OR (m.season_uid IS NULL AND ? IS NULL)
+      GROUP BY rp.account_id, r.map_id
+    ) best ON best.account_id = p.account_id
+    WHERE 
+      p.guild_id = ?
     GROUP BY 
       p.id
     ORDER BY 
@@ -123,7 +295,13 @@ export async function getPlayersWithStats() {
   `;
 
     try {
-        return await db.all(query);
+        return await db.all(query, [
+            seasonUid, seasonUid,
+            seasonUid, seasonUid,
+            seasonUid, seasonUid,
+            seasonUid, seasonUid,
+            guildId
+        ]);
     } catch (error) {
         log(`Error getting player stats: ${error.message}`, 'error');
         return [];
@@ -1,14 +1,14 @@
 import { makeRateLimitedRequest } from './api.js';
 import { ensureToken, invalidateTokens } from './auth.js';
-import { formatTime, log } from './utils.js';
-import { getDb } from './db.js';
+import { formatTime, getMedal, log } from './utils.js';
+import { getDb, getTrackedSeasons } from './db.js';
 import { getGuildPlayers } from './playerManager.js';
 import { getTranslations, formatString } from './localization/index.js';
-import { EmbedBuilder } from 'discord.js';
-import { getZoneName, getZoneNamesForCountry } from './config/zones.js';
+import { ActionRowBuilder, ButtonBuilder, ButtonStyle, EmbedBuilder } from 'discord.js';
+import { getZoneName, getZoneNamesForCountry, getZoneCountryAndRegion } from './config/zones.js';
 import { getDisplayNamesBatch } from './oauth.js';
-import { tmOAuthClientId, tmOAuthClientSecret, TRACKMANIA_ICON_URL } from './config.js';
-import { getMinWorldPosition } from './guildSettings.js';
+import { tmOAuthClientId, tmOAuthClientSecret, TRACKMANIA_ICON_URL, ANNOUNCEMENT_MODES } from './config.js';
+import { getMinWorldPosition, getSnipeAnnouncementsSettings, getAnnouncementMode, setLastDigestAt } from './guildSettings.js';
 
 
 /**
@@ -133,20 +133,55 @@ export async function fetchSeasonLeaderboard(seasonUid, countryCode, limit = 5)
 }
 
 /**
- * Fetches the current official Trackmania campaign from the API
- * @returns {Promise<Object>} Campaign data including name, maps, and UIDs
+ * Number of official campaigns requested when syncing the season list
+ * Large enough to cover every official season released so far
  */
-export async function fetchCurrentCampaign() {
+const OFFICIAL_CAMPAIGN_LIST_LENGTH = 50;
+
+/**
+ * Official campaigns from the last sync, newest first
+ * Season lookups reuse them until the next record check syncs again
+ */
+let syncedOfficialCampaigns = [];
+
+/**
+ * Deepest world position scanned when ranking PBs in their members' country and region
+ * Every 100 positions cost one leaderboard request, so PBs ranked lower only keep their world position
+ */
+const ZONE_POSITION_SCAN_LIMIT = 1000;
+
+/**
+ * Number of records listed on each page of a campaign digest
+ */
+const DIGEST_RECORDS_PER_PAGE = 15;
+
+/**
+ * Fetches a page of official Trackmania campaigns from the API, newest first
+ * @param {number} offset - Number of campaigns to skip
+ * @param {number} length - Number of campaigns to fetch
+ * @returns {Promise<Array>} Array of campaign data including name, maps, and UIDs
+ */
+export async function fetchOfficialCampaigns(offset = 0, length = 1) {
     const liveToken = await ensureToken('NadeoLiveServices');
-    log('Fetching current campaign...');
+    log(`Fetching official campaigns (offset: ${offset}, length: ${length})...`);
 
     const campRes = await makeRateLimitedRequest({
         method: 'get',
-        url: 'https://live-services.trackmania.nadeo.live/api/campaign/official?offset=0&length=1',
+        url: `https://live-services.trackmania.nadeo.live/api/campaign/official?offset=${offset}&length=${length}`,
         headers: { Authorization: `nadeo_v1 t=${liveToken}` }
     });
 
-    const campaign = campRes.data.campaignList[0];
+    return campRes.data.campaignList || [];
+}
+
+/**
+ * Fetches the current official Trackmania campaign from the API
+ * @returns {Promise<Object>} Campaign data including name, maps, and UIDs
+ */
+export async function fetchCurrentCampaign() {
+    log('Fetching current campaign...');
+
+    const campaign = (await fetchOfficialCampaigns(0, 1))[0];
     log(`Using campaign: ${campaign.name}`);
     log(`Campaign leaderboardGroupUid: ${campaign.leaderboardGroupUid}`);
     log(`Campaign seasonUid: ${campaign.seasonUid}`);
@@ -155,6 +190,164 @@ export async function fetchCurrentCampaign() {
     return campaign;
 }
 
+/**
+ * Gets the season UID used to group a campaign's maps in the database
+ * @param {Object} campaign - Campaign data from the API
+ * @returns {string} Season UID of the campaign
+ */
+export function getCampaignSeasonUid(campaign) {
+    return campaign.leaderboardGroupUid || campaign.seasonUid;
+}
+
+/**
+ * Stores or updates official campaign information in the database
+ * @param {Database} db - Database connection
+ * @param {Object} campaign - Campaign data from the API
+ * @returns {Promise<number>} Database ID of the stored/updated campaign
+ */
+export async function storeCampaign(db, campaign) {
+    try {
+        const seasonUid = getCampaignSeasonUid(campaign);
+        const existingCampaign = await db.get('SELECT id FROM campaigns WHERE season_uid = ?', seasonUid);
+
+        if (existingCampaign) {
+            await db.run(
+                `UPDATE campaigns
+                 SET campaign_id = ?, name = ?, start_timestamp = ?, end_timestamp = ?, last_checked = CURRENT_TIMESTAMP
+                 WHERE season_uid = ?`,
+                [campaign.id, campaign.name, campaign.startTimestamp, campaign.endTimestamp, seasonUid]
+            );
+            return existingCampaign.id;
+        } else {
+            const result = await db.run(
+                `INSERT INTO campaigns (season_uid, campaign_id, name, start_timestamp, end_timestamp, active)
+                 VALUES (?, ?, ?, ?, ?, 0)`,
+                [seasonUid, campaign.id, campaign.name, campaign.startTimestamp, campaign.endTimestamp]
+            );
+            return result.lastID;
+        }
+    } catch (error) {
+        log(`Error storing campaign: ${error.message}`, 'error');
+        throw error;
+    }
+}
+
+/**
+ * Marks the given seasons as active and archives every other stored season
+ * Archived seasons keep their maps, records and history but are no longer checked
+ * @param {Database} db - Database connection
+ * @param {string[]} activeSeasonUids - Season UIDs that are currently checked for records
+ */
+export async function updateActiveSeasons(db, activeSeasonUids) {
+    try {
+        const placeholders = activeSeasonUids.map(() => '?').join(',');
+
+        const archiveResult = await db.run(
+            `UPDATE campaigns SET active = 0, archived_at = CURRENT_TIMESTAMP
+             WHERE active = 1 AND season_uid NOT IN (${placeholders})`,
+            activeSeasonUids
+        );
+
+        await db.run(
+            `UPDATE campaigns SET active = 1, archived_at = NULL
+             WHERE season_uid IN (${placeholders})`,
+            activeSeasonUids
+        );
+
+        if (archiveResult.changes > 0) {
+            log(`Archived ${archiveResult.changes} inactive seasons`);
+        }
+    } catch (error) {
+        log(`Error updating active seasons: ${error.message}`, 'error');
+    }
+}
+
+/**
+ * Fetches every official campaign from the API and stores them in the database
+ * Keeps the season list used by autocomplete up to date and archives seasons that are no longer tracked
+ * @returns {Promise<Array>} Array of campaign data, newest first
+ */
+export async function syncOfficialCampaigns() {
+    const db = await getDb();
+    const campaigns = await fetchOfficialCampaigns(0, OFFICIAL_CAMPAIGN_LIST_LENGTH);
+
+    for (const campaign of campaigns) {
+        await storeCampaign(db, campaign);
+    }
+
+    if (campaigns.length > 0) {
+        const trackedSeasonUids = await getTrackedSeasons();
+        const activeSeasonUids = campaigns
+            .map(getCampaignSeasonUid)
+            .filter((seasonUid, index) => index === 0 || trackedSeasonUids.includes(seasonUid));
+        await updateActiveSeasons(db, activeSeasonUids);
+    }
+
+    syncedOfficialCampaigns = campaigns;
+    log(`Synced ${campaigns.length} official campaigns`);
+    return campaigns;
+}
+
+/**
+ * Fetches an official campaign by its season UID
+ * Looks in the campaigns from the last sync first and only syncs again when the season is not there
+ * @param {string} seasonUid - Season UID of the campaign
+ * @returns {Promise<Object|null>} Campaign data or null if no campaign matches
+ */
+export async function fetchCampaignBySeasonUid(seasonUid) {
+    const matchesSeason = c => getCampaignSeasonUid(c) === seasonUid || c.seasonUid === seasonUid;
+
+    let campaign = syncedOfficialCampaigns.find(matchesSeason);
+    if (!campaign) {
+        campaign = (await syncOfficialCampaigns()).find(matchesSeason);
+    }
+
+    if (!campaign) {
+        log(`No official campaign found for season ${seasonUid}`, 'warn');
+        return null;
+    }
+
+    return campaign;
+}
+
+/**
+ * Fetches the current campaign plus every past campaign configured in the tracked seasons
+ * Syncs the official campaign list, so it runs once per record check
+ * @returns {Promise<Array>} Array of campaign data, current campaign first
+ */
+export async function fetchTrackedCampaigns() {
+    const campaigns = await syncOfficialCampaigns();
+    if (campaigns.length === 0) {
+        throw new Error('No official campaign found');
+    }
+
+    const [currentCampaign, ...pastCampaigns] = campaigns;
+    const trackedSeasonUids = await getTrackedSeasons();
+    const trackedCampaigns = pastCampaigns.filter(c => trackedSeasonUids.includes(getCampaignSeasonUid(c)));
+
+    log(`Using campaign: ${currentCampaign.name}`);
+    if (trackedCampaigns.length > 0) {
+        log(`Also tracking past campaigns: ${trackedCampaigns.map(c => c.name).join(', ')}`);
+    }
+
+    return [currentCampaign, ...trackedCampaigns];
+}
+
+/**
+ * Gets stored official campaigns matching a search query, newest first
+ * Reads from the database only so it is fast enough for autocomplete
+ * @param {string} query - Case-insensitive search on the campaign name
+ * @param {number} limit - Maximum number of campaigns to return
+ * @returns {Promise<Array>} Array of stored campaign rows
+ */
+export async function getStoredCampaigns(query = '', limit = 25) {
+    const db = await getDb();
+    return await db.all(
+        'SELECT season_uid, name FROM campaigns WHERE name LIKE ? ORDER BY start_timestamp DESC LIMIT ?',
+        [`%${query}%`, limit]
+    );
+}
+
 /**
  * Fetches detailed information for multiple maps by their UIDs
  * @param {string[]} mapUids - Array of map UIDs to fetch
@@ -174,50 +367,140 @@ export async function fetchMapInfo(mapUids) {
 }
 
 /**
- * Fetches the world ranking position for a specific time on a map
- * @param {string} mapUid - The map UID
- * @param {number} score - The time/score to get position for (in milliseconds)
- * @returns {Promise<number|null>} World position for the given time, or null if unavailable
+ * Fetches the world ranking positions for times on one or more maps
+ * The API also ranks each time in the zones of the account the bot logs in with, which says nothing
+ * about a member's own country or region, so only the world position is used
+ * @param {Array<{mapUid: string, score: number}>} scores - Map UIDs with the time to rank on each, at most one time per map
+ * @param {string} groupUid - Leaderboard group to rank in (Personal_Best, or a weekly short season UID)
+ * @returns {Promise<Map<string, number|null>>} World positions by map UID
  */
-export async function fetchRecordPosition(mapUid, score) {
+export async function fetchRecordPositions(scores, groupUid = 'Personal_Best') {
+    const positions = new Map();
+    if (!scores || scores.length === 0) return positions;
+
     const liveToken = await ensureToken('NadeoLiveServices');
 
-    log(`Fetching world position for time ${score} on map ${mapUid}`);
+    log(`Fetching world positions for ${scores.length} time(s)`);
 
     try {
+        const query = scores.map(({ mapUid, score }) => `scores[${mapUid}]=${score}`).join('&');
         const response = await makeRateLimitedRequest({
             method: 'post',
-            url: `https://live-services.trackmania.nadeo.live/api/token/leaderboard/group/map?scores[${mapUid}]=${score}`,
+            url: `https://live-services.trackmania.nadeo.live/api/token/leaderboard/group/map?${query}`,
             headers: {
                 Authorization: `nadeo_v1 t=${liveToken}`,
                 'Content-Type': 'application/json'
             },
             data: {
-                maps: [
-                    {
-                        mapUid: mapUid,
-                        groupUid: "Personal_Best"
-                    }
-                ]
+                maps: scores.map(({ mapUid }) => ({
+                    mapUid: mapUid,
+                    groupUid: groupUid
+                }))
             }
         });
 
-        if (response.data && response.data.length > 0) {
-            const result = response.data[0];
-            if (result && result.zones) {
-                const worldZone = result.zones.find(z => z.zoneName === 'World');
-                if (worldZone && worldZone.ranking) {
-                    return worldZone.ranking.position;
-                }
+        if (Array.isArray(response.data)) {
+            for (const result of response.data) {
+                const mapUid = result?.mapUid || (scores.length === 1 ? scores[0].mapUid : null);
+                if (!mapUid || !Array.isArray(result.zones)) continue;
+
+                const worldZone = result.zones.find(z => z.zoneName === 'World') || result.zones[0];
+                positions.set(mapUid, worldZone?.ranking?.position ?? null);
             }
         }
+    } catch (error) {
+        log(`Error fetching world positions: ${error.message}`, 'error');
+    }
 
-        log(`Could not determine world position for time ${score} on map ${mapUid}`, 'warn');
-        return null;
+    return positions;
+}
+
+/**
+ * Ranks members' PBs on a map within their own country and region
+ * The map's world leaderboard is scanned down to the lowest PB: each member's zone is read from their own entry,
+ * then the better times set in the same country and region are counted
+ * @param {string} mapUid - The map UID
+ * @param {Array<{accountId: string, timeMs: number, worldPosition: number|null}>} records - PBs with their world positions
+ * @returns {Promise<Map<string, {country: number|null, region: number|null}>>} Zone positions by account ID
+ */
+export async function fetchZonePositions(mapUid, records) {
+    const positions = new Map();
+    const rankedRecords = records.filter(record => record.worldPosition && record.worldPosition <= ZONE_POSITION_SCAN_LIMIT);
+    if (rankedRecords.length === 0) return positions;
+
+    const liveToken = await ensureToken('NadeoLiveServices');
+    const scanDepth = Math.max(...rankedRecords.map(record => record.worldPosition));
+    const entries = [];
+
+    log(`Scanning the top ${scanDepth} of map ${mapUid} for country and region positions`);
+
+    try {
+        for (let offset = 0; offset < scanDepth; offset += 100) {
+            const leaderboardRes = await makeRateLimitedRequest({
+                method: 'get',
+                url: `https://live-services.trackmania.nadeo.live/api/token/leaderboard/group/Personal_Best/map/${mapUid}/top?length=100&onlyWorld=true&offset=${offset}`,
+                headers: { Authorization: `nadeo_v1 t=${liveToken}` }
+            });
+
+            const top = leaderboardRes.data?.tops?.[0]?.top;
+            if (!top?.length) break;
+            entries.push(...top);
+        }
     } catch (error) {
-        log(`Error fetching position: ${error.message}`, 'error');
-        return null;
+        log(`Error fetching leaderboard for zone positions: ${error.message}`, 'error');
+        return positions;
+    }
+
+    const zoneCache = new Map();
+    const getZones = async zoneId => {
+        if (!zoneCache.has(zoneId)) {
+            zoneCache.set(zoneId, await getZoneCountryAndRegion(zoneId));
+        }
+        return zoneCache.get(zoneId);
+    };
+
+    for (const record of rankedRecords) {
+        const ownEntry = entries.find(entry => entry.accountId === record.accountId);
+        if (!ownEntry?.zoneId || ownEntry.score !== record.timeMs) continue;
+
+        const { countryId, regionId } = await getZones(ownEntry.zoneId);
+        let country = 1;
+        let region = 1;
+
+        for (const entry of entries) {
+            if (!entry.zoneId || entry.position >= ownEntry.position) continue;
+
+            const zones = await getZones(entry.zoneId);
+            if (countryId && zones.countryId === countryId) country++;
+            if (regionId && zones.regionId === regionId) region++;
+        }
+
+        positions.set(record.accountId, {
+            country: countryId ? country : null,
+            region: regionId ? region : null
+        });
+    }
+
+    return positions;
+}
+
+/**
+ * Fetches the world ranking position for a specific time on a map
+ * @param {string} mapUid - The map UID
+ * @param {number} score - The time/score to get position for (in milliseconds)
+ * @returns {Promise<number|null>} World position for the given time, or null if unavailable
+ */
+export async function fetchRecordPosition(mapUid, score) {
+    log(`Fetching world position for time ${score} on map ${mapUid}`);
+
+    const positions = await fetchRecordPositions([{ mapUid, score }]);
+    const worldPosition = positions.get(mapUid) ?? null;
+
+    if (!worldPosition) {
+        log(`Could not determine world position for time ${score} on map ${mapUid}`, 'warn');
     }
+
+    return worldPosition;
 }
 
 /**
@@ -341,9 +624,10 @@ export async function fetchPlayerNames(accountIds) {
  * @param {number} timeMs - Record time in milliseconds
  * @param {Date} playerRegisteredAt - When the player registered with the bot
  * @param {string|number|Date} recordTimestamp - When the record was set
+ * @param {string|null} ghostUrl - Download URL of the record's ghost file
  * @returns {Object} Result object indicating if record was improved or is new
  */
-async function updateMapRecord(db, playerId, mapId, timeMs, playerRegisteredAt, recordTimestamp, useTimeComparison = true) {
+async function updateMapRecord(db, playerId, mapId, timeMs, playerRegisteredAt, recordTimestamp, ghostUrl = null, useTimeComparison = true) {
     try {
         const currentRecord = await db.get(
             'SELECT time_ms, recorded_at FROM records WHERE player_id = ? AND map_id = ?',
@@ -393,9 +677,9 @@ async function updateMapRecord(db, playerId, mapId, timeMs, playerRegisteredAt,
             }
 
             const result = await db.run(
-                `INSERT INTO records (player_id, map_id, time_ms, recorded_at, announced) 
-                 VALUES (?, ?, ?, ?, 0)`,
-                [playerId, mapId, timeMs, recordDate.getTime()]
+                `INSERT INTO records (player_id, map_id, time_ms, recorded_at, announced, ghost_url) 
+                 VALUES (?, ?, ?, ?, 0, ?)`,
+                [playerId, mapId, timeMs, recordDate.getTime(), ghostUrl]
             );
 
             const recordId = result.lastID;
@@ -429,9 +713,9 @@ async function updateMapRecord(db, playerId, mapId, timeMs, playerRegisteredAt,
 
                 await db.run(
                     `UPDATE records 
-                     SET time_ms = ?, recorded_at = ?, announced = 0
+                     SET time_ms = ?, recorded_at = ?, announced = 0, ghost_url = ?
                      WHERE player_id = ? AND map_id = ?`,
-                    [timeMs, recordDate.getTime(), playerId, mapId]
+                    [timeMs, recordDate.getTime(), ghostUrl, playerId, mapId]
                 );
 
                 const record = await db.get(
@@ -465,6 +749,14 @@ async function updateMapRecord(db, playerId, mapId, timeMs, playerRegisteredAt,
                 };
             } else {
                 log(`No improvement for player ${playerId} on map ${mapId}: API timestamp ${recordDate.toISOString()} <= DB timestamp ${currentRecordDate.toISOString()}`);
+
+                if (ghostUrl) {
+                    // Backfill ghosts for records stored before ghost URLs were kept
+                    await db.run(
+                        'UPDATE records SET ghost_url = ? WHERE player_id = ? AND map_id = ? AND time_ms = ? AND ghost_url IS NULL',
+                        [ghostUrl, playerId, mapId, timeMs]
+                    );
+                }
             }
         }
         return {
@@ -481,6 +773,74 @@ async function updateMapRecord(db, playerId, mapId, timeMs, playerRegisteredAt,
     }
 }
 
+/**
+ * Stores the world, country and region positions a PB had when it was found
+ * Updates both the current record and the matching record_history entry
+ * @param {Database} db - Database connection
+ * @param {number} playerId - Player database ID
+ * @param {number} mapId - Map database ID
+ * @param {number} timeMs - Record time in milliseconds
+ * @param {{world: number|null, country?: number|null, region?: number|null}} positions - Positions from fetchRecordPositions and fetchZonePositions
+ */
+async function storeRecordPositions(db, playerId, mapId, timeMs, positions) {
+    if (!positions.world) return;
+
+    try {
+        const params = [positions.world, positions.country ?? null, positions.region ?? null, playerId, mapId, timeMs];
+
+        await db.run(
+            `UPDATE records SET world_position = ?, country_position = ?, region_position = ?
+             WHERE player_id = ? AND map_id = ? AND time_ms = ?`,
+            params
+        );
+        await db.run(
+            `UPDATE record_history SET world_position = ?, country_position = ?, region_position = ?
+             WHERE player_id = ? AND map_id = ? AND time_ms = ?`,
+            params
+        );
+    } catch (error) {
+        log(`Warning: Failed to store positions for player ${playerId} on map ${mapId}: ${error.message}`, 'warn');
+    }
+}
+
+/**
+ * Fetches and stores the world, country and region positions of new PBs with as few requests as possible
+ * The API ranks one time per map per request, so PBs on the same map are spread over several requests
+ * @param {Database} db - Database connection
+ * @param {Array<{playerId: number, accountId: string, mapId: number, mapUid: string, timeMs: number}>} records - New PBs to rank
+ */
+async function storeNewRecordPositions(db, records) {
+    const recordsByMap = new Map();
+    for (const record of records) {
+        if (!recordsByMap.has(record.mapUid)) {
+            recordsByMap.set(record.mapUid, []);
+        }
+        recordsByMap.get(record.mapUid).push(record);
+    }
+
+    const batchCount = Math.max(0, ...Array.from(recordsByMap.values(), mapRecords => mapRecords.length));
+
+    for (let i = 0; i < batchCount; i++) {
+        const batch = Array.from(recordsByMap.values(), mapRecords => mapRecords[i]).filter(Boolean);
+        const positions = await fetchRecordPositions(batch.map(record => ({ mapUid: record.mapUid, score: record.timeMs })));
+
+        for (const record of batch) {
+            record.worldPosition = positions.get(record.mapUid) || null;
+        }
+    }
+
+    for (const [mapUid, mapRecords] of recordsByMap) {
+        const zonePositions = await fetchZonePositions(mapUid, mapRecords);
+
+        for (const record of mapRecords) {
+            await storeRecordPositions(db, record.playerId, record.mapId, record.timeMs, {
+                world: record.worldPosition,
+                ...zonePositions.get(record.accountId)
+            });
+        }
+    }
+}
+
 /**
  * Stores or updates map information in the database
  * @param {Database} db - Database connection
@@ -489,9 +849,10 @@ async function updateMapRecord(db, playerId, mapId, timeMs, playerRegisteredAt,
  * @param {string} name - Map name
  * @param {string} seasonUid - Season/campaign UID the map belongs to
  * @param {string} thumbnailUrl - URL for the map's thumbnail image
+ * @param {Object} medalTimes - Medal times from the map info API (authorTime, goldTime, silverTime, bronzeTime)
  * @returns {Promise<number>} Database ID of the stored/updated map
  */
-export async function storeMap(db, mapUid, mapId, name, seasonUid, thumbnailUrl) {
+export async function storeMap(db, mapUid, mapId, name, seasonUid, thumbnailUrl, medalTimes = {}) {
     try {
         let cleanedName = name;
         const campaignMatch = name.match(/(.*\s+\d{4})\s*-\s*(\d+)/);
@@ -501,21 +862,26 @@ export async function storeMap(db, mapUid, mapId, name, seasonUid, thumbnailUrl)
             cleanedName = `${seasonName} - ${mapNumber}`;
         }
         
+        const { authorTime = null, goldTime = null, silverTime = null, bronzeTime = null } = medalTimes;
+
         const existingMap = await db.get('SELECT id FROM maps WHERE map_uid = ?', mapUid);
 
         if (existingMap) {
             await db.run(
                 `UPDATE maps
-         SET map_id = ?, name = ?, season_uid = ?, thumbnail_url = ?, last_checked = CURRENT_TIMESTAMP
+         SET map_id = ?, name = ?, season_uid = ?, thumbnail_url = ?,
+             author_time = COALESCE(?, author_time), gold_time = COALESCE(?, gold_time),
+             silver_time = COALESCE(?, silver_time), bronze_time = COALESCE(?, bronze_time),
+             last_checked = CURRENT_TIMESTAMP
          WHERE map_uid = ?`,
-                [mapId, cleanedName, seasonUid, thumbnailUrl, mapUid]
+                [mapId, cleanedName, seasonUid, thumbnailUrl, authorTime, goldTime, silverTime, bronzeTime, mapUid]
             );
             return existingMap.id;
         } else {
             const result = await db.run(
-                `INSERT INTO maps (map_uid, map_id, name, season_uid, thumbnail_url)
-         VALUES (?, ?, ?, ?, ?)`,
-                [mapUid, mapId, cleanedName, seasonUid, thumbnailUrl]
+                `INSERT INTO maps (map_uid, map_id, name, season_uid, thumbnail_url, author_time, gold_time, silver_time, bronze_time)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [mapUid, mapId, cleanedName, seasonUid, thumbnailUrl, authorTime, goldTime, silverTime, bronzeTime]
             );
             return result.lastID;
         }
@@ -543,8 +909,14 @@ async function getUnannouncedRecords(db, guildId = null) {
       m.map_uid, 
       m.name as map_name, 
       m.thumbnail_url,
+      m.author_time,
+      m.gold_time,
+      m.silver_time,
+      m.bronze_time,
       r.time_ms,
       r.recorded_at,
+      r.ghost_url,
+      r.world_position,
       rh.previous_time_ms
     FROM 
       records r
@@ -624,6 +996,31 @@ async function getUnannouncedRecords(db, guildId = null) {
 }
 
 
+/**
+ * Finds the guild members whose PB on a map was beaten by a new record
+ * A member counts as sniped when they were ahead of (or tied with) the previous PB and are now behind
+ * @param {Database} db - Database connection
+ * @param {string} guildId - Guild whose members are compared
+ * @param {Object} record - The new record, as returned by getUnannouncedRecords
+ * @returns {Promise<Array>} Sniped members with their discord_id, username, account_id and time_ms, fastest first
+ */
+async function getSnipedPlayers(db, guildId, record) {
+    return await db.all(
+        `SELECT p.discord_id, p.username, p.account_id, MIN(r.time_ms) as time_ms
+         FROM players p
+         JOIN players rp ON rp.account_id = p.account_id
+         JOIN records r ON r.player_id = rp.id
+         JOIN maps m ON r.map_id = m.id
+         WHERE p.guild_id = ?
+         AND p.account_id != ?
+         AND m.map_uid = ?
+         GROUP BY p.id
+         HAVING MIN(r.time_ms) > ? AND (? IS NULL OR MIN(r.time_ms) <= ?)
+         ORDER BY time_ms ASC`,
+        [guildId, record.account_id, record.map_uid, record.time_ms, record.previous_time_ms, record.previous_time_ms]
+    );
+}
+
 /**
  * Marks records as announced in the database to prevent duplicate announcements
  * Also cleans up guild-specific ineligibility markers for announced records
@@ -666,8 +1063,8 @@ async function markRecordsAsAnnounced(db, recordIds) {
 }
 
 /**
- * Main function that checks for new records across all maps in the current campaign
- * Fetches current campaign, retrieves player records, and announces improvements
+ * Main function that checks for new records across all maps in the current and tracked past campaigns
+ * Fetches tracked campaigns, retrieves player records, and announces improvements
  * @param {Client} client - Discord.js client instance
  */
 export async function checkRecords(client) {
@@ -722,18 +1119,26 @@ export async function checkRecords(client) {
         const maxPositionToCheck = highestMinPosition || 10000;
         log(`Using maximum position threshold for scanning: ${maxPositionToCheck}`);
 
-        const campaign = await fetchCurrentCampaign();
-        const seasonId = campaign.leaderboardGroupUid;
-        const mapUids = campaign.playlist.map(m => m.mapUid);
-        log(`Found ${mapUids.length} maps in current campaign`);
+        const campaigns = await fetchTrackedCampaigns();
+        const campaignMaps = [];
+
+        for (const campaign of campaigns) {
+            const seasonId = getCampaignSeasonUid(campaign);
+            const mapUids = campaign.playlist.map(m => m.mapUid);
+            log(`Found ${mapUids.length} maps in campaign ${campaign.name}`);
+
+            const mapList = await fetchMapInfo(mapUids);
+            mapList.forEach(map => campaignMaps.push({ map, seasonId }));
+        }
+
         log(`Checking records for ${allAccountIds.size} unique players across ${guildPlayerMap.size} guilds`);
 
-        const mapList = await fetchMapInfo(mapUids);
         const accountIds = Array.from(allAccountIds);
 
         const playersWithUpdates = new Set();
+        const recordsToRank = [];
 
-        for (const map of mapList) {
+        for (const { map, seasonId } of campaignMaps) {
             const mapUid = map.uid;
             const mapId = map.mapId;
             const mapName = map.name;
@@ -744,7 +1149,7 @@ export async function checkRecords(client) {
             }
 
             const thumbnailUrl = map.thumbnailUrl;
-            const dbMapId = await storeMap(db, mapUid, mapId, mapName, seasonId, thumbnailUrl);
+            const dbMapId = await storeMap(db, mapUid, mapId, mapName, seasonId, thumbnailUrl, map);
 
             try {
                 log(`Fetching records for map ${mapName} (${mapUid})`);
@@ -842,10 +1247,11 @@ export async function checkRecords(client) {
                     }
 
                     const firstGuildPlayer = Array.from(guildEligibility.values())[0].player;
-                    const result = await updateMapRecord(db, firstGuildPlayer.id, dbMapId, time, firstGuildPlayer.registered_at, recordTimestamp);
+                    const result = await updateMapRecord(db, firstGuildPlayer.id, dbMapId, time, firstGuildPlayer.registered_at, recordTimestamp, rec.url || null);
 
                     if (result.isNewRecord || result.improved) {
                         playersWithUpdates.add(accountId);
+                        recordsToRank.push({ playerId: firstGuildPlayer.id, accountId, mapId: dbMapId, mapUid, timeMs: time });
 
                         if (result.recordId) {
                             for (const [guildId, eligibility] of guildEligibility) {
@@ -892,6 +1298,8 @@ export async function checkRecords(client) {
             }
         }
 
+        await storeNewRecordPositions(db, recordsToRank);
+
         if (playersWithUpdates.size > 0 && tmOAuthClientId && tmOAuthClientSecret) {
             try {
                 const updatedAccountIds = Array.from(playersWithUpdates);
@@ -932,6 +1340,7 @@ export async function checkRecords(client) {
 
 /**
  * Creates a Discord embed for announcing a new record or improvement
+ * Records that earn a better medal than the previous PB are announced as a new medal
  * @param {Object} record - The record data to announce
  * @param {Object} t - Translation strings for localization
  * @param {number|null} worldPosition - The world ranking position for this time
@@ -943,6 +1352,11 @@ export function createRecordEmbed(record, t, worldPosition = null) {
     let emoji = '🏆';
 
     const recordType = t.embeds.newRecord.newPersonalBest;
+
+    const medal = getMedal(record.time_ms, record);
+    const previousMedal = record.previous_time_ms ? getMedal(record.previous_time_ms, record) : null;
+    const isNewMedal = medal !== null && medal !== previousMedal;
+    const medalName = medal ? (t.values.medals?.[medal.key] || medal.key) : null;
     
     const recordTimestamp = record.recorded_at ? new Date(record.recorded_at) : new Date();
 
@@ -953,13 +1367,22 @@ export function createRecordEmbed(record, t, worldPosition = null) {
 
     const finalThumbnailUrl = record.thumbnail_url && record.thumbnail_url.startsWith('http') ? record.thumbnail_url : null;
     const embed = new EmbedBuilder()
-        .setTitle(formatString(t.embeds.newRecord.title, { emoji }))
-        .setColor(0x00BFFF)
-        .setDescription(formatString(t.embeds.newRecord.description, {
-            username: linkedUsername,
-            discordId: record.discord_id,
-            recordType
-        }))
+        .setTitle(isNewMedal
+            ? formatString(t.embeds.newRecord.medalTitle || '{emoji} New {medal} medal!', { emoji: medal.emoji, medal: medalName })
+            : formatString(t.embeds.newRecord.title, { emoji }))
+        .setColor(isNewMedal ? medal.color : 0x00BFFF)
+        .setDescription(isNewMedal
+            ? formatString(t.embeds.newRecord.medalDescription || '**{username}** (<@{discordId}>) just earned their first {medal} medal on **{mapName}**!', {
+                username: linkedUsername,
+                discordId: record.discord_id,
+                medal: medalName,
+                mapName: record.map_name || record.map_uid
+            })
+            : formatString(t.embeds.newRecord.description, {
+                username: linkedUsername,
+                discordId: record.discord_id,
+                recordType
+            }))
         .setAuthor({ name: 'Trackmania Campaign Records', iconURL: TRACKMANIA_ICON_URL })
         .setThumbnail(finalThumbnailUrl)
         .addFields(
@@ -998,6 +1421,12 @@ export function createRecordEmbed(record, t, worldPosition = null) {
         );
     }
 
+    if (medal) {
+        embed.addFields(
+            { name: t.embeds.newRecord.medal || '🏅 Medal', value: `${medal.emoji} **${medalName}**`, inline: false }
+        );
+    }
+
     const unixTimestamp = Math.floor(recordTimestamp.getTime() / 1000);
     embed.addFields(
         { name: t.embeds.newRecord.recordSet, value: `<t:${unixTimestamp}:F>`, inline: false }
@@ -1006,6 +1435,169 @@ export function createRecordEmbed(record, t, worldPosition = null) {
     return embed;
 }
 
+/**
+ * Creates a link button that downloads a record's ghost file
+ * @param {string|null} ghostUrl - Ghost download URL stored with the record
+ * @param {string} label - Button label
+ * @returns {ButtonBuilder|null} Link button, or null if the record has no usable ghost URL
+ */
+export function createGhostButton(ghostUrl, label) {
+    if (!ghostUrl || !ghostUrl.startsWith('http') || ghostUrl.length > 512) {
+        return null;
+    }
+
+    return new ButtonBuilder()
+        .setStyle(ButtonStyle.Link)
+        .setURL(ghostUrl)
+        .setLabel(label.substring(0, 80));
+}
+
+/**
+ * Creates a Discord embed announcing which guild members were sniped by a new record
+ * @param {Object} record - The record that beat the other members
+ * @param {Array} snipedPlayers - Members whose PB was beaten, from getSnipedPlayers
+ * @param {Object} t - Translation strings for localization
+ * @returns {EmbedBuilder} Discord embed for the snipe announcement
+ */
+export function createSnipeEmbed(record, snipedPlayers, t) {
+    const playerName = record.username || 'Player';
+    const linkedUsername = record.account_id
+        ? `[${playerName}](https://trackmania.io/player#/player/${record.account_id})`
+        : playerName;
+
+    const snipedList = snipedPlayers.map(sniped =>
+        formatString(t.embeds.snipe?.entry || '**{username}** ({time}) by **{gap}**', {
+            username: sniped.username || sniped.account_id,
+            time: formatTime(sniped.time_ms),
+            gap: formatTime(sniped.time_ms - record.time_ms)
+        })
+    ).join('\n');
+
+    return new EmbedBuilder()
+        .setTitle(t.embeds.snipe?.title || '🎯 Sniped!')
+        .setColor(0xFF4500)
+        .setDescription(formatString(t.embeds.snipe?.description || '**{username}** (<@{discordId}>) beat {count} member(s) on **{mapName}** with **{time}**', {
+            username: linkedUsername,
+            discordId: record.discord_id,
+            count: snipedPlayers.length,
+            mapName: record.map_name || record.map_uid,
+            time: formatTime(record.time_ms)
+        }))
+        .setAuthor({ name: 'Trackmania Campaign Records', iconURL: TRACKMANIA_ICON_URL })
+        .addFields(
+            { name: t.embeds.snipe?.sniped || 'Sniped', value: snipedList.substring(0, 1024), inline: false }
+        )
+        .setTimestamp(record.recorded_at ? new Date(record.recorded_at) : new Date());
+}
+
+/**
+ * Creates the paginated embeds of a campaign record digest
+ * Records are grouped by player and ordered by player and map name
+ * @param {Array} entries - Digest entries with record, worldPosition and snipedPlayers
+ * @param {Object} t - Translation strings for localization
+ * @param {string} mode - Digest mode (hourly or daily)
+ * @param {number|null} since - When the previous digest was posted
+ * @returns {EmbedBuilder[]} Digest embeds, one per page
+ */
+export function createDigestEmbeds(entries, t, mode, since) {
+    const sorted = [...entries].sort((a, b) =>
+        (a.record.username || '').localeCompare(b.record.username || '') ||
+        (a.record.map_name || '').localeCompare(b.record.map_name || '')
+    );
+
+    const pages = [];
+    for (let i = 0; i < sorted.length; i += DIGEST_RECORDS_PER_PAGE) {
+        pages.push(sorted.slice(i, i + DIGEST_RECORDS_PER_PAGE));
+    }
+
+    const title = mode === 'daily'
+        ? (t.embeds.digest?.dailyTitle || '📰 Daily PB Digest')
+        : (t.embeds.digest?.hourlyTitle || '📰 Hourly PB Digest');
+
+    const description = since
+        ? formatString(t.embeds.digest?.description || '{count} new PB(s) since <t:{since}:R>', { count: entries.length, since: Math.floor(since / 1000) })
+        : formatString(t.embeds.digest?.descriptionNoSince || '{count} new PB(s)', { count: entries.length });
+
+    return pages.map((page, pageIndex) => {
+        const embed = new EmbedBuilder()
+            .setTitle(title)
+            .setColor(0x00BFFF)
+            .setAuthor({ name: 'Trackmania Campaign Records', iconURL: TRACKMANIA_ICON_URL })
+            .setDescription(description)
+            .setFooter({ text: formatString(t.embeds.digest?.page || 'Page {page}/{pages}', { page: pageIndex + 1, pages: pages.length }) })
+            .setTimestamp();
+
+        const playerLines = new Map();
+        for (const { record, worldPosition, snipedPlayers } of page) {
+            const playerKey = record.account_id || record.discord_id;
+            if (!playerLines.has(playerKey)) {
+                playerLines.set(playerKey, { record, lines: [] });
+            }
+
+            let line = `**${record.map_name || record.map_uid}** - ${formatTime(record.time_ms)}`;
+            if (record.previous_time_ms) {
+                line += ` ${formatTime(record.previous_time_ms - record.time_ms, true)}`;
+            }
+            if (worldPosition) {
+                line += ` · #${worldPosition}`;
+            }
+
+            const medal = getMedal(record.time_ms, record);
+            if (medal) {
+                line += ` ${medal.emoji}`;
+            }
+
+            if (snipedPlayers && snipedPlayers.length > 0) {
+                line += ` · 🎯 ${snipedPlayers.map(p => p.username || p.account_id).join(', ')}`;
+            }
+
+            playerLines.get(playerKey).lines.push(line);
+        }
+
+        for (const { record, lines } of playerLines.values()) {
+            embed.addFields({
+                name: record.username || 'Player',
+                value: lines.join('\n').substring(0, 1024),
+                inline: false
+            });
+        }
+
+        return embed;
+    });
+}
+
+/**
+ * Sends a snipe announcement for a record if it beat any other guild member
+ * @param {TextChannel} channel - Channel to announce in
+ * @param {Database} db - Database connection
+ * @param {string} guildId - Discord guild ID
+ * @param {Object} record - The new record
+ * @param {Object} t - Translation strings for localization
+ * @param {boolean} pings - Whether to mention the sniped members
+ */
+async function announceSnipes(channel, db, guildId, record, t, pings) {
+    try {
+        const snipedPlayers = await getSnipedPlayers(db, guildId, record);
+        if (snipedPlayers.length === 0) return;
+
+        const embed = createSnipeEmbed(record, snipedPlayers, t);
+        const message = { embeds: [embed] };
+
+        if (pings) {
+            const discordIds = [...new Set(snipedPlayers.map(p => p.discord_id))];
+            message.content = discordIds.map(id => `<@${id}>`).join(' ');
+            message.allowedMentions = { users: discordIds };
+        } else {
+            message.allowedMentions = { parse: [] };
+        }
+
+        await channel.send(message);
+        log(`Announced snipe by ${record.username} on ${record.map_name} (${snipedPlayers.length} members) in guild ${guildId}`);
+    } catch (error) {
+        log(`Failed to announce snipe in guild ${guildId}: ${error.message}`, 'warn');
+    }
+}
+
 /**
  * Create an embed for the country leaderboard
  * @param {string} mapName The map name
@@ -1115,11 +1707,23 @@ async function announceNewRecords(client, db) {
                 log(`Campaign announcements are disabled for guild ${guildId}`);
                 continue;
             }
+
+            const { mode: announcementMode, lastDigestAt } = await getAnnouncementMode(guildId);
+            const isDigest = announcementMode !== 'instant';
+            const digestStartedAt = Date.now();
+
+            if (isDigest && lastDigestAt && digestStartedAt - lastDigestAt < ANNOUNCEMENT_MODES[announcementMode]) {
+                log(`Next ${announcementMode} digest for guild ${guildId} is not due yet`);
+                continue;
+            }
             
             const guildEligibleRecords = await getUnannouncedRecords(db, guildId);
 
             if (guildEligibleRecords.length === 0) {
                 log(`No eligible records for guild ${guildId}`);
+                if (isDigest) {
+                    await setLastDigestAt(guildId, digestStartedAt);
+                }
                 continue;
             }
 
@@ -1139,12 +1743,16 @@ async function announceNewRecords(client, db) {
 
             const t = await getTranslations(guildId);
             const minPosition = await getMinWorldPosition(guildId);
+            const snipeSettings = await getSnipeAnnouncementsSettings(guildId);
+            const digestEntries = [];
 
             for (const record of guildEligibleRecords) {
-                let worldPosition = null;
+                let worldPosition = record.world_position || null;
                 
                 try {
-                    worldPosition = await fetchRecordPosition(record.map_uid, record.time_ms);
+                    if (!worldPosition) {
+                        worldPosition = await fetchRecordPosition(record.map_uid, record.time_ms);
+                    }
                     log(`World position for ${record.username} on ${record.map_name}: #${worldPosition}`);
                 } catch (positionError) {
                     log(`Failed to fetch world position: ${positionError.message}`, 'warn');
@@ -1172,10 +1780,22 @@ async function announceNewRecords(client, db) {
                     continue;
                 }
 
+                if (isDigest) {
+                    const snipedPlayers = snipeSettings.enabled ? await getSnipedPlayers(db, guildId, record) : [];
+                    digestEntries.push({ record, worldPosition, snipedPlayers });
+                    continue;
+                }
+
+                if (snipeSettings.enabled) {
+                    await announceSnipes(channel, db, guildId, record, t, snipeSettings.pings);
+                }
+
                 const embed = createRecordEmbed(record, t, worldPosition);
+                const ghostButton = createGhostButton(record.ghost_url, t.embeds.newRecord.downloadGhost || '👻 Download ghost');
+                const components = ghostButton ? [new ActionRowBuilder().addComponents(ghostButton)] : [];
 
                 try {
-                    await channel.send({ embeds: [embed] });
+                    await channel.send({ embeds: [embed], components });
                     announcedInAnyGuild.add(record.record_id);
                     log(`Announced record for ${record.username} in guild ${guildId}`);
                 } catch (sendError) {
@@ -1190,6 +1810,26 @@ async function announceNewRecords(client, db) {
 
                 await new Promise(r => setTimeout(r, 250));
             }
+
+            if (isDigest) {
+                if (digestEntries.length > 0) {
+                    const digestEmbeds = createDigestEmbeds(digestEntries, t, announcementMode, lastDigestAt);
+
+                    try {
+                        for (const digestEmbed of digestEmbeds) {
+                            await channel.send({ embeds: [digestEmbed] });
+                            await new Promise(r => setTimeout(r, 250));
+                        }
+                        digestEntries.forEach(entry => announcedInAnyGuild.add(entry.record.record_id));
+                        log(`Posted ${announcementMode} digest with ${digestEntries.length} records in guild ${guildId}`);
+                    } catch (sendError) {
+                        log(`Failed to send ${announcementMode} digest in guild ${guildId}: ${sendError.message}`, 'error');
+                        continue;
+                    }
+                }
+
+                await setLastDigestAt(guildId, digestStartedAt);
+            }
         }
 
         if (announcedInAnyGuild.size > 0) {
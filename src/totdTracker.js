@@ -1,37 +1,65 @@
 import { makeRateLimitedRequest } from './api.js';
 import { ensureToken, invalidateTokens } from './auth.js';
-import { formatTime, log } from './utils.js';
+import { formatTime, log, MEDALS, parseDate } from './utils.js';
 import { getDb } from './db.js';
 import { getTranslations, formatString } from './localization/index.js';
 import { EmbedBuilder } from 'discord.js';
 import { TRACKMANIA_ICON_URL, tmOAuthClientId, tmOAuthClientSecret } from './config.js';
-import { fetchMapInfo } from './recordTracker.js';
+import { fetchMapInfo, fetchPlayerRecords, fetchRecordPositions } from './recordTracker.js';
 import { cleanMapName } from './weeklyShorts.js';
 import { getDisplayNamesBatch } from './oauth.js';
 import { getGuildPlayers } from './playerManager.js';
+import { getTOTDPBAnnouncementsSettings } from './guildSettings.js';
+
+/**
+ * Fetches one month of Tracks of the Day from the Nadeo API
+ * @param {number} offset - Number of months to go back from the current month
+ * @returns {Promise<Object|null>} Month data with year, month and days, or null if not found
+ */
+async function fetchTOTDMonth(offset = 0) {
+    const liveToken = await ensureToken('NadeoLiveServices');
+
+    const response = await makeRateLimitedRequest({
+        method: 'get',
+        url: `https://live-services.trackmania.nadeo.live/api/token/campaign/month?length=1&offset=${offset}`,
+        headers: { Authorization: `nadeo_v1 t=${liveToken}` }
+    });
+
+    return response.data?.monthList?.[0] || null;
+}
+
+/**
+ * Converts a TOTD day from the month API into the TOTD data used by the tracker
+ * @param {Object} month - Month data from the API
+ * @param {Object} day - Day data from the month's days
+ * @returns {Object} TOTD data with mapUid, campaignId, timestamps in milliseconds, monthYear and seasonUid
+ */
+function toTOTDData(month, day) {
+    return {
+        mapUid: day.mapUid,
+        campaignId: day.campaignId,
+        startTimestamp: day.startTimestamp * 1000,
+        endTimestamp: day.endTimestamp * 1000,
+        monthYear: month.month,
+        seasonUid: month.seasonUid
+    };
+}
 
 /**
  * Fetches the current Track of the Day from the Nadeo API
  * @returns {Promise<Object|null>} TOTD data or null if not found
  */
 export async function fetchCurrentTOTD() {
-    const liveToken = await ensureToken('NadeoLiveServices');
     log('Fetching current TOTD...');
 
     try {
-        const response = await makeRateLimitedRequest({
-            method: 'get',
-            url: 'https://live-services.trackmania.nadeo.live/api/token/campaign/month?length=1&offset=0',
-            headers: { Authorization: `nadeo_v1 t=${liveToken}` }
-        });
+        const currentMonth = await fetchTOTDMonth(0);
 
-        if (!response.data || !response.data.monthList || response.data.monthList.length === 0) {
+        if (!currentMonth) {
             log('No TOTD data found', 'warn');
             return null;
         }
 
-        const currentMonth = response.data.monthList[0];
-
         if (!currentMonth.days || currentMonth.days.length === 0) {
             log('No TOTD days found in current month', 'warn');
             return null;
@@ -50,22 +78,137 @@ export async function fetchCurrentTOTD() {
         log(`Current TOTD: ${currentDay.mapUid} (campaign ${currentDay.campaignId})`);
         log(`Start: ${new Date(currentDay.startTimestamp * 1000).toISOString()}, End: ${new Date(currentDay.endTimestamp * 1000).toISOString()}`);
 
-        return {
-            mapUid: currentDay.mapUid,
-            campaignId: currentDay.campaignId,
-            startTimestamp: currentDay.startTimestamp * 1000,
-            endTimestamp: currentDay.endTimestamp * 1000,
-            monthYear: currentMonth.month,
-            seasonUid: currentMonth.seasonUid
-        };
+        return toTOTDData(currentMonth, currentDay);
     } catch (error) {
         log(`Error fetching current TOTD: ${error.message}`, 'error');
         throw error;
     }
 }
 
+/**
+ * Parses a YYYY-MM month into its UTC start and end timestamps
+ * @param {string} month - Month string
+ * @returns {{label: string, start: number, end: number}|null} Month label and range in milliseconds, or null if the month is invalid
+ */
+export function parseTOTDMonth(month) {
+    const match = /^(\d{4})-(\d{2})$/.exec(month?.trim() || '');
+    if (!match) return null;
+
+    const year = Number(match[1]);
+    const monthIndex = Number(match[2]) - 1;
+    if (monthIndex < 0 || monthIndex > 11) return null;
+
+    return {
+        label: `${match[1]}-${match[2]}`,
+        start: Date.UTC(year, monthIndex, 1),
+        end: Date.UTC(year, monthIndex + 1, 1)
+    };
+}
+
+/**
+ * Gets the months that have stored Tracks of the Day, for autocomplete
+ * @param {string} query - Partial YYYY-MM month to filter by
+ * @param {number} limit - Maximum number of months to return
+ * @returns {Promise<Array<string>>} Months in YYYY-MM format, newest first
+ */
+export async function getStoredTOTDMonths(query = '', limit = 25) {
+    const db = await getDb();
+    const rows = await db.all(
+        `SELECT DISTINCT strftime('%Y-%m', start_timestamp / 1000, 'unixepoch') as month
+         FROM totd_maps
+         WHERE start_timestamp IS NOT NULL AND month LIKE ?
+         ORDER BY month DESC
+         LIMIT ?`,
+        [`%${query}%`, limit]
+    );
+    return rows.map(row => row.month);
+}
+
+/**
+ * Fetches the Track of the Day of a given date from the Nadeo API
+ * The month is found by its offset from the current month, then the day by its day of the month
+ * @param {string} date - Date in YYYY-MM-DD format (UTC)
+ * @returns {Promise<Object|null>} TOTD data, or null if the date is invalid or has no released TOTD
+ */
+export async function fetchTOTDByDate(date) {
+    const parts = parseDate(date);
+    if (!parts) return null;
+
+    const now = new Date();
+    let offset = (now.getUTCFullYear() * 12 + now.getUTCMonth()) - (parts.year * 12 + parts.month - 1);
+    if (offset < 0) return null;
+
+    log(`Fetching TOTD for ${date} (month offset ${offset})...`);
+
+    let month = await fetchTOTDMonth(offset);
+
+    if (month && (month.year !== parts.year || month.month !== parts.month)) {
+        offset += (month.year * 12 + month.month) - (parts.year * 12 + parts.month);
+        if (offset < 0) return null;
+        month = await fetchTOTDMonth(offset);
+    }
+
+    if (!month || month.year !== parts.year || month.month !== parts.month) {
+        log(`No TOTD month found for ${date}`, 'warn');
+        return null;
+    }
+
+    const day = (month.days || []).find(d => d.monthDay === parts.day);
+    if (!day || !day.mapUid || !day.startTimestamp || day.startTimestamp * 1000 > Date.now()) {
+        log(`No released TOTD found for ${date}`, 'warn');
+        return null;
+    }
+
+    return toTOTDData(month, day);
+}
+
+/**
+ * Gets a Track of the Day map from the database, fetching and storing it first if it is not cached
+ * Without a date the current TOTD is used
+ * @param {string|null} date - Date in YYYY-MM-DD format (UTC), or null for the current TOTD
+ * @returns {Promise<Object|null>} Stored totd_maps row, or null if no TOTD was found
+ */
+export async function getTOTDMap(date = null) {
+    const db = await getDb();
+
+    if (date) {
+        const parts = parseDate(date);
+        if (!parts) return null;
+
+        const dayStart = Date.UTC(parts.year, parts.month - 1, parts.day);
+        const cached = await db.get(
+            'SELECT * FROM totd_maps WHERE start_timestamp >= ? AND start_timestamp < ? ORDER BY start_timestamp DESC LIMIT 1',
+            [dayStart, dayStart + 24 * 60 * 60 * 1000]
+        );
+
+        if (cached && cached.author_time !== null) {
+            return cached;
+        }
+    }
+
+    const totdData = date ? await fetchTOTDByDate(date) : await fetchCurrentTOTD();
+    if (!totdData) return null;
+
+    if (!date) {
+        const cached = await db.get('SELECT * FROM totd_maps WHERE map_uid = ?', totdData.mapUid);
+        if (cached && cached.author_time !== null) {
+            return cached;
+        }
+    }
+
+    const mapInfoList = await fetchMapInfo([totdData.mapUid]);
+    if (!mapInfoList || mapInfoList.length === 0) {
+        log(`Could not fetch map info for TOTD ${totdData.mapUid}`, 'warn');
+        return null;
+    }
+
+    const totdMapDbId = await storeTOTDMap(db, totdData, mapInfoList[0]);
+    return await db.get('SELECT * FROM totd_maps WHERE id = ?', totdMapDbId);
+}
+
 /**
  * Stores or updates TOTD map information in the database
+ * New maps wait for their reveal, and for their leaderboard announcement unless they have already ended
  * @param {Database} db - Database connection
  * @param {Object} totdData - TOTD data from API
  * @param {Object} mapInfo - Map details from map info API
@@ -75,23 +218,31 @@ async function storeTOTDMap(db, totdData, mapInfo) {
     try {
         const existingMap = await db.get('SELECT id, end_timestamp FROM totd_maps WHERE map_uid = ?', totdData.mapUid);
 
+        const { author = null, authorTime = null, goldTime = null, silverTime = null, bronzeTime = null } = mapInfo;
+
         if (existingMap) {
             await db.run(
                 `UPDATE totd_maps
                  SET map_id = ?, name = ?, campaign_id = ?, start_timestamp = ?,
-                     end_timestamp = ?, thumbnail_url = ?, last_checked = CURRENT_TIMESTAMP
+                     end_timestamp = ?, thumbnail_url = ?, author_account_id = ?, author_time = ?,
+                     gold_time = ?, silver_time = ?, bronze_time = ?, last_checked = CURRENT_TIMESTAMP
                  WHERE map_uid = ?`,
                 [mapInfo.mapId, mapInfo.name, totdData.campaignId, totdData.startTimestamp,
-                 totdData.endTimestamp, mapInfo.thumbnailUrl, totdData.mapUid]
+                 totdData.endTimestamp, mapInfo.thumbnailUrl, author, authorTime,
+                 goldTime, silverTime, bronzeTime, totdData.mapUid]
             );
             log(`Updated TOTD map: ${mapInfo.name}`);
             return existingMap.id;
         } else {
             const result = await db.run(
-                `INSERT INTO totd_maps (map_uid, map_id, name, campaign_id, start_timestamp, end_timestamp, thumbnail_url)
-                 VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                `INSERT INTO totd_maps (map_uid, map_id, name, campaign_id, start_timestamp, end_timestamp, thumbnail_url,
+                                        author_account_id, author_time, gold_time, silver_time, bronze_time,
+                                        reveal_announced, leaderboard_announced)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 0, ?)`,
                 [totdData.mapUid, mapInfo.mapId, mapInfo.name, totdData.campaignId,
-                 totdData.startTimestamp, totdData.endTimestamp, mapInfo.thumbnailUrl]
+                 totdData.startTimestamp, totdData.endTimestamp, mapInfo.thumbnailUrl,
+                 author, authorTime, goldTime, silverTime, bronzeTime,
+                 totdData.endTimestamp > Date.now() ? 0 : 1]
             );
             log(`Stored new TOTD map: ${mapInfo.name}`);
             return result.lastID;
@@ -102,8 +253,30 @@ async function storeTOTDMap(db, totdData, mapInfo) {
     }
 }
 
+/**
+ * Converts a player's registered_at value to a Date
+ * SQLite defaults are UTC date strings without a timezone suffix
+ * @param {Object} player - Player row with registered_at
+ * @returns {Date} Registration date, or now if unknown
+ */
+function getRegisteredAt(player) {
+    if (!player.registered_at) {
+        return new Date();
+    }
+
+    if (typeof player.registered_at === 'string') {
+        const utcString = player.registered_at.endsWith('Z') ?
+            player.registered_at :
+            player.registered_at.replace(' ', 'T') + 'Z';
+        return new Date(utcString);
+    }
+
+    return new Date(player.registered_at);
+}
+
 /**
  * Updates player records for a specific TOTD map
+ * New and improved times are left unannounced, unless they were set before the player registered in that guild
  * @param {Database} db - Database connection
  * @param {number} mapDbId - Database ID of the TOTD map
  * @param {string} mapId - API map ID
@@ -123,6 +296,7 @@ async function updateTOTDRecords(db, mapDbId, mapId, mapUid, accountIds, guildPl
 
         for (const rec of records) {
             const accountId = rec.accountId;
+            const recordTimestamp = rec.timestamp ? new Date(rec.timestamp).getTime() : Date.now();
 
             let time;
             if (rec.recordScore && rec.recordScore.time) {
@@ -153,17 +327,22 @@ async function updateTOTDRecords(db, mapDbId, mapId, mapUid, accountIds, guildPl
                     [player.id, mapDbId]
                 );
 
+                const announced = recordTimestamp < getRegisteredAt(player).getTime() ? 1 : 0;
+
                 if (!existingRecord) {
                     await db.run(
-                        'INSERT INTO totd_records (player_id, map_id, time_ms) VALUES (?, ?, ?)',
-                        [player.id, mapDbId, time]
+                        'INSERT INTO totd_records (player_id, map_id, time_ms, timestamp, announced) VALUES (?, ?, ?, ?, ?)',
+                        [player.id, mapDbId, time, recordTimestamp, announced]
                     );
                     newRecords++;
                     log(`New TOTD record for player ${accountId} (player_id ${player.id}): ${time}ms`);
                 } else if (time < existingRecord.time_ms) {
                     await db.run(
-                        'UPDATE totd_records SET time_ms = ?, recorded_at = CURRENT_TIMESTAMP WHERE player_id = ? AND map_id = ?',
-                        [time, player.id, mapDbId]
+                        `UPDATE totd_records
+                         SET previous_time_ms = time_ms, previous_position = position, time_ms = ?, position = NULL,
+                             timestamp = ?, announced = ?, recorded_at = CURRENT_TIMESTAMP
+                         WHERE player_id = ? AND map_id = ?`,
+                        [time, recordTimestamp, announced, player.id, mapDbId]
                     );
                     updatedRecords++;
                     log(`Updated TOTD record for player ${accountId} (player_id ${player.id}): ${time}ms (was ${existingRecord.time_ms}ms)`);
@@ -331,6 +510,340 @@ export async function createTOTDLeaderboardEmbed(mapName, mapUid, thumbnailUrl,
     return embed;
 }
 
+/**
+ * Creates a Discord embed with the details of a Track of the Day map
+ * The end time is only shown while the TOTD is still current
+ * @param {Object} totdMap - Stored totd_maps row
+ * @param {Object} t - Translation strings
+ * @returns {Promise<EmbedBuilder>} Discord embed with the map's author, medal times and release date
+ */
+export async function createTOTDMapEmbed(totdMap, t) {
+    const mapName = cleanMapName(totdMap.name) || totdMap.map_uid;
+    const date = new Date(totdMap.start_timestamp).toISOString().slice(0, 10);
+
+    let authorName = null;
+    if (totdMap.author_account_id && tmOAuthClientId && tmOAuthClientSecret) {
+        try {
+            authorName = (await getDisplayNamesBatch([totdMap.author_account_id]))[totdMap.author_account_id] || null;
+        } catch (error) {
+            log(`Failed to fetch author display name: ${error.message}`, 'warn');
+        }
+    }
+
+    const embed = new EmbedBuilder()
+        .setTitle(formatString(t.embeds.totd?.title || '📅 Track of the Day: {date}', { date }))
+        .setColor(0xFF6B00)
+        .setAuthor({ name: 'Trackmania Track of the Day', iconURL: TRACKMANIA_ICON_URL })
+        .setDescription(`**[${mapName}](https://trackmania.io/#/leaderboard/${totdMap.map_uid})**`)
+        .setTimestamp(totdMap.start_timestamp);
+
+    if (totdMap.author_account_id) {
+        embed.addFields({
+            name: t.embeds.totd?.author || '👤 Author',
+            value: `[${authorName || t.embeds.totd?.authorProfile || 'Profile'}](https://trackmania.io/player#/player/${totdMap.author_account_id})`,
+            inline: true
+        });
+    }
+
+    embed.addFields({
+        name: t.embeds.totd?.released || '🗓️ Released',
+        value: `<t:${Math.floor(totdMap.start_timestamp / 1000)}:F>`,
+        inline: true
+    });
+
+    if (totdMap.end_timestamp && totdMap.end_timestamp > Date.now()) {
+        embed.addFields({
+            name: t.embeds.totd?.ends || '⏳ Ends',
+            value: `<t:${Math.floor(totdMap.end_timestamp / 1000)}:F>`,
+            inline: true
+        });
+    }
+
+    const medals = MEDALS
+        .filter(medal => totdMap[medal.column])
+        .map(medal => `${medal.emoji} ${formatTime(totdMap[medal.column])}`);
+
+    if (medals.length > 0) {
+        embed.addFields({ name: t.embeds.totd?.medals || '🏅 Medals', value: medals.join('\n'), inline: false });
+    }
+
+    if (totdMap.thumbnail_url && totdMap.thumbnail_url.startsWith('http')) {
+        embed.setImage(totdMap.thumbnail_url);
+    }
+
+    return embed;
+}
+
+/**
+ * Creates a Discord embed for a TOTD personal best announcement
+ * @param {Object} record - The TOTD record to announce, with player and map details
+ * @param {Object} t - Translation strings
+ * @returns {EmbedBuilder} Discord embed for the announcement
+ */
+export function createTOTDRecordEmbed(record, t) {
+    const isImprovement = record.previous_time_ms !== null && record.previous_time_ms !== undefined;
+
+    const playerName = record.username || 'Player';
+    const linkedUsername = record.account_id
+        ? `[${playerName}](https://trackmania.io/player#/player/${record.account_id})`
+        : playerName;
+
+    const embed = new EmbedBuilder()
+        .setTitle(formatString(t.embeds.newRecord.title, { emoji: '📅' }))
+        .setColor(0xFF6B00)
+        .setDescription(formatString(t.embeds.newRecord.description, {
+            username: linkedUsername,
+            discordId: record.discord_id,
+            recordType: t.embeds.newRecord.newPersonalBest
+        }))
+        .setAuthor({ name: 'Trackmania Track of the Day', iconURL: TRACKMANIA_ICON_URL })
+        .addFields(
+            { name: t.embeds.newRecord.map, value: `**${cleanMapName(record.map_name) || record.map_uid}**`, inline: false }
+        );
+
+    if (record.thumbnail_url && record.thumbnail_url.startsWith('http')) {
+        embed.setThumbnail(record.thumbnail_url);
+    }
+
+    const timeText = isImprovement
+        ? `**${formatTime(record.time_ms)}** ${formatTime(record.previous_time_ms - record.time_ms, true)}`
+        : `**${formatTime(record.time_ms)}**`;
+
+    embed.addFields(
+        { name: t.embeds.newRecord.time, value: timeText, inline: true },
+        { name: t.embeds.newRecord.worldPosition, value: `**#${record.position}**`, inline: true }
+    );
+
+    if (isImprovement) {
+        const previousText = record.previous_position
+            ? `${formatTime(record.previous_time_ms)} · #${record.previous_position}`
+            : formatTime(record.previous_time_ms);
+
+        embed.addFields({ name: t.embeds.newRecord.previous, value: previousText, inline: true });
+    }
+
+    if (record.timestamp) {
+        embed.addFields({ name: t.embeds.newRecord.recordSet, value: `<t:${Math.floor(record.timestamp / 1000)}:F>`, inline: false });
+    }
+
+    return embed;
+}
+
+/**
+ * Gets the channel TOTD messages are posted to in a guild
+ * Falls back to the records channel, then to the first text channel the bot can send messages in
+ * @param {Client} client - Discord.js client instance
+ * @param {Database} db - Database connection
+ * @param {Guild} guild - Discord guild
+ * @returns {Promise<TextChannel|null>} Channel to post in, or null if none is available
+ */
+export async function getTOTDChannel(client, db, guild) {
+    const settings = await db.get('SELECT totd_channel_id, records_channel_id FROM guild_settings WHERE guild_id = ?', guild.id);
+
+    let channel = null;
+    if (settings?.totd_channel_id) {
+        channel = client.channels.cache.get(settings.totd_channel_id);
+    }
+
+    if (!channel && settings?.records_channel_id) {
+        channel = client.channels.cache.get(settings.records_channel_id);
+    }
+
+    if (!channel) {
+        channel = guild.channels.cache.find(ch =>
+            ch.isTextBased() && ch.permissionsFor(guild.members.me)?.has('SendMessages')
+        );
+    }
+
+    return channel || null;
+}
+
+/**
+ * Announces unannounced TOTD personal bests to every guild with TOTD PB announcements enabled
+ * World positions are looked up here, and times ranked below a guild's minimum position are skipped
+ * Records whose position could not be found are retried on the next check until their TOTD has ended
+ * @param {Client} client - Discord.js client instance
+ * @param {Database} db - Database connection
+ */
+async function announceTOTDRecords(client, db) {
+    try {
+        const records = await db.all(
+            `SELECT r.id, r.time_ms, r.position, r.previous_time_ms, r.previous_position, r.timestamp,
+                    p.discord_id, p.username, p.account_id, p.guild_id,
+                    m.map_uid, m.name as map_name, m.thumbnail_url, m.end_timestamp
+             FROM totd_records r
+             JOIN players p ON r.player_id = p.id
+             JOIN totd_maps m ON r.map_id = m.id
+             WHERE r.announced = 0
+             ORDER BY r.timestamp ASC`
+        );
+
+        if (records.length === 0) {
+            return;
+        }
+
+        const recordsByGuild = new Map();
+        for (const record of records) {
+            if (!recordsByGuild.has(record.guild_id)) {
+                recordsByGuild.set(record.guild_id, []);
+            }
+            recordsByGuild.get(record.guild_id).push(record);
+        }
+
+        const positionCache = new Map();
+
+        for (const [guildId, guildRecords] of recordsByGuild) {
+            const handledIds = [];
+
+            try {
+                const guild = client.guilds.cache.get(guildId);
+                const settings = await getTOTDPBAnnouncementsSettings(guildId);
+
+                if (!guild || !settings.enabled) {
+                    handledIds.push(...guildRecords.map(record => record.id));
+                } else {
+                    const t = await getTranslations(guildId);
+                    let channel;
+
+                    for (const record of guildRecords) {
+                        if (!record.position) {
+                            const cacheKey = `${record.map_uid}:${record.time_ms}`;
+                            if (!positionCache.has(cacheKey)) {
+                                const positions = await fetchRecordPositions([{ mapUid: record.map_uid, score: record.time_ms }]);
+                                positionCache.set(cacheKey, positions.get(record.map_uid) || null);
+                            }
+
+                            record.position = positionCache.get(cacheKey);
+                            if (!record.position) {
+                                if (record.end_timestamp && record.end_timestamp <= Date.now()) {
+                                    log(`No world position found for TOTD record ${record.id} and its TOTD has ended, skipping it`, 'warn');
+                                    handledIds.push(record.id);
+                                } else {
+                                    log(`No world position found for TOTD record ${record.id}, retrying next check`, 'warn');
+                                }
+                                continue;
+                            }
+
+                            await db.run('UPDATE totd_records SET position = ? WHERE id = ?', [record.position, record.id]);
+                        }
+
+                        handledIds.push(record.id);
+
+                        if (record.position > settings.minPosition) {
+                            log(`TOTD record by ${record.username} at #${record.position} is below the minimum position (${settings.minPosition}) for guild ${guildId}`);
+                            continue;
+                        }
+
+                        if (channel === undefined) {
+                            channel = await getTOTDChannel(client, db, guild);
+                        }
+
+                        if (!channel) {
+                            log(`No available channel for TOTD PB announcements in guild ${guildId}`);
+                            continue;
+                        }
+
+                        try {
+                            await channel.send({ embeds: [createTOTDRecordEmbed(record, t)] });
+                            log(`Announced TOTD PB for ${record.username} in guild ${guildId}: ${formatTime(record.time_ms)} #${record.position}`);
+                        } catch (sendError) {
+                            log(`Failed to send TOTD PB announcement in guild ${guildId}: ${sendError.message}`, 'error');
+                        }
+
+                        await new Promise(r => setTimeout(r, 250));
+                    }
+                }
+            } catch (guildError) {
+                log(`Error announcing TOTD PBs in guild ${guildId}: ${guildError.message}`, 'error');
+            }
+
+            if (handledIds.length > 0) {
+                try {
+                    const placeholders = handledIds.map(() => '?').join(',');
+                    await db.run(`UPDATE totd_records SET announced = 1 WHERE id IN (${placeholders})`, handledIds);
+                } catch (updateError) {
+                    log(`Error marking TOTD PBs as announced in guild ${guildId}: ${updateError.message}`, 'error');
+                }
+            }
+        }
+    } catch (error) {
+        log(`Error in TOTD PB announcement: ${error.message}`, 'error');
+    }
+}
+
+/**
+ * Announces a newly released TOTD with its map details to every guild with TOTD announcements enabled
+ * @param {Client} client - Discord.js client instance
+ * @param {Database} db - Database connection
+ * @param {Object} totdMap - Stored totd_maps row of the new TOTD
+ */
+async function announceTOTDReveal(client, db, totdMap) {
+    for (const [guildId, guild] of client.guilds.cache) {
+        try {
+            const settings = await db.get(
+                'SELECT totd_announcements_enabled FROM guild_settings WHERE guild_id = ?',
+                guildId
+            );
+
+            if (!settings || settings.totd_announcements_enabled === 0) {
+                continue;
+            }
+
+            const channel = await getTOTDChannel(client, db, guild);
+
+            if (!channel) {
+                log(`No available channel for TOTD reveal in guild ${guildId}`);
+                continue;
+            }
+
+            const t = await getTranslations(guildId);
+            const embed = await createTOTDMapEmbed(totdMap, t);
+            embed.setTitle(t.embeds.totd?.revealTitle || '🆕 New Track of the Day!');
+
+            await channel.send({ embeds: [embed] });
+            log(`Announced new TOTD ${totdMap.map_uid} in guild ${guildId}`);
+
+            await new Promise(r => setTimeout(r, 250));
+        } catch (guildError) {
+            log(`Error announcing TOTD reveal in guild ${guildId}: ${guildError.message}`, 'error');
+        }
+    }
+}
+
+/**
+ * Stores the world position each member's time had when a TOTD ended
+ * Unlike the position stored with PB announcements, this is filled for every member and is the end-of-day position
+ * Records should be refreshed with updateTOTDRecords first so times set after the last hourly check are ranked
+ * @param {Database} db - Database connection
+ * @param {Object} totdMap - Stored totd_maps row of the TOTD that ended
+ */
+async function storeTOTDFinalPositions(db, totdMap) {
+    try {
+        const records = await db.all(
+            'SELECT id, time_ms FROM totd_records WHERE map_id = ? AND final_position IS NULL',
+            totdMap.id
+        );
+
+        const positionCache = new Map();
+
+        for (const record of records) {
+            if (!positionCache.has(record.time_ms)) {
+                const positions = await fetchRecordPositions([{ mapUid: totdMap.map_uid, score: record.time_ms }]);
+                positionCache.set(record.time_ms, positions.get(totdMap.map_uid) || null);
+            }
+
+            const finalPosition = positionCache.get(record.time_ms);
+            if (finalPosition) {
+                await db.run('UPDATE totd_records SET final_position = ? WHERE id = ?', [finalPosition, record.id]);
+            }
+        }
+
+        log(`Stored final positions for ${records.length} TOTD records on ${totdMap.name}`);
+    } catch (error) {
+        log(`Error storing final TOTD positions: ${error.message}`, 'error');
+    }
+}
+
 /**
  * Announces TOTD leaderboard to all configured guild channels
  * @param {Client} client - Discord.js client instance
@@ -351,7 +864,7 @@ async function announceTOTDLeaderboard(client, db, totdMapDbId) {
         for (const [guildId, guild] of guilds) {
             try {
                 const settings = await db.get(
-                    'SELECT totd_channel_id, totd_announcements_enabled FROM guild_settings WHERE guild_id = ?',
+                    'SELECT totd_announcements_enabled FROM guild_settings WHERE guild_id = ?',
                     guildId
                 );
 
@@ -360,23 +873,7 @@ async function announceTOTDLeaderboard(client, db, totdMapDbId) {
                     continue;
                 }
 
-                let channel = null;
-                if (settings.totd_channel_id) {
-                    channel = client.channels.cache.get(settings.totd_channel_id);
-                }
-
-                if (!channel) {
-                    const fallbackSettings = await db.get('SELECT records_channel_id FROM guild_settings WHERE guild_id = ?', guildId);
-                    if (fallbackSettings?.records_channel_id) {
-                        channel = client.channels.cache.get(fallbackSettings.records_channel_id);
-                    }
-                }
-
-                if (!channel) {
-                    channel = guild.channels.cache.find(ch =>
-                        ch.isTextBased() && ch.permissionsFor(guild.members.me)?.has('SendMessages')
-                    );
-                }
+                const channel = await getTOTDChannel(client, db, guild);
 
                 if (!channel) {
                     log(`No available channel for TOTD announcement in guild ${guildId}`);
@@ -436,28 +933,50 @@ export async function checkTOTD(client) {
             return;
         }
 
-        const storedTOTD = await db.get(
-            'SELECT * FROM totd_maps WHERE map_uid = ? ORDER BY id DESC LIMIT 1',
-            currentTOTD.mapUid
+        const previousTOTD = await db.get(
+            `SELECT * FROM totd_maps
+             WHERE end_timestamp < ?
+             ORDER BY end_timestamp DESC
+             LIMIT 1`,
+            Date.now()
         );
 
-        const isNewTOTD = !storedTOTD || storedTOTD.campaign_id !== currentTOTD.campaignId;
+        const guilds = client.guilds.cache;
+        const guildPlayerMap = new Map();
+        const allAccountIds = new Set();
 
-        if (isNewTOTD) {
-            log(`New TOTD detected: ${currentTOTD.mapUid}`);
+        for (const [guildId, guild] of guilds) {
+            const guildPlayers = await getGuildPlayers(guildId);
+            if (guildPlayers.length > 0) {
+                guildPlayerMap.set(guildId, guildPlayers);
+                guildPlayers.forEach(p => allAccountIds.add(p.account_id));
+            }
+        }
 
-            const previousTOTD = await db.get(
-                `SELECT * FROM totd_maps
-                 WHERE end_timestamp < ?
-                 ORDER BY end_timestamp DESC
-                 LIMIT 1`,
-                Date.now()
-            );
+        const accountIds = Array.from(allAccountIds);
 
-            if (previousTOTD) {
-                log(`Announcing leaderboard for previous TOTD: ${previousTOTD.name}`);
-                await announceTOTDLeaderboard(client, db, previousTOTD.id);
+        if (previousTOTD && !previousTOTD.leaderboard_announced) {
+            await db.run('UPDATE totd_maps SET leaderboard_announced = 1 WHERE id = ?', previousTOTD.id);
+
+            if (accountIds.length > 0 && previousTOTD.map_id) {
+                try {
+                    const finalResult = await updateTOTDRecords(
+                        db,
+                        previousTOTD.id,
+                        previousTOTD.map_id,
+                        previousTOTD.map_uid,
+                        accountIds,
+                        guildPlayerMap
+                    );
+                    log(`Final TOTD records for ${previousTOTD.name}: ${finalResult.newRecords} new, ${finalResult.updatedRecords} improved`);
+                } catch (refreshError) {
+                    log(`Could not refresh final TOTD records for ${previousTOTD.name}, ranking the last stored times: ${refreshError.message}`, 'warn');
+                }
             }
+
+            await storeTOTDFinalPositions(db, previousTOTD);
+            log(`Announcing leaderboard for previous TOTD: ${previousTOTD.name}`);
+            await announceTOTDLeaderboard(client, db, previousTOTD.id);
         }
 
         const mapInfoList = await fetchMapInfo([currentTOTD.mapUid]);
@@ -470,24 +989,19 @@ export async function checkTOTD(client) {
         const mapInfo = mapInfoList[0];
         const totdMapDbId = await storeTOTDMap(db, currentTOTD, mapInfo);
 
-        const guilds = client.guilds.cache;
-        const guildPlayerMap = new Map();
-        const allAccountIds = new Set();
+        const totdMap = await db.get('SELECT * FROM totd_maps WHERE id = ?', totdMapDbId);
 
-        for (const [guildId, guild] of guilds) {
-            const guildPlayers = await getGuildPlayers(guildId);
-            if (guildPlayers.length > 0) {
-                guildPlayerMap.set(guildId, guildPlayers);
-                guildPlayers.forEach(p => allAccountIds.add(p.account_id));
-            }
+        if (totdMap && !totdMap.reveal_announced) {
+            await db.run('UPDATE totd_maps SET reveal_announced = 1 WHERE id = ?', totdMapDbId);
+            log(`Announcing new TOTD: ${totdMap.name}`);
+            await announceTOTDReveal(client, db, totdMap);
         }
 
-        if (allAccountIds.size === 0) {
+        if (accountIds.length === 0) {
             log('No players registered across all guilds');
             return;
         }
 
-        const accountIds = Array.from(allAccountIds);
         const updateResult = await updateTOTDRecords(
             db,
             totdMapDbId,
@@ -499,6 +1013,8 @@ export async function checkTOTD(client) {
 
         log(`TOTD records updated: ${updateResult.newRecords} new, ${updateResult.updatedRecords} improved`);
 
+        await announceTOTDRecords(client, db);
+
         log('TOTD check completed successfully');
     } catch (err) {
         log(`Error checking TOTD: ${err.message}`, 'error');
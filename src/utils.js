@@ -20,6 +20,46 @@ export function formatTime(timeMs, showAsImprovement = false) {
     return showAsImprovement ? `(-${formattedTime})` : formattedTime;
 }
 
+/**
+ * Medal tiers from best to worst, with the maps table column holding each target time
+ */
+export const MEDALS = [
+    { key: 'author', column: 'author_time', emoji: '🟢', color: 0x00A86B },
+    { key: 'gold', column: 'gold_time', emoji: '🥇', color: 0xFFD700 },
+    { key: 'silver', column: 'silver_time', emoji: '🥈', color: 0xC0C0C0 },
+    { key: 'bronze', column: 'bronze_time', emoji: '🥉', color: 0xCD7F32 }
+];
+
+/**
+ * Gets the best medal a time earns on a map
+ * @param {number} timeMs - Time in milliseconds
+ * @param {Object} map - Map row with author_time, gold_time, silver_time and bronze_time
+ * @returns {Object|null} Medal tier from MEDALS, or null if no medal is earned
+ */
+export function getMedal(timeMs, map) {
+    if (!timeMs || !map) return null;
+    return MEDALS.find(medal => map[medal.column] && timeMs <= map[medal.column]) || null;
+}
+
+/**
+ * Parses a YYYY-MM-DD date into its UTC year, month and day
+ * @param {string} date - Date string
+ * @returns {{year: number, month: number, day: number}|null} Date parts with a 1-based month, or null if the date is invalid
+ */
+export function parseDate(date) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(date?.trim() || '');
+    if (!match) return null;
+
+    const [year, month, day] = match.slice(1).map(Number);
+    const parsed = new Date(Date.UTC(year, month - 1, day));
+
+    if (parsed.getUTCFullYear() !== year || parsed.getUTCMonth() !== month - 1 || parsed.getUTCDate() !== day) {
+        return null;
+    }
+
+    return { year, month, day };
+}
+
 const LOG_LEVELS = {
     debug: 0,
     info: 1,
@@ -0,0 +1,253 @@
+import zlib from 'zlib';
+import { formatTime } from '../utils.js';
+
+const COLORS = {
+    background: [43, 45, 49],
+    grid: [64, 66, 72],
+    axis: [150, 152, 160],
+    text: [220, 221, 222],
+    line: [0, 191, 255],
+    marker: [255, 215, 0]
+};
+
+const CHART_WIDTH = 800;
+const CHART_HEIGHT = 400;
+const MARGIN = { top: 24, right: 64, bottom: 48, left: 116 };
+const TICK_COUNT = 5;
+const FONT_SCALE = 2;
+
+/**
+ * 5x7 bitmap glyphs for the characters used in axis labels (times and dates)
+ */
+const GLYPHS = {
+    '0': ['01110', '10001', '10011', '10101', '11001', '10001', '01110'],
+    '1': ['00100', '01100', '00100', '00100', '00100', '00100', '01110'],
+    '2': ['01110', '10001', '00001', '00010', '00100', '01000', '11111'],
+    '3': ['11110', '00001', '00001', '01110', '00001', '00001', '11110'],
+    '4': ['00010', '00110', '01010', '10010', '11111', '00010', '00010'],
+    '5': ['11111', '10000', '11110', '00001', '00001', '10001', '01110'],
+    '6': ['00110', '01000', '10000', '11110', '10001', '10001', '01110'],
+    '7': ['11111', '00001', '00010', '00100', '01000', '01000', '01000'],
+    '8': ['01110', '10001', '10001', '01110', '10001', '10001', '01110'],
+    '9': ['01110', '10001', '10001', '01111', '00001', '00010', '01100'],
+    ':': ['00000', '00100', '00100', '00000', '00100', '00100', '00000'],
+    '.': ['00000', '00000', '00000', '00000', '00000', '01100', '01100'],
+    '-': ['00000', '00000', '00000', '11111', '00000', '00000', '00000'],
+    ' ': ['00000', '00000', '00000', '00000', '00000', '00000', '00000']
+};
+
+const CRC_TABLE = new Uint32Array(256).map((_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+/**
+ * Computes the CRC32 checksum of a buffer, as required for PNG chunks
+ * @param {Buffer} buffer - Data to checksum
+ * @returns {number} Unsigned CRC32 value
+ */
+function crc32(buffer) {
+    let crc = 0xFFFFFFFF;
+    for (const byte of buffer) {
+        crc = CRC_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Builds a single PNG chunk with its length and checksum
+ * @param {string} type - Four-letter chunk type
+ * @param {Buffer} data - Chunk payload
+ * @returns {Buffer} Encoded chunk
+ */
+function pngChunk(type, data) {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    const typeAndData = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(typeAndData));
+    return Buffer.concat([length, typeAndData, crc]);
+}
+
+/**
+ * Minimal RGB raster used to draw charts without a native canvas dependency
+ */
+class Raster {
+    constructor(width, height, background) {
+        this.width = width;
+        this.height = height;
+        this.pixels = Buffer.alloc(width * height * 3);
+        this.fillRect(0, 0, width, height, background);
+    }
+
+    setPixel(x, y, color) {
+        x = Math.round(x);
+        y = Math.round(y);
+        if (x < 0 || y < 0 || x >= this.width || y >= this.height) return;
+        const offset = (y * this.width + x) * 3;
+        this.pixels[offset] = color[0];
+        this.pixels[offset + 1] = color[1];
+        this.pixels[offset + 2] = color[2];
+    }
+
+    fillRect(x, y, width, height, color) {
+        for (let py = Math.round(y); py < Math.round(y + height); py++) {
+            for (let px = Math.round(x); px < Math.round(x + width); px++) {
+                this.setPixel(px, py, color);
+            }
+        }
+    }
+
+    fillCircle(cx, cy, radius, color) {
+        for (let dy = -radius; dy <= radius; dy++) {
+            for (let dx = -radius; dx <= radius; dx++) {
+                if (dx * dx + dy * dy <= radius * radius) {
+                    this.setPixel(cx + dx, cy + dy, color);
+                }
+            }
+        }
+    }
+
+    drawLine(x0, y0, x1, y1, color, thickness = 1) {
+        const steps = Math.max(Math.abs(x1 - x0), Math.abs(y1 - y0), 1);
+        const offset = Math.floor(thickness / 2);
+        for (let i = 0; i <= steps; i++) {
+            const x = x0 + ((x1 - x0) * i) / steps;
+            const y = y0 + ((y1 - y0) * i) / steps;
+            this.fillRect(x - offset, y - offset, thickness, thickness, color);
+        }
+    }
+
+    drawText(text, x, y, color, scale = FONT_SCALE) {
+        let cursor = x;
+        for (const char of text) {
+            const glyph = GLYPHS[char] || GLYPHS[' '];
+            glyph.forEach((row, gy) => {
+                for (let gx = 0; gx < row.length; gx++) {
+                    if (row[gx] === '1') {
+                        this.fillRect(cursor + gx * scale, y + gy * scale, scale, scale, color);
+                    }
+                }
+            });
+            cursor += 6 * scale;
+        }
+    }
+
+    toPNG() {
+        const header = Buffer.alloc(13);
+        header.writeUInt32BE(this.width, 0);
+        header.writeUInt32BE(this.height, 4);
+        header[8] = 8; // bit depth
+        header[9] = 2; // truecolor RGB
+        header[10] = 0;
+        header[11] = 0;
+        header[12] = 0;
+
+        const rowLength = this.width * 3;
+        const raw = Buffer.alloc((rowLength + 1) * this.height);
+        for (let y = 0; y < this.height; y++) {
+            raw[y * (rowLength + 1)] = 0;
+            this.pixels.copy(raw, y * (rowLength + 1) + 1, y * rowLength, (y + 1) * rowLength);
+        }
+
+        return Buffer.concat([
+            Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]),
+            pngChunk('IHDR', header),
+            pngChunk('IDAT', zlib.deflateSync(raw)),
+            pngChunk('IEND', Buffer.alloc(0))
+        ]);
+    }
+}
+
+/**
+ * Measures the pixel width of a label drawn with the bitmap font
+ * @param {string} text - Label text
+ * @returns {number} Width in pixels
+ */
+function textWidth(text) {
+    return text.length * 6 * FONT_SCALE - FONT_SCALE;
+}
+
+/**
+ * Formats a timestamp as YYYY-MM-DD for the X axis
+ * @param {number} timestamp - Unix timestamp in milliseconds
+ * @returns {string} Date label
+ */
+function formatDateLabel(timestamp) {
+    return new Date(timestamp).toISOString().slice(0, 10);
+}
+
+/**
+ * Renders a personal best progression chart as a PNG image
+ * Times go on the Y axis and dates on the X axis, with a step line between PBs and a marker on each one
+ * @param {Array<{timestamp: number, timeMs: number}>} points - PBs in chronological order
+ * @returns {Buffer} PNG image data
+ */
+export function renderProgressChart(points) {
+    const raster = new Raster(CHART_WIDTH, CHART_HEIGHT, COLORS.background);
+
+    const plotLeft = MARGIN.left;
+    const plotRight = CHART_WIDTH - MARGIN.right;
+    const plotTop = MARGIN.top;
+    const plotBottom = CHART_HEIGHT - MARGIN.bottom;
+
+    const timestamps = points.map(p => p.timestamp);
+    const times = points.map(p => p.timeMs);
+
+    let minX = Math.min(...timestamps);
+    let maxX = Math.max(...timestamps);
+    if (maxX - minX < 24 * 60 * 60 * 1000) {
+        minX -= 12 * 60 * 60 * 1000;
+        maxX += 12 * 60 * 60 * 1000;
+    }
+
+    const timeRange = Math.max(...times) - Math.min(...times);
+    const timePadding = Math.max(Math.round(timeRange * 0.1), 100);
+    const minY = Math.max(Math.min(...times) - timePadding, 0);
+    const maxY = Math.max(...times) + timePadding;
+
+    const scaleX = timestamp => plotLeft + ((timestamp - minX) / (maxX - minX)) * (plotRight - plotLeft);
+    const scaleY = timeMs => plotBottom - ((timeMs - minY) / (maxY - minY)) * (plotBottom - plotTop);
+
+    let previousDateLabel = null;
+    for (let i = 0; i < TICK_COUNT; i++) {
+        const ratio = i / (TICK_COUNT - 1);
+
+        const timeMs = Math.round(minY + (maxY - minY) * ratio);
+        const y = Math.round(scaleY(timeMs));
+        raster.drawLine(plotLeft, y, plotRight, y, COLORS.grid);
+        const timeLabel = formatTime(timeMs);
+        raster.drawText(timeLabel, plotLeft - 10 - textWidth(timeLabel), y - 7, COLORS.text);
+
+        const timestamp = minX + (maxX - minX) * ratio;
+        const x = Math.round(scaleX(timestamp));
+        raster.drawLine(x, plotTop, x, plotBottom, COLORS.grid);
+        const dateLabel = formatDateLabel(timestamp);
+        if (dateLabel !== previousDateLabel) {
+            const labelX = Math.min(Math.max(x - textWidth(dateLabel) / 2, 0), CHART_WIDTH - textWidth(dateLabel));
+            raster.drawText(dateLabel, labelX, plotBottom + 12, COLORS.text);
+            previousDateLabel = dateLabel;
+        }
+    }
+
+    raster.drawLine(plotLeft, plotTop, plotLeft, plotBottom, COLORS.axis, 2);
+    raster.drawLine(plotLeft, plotBottom, plotRight, plotBottom, COLORS.axis, 2);
+
+    for (let i = 1; i < points.length; i++) {
+        const x0 = scaleX(points[i - 1].timestamp);
+        const y0 = scaleY(points[i - 1].timeMs);
+        const x1 = scaleX(points[i].timestamp);
+        const y1 = scaleY(points[i].timeMs);
+        raster.drawLine(x0, y0, x1, y0, COLORS.line, 3);
+        raster.drawLine(x1, y0, x1, y1, COLORS.line, 3);
+    }
+
+    for (const point of points) {
+        raster.fillCircle(Math.round(scaleX(point.timestamp)), Math.round(scaleY(point.timeMs)), 5, COLORS.marker);
+    }
+
+    return raster.toPNG();
+}
\ No newline at end of file
@@ -0,0 +1,200 @@
+/**
+ * Minimal five-field cron expression support (minute hour day-of-month month day-of-week)
+ * Fields accept *, numbers, ranges (1-5), lists (1,15) and steps (*\/15, 0-30/10).
+ * Day-of-week accepts 0-7 where both 0 and 7 are Sunday
+ */
+
+const FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'dayOfMonth', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12 },
+    { name: 'dayOfWeek', min: 0, max: 7 }
+];
+
+const ALIASES = {
+    '@hourly': '0 * * * *',
+    '@daily': '0 0 * * *',
+    '@weekly': '0 0 * * 0',
+    '@monthly': '0 0 1 * *'
+};
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+// Cron expressions that never match (e.g. 31 February) stop being searched after a little over four years
+const MAX_SEARCH_MINUTES = 4 * 366 * 24 * 60 + 24 * 60;
+
+/**
+ * Parses a single cron field into the set of values it matches
+ * @param {string} field - Field text
+ * @param {{name: string, min: number, max: number}} range - Allowed values of the field
+ * @returns {Set<number>} Matching values
+ */
+function parseField(field, range) {
+    const values = new Set();
+
+    for (const part of field.split(',')) {
+        const match = /^(\*|\d+(?:-\d+)?)(?:\/(\d+))?$/.exec(part);
+        if (!match) {
+            throw new Error(`Invalid ${range.name} field "${field}"`);
+        }
+
+        const step = match[2] ? Number(match[2]) : 1;
+        let start = range.min;
+        let end = range.max;
+
+        if (match[1] !== '*') {
+            [start, end = match[2] ? range.max : start] = match[1].split('-').map(Number);
+        }
+
+        if (step < 1 || start < range.min || end > range.max || start > end) {
+            throw new Error(`Invalid ${range.name} field "${field}"`);
+        }
+
+        for (let value = start; value <= end; value += step) {
+            values.add(value);
+        }
+    }
+
+    return values;
+}
+
+/**
+ * Parses a cron expression
+ * @param {string} expression - Five-field cron expression or one of @hourly, @daily, @weekly and @monthly
+ * @returns {Object} Matching values per field, and whether the day fields are restricted
+ * @throws {Error} If the expression is invalid
+ */
+export function parseCronExpression(expression) {
+    const normalized = ALIASES[expression?.trim()] || expression?.trim() || '';
+    const fields = normalized.split(/\s+/);
+
+    if (fields.length !== FIELDS.length) {
+        throw new Error(`Cron expression "${expression}" must have ${FIELDS.length} fields`);
+    }
+
+    const parsed = {};
+    FIELDS.forEach((range, index) => {
+        parsed[range.name] = parseField(fields[index], range);
+    });
+
+    if (parsed.dayOfWeek.has(7)) {
+        parsed.dayOfWeek.add(0);
+    }
+
+    parsed.dayOfMonthRestricted = fields[2] !== '*';
+    parsed.dayOfWeekRestricted = fields[4] !== '*';
+
+    return parsed;
+}
+
+/**
+ * Checks whether a cron expression is valid
+ * @param {string} expression - Cron expression
+ * @returns {boolean} Whether the expression can be parsed
+ */
+export function isValidCronExpression(expression) {
+    try {
+        parseCronExpression(expression);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Checks whether a time zone name is known to the runtime
+ * @param {string} timeZone - IANA time zone name, e.g. Europe/Paris
+ * @returns {boolean} Whether the time zone can be used
+ */
+export function isValidTimeZone(timeZone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Gets the wall clock time of an instant in a time zone
+ * @param {Intl.DateTimeFormat} formatter - Formatter for the time zone
+ * @param {Date} date - Instant
+ * @returns {{month: number, day: number, weekday: number, hour: number, minute: number}} Local date and time parts
+ */
+function getZonedParts(formatter, date) {
+    const parts = Object.fromEntries(formatter.formatToParts(date).map(part => [part.type, part.value]));
+
+    return {
+        month: Number(parts.month),
+        day: Number(parts.day),
+        weekday: WEEKDAYS[parts.weekday],
+        hour: Number(parts.hour) % 24,
+        minute: Number(parts.minute)
+    };
+}
+
+/**
+ * Checks whether a local date matches the day fields of a cron expression
+ * As in standard cron, when both day-of-month and day-of-week are restricted either one may match
+ * @param {Object} cron - Parsed cron expression
+ * @param {Object} parts - Local date parts
+ * @returns {boolean} Whether the day matches
+ */
+function matchesDay(cron, parts) {
+    if (!cron.month.has(parts.month)) return false;
+
+    const dayOfMonth = cron.dayOfMonth.has(parts.day);
+    const dayOfWeek = cron.dayOfWeek.has(parts.weekday);
+
+    if (cron.dayOfMonthRestricted && cron.dayOfWeekRestricted) {
+        return dayOfMonth || dayOfWeek;
+    }
+
+    return dayOfMonth && dayOfWeek;
+}
+
+/**
+ * Finds the next time a cron expression matches in a time zone
+ * The search moves forward by whole local hours while the day or hour does not match, then by minutes.
+ * Local times skipped by a daylight saving change never match
+ * @param {string} expression - Cron expression
+ * @param {string} timeZone - IANA time zone name the expression is evaluated in
+ * @param {Date} after - Instant to search from, exclusive
+ * @returns {Date|null} Next matching instant, or null if the expression never matches
+ * @throws {Error} If the expression is invalid
+ */
+export function getNextCronRun(expression, timeZone, after = new Date()) {
+    const cron = parseCronExpression(expression);
+    const formatter = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        month: 'numeric',
+        day: 'numeric',
+        weekday: 'short',
+        hour: 'numeric',
+        minute: 'numeric',
+        hourCycle: 'h23'
+    });
+
+    let candidate = new Date(Math.floor(after.getTime() / 60000) * 60000 + 60000);
+
+    for (let searched = 0; searched < MAX_SEARCH_MINUTES;) {
+        const parts = getZonedParts(formatter, candidate);
+
+        if (!matchesDay(cron, parts) || !cron.hour.has(parts.hour)) {
+            const minutesToNextHour = 60 - parts.minute;
+            candidate = new Date(candidate.getTime() + minutesToNextHour * 60000);
+            searched += minutesToNextHour;
+            continue;
+        }
+
+        if (cron.minute.has(parts.minute)) {
+            return candidate;
+        }
+
+        candidate = new Date(candidate.getTime() + 60000);
+        searched++;
+    }
+
+    return null;
+}
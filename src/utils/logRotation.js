@@ -34,15 +34,3 @@ export function cleanupOldLogs(logsDir) {
         log(`Error cleaning up old logs: ${error.message}`, 'error');
     }
 }
-
-/**
- * Sets up automatic log cleanup to run daily
- * @param {string} logsDir - Directory containing log files
- */
-export function setupLogCleanup(logsDir) {
-    cleanupOldLogs(logsDir);
-    
-    setInterval(() => {
-        cleanupOldLogs(logsDir);
-    }, 24 * 60 * 60 * 1000); // 24 hours
-}
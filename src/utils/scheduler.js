@@ -1,8 +1,29 @@
+import path from 'path';
 import { log } from '../utils.js';
 import { batchUpdatePlayerDisplayNames } from '../playerManager.js';
+import { getScheduleSettings } from '../config.js';
+import { getNextCronRun, parseCronExpression } from './cron.js';
+import { cleanupOldLogs } from './logRotation.js';
 
 const schedules = new Map();
 
+// setTimeout only accepts delays up to about 24.8 days, longer waits are split into several timers
+const MAX_TIMEOUT_MS = 2 ** 31 - 1;
+
+/**
+ * Runs a scheduled task and logs any error it throws
+ * @param {string} name - Name of the scheduled task
+ * @param {Function} task - Function to execute
+ */
+async function runTask(name, task) {
+    try {
+        log(`Running scheduled task: ${name}`);
+        await task();
+    } catch (error) {
+        log(`Error in scheduled task '${name}': ${error.message}`, 'error');
+    }
+}
+
 /**
  * Schedule a task to run at a specific interval
  * @param {string} name - Name of the scheduled task
@@ -14,16 +35,86 @@ export function scheduleTask(name, intervalMs, task) {
 
     log(`Scheduling task '${name}' to run every ${intervalMs}ms`);
 
-    const intervalId = setInterval(async () => {
+    const schedule = { intervalMs, nextRun: Date.now() + intervalMs };
+
+    schedule.timer = setInterval(async () => {
+        schedule.nextRun = Date.now() + intervalMs;
+        await runTask(name, task);
+    }, intervalMs);
+
+    schedules.set(name, schedule);
+}
+
+/**
+ * Schedule a task to run whenever a cron expression matches
+ * @param {string} name - Name of the scheduled task
+ * @param {string} expression - Five-field cron expression
+ * @param {string} timeZone - IANA time zone the expression is evaluated in
+ * @param {Function} task - Function to execute
+ * @throws {Error} If the cron expression is invalid
+ */
+export function scheduleCronTask(name, expression, timeZone, task) {
+    clearSchedule(name);
+
+    const schedule = { cron: expression, timeZone, nextRun: null, timer: null };
+
+    const scheduleNextRun = () => {
+        const nextRun = getNextCronRun(expression, timeZone);
+        if (!nextRun) {
+            log(`Cron expression '${expression}' for task '${name}' never matches, task not scheduled`, 'warn');
+            schedule.nextRun = null;
+            return;
+        }
+
+        schedule.nextRun = nextRun.getTime();
+
+        const waitForNextRun = () => {
+            const delay = schedule.nextRun - Date.now();
+
+            if (delay > MAX_TIMEOUT_MS) {
+                schedule.timer = setTimeout(waitForNextRun, MAX_TIMEOUT_MS);
+                return;
+            }
+
+            schedule.timer = setTimeout(async () => {
+                scheduleNextRun();
+                await runTask(name, task);
+            }, Math.max(delay, 0));
+        };
+
+        waitForNextRun();
+    };
+
+    parseCronExpression(expression);
+    schedules.set(name, schedule);
+    scheduleNextRun();
+
+    log(`Scheduling task '${name}' with cron '${expression}' (${timeZone}), next run at ${schedule.nextRun ? new Date(schedule.nextRun).toISOString() : 'never'}`);
+}
+
+/**
+ * Schedule a task from its schedule settings, using the cron expression when one is set and the interval otherwise
+ * An invalid cron expression falls back to the interval, or to the default cron expression of the job
+ * @param {string} name - Name of the scheduled task
+ * @param {{cron: string|null, defaultCron?: string, intervalMs?: number}} settings - Schedule settings of the job from getScheduleSettings
+ * @param {string} timeZone - IANA time zone cron expressions are evaluated in
+ * @param {Function} task - Function to execute
+ */
+export function scheduleJob(name, settings, timeZone, task) {
+    if (settings.cron) {
         try {
-            log(`Running scheduled task: ${name}`);
-            await task();
+            scheduleCronTask(name, settings.cron, timeZone, task);
+            return;
         } catch (error) {
-            log(`Error in scheduled task '${name}': ${error.message}`, 'error');
+            log(`Invalid schedule for task '${name}': ${error.message}`, 'error');
         }
-    }, intervalMs);
+    }
 
-    schedules.set(name, intervalId);
+    if (settings.intervalMs) {
+        scheduleTask(name, settings.intervalMs, task);
+    } else if (settings.defaultCron) {
+        scheduleCronTask(name, settings.defaultCron, timeZone, task);
+    }
 }
 
 /**
@@ -32,7 +123,9 @@ export function scheduleTask(name, intervalMs, task) {
  */
 export function clearSchedule(name) {
     if (schedules.has(name)) {
-        clearInterval(schedules.get(name));
+        const schedule = schedules.get(name);
+        clearInterval(schedule.timer);
+        clearTimeout(schedule.timer);
         schedules.delete(name);
         log(`Cleared scheduled task: ${name}`);
     }
@@ -42,23 +135,44 @@ export function clearSchedule(name) {
  * Clear all scheduled tasks
  */
 export function clearAllSchedules() {
-    for (const [name, intervalId] of schedules) {
-        clearInterval(intervalId);
+    for (const [name, schedule] of schedules) {
+        clearInterval(schedule.timer);
+        clearTimeout(schedule.timer);
         log(`Cleared scheduled task: ${name}`);
     }
     schedules.clear();
 }
 
+/**
+ * Lists the scheduled tasks with how they are scheduled and when they run next
+ * @returns {Array<{name: string, cron: string|null, timeZone: string|null, intervalMs: number|null, nextRun: number|null}>} Scheduled tasks, soonest first
+ */
+export function getScheduledTasks() {
+    return Array.from(schedules, ([name, schedule]) => ({
+        name,
+        cron: schedule.cron || null,
+        timeZone: schedule.timeZone || null,
+        intervalMs: schedule.intervalMs || null,
+        nextRun: schedule.nextRun
+    })).sort((a, b) => (a.nextRun ?? Infinity) - (b.nextRun ?? Infinity));
+}
+
 /**
  * Start default scheduled tasks
- * @param {Object} client - Discord client instance  
+ * @param {Object} client - Discord client instance
  */
-export function startDefaultSchedules(client) {
-    scheduleTask('updateDisplayNames', 24 * 60 * 60 * 1000, async () => {
+export async function startDefaultSchedules(client) {
+    const settings = await getScheduleSettings();
+
+    scheduleJob('updateDisplayNames', settings.updateDisplayNames, settings.timeZone, async () => {
         const result = await batchUpdatePlayerDisplayNames();
         log(`Display name update completed: ${result.updated} names updated`);
     });
 
+    scheduleJob('cleanupLogs', settings.cleanupLogs, settings.timeZone, async () => {
+        cleanupOldLogs(path.join(process.cwd(), 'logs'));
+    });
+
     setTimeout(async () => {
         try {
             const result = await batchUpdatePlayerDisplayNames();
@@ -1,6 +1,6 @@
 import { makeRateLimitedRequest } from './api.js';
 import { ensureToken, invalidateTokens } from './auth.js';
-import { log } from './utils.js';
+import { formatTime, log } from './utils.js';
 import { getDb } from './db.js';
 import { getGuildPlayers } from './playerManager.js';
 import { getTranslations, formatString } from './localization/index.js';
@@ -8,8 +8,11 @@ import { EmbedBuilder } from 'discord.js';
 import { getZoneName, getZoneNamesForCountry } from './config/zones.js';
 import { getDisplayNamesBatch } from './oauth.js';
 import { tmOAuthClientId, tmOAuthClientSecret, TRACKMANIA_ICON_URL } from './config.js';
-import { fetchMapInfo } from './recordTracker.js';
-import { getMinWorldPosition } from './guildSettings.js';
+import { fetchMapInfo, fetchRecordPositions } from './recordTracker.js';
+import { getMinWorldPosition, getWeeklyShortsAlertSettings } from './guildSettings.js';
+
+const WEEKLY_SHORT_LIST_LENGTH = 20;
+const WEEKLY_SHORT_MAX_OFFSET = 200;
 
 /**
  * Cleans Trackmania formatting tags from a map name
@@ -338,20 +341,128 @@ async function getWeeklyShortPlayerPositions(mapUid, seasonUid, accountIds, maxP
 }
 
 /**
- * Fetches the current weekly short campaign
- * @returns {Promise<Object>} Weekly short campaign data
+ * Gets players' overall positions and season points in a weekly short week ranking
+ * @param {string} seasonUid - The season UID of the week
+ * @param {string[]} accountIds - Array of account IDs to look up
+ * @param {number} maxPosition - Maximum position to scan (default: 10000)
+ * @returns {Promise<Object>} Object mapping account IDs to their position and sp
  */
-export async function fetchCurrentWeeklyShort() {
+async function getWeeklyShortSeasonPositions(seasonUid, accountIds, maxPosition = 10000) {
     const liveToken = await ensureToken('NadeoLiveServices');
-    log('Fetching current weekly short...');
+
+    try {
+        const playerPositions = {};
+        let offset = 0;
+        const limit = 100;
+
+        while (Object.keys(playerPositions).length < accountIds.length && offset < maxPosition) {
+            const response = await makeRateLimitedRequest({
+                method: 'get',
+                url: `https://live-services.trackmania.nadeo.live/api/token/leaderboard/group/${seasonUid}/top?length=${limit}&onlyWorld=true&offset=${offset}`,
+                headers: { Authorization: `nadeo_v1 t=${liveToken}` }
+            });
+
+            if (!response.data?.tops || !response.data.tops[0]?.top?.length) {
+                break;
+            }
+
+            for (const record of response.data.tops[0].top) {
+                if (accountIds.includes(record.accountId)) {
+                    playerPositions[record.accountId] = {
+                        position: record.position,
+                        sp: parseInt(record.sp) || 0
+                    };
+                }
+            }
+
+            offset += limit;
+        }
+
+        return playerPositions;
+    } catch (error) {
+        log(`Error getting weekly short season positions: ${error.message}`, 'error');
+        return {};
+    }
+}
+
+/**
+ * Fetches a page of weekly short campaigns from the API, newest first
+ * @param {number} offset - Number of weeks to skip from the current week
+ * @param {number} length - Number of weeks to fetch
+ * @returns {Promise<Array>} Array of weekly short campaign data
+ */
+export async function fetchWeeklyShorts(offset = 0, length = 1) {
+    const liveToken = await ensureToken('NadeoLiveServices');
+    log(`Fetching weekly shorts (offset: ${offset}, length: ${length})...`);
 
     const response = await makeRateLimitedRequest({
         method: 'get',
-        url: 'https://live-services.trackmania.nadeo.live/api/campaign/weekly-shorts?offset=0&length=1',
+        url: `https://live-services.trackmania.nadeo.live/api/campaign/weekly-shorts?offset=${offset}&length=${length}`,
         headers: { Authorization: `nadeo_v1 t=${liveToken}` }
     });
 
-    const campaign = response.data.campaignList[0];
+    return response.data.campaignList || [];
+}
+
+/**
+ * Stores or updates weekly short campaign information in the database
+ * Weeks that have already ended when first stored are marked as summarized, so no late final standings are posted for them
+ * @param {Database} db - Database connection
+ * @param {Object} campaign - Weekly short campaign data from the API
+ * @returns {Promise<number>} Database ID of the stored/updated week
+ */
+export async function storeWeeklyShortCampaign(db, campaign) {
+    try {
+        const existingCampaign = await db.get('SELECT id FROM weekly_short_campaigns WHERE season_uid = ?', campaign.seasonUid);
+
+        if (existingCampaign) {
+            await db.run(
+                `UPDATE weekly_short_campaigns
+                 SET campaign_id = ?, name = ?, week = ?, year = ?, start_timestamp = ?, end_timestamp = ?, last_checked = CURRENT_TIMESTAMP
+                 WHERE season_uid = ?`,
+                [campaign.id, campaign.name, campaign.week, campaign.year, campaign.startTimestamp, campaign.endTimestamp, campaign.seasonUid]
+            );
+            return existingCampaign.id;
+        } else {
+            const hasEnded = campaign.endTimestamp && campaign.endTimestamp * 1000 <= Date.now();
+            const result = await db.run(
+                `INSERT INTO weekly_short_campaigns (season_uid, campaign_id, name, week, year, start_timestamp, end_timestamp, summary_posted)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+                [campaign.seasonUid, campaign.id, campaign.name, campaign.week, campaign.year, campaign.startTimestamp, campaign.endTimestamp, hasEnded ? 1 : 0]
+            );
+            return result.lastID;
+        }
+    } catch (error) {
+        log(`Error storing weekly short campaign: ${error.message}`, 'error');
+        throw error;
+    }
+}
+
+/**
+ * Fetches the most recent weekly short campaigns from the API and stores them in the database
+ * Keeps the week list used by autocomplete up to date
+ * @returns {Promise<Array>} Array of weekly short campaign data, newest first
+ */
+export async function syncWeeklyShortCampaigns() {
+    const db = await getDb();
+    const campaigns = await fetchWeeklyShorts(0, WEEKLY_SHORT_LIST_LENGTH);
+
+    for (const campaign of campaigns) {
+        await storeWeeklyShortCampaign(db, campaign);
+    }
+
+    log(`Synced ${campaigns.length} weekly short campaigns`);
+    return campaigns;
+}
+
+/**
+ * Fetches the current weekly short campaign
+ * @returns {Promise<Object>} Weekly short campaign data
+ */
+export async function fetchCurrentWeeklyShort() {
+    log('Fetching current weekly short...');
+
+    const campaign = (await syncWeeklyShortCampaigns())[0];
     if (!campaign) {
         throw new Error('No weekly short campaign found');
     }
@@ -360,6 +471,83 @@ export async function fetchCurrentWeeklyShort() {
     return campaign;
 }
 
+/**
+ * Fetches a past weekly short campaign by its season UID or name
+ * Pages back through the weekly shorts list by offset until the week is found
+ * @param {string} week - Season UID or name of the week (e.g. "Week 12")
+ * @returns {Promise<Object|null>} Weekly short campaign data or null if no week matches
+ */
+export async function fetchWeeklyShortByWeek(week) {
+    const db = await getDb();
+    const query = week.trim().toLowerCase();
+
+    for (let offset = 0; offset < WEEKLY_SHORT_MAX_OFFSET; offset += WEEKLY_SHORT_LIST_LENGTH) {
+        const campaigns = await fetchWeeklyShorts(offset, WEEKLY_SHORT_LIST_LENGTH);
+
+        for (const campaign of campaigns) {
+            await storeWeeklyShortCampaign(db, campaign);
+        }
+
+        const campaign = campaigns.find(c => c.seasonUid === week || c.name?.toLowerCase() === query);
+        if (campaign) {
+            return campaign;
+        }
+
+        if (campaigns.length < WEEKLY_SHORT_LIST_LENGTH) {
+            break;
+        }
+    }
+
+    log(`No weekly short found for week ${week}`, 'warn');
+    return null;
+}
+
+/**
+ * Gets stored weekly short campaigns matching a search query, newest first
+ * Reads from the database only so it is fast enough for autocomplete
+ * @param {string} query - Case-insensitive search on the week name
+ * @param {number} limit - Maximum number of weeks to return
+ * @returns {Promise<Array>} Array of stored weekly short campaign rows
+ */
+export async function getStoredWeeklyShortCampaigns(query = '', limit = 25) {
+    const db = await getDb();
+    return await db.all(
+        'SELECT season_uid, name FROM weekly_short_campaigns WHERE name LIKE ? ORDER BY start_timestamp DESC LIMIT ?',
+        [`%${query}%`, limit]
+    );
+}
+
+/**
+ * Gets the stored maps of a weekly short campaign, storing them first if the week has not been seen yet
+ * @param {Database} db - Database connection
+ * @param {Object} campaign - Weekly short campaign data from the API
+ * @returns {Promise<Array>} Stored map rows with map_uid, name and thumbnail_url, ordered by position
+ */
+export async function getWeeklyShortCampaignMaps(db, campaign) {
+    const storedMaps = await db.all(
+        'SELECT map_uid, name, thumbnail_url FROM weekly_short_maps WHERE season_uid = ? ORDER BY position ASC',
+        campaign.seasonUid
+    );
+
+    if (storedMaps.length > 0 || !campaign.playlist?.length) {
+        return storedMaps;
+    }
+
+    const mapList = await fetchMapInfo(campaign.playlist.map(m => m.mapUid));
+
+    for (const mapInfo of campaign.playlist) {
+        const map = mapList.find(m => m.uid === mapInfo.mapUid);
+        if (!map?.mapId) continue;
+
+        await storeWeeklyShortMap(db, map.uid, map.mapId, map.name, campaign.seasonUid, mapInfo.position, map.thumbnailUrl);
+    }
+
+    return await db.all(
+        'SELECT map_uid, name, thumbnail_url FROM weekly_short_maps WHERE season_uid = ? ORDER BY position ASC',
+        campaign.seasonUid
+    );
+}
+
 /**
  * Fetches the leaderboard for a specific weekly short map
  * @param {string} mapUid - The map UID
@@ -445,6 +633,7 @@ export async function storeWeeklyShortMap(db, mapUid, mapId, name, seasonUid, po
 
 /**
  * Creates a Discord embed for a weekly short personal best announcement
+ * Shows the new time with its improvement over the previous time, next to the new world position
  * @param {Object} record - The record to announce
  * @param {Object} t - Translation strings
  * @returns {EmbedBuilder} Discord embed for the announcement
@@ -477,6 +666,15 @@ export function createWeeklyShortEmbed(record, t) {
         embed.setThumbnail(record.thumbnail_url);
     }
 
+    if (record.time_ms) {
+        const hasImprovedTime = record.previous_time_ms && record.time_ms < record.previous_time_ms;
+        const timeText = hasImprovedTime
+            ? `**${formatTime(record.time_ms)}** ${formatTime(record.previous_time_ms - record.time_ms, true)}`
+            : `**${formatTime(record.time_ms)}**`;
+
+        embed.addFields({ name: t.embeds.newRecord.time, value: timeText, inline: true });
+    }
+
     if (isImprovement) {
         const positionChange = record.previous_position - record.position;
         let positionText;
@@ -489,9 +687,13 @@ export function createWeeklyShortEmbed(record, t) {
             positionText = `**#${record.position}** (=)`;
         }
 
+        const previousText = record.previous_time_ms
+            ? `${formatTime(record.previous_time_ms)} · #${record.previous_position}`
+            : `#${record.previous_position}`;
+
         embed.addFields(
             { name: t.embeds.newRecord.worldPosition, value: positionText, inline: true },
-            { name: t.embeds.newRecord.previous, value: `#${record.previous_position}`, inline: true }
+            { name: t.embeds.newRecord.previous, value: previousText, inline: true }
         );
     } else {
         embed.addFields(
@@ -509,6 +711,438 @@ export function createWeeklyShortEmbed(record, t) {
     return embed;
 }
 
+/**
+ * Creates a Discord embed alerting a member that they were pushed out of a weekly shorts position threshold
+ * @param {Object} alert - Dropped record with username, account_id, discord_id, map_name, thumbnail_url, time_ms, from, to and threshold
+ * @param {number|null} weekEndTimestamp - Unix timestamp in seconds when the week ends
+ * @param {Object} t - Translation strings
+ * @returns {EmbedBuilder} Discord embed for the alert
+ */
+export function createWeeklyShortThresholdAlertEmbed(alert, weekEndTimestamp, t) {
+    const playerName = alert.username || 'Player';
+    const linkedUsername = alert.account_id
+        ? `[${playerName}](https://trackmania.io/player#/player/${alert.account_id})`
+        : playerName;
+
+    const embed = new EmbedBuilder()
+        .setTitle(formatString(t.embeds.weeklyShortsAlert?.title || '⚠️ Out of the top {threshold}!', { threshold: alert.threshold }))
+        .setColor(0xFFA500)
+        .setAuthor({ name: 'Trackmania Weekly Shorts', iconURL: TRACKMANIA_ICON_URL })
+        .setDescription(formatString(t.embeds.weeklyShortsAlert?.description || '**{username}** (<@{discordId}>) was pushed out of the top {threshold} on **{mapName}**.', {
+            username: linkedUsername,
+            discordId: alert.discord_id,
+            threshold: alert.threshold,
+            mapName: cleanMapName(alert.map_name) || 'Unknown Map'
+        }))
+        .addFields(
+            { name: t.embeds.newRecord.worldPosition, value: `**#${alert.to}** (+${alert.to - alert.from})`, inline: true },
+            { name: t.embeds.newRecord.previous, value: `#${alert.from}`, inline: true },
+            { name: t.embeds.newRecord.time, value: formatTime(alert.time_ms), inline: true }
+        )
+        .setTimestamp();
+
+    if (weekEndTimestamp) {
+        embed.addFields({ name: t.embeds.weeklyShortsAlert?.weekEnds || '⏳ Week Ends', value: `<t:${weekEndTimestamp}:R>`, inline: false });
+    }
+
+    if (alert.thumbnail_url && alert.thumbnail_url.startsWith('http')) {
+        embed.setThumbnail(alert.thumbnail_url);
+    }
+
+    return embed;
+}
+
+/**
+ * Creates a Discord embed with the final standings of a guild's members for a weekly short week
+ * @param {string|null} weekName - Name of the week that ended
+ * @param {Array<{name: string, entries: Array}>} mapStandings - Members' final positions per map, best first
+ * @param {Array} seasonStandings - Members' final week ranking positions and season points, best first
+ * @param {Array} climbers - Members who gained the most positions on a map during the week
+ * @param {number} maxPosition - Deepest position that was scanned
+ * @param {Object} t - Translation strings
+ * @returns {EmbedBuilder} Discord embed for the week summary
+ */
+export function createWeeklyShortsSummaryEmbed(weekName, mapStandings, seasonStandings, climbers, maxPosition, t) {
+    const outside = formatString(t.embeds.weeklyShortsSummary?.outside || 'Outside top {max}', { max: maxPosition });
+
+    const embed = new EmbedBuilder()
+        .setTitle(weekName
+            ? formatString(t.embeds.weeklyShortsSummary?.title || '🏁 Weekly Shorts Final Standings: {week}', { week: weekName })
+            : (t.embeds.weeklyShortsSummary?.titleNoWeek || '🏁 Weekly Shorts Final Standings'))
+        .setColor(0xFF6B6B)
+        .setAuthor({ name: 'Trackmania Weekly Shorts', iconURL: TRACKMANIA_ICON_URL })
+        .setDescription(t.embeds.weeklyShortsSummary?.description || 'Final positions of registered members for the week that just ended.')
+        .setTimestamp();
+
+    for (const map of mapStandings) {
+        if (map.entries.length === 0) continue;
+
+        const lines = map.entries.map(entry => entry.position
+            ? `**#${entry.position}** · ${entry.username}`
+            : `${outside} · ${entry.username}`);
+
+        embed.addFields({ name: `🗺️ ${map.name}`, value: lines.join('\n').substring(0, 1024), inline: false });
+    }
+
+    const seasonLines = seasonStandings.map(entry =>
+        `**#${entry.position}** · ${entry.username} · ${formatString(t.embeds.weeklyShortsSummary?.points || '{sp} SP', { sp: entry.sp.toLocaleString() })}`);
+
+    embed.addFields({
+        name: t.embeds.weeklyShortsSummary?.weekRanking || '🏆 Week Ranking',
+        value: (seasonLines.length > 0 ? seasonLines.join('\n') : outside).substring(0, 1024),
+        inline: false
+    });
+
+    const climberLines = climbers.map(climber =>
+        `**${climber.username}** · ${climber.mapName} · #${climber.from} → #${climber.to} (↑${climber.from - climber.to})`);
+
+    embed.addFields({
+        name: t.embeds.weeklyShortsSummary?.climbers || '📈 Biggest Climbers',
+        value: (climberLines.length > 0 ? climberLines.join('\n') : (t.embeds.weeklyShortsSummary?.noClimbers || 'No members climbed this week.')).substring(0, 1024),
+        inline: false
+    });
+
+    return embed;
+}
+
+/**
+ * Checks whether the final standings of an ended weekly short week still have to be posted
+ * @param {Database} db - Database connection
+ * @param {string} seasonUid - Season UID of the ended week
+ * @returns {Promise<boolean>} True if the week was tracked while live and has no summary yet
+ */
+async function isWeeklyShortSummaryPending(db, seasonUid) {
+    const campaign = await db.get('SELECT summary_posted FROM weekly_short_campaigns WHERE season_uid = ?', seasonUid);
+    return Boolean(campaign && !campaign.summary_posted);
+}
+
+/**
+ * Gets the channel weekly shorts posts go to in a guild
+ * Falls back to the records channel, then to the first channel the bot can send messages in
+ * @param {Client} client - Discord.js client instance
+ * @param {Database} db - Database connection
+ * @param {Guild} guild - Discord guild
+ * @returns {Promise<Channel|null>} Channel to post in, or null if none is available
+ */
+async function getWeeklyShortsChannel(client, db, guild) {
+    const guildSettings = await db.get('SELECT weekly_shorts_channel_id, records_channel_id FROM guild_settings WHERE guild_id = ?', guild.id);
+
+    let channel = null;
+    if (guildSettings && guildSettings.weekly_shorts_channel_id) {
+        channel = client.channels.cache.get(guildSettings.weekly_shorts_channel_id);
+    } else if (guildSettings && guildSettings.records_channel_id) {
+        channel = client.channels.cache.get(guildSettings.records_channel_id);
+    }
+
+    if (!channel) {
+        channel = guild.channels.cache.find(ch => ch.isTextBased() && ch.permissionsFor(guild.members.me)?.has('SendMessages'));
+    }
+
+    return channel || null;
+}
+
+/**
+ * Posts the final standings of a weekly short week that just ended to every guild with weekly shorts announcements enabled
+ * Final positions are read from the ended week's leaderboards, and climbs are measured from each
+ * member's first tracked position on a map during the week
+ * @param {Client} client - Discord.js client instance
+ * @param {Database} db - Database connection
+ * @param {Object} campaign - Weekly short campaign data of the ended week
+ * @param {Map<string, Array>} guildPlayerMap - Registered players by guild ID
+ * @param {number} maxPosition - Maximum leaderboard position to scan
+ */
+async function announceWeeklyShortsWeekSummary(client, db, campaign, guildPlayerMap, maxPosition) {
+    const seasonUid = campaign.seasonUid;
+    const weekName = campaign.name;
+
+    try {
+        await db.run('UPDATE weekly_short_campaigns SET summary_posted = 1 WHERE season_uid = ?', seasonUid);
+
+        const maps = await db.all(
+            'SELECT id, map_uid, name FROM weekly_short_maps WHERE season_uid = ? ORDER BY position ASC',
+            seasonUid
+        );
+
+        if (maps.length === 0) return;
+
+        log(`Weekly short ${weekName} has ended, building final standings for ${maps.length} maps`);
+
+        const mapParticipants = new Map();
+        const mapPositions = new Map();
+        const participants = new Set();
+
+        for (const map of maps) {
+            const accountIds = (await db.all(
+                `SELECT DISTINCT p.account_id FROM weekly_short_records r
+                 JOIN players p ON r.player_id = p.id
+                 WHERE r.map_id = ?`,
+                map.id
+            )).map(row => row.account_id);
+
+            accountIds.forEach(accountId => participants.add(accountId));
+            mapParticipants.set(map.id, accountIds);
+            mapPositions.set(map.id, accountIds.length > 0
+                ? await getWeeklyShortPlayerPositions(map.map_uid, seasonUid, accountIds, maxPosition)
+                : {});
+        }
+
+        if (participants.size === 0) {
+            log(`No registered players took part in weekly short ${seasonUid}, skipping final standings`);
+            return;
+        }
+
+        const seasonPositions = await getWeeklyShortSeasonPositions(seasonUid, Array.from(participants), maxPosition);
+
+        const history = await db.all(
+            `SELECT p.account_id, h.map_id, h.position
+             FROM weekly_short_history h
+             JOIN players p ON h.player_id = p.id
+             JOIN weekly_short_maps m ON h.map_id = m.id
+             WHERE m.season_uid = ? AND h.position IS NOT NULL
+             ORDER BY h.id ASC`,
+            seasonUid
+        );
+
+        const startPositions = new Map();
+        for (const entry of history) {
+            const key = `${entry.account_id}:${entry.map_id}`;
+            if (!startPositions.has(key)) {
+                startPositions.set(key, entry.position);
+            }
+        }
+
+        const byPosition = (a, b) => (a.position ?? Infinity) - (b.position ?? Infinity);
+
+        for (const [guildId, guildPlayers] of guildPlayerMap) {
+            const isEnabled = await import('./guildSettings.js').then(module => module.getWeeklyShortsAnnouncementsStatus(guildId));
+            if (!isEnabled) continue;
+
+            const guild = client.guilds.cache.get(guildId);
+            if (!guild) continue;
+
+            const members = guildPlayers.filter(p => participants.has(p.account_id));
+            if (members.length === 0) continue;
+
+            const climbers = [];
+            const mapStandings = maps.map(map => {
+                const mapName = cleanMapName(map.name) || map.map_uid;
+                const accountIds = mapParticipants.get(map.id);
+
+                const entries = members
+                    .filter(p => accountIds.includes(p.account_id))
+                    .map(p => {
+                        const position = mapPositions.get(map.id)[p.account_id]?.position ?? null;
+                        const startPosition = startPositions.get(`${p.account_id}:${map.id}`);
+
+                        if (position && startPosition && startPosition > position) {
+                            climbers.push({ username: p.username || p.account_id, mapName, from: startPosition, to: position });
+                        }
+
+                        return { username: p.username || p.account_id, position };
+                    })
+                    .sort(byPosition);
+
+                return { name: mapName, entries };
+            });
+
+            const seasonStandings = members
+                .filter(p => seasonPositions[p.account_id])
+                .map(p => ({ username: p.username || p.account_id, ...seasonPositions[p.account_id] }))
+                .sort(byPosition);
+
+            const topClimbers = climbers
+                .sort((a, b) => (b.from - b.to) - (a.from - a.to))
+                .slice(0, 3);
+
+            const channel = await getWeeklyShortsChannel(client, db, guild);
+            if (!channel) {
+                log(`No available channel for weekly shorts final standings in guild ${guildId}`);
+                continue;
+            }
+
+            const t = await getTranslations(guildId);
+            const embed = createWeeklyShortsSummaryEmbed(weekName, mapStandings, seasonStandings, topClimbers, maxPosition, t);
+
+            try {
+                await channel.send({ embeds: [embed] });
+                log(`Posted weekly shorts final standings in guild ${guildId}`);
+            } catch (sendError) {
+                log(`Failed to send weekly shorts final standings in guild ${guildId}: ${sendError.message}`, 'error');
+            }
+        }
+    } catch (error) {
+        log(`Error announcing weekly shorts final standings: ${error.message}`, 'error');
+    }
+}
+
+/**
+ * Looks up the season points and season position of every registered member and stores them when they changed
+ * Members outside the checked positions are left out until they climb back into range
+ * @param {Database} db - Database connection
+ * @param {string} seasonUid - Season UID of the current weekly short campaign
+ * @param {Map<string, Array>} guildPlayerMap - Registered players by guild ID
+ * @param {number} maxPosition - Maximum season position to search
+ */
+async function trackWeeklyShortSeasonPoints(db, seasonUid, guildPlayerMap, maxPosition) {
+    try {
+        const players = new Map();
+        for (const guildPlayers of guildPlayerMap.values()) {
+            for (const player of guildPlayers) {
+                if (!players.has(player.account_id)) {
+                    players.set(player.account_id, player);
+                }
+            }
+        }
+
+        const seasonPositions = await getWeeklyShortSeasonPositions(seasonUid, Array.from(players.keys()), maxPosition);
+        let storedCount = 0;
+
+        for (const [accountId, { position, sp }] of Object.entries(seasonPositions)) {
+            const latest = await db.get(
+                `SELECT s.position, s.sp
+                 FROM weekly_short_season_points s
+                 JOIN players p ON s.player_id = p.id
+                 WHERE p.account_id = ? AND s.season_uid = ?
+                 ORDER BY s.id DESC LIMIT 1`,
+                [accountId, seasonUid]
+            );
+
+            if (latest && latest.position === position && latest.sp === sp) {
+                continue;
+            }
+
+            await db.run(
+                'INSERT INTO weekly_short_season_points (player_id, season_uid, position, sp) VALUES (?, ?, ?, ?)',
+                [players.get(accountId).id, seasonUid, position, sp]
+            );
+            storedCount++;
+        }
+
+        log(`Found season points for ${Object.keys(seasonPositions).length}/${players.size} players, stored ${storedCount} changes`);
+    } catch (error) {
+        log(`Error tracking weekly shorts season points: ${error.message}`, 'error');
+    }
+}
+
+/**
+ * Re-ranks every tracked weekly short time of the current week and alerts guilds whose members dropped out of a threshold
+ * Positions are looked up from the stored times, so each member takes one request for all maps of the week
+ * The last seen position is kept in current_position and reset whenever the member sets a new time
+ * @param {Client} client - Discord.js client instance
+ * @param {Database} db - Database connection
+ * @param {Object} campaign - Current weekly short campaign data
+ * @param {Map<string, Array>} guildPlayerMap - Registered players by guild ID
+ */
+async function checkWeeklyShortThresholdDrops(client, db, campaign, guildPlayerMap) {
+    try {
+        const alertThresholds = new Map();
+        for (const guildId of guildPlayerMap.keys()) {
+            const settings = await getWeeklyShortsAlertSettings(guildId);
+            if (settings.enabled) {
+                alertThresholds.set(guildId, settings.thresholds);
+            }
+        }
+
+        if (alertThresholds.size === 0) {
+            return;
+        }
+
+        const records = await db.all(
+            `SELECT r.id, r.position, r.current_position, r.time_ms, p.account_id, m.map_uid, m.name as map_name, m.thumbnail_url
+             FROM weekly_short_records r
+             JOIN players p ON r.player_id = p.id
+             JOIN weekly_short_maps m ON r.map_id = m.id
+             WHERE m.season_uid = ? AND r.time_ms IS NOT NULL`,
+            campaign.seasonUid
+        );
+
+        if (records.length === 0) {
+            return;
+        }
+
+        const recordsByAccount = new Map();
+        for (const record of records) {
+            if (!recordsByAccount.has(record.account_id)) {
+                recordsByAccount.set(record.account_id, []);
+            }
+            recordsByAccount.get(record.account_id).push(record);
+        }
+
+        log(`Checking weekly shorts threshold drops for ${recordsByAccount.size} players`);
+
+        const drops = [];
+        for (const [accountId, accountRecords] of recordsByAccount) {
+            const positions = await fetchRecordPositions(
+                accountRecords.map(record => ({ mapUid: record.map_uid, score: record.time_ms })),
+                campaign.seasonUid
+            );
+
+            for (const record of accountRecords) {
+                const position = positions.get(record.map_uid);
+                if (!position) continue;
+
+                const previousPosition = record.current_position ?? record.position;
+
+                if (position !== record.current_position) {
+                    await db.run('UPDATE weekly_short_records SET current_position = ? WHERE id = ?', [position, record.id]);
+                }
+
+                if (previousPosition && position > previousPosition) {
+                    drops.push({ ...record, from: previousPosition, to: position });
+                }
+            }
+        }
+
+        if (drops.length === 0) {
+            return;
+        }
+
+        for (const [guildId, thresholds] of alertThresholds) {
+            const guild = client.guilds.cache.get(guildId);
+            if (!guild) continue;
+
+            const guildPlayers = guildPlayerMap.get(guildId);
+            const alerts = drops
+                .map(drop => {
+                    const player = guildPlayers.find(p => p.account_id === drop.account_id);
+                    const crossed = thresholds.filter(threshold => drop.from <= threshold && drop.to > threshold);
+
+                    return player && crossed.length > 0
+                        ? { ...drop, username: player.username, discord_id: player.discord_id, threshold: Math.max(...crossed) }
+                        : null;
+                })
+                .filter(Boolean);
+
+            if (alerts.length === 0) continue;
+
+            const channel = await getWeeklyShortsChannel(client, db, guild);
+            if (!channel) {
+                log(`No available channel for weekly shorts alerts in guild ${guildId}`);
+                continue;
+            }
+
+            const t = await getTranslations(guildId);
+
+            for (const alert of alerts) {
+                try {
+                    await channel.send({
+                        content: `<@${alert.discord_id}>`,
+                        embeds: [createWeeklyShortThresholdAlertEmbed(alert, campaign.endTimestamp, t)],
+                        allowedMentions: { users: [alert.discord_id] }
+                    });
+                    log(`Alerted ${alert.username} in guild ${guildId}: out of top ${alert.threshold} on ${alert.map_name} (#${alert.from} -> #${alert.to})`);
+                } catch (sendError) {
+                    log(`Failed to send weekly shorts alert in guild ${guildId}: ${sendError.message}`, 'error');
+                }
+
+                await new Promise(r => setTimeout(r, 250));
+            }
+        }
+    } catch (error) {
+        log(`Error checking weekly shorts threshold drops: ${error.message}`, 'error');
+    }
+}
+
 /**
  * Checks and updates weekly short positions for all tracked players
  * @param {Client} client - Discord.js client instance
@@ -553,7 +1187,12 @@ export async function checkWeeklyShorts(client, defaultMaxPosition = 10000) {
             return;
         }
 
-        const campaign = await fetchCurrentWeeklyShort();
+        const [campaign, previousCampaign] = await syncWeeklyShortCampaigns();
+        if (!campaign) {
+            throw new Error('No weekly short campaign found');
+        }
+
+        log(`Using weekly short: ${campaign.name}`);
         const seasonUid = campaign.seasonUid;
         const mapUids = campaign.playlist.map(m => m.mapUid);
 
@@ -577,6 +1216,10 @@ export async function checkWeeklyShorts(client, defaultMaxPosition = 10000) {
 
         const maxPositionToCheck = highestMinPosition || defaultMaxPosition;
 
+        if (previousCampaign && await isWeeklyShortSummaryPending(db, previousCampaign.seasonUid)) {
+            await announceWeeklyShortsWeekSummary(client, db, previousCampaign, guildPlayerMap, maxPositionToCheck);
+        }
+
         for (let i = 0; i < mapList.length; i++) {
             const map = mapList[i];
             const mapInfo = campaign.playlist[i];
@@ -625,8 +1268,10 @@ export async function checkWeeklyShorts(client, defaultMaxPosition = 10000) {
                             continue;
                         }
 
+                        const recordTime = record.recordScore?.time || record.time || null;
+
                         const existingDbRecord = await db.get(
-                            `SELECT id, position, timestamp FROM weekly_short_records 
+                            `SELECT id, position, time_ms, timestamp FROM weekly_short_records 
                              WHERE player_id = ? AND map_id = ?`,
                             [player.id, dbMapId]
                         );
@@ -711,16 +1356,16 @@ export async function checkWeeklyShorts(client, defaultMaxPosition = 10000) {
 
                             if (!existingDbRecord) {
                                 const result = await db.run(
-                                    `INSERT INTO weekly_short_records (player_id, map_id, position, timestamp, announced) 
-                                     VALUES (?, ?, ?, ?, 0)`,
-                                    [player.id, dbMapId, null, recordTimestamp]
+                                    `INSERT INTO weekly_short_records (player_id, map_id, position, time_ms, timestamp, announced) 
+                                     VALUES (?, ?, ?, ?, ?, 0)`,
+                                    [player.id, dbMapId, null, recordTime, recordTimestamp]
                                 );
                                 recordId = result.lastID;
 
                                 await db.run(
-                                    `INSERT INTO weekly_short_history (player_id, map_id, position, previous_position, timestamp) 
-                                     VALUES (?, ?, ?, ?, ?)`,
-                                    [player.id, dbMapId, null, null, recordTimestamp]
+                                    `INSERT INTO weekly_short_history (player_id, map_id, position, previous_position, time_ms, previous_time_ms, timestamp) 
+                                     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                                    [player.id, dbMapId, null, null, recordTime, null, recordTimestamp]
                                 );
 
                                 log(`Added pre-existing weekly shorts record for ${accountId} on map ${mapPosition + 1} without position`);
@@ -745,7 +1390,7 @@ export async function checkWeeklyShorts(client, defaultMaxPosition = 10000) {
 
                         currentRecords[accountId] = {
                             timestamp: recordTimestamp,
-                            time: record.recordScore?.time || record.time
+                            time: recordTime
                         };
 
                         log(`Player ${accountId} has a new/improved record set after registration (timestamp: ${recordTimestamp})`);
@@ -771,12 +1416,13 @@ export async function checkWeeklyShorts(client, defaultMaxPosition = 10000) {
                 const playerPosition = playerPositions[accountId];
 
                 const existingDbRecord = await db.get(
-                    `SELECT id, position, timestamp FROM weekly_short_records 
+                    `SELECT id, position, time_ms, timestamp FROM weekly_short_records 
                      WHERE player_id = ? AND map_id = ?`,
                     [player.id, dbMapId]
                 );
 
                 const position = playerPosition ? playerPosition.position : null;
+                const time = playerPosition?.score ?? currentRecords[accountId].time;
 
                 if (!playerPosition) {
                     log(`Position not found for valid record by ${accountId} on map ${mapPosition + 1}, using fallback position ${position}`);
@@ -784,21 +1430,22 @@ export async function checkWeeklyShorts(client, defaultMaxPosition = 10000) {
 
                 if (existingDbRecord) {
                     const previousPosition = existingDbRecord.position;
+                    const previousTime = existingDbRecord.time_ms;
 
                     await db.run(
-                        `INSERT INTO weekly_short_history (player_id, map_id, position, previous_position, timestamp) 
-                         VALUES (?, ?, ?, ?, ?)`,
-                        [player.id, dbMapId, position, previousPosition, timestamp]
+                        `INSERT INTO weekly_short_history (player_id, map_id, position, previous_position, time_ms, previous_time_ms, timestamp) 
+                         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                        [player.id, dbMapId, position, previousPosition, time, previousTime, timestamp]
                     );
 
                     await db.run(
                         `UPDATE weekly_short_records
-                         SET position = ?, timestamp = ?, announced = 0
+                         SET position = ?, time_ms = ?, current_position = NULL, timestamp = ?, announced = 0
                          WHERE player_id = ? AND map_id = ?`,
-                        [position, timestamp, player.id, dbMapId]
+                        [position, time, timestamp, player.id, dbMapId]
                     );
 
-                    log(`Updated record for ${accountId} on map ${mapPosition + 1}: #${position === null ? 'null' : position} (previous: #${previousPosition === null ? 'null' : previousPosition})`);
+                    log(`Updated record for ${accountId} on map ${mapPosition + 1}: ${time ? formatTime(time) : 'no time'} #${position === null ? 'null' : position} (previous: ${previousTime ? formatTime(previousTime) : 'no time'} #${previousPosition === null ? 'null' : previousPosition})`);
 
                     if (timestamp > existingDbRecord.timestamp) {
                         await db.run(
@@ -809,18 +1456,18 @@ export async function checkWeeklyShorts(client, defaultMaxPosition = 10000) {
                     }
                 } else {
                     await db.run(
-                        `INSERT INTO weekly_short_history (player_id, map_id, position, previous_position, timestamp) 
-                         VALUES (?, ?, ?, NULL, ?)`,
-                        [player.id, dbMapId, position, timestamp]
+                        `INSERT INTO weekly_short_history (player_id, map_id, position, previous_position, time_ms, previous_time_ms, timestamp) 
+                         VALUES (?, ?, ?, NULL, ?, NULL, ?)`,
+                        [player.id, dbMapId, position, time, timestamp]
                     );
 
                     await db.run(
-                        `INSERT INTO weekly_short_records (player_id, map_id, position, timestamp, announced) 
-                         VALUES (?, ?, ?, ?, 0)`,
-                        [player.id, dbMapId, position, timestamp]
+                        `INSERT INTO weekly_short_records (player_id, map_id, position, time_ms, timestamp, announced) 
+                         VALUES (?, ?, ?, ?, ?, 0)`,
+                        [player.id, dbMapId, position, time, timestamp]
                     );
 
-                    log(`Added new record for ${accountId} on map ${mapPosition + 1}: #${position === null ? 'null' : position}`);
+                    log(`Added new record for ${accountId} on map ${mapPosition + 1}: ${time ? formatTime(time) : 'no time'} #${position === null ? 'null' : position}`);
                 }
 
                 const recordId = existingDbRecord?.id || (await db.get(
@@ -876,6 +1523,10 @@ export async function checkWeeklyShorts(client, defaultMaxPosition = 10000) {
             }
         }
 
+        await trackWeeklyShortSeasonPoints(db, seasonUid, guildPlayerMap, maxPositionToCheck);
+
+        await checkWeeklyShortThresholdDrops(client, db, campaign, guildPlayerMap);
+
         await announceWeeklyShortUpdates(client, db);
 
         log('Weekly shorts check completed successfully');
@@ -909,8 +1560,10 @@ async function getUnannouncedWeeklyShorts(db, guildId = null) {
             m.name as map_name,
             m.thumbnail_url,
             r.position,
+            r.time_ms,
             r.timestamp as recorded_at,
-            h.previous_position
+            h.previous_position,
+            h.previous_time_ms
         FROM 
             weekly_short_records r
         JOIN 
@@ -1062,21 +1715,7 @@ async function announceWeeklyShortUpdates(client, db) {
                 continue;
             }
 
-            const guildSettings = await db.get('SELECT weekly_shorts_channel_id FROM guild_settings WHERE guild_id = ?', guildId);
-
-            let channel = null;
-            if (guildSettings && guildSettings.weekly_shorts_channel_id) {
-                channel = client.channels.cache.get(guildSettings.weekly_shorts_channel_id);
-            } else {
-                const fallbackSettings = await db.get('SELECT records_channel_id FROM guild_settings WHERE guild_id = ?', guildId);
-                if (fallbackSettings && fallbackSettings.records_channel_id) {
-                    channel = client.channels.cache.get(fallbackSettings.records_channel_id);
-                }
-            }
-
-            if (!channel) {
-                channel = guild.channels.cache.find(ch => ch.isTextBased() && ch.permissionsFor(guild.members.me)?.has('SendMessages'));
-            }
+            const channel = await getWeeklyShortsChannel(client, db, guild);
 
             if (!channel) {
                 log(`No available channel for guild ${guildId}`);